@@ -3,10 +3,47 @@ import database from './database.js';
 
 const env = process.env.NODE_ENV || 'development';
 
+/**
+ * Read a non-negative integer from the environment
+ * @private
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
 const config = {
   env,
   port: process.env.PORT || 3000,
   database: database.config[env],
+  // Requests per window by API key role; 0 means unlimited
+  rateLimit: {
+    // postgres (shared across instances), redis (needs REDIS_URL) or memory
+    store: process.env.RATE_LIMIT_STORE || 'postgres',
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', 60 * 1000),
+    tiers: {
+      anonymous: envInt('RATE_LIMIT_ANONYMOUS', 60),
+      reader: envInt('RATE_LIMIT_READER', 300),
+      operator: envInt('RATE_LIMIT_OPERATOR', 600),
+      admin: envInt('RATE_LIMIT_ADMIN', 0),
+    },
+    // Tighter limits for expensive routes; tiers left out inherit the global limit
+    routes: {
+      'aggregated-data': {
+        anonymous: envInt('RATE_LIMIT_AGGREGATED_DATA_ANONYMOUS', 10),
+        reader: envInt('RATE_LIMIT_AGGREGATED_DATA_READER', 60),
+      },
+    },
+  },
+  // Server-sent events at /api/stream
+  stream: {
+    // Comment line sent on idle connections so proxies do not close them
+    heartbeatMs: envInt('STREAM_HEARTBEAT_MS', 15 * 1000),
+    // Most readings and most articles replayed to a client resuming with Last-Event-ID
+    replayLimit: envInt('STREAM_REPLAY_LIMIT', 100),
+    // Wait before reconnecting the LISTEN connection after it drops
+    reconnectDelayMs: envInt('STREAM_RECONNECT_DELAY_MS', 5 * 1000),
+  },
   // Add other configuration sections here as needed
 };
 
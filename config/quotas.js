@@ -0,0 +1,36 @@
+// config/quotas.js
+
+// Daily request budgets per provider, sized to the free tiers
+const DEFAULT_DAILY_BUDGETS = {
+  newsapi: 100,
+  accuweather: 50,
+  openweathermap: 1000
+};
+
+/**
+ * Resolve daily request budgets from environment variables
+ * QUOTA_<PROVIDER>_DAILY overrides the default; 0 blocks the provider, an empty value means unlimited
+ * @param {Object} env - process.env or the Worker env
+ * @returns {Object} Budgets keyed by provider (null = unlimited)
+ */
+export function getQuotaBudgets(env = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_DAILY_BUDGETS).map(([provider, defaultBudget]) => {
+      const value = env[`QUOTA_${provider.toUpperCase()}_DAILY`];
+      
+      if (value === undefined) {
+        return [provider, defaultBudget];
+      }
+      if (value === '') {
+        return [provider, null];
+      }
+      
+      const budget = parseInt(value, 10);
+      return [provider, isNaN(budget) ? defaultBudget : budget];
+    })
+  );
+}
+
+export default {
+  defaultDailyBudgets: DEFAULT_DAILY_BUDGETS
+};
@@ -17,18 +17,16 @@ export class AggregationController {
         throw new Error('Invalid data received from service');
       }
 
-      // Return a structured response that includes pagination metadata
+      // Return a structured response with the included sections and their pagination metadata
+      const sections = ['news', 'weather'].filter(section => data[section]);
+
       return res.json({
         success: true,
         data: {
-          news: {
-            items: data.news.items || [],
-            pagination: data.news.pagination || {}
-          },
-          weather: {
-            items: data.weather.items || [],
-            pagination: data.weather.pagination || {}
-          },
+          ...Object.fromEntries(sections.map(section => [section, {
+            items: data[section].items || [],
+            pagination: data[section].pagination || {}
+          }])),
           timestamp: data.timestamp || new Date().toISOString()
         }
       });
@@ -37,7 +35,7 @@ export class AggregationController {
       
       // Return a consistent error response
       const statusCode = error.statusCode || 500;
-      const errorMessage = process.env.NODE_ENV === 'development' 
+      const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
         ? error.message 
         : 'Failed to fetch aggregated data';
       
@@ -0,0 +1,100 @@
+import { AlertService } from '../services/alerts/alerts.service.js';
+
+// Create a single instance of the service
+const alertService = new AlertService();
+
+/**
+ * Send an error response in the shape used by every controller
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Error in AlertController:', error);
+
+  const statusCode = error.statusCode || 500;
+  const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+    ? error.message 
+    : fallbackMessage;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: 'Failed to process your request',
+    error: errorMessage,
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+}
+
+export class AlertController {
+  static async getRules(req, res) {
+    try {
+      const data = await alertService.listRules(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          rules: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch alert rules');
+    }
+  }
+
+  static async getRule(req, res) {
+    try {
+      const data = await alertService.getRule(req.params.id);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch alert rule');
+    }
+  }
+
+  static async createRule(req, res) {
+    try {
+      const data = await alertService.createRule(req.body);
+      return res.status(201).json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to create alert rule');
+    }
+  }
+
+  static async updateRule(req, res) {
+    try {
+      const data = await alertService.updateRule(req.params.id, req.body);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to update alert rule');
+    }
+  }
+
+  static async deleteRule(req, res) {
+    try {
+      await alertService.deleteRule(req.params.id);
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error, 'Failed to delete alert rule');
+    }
+  }
+
+  static async getEvents(req, res) {
+    try {
+      const data = await alertService.listEvents(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          events: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch alert events');
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import { apiKeyService } from '../middleware/auth.js';
+
+/**
+ * Send an error response in the shape used by every controller
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Error in ApiKeyController:', error);
+
+  const statusCode = error.statusCode || 500;
+  const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+    ? error.message 
+    : fallbackMessage;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: 'Failed to process your request',
+    error: errorMessage,
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+}
+
+export class ApiKeyController {
+  static async getKeys(req, res) {
+    try {
+      const data = await apiKeyService.listKeys(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          keys: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch API keys');
+    }
+  }
+
+  static async createKey(req, res) {
+    try {
+      const data = await apiKeyService.createKey(req.body);
+      return res.status(201).json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to create API key');
+    }
+  }
+
+  static async revokeKey(req, res) {
+    try {
+      const data = await apiKeyService.revokeKey(req.params.id);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to revoke API key');
+    }
+  }
+}
@@ -0,0 +1,37 @@
+import { ForecastService } from '../services/forecast/forecast.service.js';
+
+// Create a single instance of the service
+const forecastService = new ForecastService();
+
+export class ForecastController {
+  static async getForecast(req, res) {
+    try {
+      const data = await forecastService.getLatestForecasts(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          forecast: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Error in ForecastController:', error);
+
+      const statusCode = error.statusCode || 500;
+      const errorMessage = process.env.NODE_ENV === 'development' 
+        ? error.message 
+        : 'Failed to fetch forecast data';
+
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to process your request',
+        error: errorMessage,
+        ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+      });
+    }
+  }
+}
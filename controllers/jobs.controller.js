@@ -0,0 +1,58 @@
+import { JobService } from '../services/jobs/jobs.service.js';
+
+// Create a single instance of the service
+const jobService = new JobService();
+
+/**
+ * Send an error response in the shape used by every controller
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Error in JobController:', error);
+
+  const statusCode = error.statusCode || 500;
+  const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+    ? error.message 
+    : fallbackMessage;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: 'Failed to process your request',
+    error: errorMessage,
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+}
+
+export class JobController {
+  static async getJobs(req, res) {
+    try {
+      const data = await jobService.getJobRuns(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          jobs: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch job runs');
+    }
+  }
+
+  static async getJob(req, res) {
+    try {
+      const data = await jobService.getJobRun(req.params.id);
+
+      return res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch job run');
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { NewsArticleService } from '../services/newsArticles/newsArticles.service.js';
+
+// Create a single instance of the service
+const newsArticleService = new NewsArticleService();
+
+/**
+ * Send an error response in the shape used by every controller
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Error in NewsController:', error);
+
+  const statusCode = error.statusCode || 500;
+  const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+    ? error.message 
+    : fallbackMessage;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: 'Failed to process your request',
+    error: errorMessage,
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+}
+
+/**
+ * Send a paginated article listing
+ * @private
+ */
+function sendArticles(res, data) {
+  return res.json({
+    success: true,
+    data: {
+      news: {
+        items: data.items || [],
+        pagination: data.pagination || {}
+      },
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+export class NewsController {
+  static async getNews(req, res) {
+    try {
+      return sendArticles(res, await newsArticleService.listArticles(req.query));
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch news');
+    }
+  }
+
+  static async searchNews(req, res) {
+    try {
+      return sendArticles(res, await newsArticleService.searchArticles(req.query));
+    } catch (error) {
+      return sendError(res, error, 'Failed to search news');
+    }
+  }
+
+  static async getArticle(req, res) {
+    try {
+      const data = await newsArticleService.getArticle(req.params.id);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch article');
+    }
+  }
+
+  static async updateArticle(req, res) {
+    try {
+      const data = await newsArticleService.updateArticle(req.params.id, req.body);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to update article');
+    }
+  }
+
+  static async deleteArticle(req, res) {
+    try {
+      await newsArticleService.deleteArticle(req.params.id);
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error, 'Failed to delete article');
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import { QuotaService } from '../services/quota/quota.service.js';
+
+// Create a single instance of the service
+const quotaService = new QuotaService();
+
+export class QuotaController {
+  static async getQuotas(req, res) {
+    try {
+      const data = await quotaService.getUsage(req.query);
+
+      return res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error('Error in QuotaController:', error);
+
+      const statusCode = error.statusCode || 500;
+      const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+        ? error.message 
+        : 'Failed to fetch quota usage';
+
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to process your request',
+        error: errorMessage,
+        ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+      });
+    }
+  }
+}
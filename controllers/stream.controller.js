@@ -0,0 +1,91 @@
+import config from '../config/index.js';
+import { StreamService } from '../services/stream/stream.service.js';
+
+// Create a single instance of the service
+const streamService = new StreamService();
+
+// Streams open on this instance, ended on shutdown so the server can close
+const openStreams = new Set();
+
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+/**
+ * Send an error response in the shape used by every controller
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Error in StreamController:', error);
+
+  const statusCode = error.statusCode || 500;
+  const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+    ? error.message
+    : fallbackMessage;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: 'Failed to process your request',
+    error: errorMessage,
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+}
+
+export class StreamController {
+  /**
+   * Server-sent events of newly saved weather readings (`event: weather`) and news
+   * articles (`event: news`), filtered by city, provider and types
+   */
+  static async stream(req, res) {
+    // Replayed events are held until the subscription succeeds, so failures can still get a JSON error
+    let buffered = [];
+    const write = ({ id, event, data }) => {
+      const message = `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+      if (buffered) {
+        buffered.push(message);
+      } else {
+        res.write(message);
+      }
+    };
+
+    let unsubscribe;
+    try {
+      const request = streamService.parseRequest(req.query, req.get('Last-Event-ID'));
+      unsubscribe = await streamService.subscribe({ ...request, send: write });
+    } catch (error) {
+      return sendError(res, error, 'Failed to open stream');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    buffered.forEach(message => res.write(message));
+    buffered = null;
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.stream.heartbeatMs);
+    openStreams.add(res);
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      openStreams.delete(res);
+    };
+    req.on('close', close);
+    if (req.destroyed) close();
+  }
+
+  /**
+   * End every open stream and stop listening for new data (called on shutdown)
+   */
+  static async closeStreams() {
+    for (const res of openStreams) {
+      res.end();
+    }
+    openStreams.clear();
+    await streamService.close();
+  }
+}
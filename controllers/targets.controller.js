@@ -0,0 +1,81 @@
+import { TargetService } from '../services/targets/targets.service.js';
+
+// Create a single instance of the service
+const targetService = new TargetService();
+
+/**
+ * Send an error response in the shape used by every controller
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Error in TargetController:', error);
+
+  const statusCode = error.statusCode || 500;
+  const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+    ? error.message 
+    : fallbackMessage;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: 'Failed to process your request',
+    error: errorMessage,
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+}
+
+export class TargetController {
+  static async getTargets(req, res) {
+    try {
+      const data = await targetService.listTargets(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          targets: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch collection targets');
+    }
+  }
+
+  static async getTarget(req, res) {
+    try {
+      const data = await targetService.getTarget(req.params.id);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch collection target');
+    }
+  }
+
+  static async createTarget(req, res) {
+    try {
+      const data = await targetService.createTarget(req.body);
+      return res.status(201).json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to create collection target');
+    }
+  }
+
+  static async updateTarget(req, res) {
+    try {
+      const data = await targetService.updateTarget(req.params.id, req.body);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to update collection target');
+    }
+  }
+
+  static async deleteTarget(req, res) {
+    try {
+      await targetService.deleteTarget(req.params.id);
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error, 'Failed to delete collection target');
+    }
+  }
+}
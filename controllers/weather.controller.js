@@ -0,0 +1,104 @@
+import { WeatherRecordService } from '../services/weatherRecords/weatherRecords.service.js';
+
+// Create a single instance of the service
+const weatherRecordService = new WeatherRecordService();
+
+/**
+ * Send an error response in the shape used by every controller
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Error in WeatherController:', error);
+
+  const statusCode = error.statusCode || 500;
+  const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+    ? error.message 
+    : fallbackMessage;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: 'Failed to process your request',
+    error: errorMessage,
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+}
+
+export class WeatherController {
+  static async getWeather(req, res) {
+    try {
+      const data = await weatherRecordService.listRecords(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          weather: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch weather data');
+    }
+  }
+
+  static async getWeatherRecord(req, res) {
+    try {
+      const data = await weatherRecordService.getRecord(req.params.id);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch weather record');
+    }
+  }
+
+  static async getLatestWeather(req, res) {
+    try {
+      const items = await weatherRecordService.getLatestByCity(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          weather: { items },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch latest weather');
+    }
+  }
+
+  static async getWeatherConsensus(req, res) {
+    try {
+      const items = await weatherRecordService.getLatestConsensus(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          consensus: { items },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch weather consensus');
+    }
+  }
+
+  static async getWeatherStats(req, res) {
+    try {
+      const data = await weatherRecordService.getStatsByCity(req.params.city, req.query);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch weather statistics');
+    }
+  }
+
+  static async getWeatherHistory(req, res) {
+    try {
+      const data = await weatherRecordService.getHistory(req.params.city, req.query);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch weather history');
+    }
+  }
+}
@@ -0,0 +1,100 @@
+import { WebhookService } from '../services/webhooks/webhooks.service.js';
+
+// Create a single instance of the service
+const webhookService = new WebhookService();
+
+/**
+ * Send an error response in the shape used by every controller
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Error in WebhookController:', error);
+
+  const statusCode = error.statusCode || 500;
+  const errorMessage = statusCode < 500 || process.env.NODE_ENV === 'development'
+    ? error.message 
+    : fallbackMessage;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: 'Failed to process your request',
+    error: errorMessage,
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+}
+
+export class WebhookController {
+  static async getSubscriptions(req, res) {
+    try {
+      const data = await webhookService.listSubscriptions(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          subscriptions: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch webhook subscriptions');
+    }
+  }
+
+  static async getSubscription(req, res) {
+    try {
+      const data = await webhookService.getSubscription(req.params.id);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch webhook subscription');
+    }
+  }
+
+  static async createSubscription(req, res) {
+    try {
+      const data = await webhookService.createSubscription(req.body);
+      return res.status(201).json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to create webhook subscription');
+    }
+  }
+
+  static async updateSubscription(req, res) {
+    try {
+      const data = await webhookService.updateSubscription(req.params.id, req.body);
+      return res.json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, 'Failed to update webhook subscription');
+    }
+  }
+
+  static async deleteSubscription(req, res) {
+    try {
+      await webhookService.deleteSubscription(req.params.id);
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error, 'Failed to delete webhook subscription');
+    }
+  }
+
+  static async getDeliveries(req, res) {
+    try {
+      const data = await webhookService.listDeliveries(req.query);
+
+      return res.json({
+        success: true,
+        data: {
+          deliveries: {
+            items: data.items || [],
+            pagination: data.pagination || {}
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch webhook deliveries');
+    }
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * News articles (full-text search is added by 012_add_news_search_vector)
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS news (
+        "id" BIGSERIAL PRIMARY KEY,
+        "title" VARCHAR(255) NOT NULL,
+        "description" TEXT NOT NULL,
+        "content" TEXT NOT NULL,
+        "url" VARCHAR(2048) NOT NULL UNIQUE,
+        "imageUrl" VARCHAR(2048),
+        "publishedAt" TIMESTAMPTZ NOT NULL,
+        "sourceName" VARCHAR(255),
+        "author" VARCHAR(255),
+        "provider" VARCHAR(50) NOT NULL DEFAULT 'newsapi',
+        "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "news"`
+];
@@ -0,0 +1,40 @@
+/**
+ * Forecast points, one row per forecasted timestamp per fetch
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "forecast" (
+        "id" SERIAL PRIMARY KEY,
+        "provider" VARCHAR(50) NOT NULL,
+        "city" VARCHAR(255) NOT NULL,
+        "country" VARCHAR(255) NOT NULL,
+        "latitude" FLOAT NOT NULL,
+        "longitude" FLOAT NOT NULL,
+        "temperature" FLOAT,
+        "feelsLike" FLOAT,
+        "tempMin" FLOAT,
+        "tempMax" FLOAT,
+        "humidity" INTEGER,
+        "pressure" INTEGER,
+        "windSpeed" FLOAT,
+        "windDirection" INTEGER,
+        "conditionMain" VARCHAR(255) NOT NULL,
+        "conditionDescription" VARCHAR(255) NOT NULL,
+        "conditionIcon" VARCHAR(255) NOT NULL,
+        "timestamp" TIMESTAMPTZ NOT NULL,
+        "fetchedAt" TIMESTAMPTZ NOT NULL,
+        "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS "forecast_city_provider_fetched_at" ON "forecast" ("city", "provider", "fetchedAt")
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS "forecast_timestamp" ON "forecast" ("timestamp")
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "forecast"`
+];
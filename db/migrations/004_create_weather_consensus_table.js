@@ -0,0 +1,36 @@
+/**
+ * Blended reading across weather providers, one row per city per collection run
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "weather_consensus" (
+        "id" SERIAL PRIMARY KEY,
+        "city" VARCHAR(255) NOT NULL,
+        "country" VARCHAR(255) NOT NULL,
+        "latitude" FLOAT,
+        "longitude" FLOAT,
+        "providers" VARCHAR(50)[] NOT NULL,
+        "providerCount" INTEGER NOT NULL,
+        "temperature" FLOAT,
+        "feelsLike" FLOAT,
+        "humidity" INTEGER,
+        "pressure" INTEGER,
+        "windSpeed" FLOAT,
+        "conditionMain" VARCHAR(255) NOT NULL,
+        "temperatureDisagreement" FLOAT,
+        "humidityDisagreement" FLOAT,
+        "conditionDisagreement" FLOAT NOT NULL DEFAULT 0,
+        "isDivergent" BOOLEAN NOT NULL DEFAULT FALSE,
+        "timestamp" TIMESTAMPTZ NOT NULL,
+        "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS "weather_consensus_city_timestamp" ON "weather_consensus" ("city", "timestamp")
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "weather_consensus"`
+];
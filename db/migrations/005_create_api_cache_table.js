@@ -0,0 +1,19 @@
+/**
+ * Optional durable cache for upstream API responses (see PostgresCacheStore)
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "api_cache" (
+        "key" VARCHAR(2048) PRIMARY KEY,
+        "value" JSONB NOT NULL,
+        "expiresAt" TIMESTAMPTZ NOT NULL
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS "api_cache_expires_at" ON "api_cache" ("expiresAt")
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "api_cache"`
+];
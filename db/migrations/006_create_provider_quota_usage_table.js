@@ -0,0 +1,18 @@
+/**
+ * Outbound request counts per provider per UTC day
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "provider_quota_usage" (
+        "provider" VARCHAR(50) NOT NULL,
+        "day" DATE NOT NULL,
+        "requestCount" INTEGER NOT NULL DEFAULT 0,
+        "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY ("provider", "day")
+    )
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "provider_quota_usage"`
+];
@@ -0,0 +1,31 @@
+/**
+ * Add deduplication columns to news
+ * canonicalUrl catches tracked/AMP variants of the same URL,
+ * clusterId points duplicates of a story at its representative article (NULL for representatives)
+ * Articles stored before this migration are backfilled by 017_backfill_news_dedup_columns
+ */
+export const up = [
+  `
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS "canonicalUrl" VARCHAR(2048)
+  `,
+  `
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS "clusterId" BIGINT REFERENCES news("id") ON DELETE SET NULL
+  `,
+  `
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_news_canonical_url ON news ("canonicalUrl")
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_news_cluster_id ON news ("clusterId")
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_news_published_at ON news ("publishedAt")
+  `
+];
+
+export const down = [
+  `DROP INDEX IF EXISTS idx_news_published_at`,
+  `DROP INDEX IF EXISTS idx_news_cluster_id`,
+  `DROP INDEX IF EXISTS idx_news_canonical_url`,
+  `ALTER TABLE news DROP COLUMN IF EXISTS "clusterId"`,
+  `ALTER TABLE news DROP COLUMN IF EXISTS "canonicalUrl"`
+];
@@ -0,0 +1,34 @@
+/**
+ * One row per collector worker run
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "job_runs" (
+        "id" BIGSERIAL PRIMARY KEY,
+        "jobName" VARCHAR(100) NOT NULL DEFAULT 'fetch-data',
+        "triggerType" VARCHAR(20) NOT NULL,
+        "cron" VARCHAR(100),
+        "status" VARCHAR(20) NOT NULL DEFAULT 'running',
+        "startedAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "finishedAt" TIMESTAMPTZ,
+        "durationMs" INTEGER,
+        "totalCount" INTEGER NOT NULL DEFAULT 0,
+        "successCount" INTEGER NOT NULL DEFAULT 0,
+        "skippedCount" INTEGER NOT NULL DEFAULT 0,
+        "failureCount" INTEGER NOT NULL DEFAULT 0,
+        -- Per-city and per-article outcomes as returned by fetchData
+        "results" JSONB NOT NULL DEFAULT '[]'::jsonb,
+        "error" TEXT
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_job_runs_started_at ON "job_runs" ("startedAt" DESC)
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_job_runs_status ON "job_runs" ("status", "startedAt" DESC)
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "job_runs"`
+];
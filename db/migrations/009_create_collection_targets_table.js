@@ -0,0 +1,28 @@
+/**
+ * What the collector worker fetches on each run: cities for weather, topics/categories for news
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "collection_targets" (
+        "id" BIGSERIAL PRIMARY KEY,
+        "type" VARCHAR(20) NOT NULL,
+        "value" VARCHAR(255) NOT NULL,
+        -- Providers to collect from; empty means every configured provider
+        "providers" VARCHAR(50)[] NOT NULL DEFAULT '{}',
+        "enabled" BOOLEAN NOT NULL DEFAULT TRUE,
+        -- Minimum minutes between collections; NULL collects on every run
+        "intervalMinutes" INTEGER,
+        "lastCollectedAt" TIMESTAMPTZ,
+        "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT collection_targets_type_value_key UNIQUE ("type", "value")
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_collection_targets_enabled ON "collection_targets" ("enabled", "type")
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "collection_targets"`
+];
@@ -0,0 +1,23 @@
+/**
+ * API keys for the Express API; only a SHA-256 hash of each key is stored
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "api_keys" (
+        "id" BIGSERIAL PRIMARY KEY,
+        "name" VARCHAR(100) NOT NULL,
+        -- First characters of the key, shown in listings to tell keys apart
+        "keyPrefix" VARCHAR(16) NOT NULL,
+        "keyHash" CHAR(64) NOT NULL UNIQUE,
+        "role" VARCHAR(20) NOT NULL,
+        "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "expiresAt" TIMESTAMPTZ,
+        "lastUsedAt" TIMESTAMPTZ,
+        "revokedAt" TIMESTAMPTZ
+    )
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "api_keys"`
+];
@@ -0,0 +1,19 @@
+/**
+ * Fixed-window request counters shared by every API instance (see PostgresRateLimitStore)
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "rate_limit_hits" (
+        "key" VARCHAR(255) PRIMARY KEY,
+        "hits" INTEGER NOT NULL DEFAULT 0,
+        "resetAt" TIMESTAMPTZ NOT NULL
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS "rate_limit_hits_reset_at" ON "rate_limit_hits" ("resetAt")
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "rate_limit_hits"`
+];
@@ -0,0 +1,48 @@
+/**
+ * Full-text search for news
+ * "searchVector" weights title (A) over description (B) over content (C) and is kept
+ * current by a trigger, so both the Sequelize and Neon repositories write it implicitly
+ */
+export const up = [
+  `
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS "searchVector" TSVECTOR
+  `,
+  `
+    CREATE OR REPLACE FUNCTION news_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+        NEW."searchVector" :=
+            setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+            setweight(to_tsvector('english', coalesce(NEW.description, '')), 'B') ||
+            setweight(to_tsvector('english', coalesce(NEW.content, '')), 'C');
+        RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql
+  `,
+  `
+    DROP TRIGGER IF EXISTS news_search_vector_trigger ON news
+  `,
+  `
+    CREATE TRIGGER news_search_vector_trigger
+        BEFORE INSERT OR UPDATE OF title, description, content ON news
+        FOR EACH ROW EXECUTE FUNCTION news_search_vector_update()
+  `,
+  `
+    -- Backfill articles stored before the column existed
+    UPDATE news SET
+        "searchVector" =
+            setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+            setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+            setweight(to_tsvector('english', coalesce(content, '')), 'C')
+    WHERE "searchVector" IS NULL
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_news_search_vector ON news USING GIN ("searchVector")
+  `
+];
+
+export const down = [
+  `DROP INDEX IF EXISTS idx_news_search_vector`,
+  `DROP TRIGGER IF EXISTS news_search_vector_trigger ON news`,
+  `DROP FUNCTION IF EXISTS news_search_vector_update()`,
+  `ALTER TABLE news DROP COLUMN IF EXISTS "searchVector"`
+];
@@ -0,0 +1,52 @@
+/**
+ * Bring databases created from the old db/init scripts in line with the models
+ * - weather lacked the city and timestamp indexes the model declares
+ *   (named as sequelize.sync() named them, so databases it created are unaffected)
+ * - news url and imageUrl are widened to 2048 characters where sync() created them as VARCHAR(255)
+ * - TIMESTAMP columns become TIMESTAMPTZ, as sync() created them for DataTypes.DATE; the stored
+ *   values were written in UTC. Columns that already have a time zone are left alone, since
+ *   converting them again would shift them by the session's offset.
+ */
+export const up = [
+  `
+    CREATE INDEX IF NOT EXISTS "weather_city" ON "weather" ("city")
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS "weather_timestamp" ON "weather" ("timestamp")
+  `,
+  `
+    ALTER TABLE news ALTER COLUMN "url" TYPE VARCHAR(2048)
+  `,
+  `
+    ALTER TABLE news ALTER COLUMN "imageUrl" TYPE VARCHAR(2048)
+  `,
+  `
+    DO $$
+    DECLARE
+        target RECORD;
+    BEGIN
+        FOR target IN
+            SELECT table_name, column_name
+            FROM information_schema.columns
+            WHERE table_schema = current_schema()
+              AND table_name IN (
+                'weather', 'news', 'forecast', 'weather_consensus', 'api_cache',
+                'provider_quota_usage', 'job_runs', 'collection_targets', 'api_keys'
+              )
+              AND data_type = 'timestamp without time zone'
+        LOOP
+            EXECUTE format(
+                'ALTER TABLE %I ALTER COLUMN %I TYPE TIMESTAMPTZ USING %I AT TIME ZONE ''UTC''',
+                target.table_name, target.column_name, target.column_name
+            );
+        END LOOP;
+    END
+    $$
+  `
+];
+
+// The columns stay wide (narrowing them could fail on longer URLs already stored) and keep their time zone
+export const down = [
+  `DROP INDEX IF EXISTS "weather_timestamp"`,
+  `DROP INDEX IF EXISTS "weather_city"`
+];
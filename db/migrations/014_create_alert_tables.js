@@ -0,0 +1,60 @@
+/**
+ * Threshold alerts evaluated by the collector worker against each run's readings,
+ * and the log of every alert it fired
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "alert_rules" (
+        "id" BIGSERIAL PRIMARY KEY,
+        "name" VARCHAR(100) NOT NULL,
+        -- City as named in collection_targets; NULL applies the rule to every city
+        "city" VARCHAR(255),
+        "metric" VARCHAR(30) NOT NULL,
+        "operator" VARCHAR(10) NOT NULL,
+        -- Compared with numeric metrics
+        "threshold" DOUBLE PRECISION,
+        -- Compared with conditionMain (e.g. Thunderstorm)
+        "condition" VARCHAR(50),
+        "channel" VARCHAR(20) NOT NULL,
+        -- Webhook URL or email address
+        "destination" VARCHAR(2048) NOT NULL,
+        -- Minimum minutes between two alerts of the rule
+        "cooldownMinutes" INTEGER NOT NULL DEFAULT 60,
+        "enabled" BOOLEAN NOT NULL DEFAULT TRUE,
+        "lastTriggeredAt" TIMESTAMPTZ,
+        "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_enabled ON "alert_rules" ("enabled")
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS "alert_events" (
+        "id" BIGSERIAL PRIMARY KEY,
+        "ruleId" BIGINT NOT NULL REFERENCES "alert_rules" ("id") ON DELETE CASCADE,
+        "city" VARCHAR(255) NOT NULL,
+        "provider" VARCHAR(50),
+        -- Weather record that crossed the rule
+        "weatherId" INTEGER,
+        "metric" VARCHAR(30) NOT NULL,
+        "value" VARCHAR(255),
+        "message" TEXT NOT NULL,
+        "channel" VARCHAR(20) NOT NULL,
+        "status" VARCHAR(20) NOT NULL,
+        "error" TEXT,
+        "triggeredAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_alert_events_rule ON "alert_events" ("ruleId", "triggeredAt" DESC)
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_alert_events_triggered_at ON "alert_events" ("triggeredAt" DESC)
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "alert_events"`,
+  `DROP TABLE IF EXISTS "alert_rules"`
+];
@@ -0,0 +1,50 @@
+/**
+ * Outbound webhooks: who wants which events, and every delivery attempt made to them
+ */
+export const up = [
+  `
+    CREATE TABLE IF NOT EXISTS "webhook_subscriptions" (
+        "id" BIGSERIAL PRIMARY KEY,
+        "url" VARCHAR(2048) NOT NULL,
+        -- Event types to deliver, e.g. weather.saved, news.saved, job.failed
+        "events" VARCHAR(50)[] NOT NULL,
+        -- HMAC-SHA256 key for the X-Webhook-Signature header
+        "secret" VARCHAR(255) NOT NULL,
+        "description" VARCHAR(255),
+        "enabled" BOOLEAN NOT NULL DEFAULT TRUE,
+        "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS "webhook_deliveries" (
+        "id" BIGSERIAL PRIMARY KEY,
+        "subscriptionId" BIGINT NOT NULL REFERENCES "webhook_subscriptions" ("id") ON DELETE CASCADE,
+        "eventId" UUID NOT NULL,
+        "eventType" VARCHAR(50) NOT NULL,
+        -- Event envelope { id, type, createdAt, data }; retries resend the same event
+        "payload" JSONB NOT NULL,
+        "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+        "attempts" INTEGER NOT NULL DEFAULT 0,
+        "responseStatus" INTEGER,
+        "error" TEXT,
+        -- When a pending delivery is next tried
+        "nextAttemptAt" TIMESTAMPTZ,
+        "deliveredAt" TIMESTAMPTZ,
+        "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON "webhook_deliveries" ("nextAttemptAt")
+        WHERE "status" = 'pending'
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON "webhook_deliveries" ("subscriptionId", "createdAt" DESC)
+  `
+];
+
+export const down = [
+  `DROP TABLE IF EXISTS "webhook_deliveries"`,
+  `DROP TABLE IF EXISTS "webhook_subscriptions"`
+];
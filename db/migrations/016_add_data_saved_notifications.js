@@ -0,0 +1,37 @@
+/**
+ * NOTIFY data_saved with { "table", "id" } for every new weather reading and news article,
+ * so API instances can push them to /api/stream clients without polling.
+ * The payload stays small (NOTIFY is limited to 8000 bytes); listeners load the row by id.
+ */
+export const up = [
+  `
+    CREATE OR REPLACE FUNCTION notify_data_saved() RETURNS trigger AS $$
+    BEGIN
+        PERFORM pg_notify('data_saved', json_build_object('table', TG_TABLE_NAME, 'id', NEW.id)::text);
+        RETURN NULL;
+    END
+    $$ LANGUAGE plpgsql
+  `,
+  `
+    DROP TRIGGER IF EXISTS weather_data_saved_trigger ON weather
+  `,
+  `
+    CREATE TRIGGER weather_data_saved_trigger
+        AFTER INSERT ON weather
+        FOR EACH ROW EXECUTE FUNCTION notify_data_saved()
+  `,
+  `
+    DROP TRIGGER IF EXISTS news_data_saved_trigger ON news
+  `,
+  `
+    CREATE TRIGGER news_data_saved_trigger
+        AFTER INSERT ON news
+        FOR EACH ROW EXECUTE FUNCTION notify_data_saved()
+  `
+];
+
+export const down = [
+  `DROP TRIGGER IF EXISTS news_data_saved_trigger ON news`,
+  `DROP TRIGGER IF EXISTS weather_data_saved_trigger ON weather`,
+  `DROP FUNCTION IF EXISTS notify_data_saved()`
+];
@@ -0,0 +1,97 @@
+import {
+  canonicalizeUrl,
+  findMatchingCluster,
+  CLUSTER_WINDOW_HOURS
+} from '../../repositories/news/dedup.js';
+
+const WINDOW_MS = CLUSTER_WINDOW_HOURS * 60 * 60 * 1000;
+
+/**
+ * Backfill "canonicalUrl" and "clusterId" (added in 007) for articles stored before dedup existed
+ * Articles are clustered oldest first, the way the repositories would have saved them.
+ * An article whose canonical URL is already taken keeps a NULL "canonicalUrl" (the column is
+ * unique) and joins the cluster of the article that owns it; articles that are already the
+ * representative of newer duplicates stay representatives.
+ */
+export const up = [];
+
+/**
+ * Build the backfill UPDATE from the rows currently stored
+ * @param {Object} executor - Migrator executor
+ * @returns {Promise<Array>} [{ text, params }], empty when nothing needs a backfill
+ */
+export async function backfill(executor) {
+  const pending = await executor.query(`
+    SELECT "id", "title", "url", "publishedAt"
+    FROM news
+    WHERE "canonicalUrl" IS NULL AND "clusterId" IS NULL AND "url" IS NOT NULL
+    ORDER BY "publishedAt" ASC, "id" ASC
+  `);
+  if (pending.length === 0) return [];
+
+  const times = pending.map(row => new Date(row.publishedAt).getTime());
+  const stored = await executor.query(`
+    SELECT n."id", n."title", n."publishedAt", n."clusterId", n."canonicalUrl",
+      EXISTS (SELECT 1 FROM news member WHERE member."clusterId" = n."id") AS "hasMembers"
+    FROM news n
+    WHERE n."publishedAt" BETWEEN $1 AND $2
+  `, [new Date(Math.min(...times) - WINDOW_MS), new Date(Math.max(...times) + WINDOW_MS)]);
+
+  const pendingIds = new Set(pending.map(row => String(row.id)));
+  const byId = new Map(stored.map(row => [String(row.id), row]));
+  const urlOwners = new Map(
+    stored.filter(row => row.canonicalUrl).map(row => [row.canonicalUrl, row])
+  );
+  const taken = await executor.query(
+    `SELECT "id", "clusterId", "canonicalUrl" FROM news WHERE "canonicalUrl" = ANY($1)`,
+    [[...new Set(pending.map(row => canonicalizeUrl(row.url)).filter(Boolean))]]
+  );
+  taken.forEach(row => urlOwners.set(row.canonicalUrl, row));
+
+  // Candidates are the articles already settled: everything not backfilled, plus backfilled
+  // articles once their turn has passed
+  const settled = stored.filter(row => !pendingIds.has(String(row.id)));
+  const ids = [];
+  const canonicalUrls = [];
+  const clusterIds = [];
+
+  for (const row of pending) {
+    const self = byId.get(String(row.id)) || row;
+    const canonicalUrl = canonicalizeUrl(row.url);
+    const owner = canonicalUrl ? urlOwners.get(canonicalUrl) : null;
+
+    // An article that already represents newer duplicates stays a representative,
+    // moving it into another cluster would nest clusters
+    let clusterId = null;
+    if (!self.hasMembers && owner) {
+      clusterId = owner.clusterId || owner.id;
+    } else if (!self.hasMembers) {
+      const publishedAt = new Date(row.publishedAt).getTime();
+      const candidates = settled.filter(candidate =>
+        Math.abs(new Date(candidate.publishedAt).getTime() - publishedAt) <= WINDOW_MS
+      );
+      clusterId = findMatchingCluster(row.title, candidates);
+    }
+
+    ids.push(row.id);
+    canonicalUrls.push(owner ? null : canonicalUrl);
+    clusterIds.push(clusterId);
+
+    if (canonicalUrl && !owner) {
+      urlOwners.set(canonicalUrl, { id: row.id, clusterId });
+    }
+    settled.push({ ...self, clusterId });
+  }
+
+  return [{
+    text: `
+      UPDATE news SET "canonicalUrl" = v."canonicalUrl", "clusterId" = v."clusterId"
+      FROM unnest($1::bigint[], $2::varchar[], $3::bigint[]) AS v("id", "canonicalUrl", "clusterId")
+      WHERE news."id" = v."id"
+    `,
+    params: [ids, canonicalUrls, clusterIds]
+  }];
+}
+
+// The columns themselves are dropped by 007's down
+export const down = [];
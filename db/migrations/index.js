@@ -0,0 +1,38 @@
+// Migrations in the order they apply; add new files here with the next number
+import * as m001 from './001_create_weather_table.js';
+import * as m002 from './002_create_news_table.js';
+import * as m003 from './003_create_forecast_table.js';
+import * as m004 from './004_create_weather_consensus_table.js';
+import * as m005 from './005_create_api_cache_table.js';
+import * as m006 from './006_create_provider_quota_usage_table.js';
+import * as m007 from './007_add_news_dedup_columns.js';
+import * as m008 from './008_create_job_runs_table.js';
+import * as m009 from './009_create_collection_targets_table.js';
+import * as m010 from './010_create_api_keys_table.js';
+import * as m011 from './011_create_rate_limit_hits_table.js';
+import * as m012 from './012_add_news_search_vector.js';
+import * as m013 from './013_align_schema_with_models.js';
+import * as m014 from './014_create_alert_tables.js';
+import * as m015 from './015_create_webhook_tables.js';
+import * as m016 from './016_add_data_saved_notifications.js';
+import * as m017 from './017_backfill_news_dedup_columns.js';
+
+export default [
+  { id: '001_create_weather_table', ...m001 },
+  { id: '002_create_news_table', ...m002 },
+  { id: '003_create_forecast_table', ...m003 },
+  { id: '004_create_weather_consensus_table', ...m004 },
+  { id: '005_create_api_cache_table', ...m005 },
+  { id: '006_create_provider_quota_usage_table', ...m006 },
+  { id: '007_add_news_dedup_columns', ...m007 },
+  { id: '008_create_job_runs_table', ...m008 },
+  { id: '009_create_collection_targets_table', ...m009 },
+  { id: '010_create_api_keys_table', ...m010 },
+  { id: '011_create_rate_limit_hits_table', ...m011 },
+  { id: '012_add_news_search_vector', ...m012 },
+  { id: '013_align_schema_with_models', ...m013 },
+  { id: '014_create_alert_tables', ...m014 },
+  { id: '015_create_webhook_tables', ...m015 },
+  { id: '016_add_data_saved_notifications', ...m016 },
+  { id: '017_backfill_news_dedup_columns', ...m017 }
+];
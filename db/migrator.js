@@ -0,0 +1,183 @@
+// db/migrator.js
+import defaultMigrations from './migrations/index.js';
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+const CREATE_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS "${MIGRATIONS_TABLE}" (
+    "id" VARCHAR(255) PRIMARY KEY,
+    "appliedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`;
+
+/**
+ * Executor over a Sequelize connection (Express app and npm scripts)
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} { query, transaction }
+ */
+export function createSequelizeExecutor(sequelize) {
+  const { QueryTypes } = sequelize.Sequelize;
+
+  return {
+    // Bind is only passed with parameters so "$$" function bodies are left alone
+    query: (text, params = []) => sequelize.query(text, {
+      type: QueryTypes.SELECT,
+      ...(params.length > 0 && { bind: params })
+    }),
+    transaction: (statements) => sequelize.transaction(async (transaction) => {
+      for (const { text, params = [] } of statements) {
+        await sequelize.query(text, {
+          transaction,
+          ...(params.length > 0 && { bind: params })
+        });
+      }
+    })
+  };
+}
+
+/**
+ * Executor over a Neon serverless connection (Cloudflare Worker)
+ * Neon's HTTP driver runs one statement per query, which is why migrations are statement lists
+ * @param {Function} sql - Neon query function (from neon(connectionString))
+ * @returns {Object} { query, transaction }
+ */
+export function createNeonExecutor(sql) {
+  return {
+    query: (text, params = []) => sql.query(text, params),
+    transaction: (statements) => sql.transaction(
+      statements.map(({ text, params = [] }) => sql.query(text, params))
+    )
+  };
+}
+
+/**
+ * Applies and rolls back the versioned migrations in db/migrations
+ *
+ * Each migration runs in its own transaction together with its schema_migrations row,
+ * so a failed migration leaves neither partial schema changes nor a record behind.
+ * A migration may also export backfill(executor), which reads the current rows and returns
+ * extra { text, params } statements for that transaction.
+ */
+export class Migrator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.executor - From createSequelizeExecutor or createNeonExecutor
+   * @param {Array} [options.migrations] - Ordered { id, up, down, backfill? } list
+   */
+  constructor({ executor, migrations = defaultMigrations } = {}) {
+    if (!executor) {
+      throw new Error('Migrator requires an executor');
+    }
+    this.executor = executor;
+    this.migrations = migrations;
+  }
+
+  /**
+   * IDs of applied migrations, oldest first (empty before the first migration)
+   * @returns {Promise<string[]>}
+   */
+  async getApplied() {
+    const [{ exists }] = await this.executor.query(
+      `SELECT to_regclass('public.${MIGRATIONS_TABLE}') IS NOT NULL AS exists`
+    );
+    if (!exists) return [];
+
+    const rows = await this.executor.query(
+      `SELECT "id" FROM "${MIGRATIONS_TABLE}" ORDER BY "id" ASC`
+    );
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Every known migration with whether it is applied
+   * @returns {Promise<Array>} [{ id, applied }], plus applied IDs this code does not know
+   */
+  async status() {
+    const applied = new Set(await this.getApplied());
+    const known = new Set(this.migrations.map(migration => migration.id));
+
+    return [
+      ...this.migrations.map(({ id }) => ({ id, applied: applied.has(id) })),
+      ...[...applied].filter(id => !known.has(id)).map(id => ({ id, applied: true, unknown: true }))
+    ];
+  }
+
+  /**
+   * Migrations not yet applied, in order
+   * @returns {Promise<Array>}
+   */
+  async getPending() {
+    const applied = new Set(await this.getApplied());
+    return this.migrations.filter(migration => !applied.has(migration.id));
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {Object} [options]
+   * @param {string} [options.to] - Stop after this migration ID
+   * @returns {Promise<string[]>} IDs applied
+   */
+  async up({ to } = {}) {
+    if (to && !this.migrations.some(migration => migration.id === to)) {
+      throw new Error(`Unknown migration: ${to}`);
+    }
+
+    await this.executor.query(CREATE_TABLE_SQL);
+
+    const applied = [];
+    for (const migration of await this.getPending()) {
+      // Data migrations compute their statements from the stored rows, e.g. with JS helpers
+      const data = migration.backfill ? await migration.backfill(this.executor) : [];
+      await this.executor.transaction([
+        ...migration.up.map(text => ({ text })),
+        ...data,
+        { text: `INSERT INTO "${MIGRATIONS_TABLE}" ("id") VALUES ($1)`, params: [migration.id] }
+      ]);
+      applied.push(migration.id);
+
+      if (migration.id === to) break;
+    }
+    return applied;
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {Object} [options]
+   * @param {number} [options.steps=1] - Number of migrations to roll back
+   * @returns {Promise<string[]>} IDs rolled back, newest first
+   */
+  async down({ steps = 1 } = {}) {
+    const byId = new Map(this.migrations.map(migration => [migration.id, migration]));
+    const targets = (await this.getApplied()).reverse().slice(0, steps);
+
+    const reverted = [];
+    for (const id of targets) {
+      const migration = byId.get(id);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${id}: migration file not found`);
+      }
+
+      await this.executor.transaction([
+        ...migration.down.map(text => ({ text })),
+        { text: `DELETE FROM "${MIGRATIONS_TABLE}" WHERE "id" = $1`, params: [id] }
+      ]);
+      reverted.push(id);
+    }
+    return reverted;
+  }
+
+  /**
+   * Fail when migrations are pending, so code never runs against an older schema
+   * @throws {Error} With error.pendingMigrations listing the IDs
+   */
+  async assertUpToDate() {
+    const pending = await this.getPending();
+    if (pending.length === 0) return;
+
+    const error = new Error(
+      `${pending.length} pending migration(s): ${pending.map(migration => migration.id).join(', ')}. Run "npm run migrate" first.`
+    );
+    error.pendingMigrations = pending.map(migration => migration.id);
+    throw error;
+  }
+}
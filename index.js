@@ -3,7 +3,10 @@ import { EventEmitter } from 'events';
 import config from './config/index.js';
 import database from './config/database.js';
 import routes from './routes/index.js';
-import rateLimit from 'express-rate-limit';
+import { StreamController } from './controllers/stream.controller.js';
+import { Migrator, createSequelizeExecutor } from './db/migrator.js';
+import { identifyApiKey } from './middleware/auth.js';
+import { rateLimit, assertRateLimitStoreReady } from './middleware/rateLimit.js';
 
 class Application extends EventEmitter {
   constructor() {
@@ -20,10 +23,18 @@ class Application extends EventEmitter {
     // Configure Express to trust proxies for accurate IP detection
     this.app.set('trust proxy', 1);
     
-    // Enable CORS for all routes
+    // Enable CORS; CORS_ORIGINS restricts it to a comma-separated list of origins
+    const allowedOrigins = process.env.CORS_ORIGINS
+      ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+      : null;
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      if (!allowedOrigins) {
+        res.header('Access-Control-Allow-Origin', '*');
+      } else if (allowedOrigins.includes(req.get('Origin'))) {
+        res.header('Access-Control-Allow-Origin', req.get('Origin'));
+        res.header('Vary', 'Origin');
+      }
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
       
       // Handle preflight requests
@@ -34,23 +45,8 @@ class Application extends EventEmitter {
       next();
     });
     
-    // Add rate limiting middleware
-    const apiLimiter = rateLimit({
-      windowMs: 60 * 1000, // 1 minute window
-      max: 5, // Limit each IP to 5 requests per window
-      standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-      legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-      message: {
-        error: "Too many requests, please wait before retrying."
-      },
-      keyGenerator: (req) => {
-        // Use IP address as the default identifier
-        return req.ip;
-      }
-    });
-    
-    // Apply rate limiting to all API routes
-    this.app.use('/api', apiLimiter);
+    // Rate limit API routes by API key role (or by IP for anonymous callers)
+    this.app.use('/api', identifyApiKey, rateLimit());
     
     this.app.use(express.json());
     // Add other middlewares here (helmet, etc.)
@@ -109,9 +105,13 @@ class Application extends EventEmitter {
       await this.db.authenticate();
       console.log('Database connection has been established successfully.');
       
-      // Just sync without altering tables
-      await this.db.sync();
-      console.log('Database connected');
+      // The schema is owned by db/migrations; refuse to serve an outdated one
+      await new Migrator({ executor: createSequelizeExecutor(this.db) }).assertUpToDate();
+      console.log('Database schema is up to date');
+      
+      // A configured store that cannot be set up is a deployment error, not a reason to count per instance
+      await assertRateLimitStoreReady();
+      console.log(`Rate limit store (${this.config.rateLimit.store}) is ready`);
       
       // Start the server
       const server = this.app.listen(this.config.port, () => {
@@ -176,6 +176,8 @@ app.on('error', (error) => {
 
 app.on('shutdown', () => {
   console.log('Application is shutting down...');
+  // Open event streams would otherwise keep server.close() waiting forever
+  StreamController.closeStreams().catch(error => console.error('Failed to close event streams:', error));
 });
 
 // Start the application
@@ -0,0 +1,100 @@
+// middleware/auth.js
+import { ApiKeyService } from '../services/auth/apiKey.service.js';
+import { Role, hasRole } from '../services/auth/index.js';
+
+// Create a single instance of the service
+const apiKeyService = new ApiKeyService();
+
+/**
+ * Read the API key from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function extractApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim() || null;
+  }
+  return req.get('X-API-Key') || null;
+}
+
+function sendAuthError(res, statusCode, error) {
+  if (statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer realm="api"');
+  }
+  return res.status(statusCode).json({
+    success: false,
+    message: statusCode === 401 ? 'Authentication required' : 'Forbidden',
+    error
+  });
+}
+
+/**
+ * Require an API key with at least the given role
+ * The resolved key is available to later handlers as req.apiKey ({ id, name, role })
+ * @param {string} role - reader, operator or admin
+ * @returns {Function} Express middleware
+ */
+export function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      if (!req.apiKey) {
+        const key = extractApiKey(req);
+        if (!key) {
+          return sendAuthError(res, 401, 'API key required');
+        }
+
+        const apiKey = await apiKeyService.authenticate(key);
+        if (!apiKey) {
+          return sendAuthError(res, 401, 'Invalid, revoked or expired API key');
+        }
+        req.apiKey = apiKey;
+      }
+
+      if (!hasRole(req.apiKey.role, role)) {
+        return sendAuthError(res, 403, `This route requires the ${role} role`);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Resolve the API key if one is presented, without requiring it
+ * Lets the rate limiter apply the key's tier on public routes; an invalid key is
+ * treated as anonymous here and rejected by requireRole on protected routes.
+ * A failed lookup (e.g. the database is down) is treated as anonymous too, so public
+ * routes keep working; protected routes look the key up again in requireRole.
+ */
+export async function identifyApiKey(req, res, next) {
+  const key = extractApiKey(req);
+  if (key) {
+    try {
+      const apiKey = await apiKeyService.authenticate(key);
+      if (apiKey) {
+        req.apiKey = apiKey;
+      }
+    } catch (error) {
+      console.warn(`API key lookup failed, treating the request as anonymous: ${error.message}`);
+    }
+  }
+  next();
+}
+
+const requireReader = requireRole(Role.READER);
+
+/**
+ * Guard for the public data routes
+ * They stay open (the dashboard calls them anonymously) unless REQUIRE_READ_AUTH=true
+ */
+export function requireReadAccess(req, res, next) {
+  if (process.env.REQUIRE_READ_AUTH !== 'true') {
+    return next();
+  }
+  return requireReader(req, res, next);
+}
+
+export { Role, apiKeyService };
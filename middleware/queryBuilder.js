@@ -1,130 +1,257 @@
 // middleware/queryBuilder.js
-import { Op } from 'sequelize';
+import { Op, Sequelize } from 'sequelize';
 
 /**
- * Map of DRF-style lookup operators to Sequelize operators
+ * Django REST framework style filtering with `field__lookup=value` query parameters:
+ *
+ *   temperature__gte=30              city__iexact=hanoi
+ *   provider__in=rss,newsapi         temperature__between=20,30
+ *   timestamp__year=2024             publishedAt__month__in=6,7,8
+ *   author__isnull=true              title__icontains=bão
+ *
+ * The field must be a column of the model being queried; unknown fields, unsupported
+ * lookups and values that do not fit the column are rejected with a 400 error.
+ * Parameters without `__` are left to the route's own filters.
  */
-const LOOKUP_OPERATORS = {
-  // Exact lookups
-  'exact': Op.eq,
-  'iexact': (val) => ({ [Op.iLike]: `^${val}$` }), // Regex-based case-insensitive exact match
-  
-  // Text lookups
-  'contains': (val) => ({ [Op.like]: `%${val}%` }),
-  'icontains': (val) => ({ [Op.iLike]: `%${val}%` }),
-  'startswith': (val) => ({ [Op.like]: `${val}%` }),
-  'istartswith': (val) => ({ [Op.iLike]: `${val}%` }),
-  'endswith': (val) => ({ [Op.like]: `%${val}` }),
-  'iendswith': (val) => ({ [Op.iLike]: `%${val}` }),
-  
-  // Numeric lookups
-  'gt': Op.gt,
-  'gte': Op.gte,
-  'lt': Op.lt,
-  'lte': Op.lte,
-  
-  // Date lookups
-  'year': (val) => Sequelize.where(Sequelize.fn('EXTRACT', Sequelize.literal('YEAR FROM "createdAt"')), val),
-  'month': (val) => Sequelize.where(Sequelize.fn('EXTRACT', Sequelize.literal('MONTH FROM "createdAt"')), val),
-  'day': (val) => Sequelize.where(Sequelize.fn('EXTRACT', Sequelize.literal('DAY FROM "createdAt"')), val),
-  
-  // Boolean lookups
-  'isnull': (val) => val ? { [Op.is]: null } : { [Op.not]: null },
-  
-  // Array lookups
-  'in': Op.in,
-  'between': Op.between
+
+const LOOKUP_SEPARATOR = '__';
+
+/**
+ * Lookups comparing the column value, allowed on text, number and date columns
+ */
+const COMPARISON_LOOKUPS = {
+  exact: (value) => ({ [Op.eq]: value }),
+  gt: (value) => ({ [Op.gt]: value }),
+  gte: (value) => ({ [Op.gte]: value }),
+  lt: (value) => ({ [Op.lt]: value }),
+  lte: (value) => ({ [Op.lte]: value }),
+  in: (values) => ({ [Op.in]: values }),
+  between: (values) => ({ [Op.between]: values })
 };
 
 /**
- * Parse DRF-style field lookup
- * @param {string} param - Parameter like 'city__icontains'
- * @returns {Object} Parsed field and lookup info { field, lookupType, relation }
+ * Pattern lookups, allowed on text columns; the value is matched literally
+ */
+const TEXT_LOOKUPS = {
+  iexact: (value) => ({ [Op.iLike]: escapeLike(value) }),
+  contains: (value) => ({ [Op.like]: `%${escapeLike(value)}%` }),
+  icontains: (value) => ({ [Op.iLike]: `%${escapeLike(value)}%` }),
+  startswith: (value) => ({ [Op.like]: `${escapeLike(value)}%` }),
+  istartswith: (value) => ({ [Op.iLike]: `${escapeLike(value)}%` }),
+  endswith: (value) => ({ [Op.like]: `%${escapeLike(value)}` }),
+  iendswith: (value) => ({ [Op.iLike]: `%${escapeLike(value)}` })
+};
+
+/**
+ * Parts of a date column (Postgres date_part), compared as integers:
+ * `timestamp__year=2024` or with a comparison lookup, `timestamp__hour__gte=18`
+ */
+const DATE_PARTS = ['year', 'quarter', 'month', 'week', 'day', 'hour'];
+
+const ALL_LOOKUPS = [
+  ...Object.keys(COMPARISON_LOOKUPS),
+  ...Object.keys(TEXT_LOOKUPS),
+  'isnull',
+  ...DATE_PARTS
+];
+
+const TEXT_TYPES = ['STRING', 'TEXT', 'CHAR', 'CITEXT'];
+const NUMBER_TYPES = ['INTEGER', 'BIGINT', 'SMALLINT', 'MEDIUMINT', 'TINYINT', 'FLOAT', 'DOUBLE', 'REAL', 'DECIMAL'];
+const DATE_TYPES = ['DATE', 'DATEONLY'];
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Escape LIKE wildcards so user input only matches itself
+ * @private
  */
-function parseFieldLookup(param) {
-  const parts = param.split('__');
-  
-  // Default case - just a field without operator
-  if (parts.length === 1) {
-    return {
-      field: parts[0],
-      lookupType: 'icontains', // Default to case-insensitive contains for string fields
-      relation: null
-    };
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Classify a model attribute as text, number, date, boolean or other
+ * @private
+ */
+function columnKind(attribute) {
+  const key = attribute.type?.key;
+  if (TEXT_TYPES.includes(key)) return 'text';
+  if (NUMBER_TYPES.includes(key)) return 'number';
+  if (DATE_TYPES.includes(key)) return 'date';
+  if (key === 'BOOLEAN') return 'boolean';
+  return 'other';
+}
+
+/**
+ * Convert one query string value to the column's type
+ * @private
+ */
+function convertValue(raw, kind, param) {
+  const value = String(raw).trim();
+
+  switch (kind) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw httpError(`Invalid value for ${param}: expected a number`, 400);
+      }
+      return number;
+    }
+    case 'integer': {
+      if (!/^-?\d+$/.test(value)) {
+        throw httpError(`Invalid value for ${param}: expected an integer`, 400);
+      }
+      return parseInt(value, 10);
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (value === '' || Number.isNaN(date.getTime())) {
+        throw httpError(`Invalid value for ${param}: expected an ISO date`, 400);
+      }
+      return date;
+    }
+    case 'boolean': {
+      if (value !== 'true' && value !== 'false') {
+        throw httpError(`Invalid value for ${param}: expected true or false`, 400);
+      }
+      return value === 'true';
+    }
+    default:
+      return value;
   }
-  
-  // Check if the last part is a lookup type
-  const lastPart = parts[parts.length - 1];
-  if (LOOKUP_OPERATORS[lastPart]) {
-    return {
-      field: parts.slice(0, -1).join('__'), // Could contain relation paths
-      lookupType: lastPart,
-      relation: parts.length > 2 ? parts.slice(0, -2).join('__') : null
-    };
+}
+
+/**
+ * Convert the value of a lookup: a comma-separated list for in and between, otherwise one value
+ * Repeated parameters (`?a__in=1&a__in=2`) arrive as arrays and are treated as a list
+ * @private
+ */
+function convertLookupValue(raw, lookup, kind, param) {
+  if (lookup === 'in' || lookup === 'between') {
+    const values = [].concat(raw).flatMap(item => String(item).split(',')).filter(item => item.trim() !== '');
+    if (lookup === 'in' && values.length === 0) {
+      throw httpError(`Invalid value for ${param}: expected a comma-separated list`, 400);
+    }
+    if (lookup === 'between' && values.length !== 2) {
+      throw httpError(`Invalid value for ${param}: expected two comma-separated values`, 400);
+    }
+    return values.map(value => convertValue(value, kind, param));
+  }
+
+  if (Array.isArray(raw)) {
+    throw httpError(`${param} was given more than once`, 400);
   }
-  
-  // If the last part isn't a lookup type, assume it's a field and use default lookup
-  return {
-    field: param,
-    lookupType: 'icontains', // Default 
-    relation: parts.length > 1 ? parts.slice(0, -1).join('__') : null
-  };
+  return convertValue(raw, kind, param);
 }
 
 /**
- * Build a Sequelize where clause from Django-style query parameters
- * @param {Object} queryParams - Query parameters (req.query)
- * @param {Model} model - Sequelize model
- * @returns {Object} Sequelize where clause
+ * Whether a query parameter uses the lookup syntax
+ * @param {string} param - Query parameter name
+ * @returns {boolean}
  */
-export function buildWhereClause(queryParams, model) {
-  if (!queryParams || typeof queryParams !== 'object') {
-    return {};
+export function isLookupParam(param) {
+  return param.includes(LOOKUP_SEPARATOR);
+}
+
+/**
+ * Split a lookup parameter into its field and lookup parts
+ * @param {string} param - Parameter like 'city__icontains' or 'timestamp__year__gte'
+ * @returns {Object} { field, lookups } e.g. { field: 'timestamp', lookups: ['year', 'gte'] }
+ */
+export function parseFieldLookup(param) {
+  const [field, ...lookups] = param.split(LOOKUP_SEPARATOR);
+  return { field, lookups };
+}
+
+/**
+ * Build the condition of one lookup parameter
+ * @private
+ */
+function buildCondition(param, rawValue, attributes, fields) {
+  const { field, lookups } = parseFieldLookup(param);
+
+  if (!fields.includes(field)) {
+    throw httpError(`Unknown field "${field}" in ${param}. Filterable fields: ${fields.join(', ')}`, 400);
   }
-  
-  const where = {};
-  const includes = [];
-  
-  // Process each parameter
-  Object.entries(queryParams).forEach(([param, value]) => {
-    // Skip pagination, sorting parameters
-    if (['limit', 'offset', 'sort'].includes(param)) {
-      return;
-    }
-    
-    // Parse the lookup
-    const { field, lookupType, relation } = parseFieldLookup(param);
-    
-    // Get the operator
-    const lookupOperator = LOOKUP_OPERATORS[lookupType];
-    if (!lookupOperator) {
-      console.warn(`Unsupported lookup type: ${lookupType}`);
-      return;
+
+  const kind = columnKind(attributes[field]);
+  const [first, second] = lookups;
+  const unsupported = () => httpError(
+    `Unsupported lookup "${lookups.join(LOOKUP_SEPARATOR)}" in ${param}. Supported lookups: ${ALL_LOOKUPS.join(', ')}` +
+    ` (date parts can be followed by ${Object.keys(COMPARISON_LOOKUPS).join(', ')})`,
+    400
+  );
+
+  // timestamp__year=2024, timestamp__month__in=6,7,8
+  if (DATE_PARTS.includes(first)) {
+    const lookup = second ?? 'exact';
+    if (lookups.length > 2 || !COMPARISON_LOOKUPS[lookup]) throw unsupported();
+    if (kind !== 'date') {
+      throw httpError(`${first} lookups need a date field, and ${field} is not one (${param})`, 400);
     }
-    
-    // Handle relations (if any)
-    if (relation) {
-      // Process relations with Sequelize includes
-      // This is more complex and would depend on your model associations
-      console.warn('Relation lookups not fully implemented yet');
-      return;
+
+    return Sequelize.where(
+      Sequelize.fn('date_part', first, Sequelize.col(field)),
+      COMPARISON_LOOKUPS[lookup](convertLookupValue(rawValue, lookup, 'integer', param))
+    );
+  }
+
+  if (lookups.length !== 1) throw unsupported();
+
+  if (first === 'isnull') {
+    return { [field]: convertLookupValue(rawValue, first, 'boolean', param) ? { [Op.is]: null } : { [Op.ne]: null } };
+  }
+
+  if (TEXT_LOOKUPS[first]) {
+    if (kind !== 'text') {
+      throw httpError(`${first} lookups need a text field, and ${field} is not one (${param})`, 400);
     }
-    
-    // Handle the value based on lookup type
-    let transformedValue;
-    if (typeof lookupOperator === 'function') {
-      // Some operators need special handling
-      transformedValue = lookupOperator(value);
-    } else {
-      // Simple operator mapping
-      transformedValue = { [lookupOperator]: value };
+    return { [field]: TEXT_LOOKUPS[first](convertLookupValue(rawValue, first, kind, param)) };
+  }
+
+  if (COMPARISON_LOOKUPS[first]) {
+    const ordered = !['exact', 'in'].includes(first);
+    if (kind === 'other' || (kind === 'boolean' && ordered)) {
+      throw httpError(`${field} cannot be filtered with ${first} (${param})`, 400);
     }
-    
-    // Add to where clause
-    where[field] = transformedValue;
-  });
-  
-  return where;
+    return { [field]: COMPARISON_LOOKUPS[first](convertLookupValue(rawValue, first, kind, param)) };
+  }
+
+  throw unsupported();
+}
+
+/**
+ * Build a Sequelize where clause from Django-style lookup parameters
+ * Parameters without `__` are ignored, so the whole req.query can be passed in.
+ * The result holds its conditions under Op.and, so it can be spread into other criteria.
+ * @param {Object} queryParams - Query parameters (req.query)
+ * @param {Model} model - Sequelize model whose columns may be filtered
+ * @param {Object} [options]
+ * @param {string[]} [options.fields] - Restrict filtering to these columns
+ * @returns {Object} Sequelize where clause, empty when there are no lookups
+ * @throws {Error} 400 error for unknown fields, unsupported lookups or invalid values
+ */
+export function buildWhereClause(queryParams, model, { fields } = {}) {
+  if (!queryParams || typeof queryParams !== 'object') {
+    return {};
+  }
+
+  const attributes = model.getAttributes();
+  const filterable = fields || Object.keys(attributes);
+
+  const conditions = Object.entries(queryParams)
+    .filter(([param]) => isLookupParam(param))
+    .map(([param, value]) => buildCondition(param, value, attributes, filterable));
+
+  return conditions.length > 0 ? { [Op.and]: conditions } : {};
 }
 
 /**
@@ -137,44 +264,46 @@ export function buildQueryOptions(params, model) {
   if (!params || typeof params !== 'object') {
     return {};
   }
-  
+
   const options = {};
-  
+
   // Build where clause using Django-style lookups
   options.where = buildWhereClause(params, model);
-  
+
   // Handle pagination
   if (params.limit) {
     options.limit = parseInt(params.limit, 10);
   }
-  
+
   if (params.offset) {
     options.offset = parseInt(params.offset, 10);
   }
-  
+
   // Handle sorting
   if (params.sort) {
-    options.order = parseSort(params.sort);
+    options.order = parseSort(params.sort, model);
   }
-  
+
   return options;
 }
 
 /**
  * Parse sort parameter into Sequelize order array
- * @param {string} sort - Sort parameter like "name,-created_at"
+ * @param {string} sort - Sort parameter like "name,-createdAt"
+ * @param {Model} model - Sequelize model whose columns may be sorted by
  * @returns {Array} Sequelize order array
  */
-function parseSort(sort) {
+function parseSort(sort, model) {
   if (!sort) return undefined;
-  
+
+  const columns = Object.keys(model.getAttributes());
+
   // Split by comma and process each field
-  return sort.split(',').map(field => {
-    if (field.startsWith('-')) {
-      // Descending order
-      return [field.substring(1), 'DESC'];
+  return String(sort).split(',').map(part => {
+    const field = part.trim().replace(/^-/, '');
+    if (!columns.includes(field)) {
+      throw httpError(`Cannot sort by "${field}". Sortable fields: ${columns.join(', ')}`, 400);
     }
-    // Ascending order
-    return [field, 'ASC'];
+    return [field, part.trim().startsWith('-') ? 'DESC' : 'ASC'];
   });
-}
\ No newline at end of file
+}
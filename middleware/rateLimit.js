@@ -0,0 +1,135 @@
+// middleware/rateLimit.js
+import config from '../config/index.js';
+import database from '../config/database.js';
+import {
+  RateLimiter,
+  MemoryRateLimitStore,
+  PostgresRateLimitStore,
+  RedisRateLimitStore,
+  ANONYMOUS_TIER
+} from '../services/rateLimit/index.js';
+
+const settings = config.rateLimit;
+
+/**
+ * Create the configured counter store
+ * Rejects when the store cannot be set up; the server checks this before it starts
+ * (see assertRateLimitStoreReady), so a misconfigured shared store is never silently
+ * replaced by per-instance memory counters.
+ * @private
+ */
+async function createStore(type) {
+  switch (type) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'postgres':
+      return new PostgresRateLimitStore({ sequelize: database.sequelize });
+    case 'redis': {
+      if (!process.env.REDIS_URL) {
+        throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+      }
+      // Optional dependency (optionalDependencies in package.json); only needed when Redis is selected
+      let createClient;
+      try {
+        ({ createClient } = await import('redis'));
+      } catch (error) {
+        throw new Error(`RATE_LIMIT_STORE=redis requires the redis package (npm install redis): ${error.message}`);
+      }
+
+      // Give up if the first connection fails, so an unreachable REDIS_URL fails startup;
+      // once connected, dropped connections are retried with backoff
+      let connected = false;
+      const client = createClient({
+        url: process.env.REDIS_URL,
+        socket: {
+          reconnectStrategy: retries => connected
+            ? Math.min(retries * 100, 3000)
+            : new Error(`Could not connect to Redis at ${process.env.REDIS_URL}`)
+        }
+      });
+      client.on('error', error => console.warn(`Redis rate limit client error: ${error.message}`));
+      await client.connect();
+      connected = true;
+      return new RedisRateLimitStore({ client });
+    }
+    default:
+      throw new Error(`Unsupported rate limit store: ${type}`);
+  }
+}
+
+const store = createStore(settings.store);
+// Handled by assertRateLimitStoreReady; until then the limiter falls back to memory on failure
+store.catch(() => {});
+
+// Create a single limiter shared by every route
+const rateLimiter = new RateLimiter({
+  store,
+  windowMs: settings.windowMs,
+  tiers: settings.tiers,
+  routes: settings.routes
+});
+
+/**
+ * Fail when the configured rate limit store could not be set up
+ * @returns {Promise<void>}
+ * @throws {Error} Why the store is unavailable
+ */
+export async function assertRateLimitStoreReady() {
+  try {
+    await store;
+  } catch (error) {
+    throw new Error(`Failed to initialize ${settings.store} rate limit store: ${error.message}`);
+  }
+}
+
+/**
+ * Identify the caller: the API key when one was resolved (see identifyApiKey), otherwise the IP
+ * @private
+ */
+function getCaller(req) {
+  if (req.apiKey) {
+    return { identity: `key:${req.apiKey.id}`, tier: req.apiKey.role };
+  }
+  return { identity: `ip:${req.ip}`, tier: ANONYMOUS_TIER };
+}
+
+/**
+ * Rate limit requests by caller tier
+ * Without a route name the global limits apply; with one, that route's overrides
+ * are counted in a separate bucket on top of the global limit.
+ * @param {string} [route] - Key into config.rateLimit.routes
+ * @returns {Function} Express middleware
+ */
+export function rateLimit(route) {
+  return async (req, res, next) => {
+    try {
+      const { identity, tier } = getCaller(req);
+      const result = await rateLimiter.consume(identity, tier, route);
+      if (!result) {
+        return next();
+      }
+
+      const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+      res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many requests',
+          error: 'Too many requests, please wait before retrying.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export { rateLimiter };
@@ -0,0 +1,56 @@
+/**
+ * Schema definitions for alert rule and alert event filters
+ */
+export const alertRuleFilters = {
+    city: { 
+      type: 'string', 
+      required: false,
+      description: 'Filter by city'
+    },
+    metric: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['temperature', 'feelsLike', 'humidity', 'pressure', 'windSpeed', 'conditionMain'],
+      description: 'Filter by watched metric'
+    },
+    channel: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['webhook', 'email'],
+      description: 'Filter by delivery channel'
+    },
+    enabled: { 
+      type: 'boolean', 
+      required: false,
+      description: 'Filter by enabled flag'
+    }
+  };
+
+export const alertEventFilters = {
+    ruleId: { 
+      type: 'string', 
+      required: false,
+      description: 'Filter by rule ID'
+    },
+    city: { 
+      type: 'string', 
+      required: false,
+      description: 'Filter by city'
+    },
+    status: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['sent', 'failed'],
+      description: 'Filter by delivery outcome'
+    },
+    fromDate: { 
+      type: 'date', 
+      required: false,
+      description: 'Filter alerts triggered after this date'
+    },
+    toDate: { 
+      type: 'date', 
+      required: false,
+      description: 'Filter alerts triggered before this date'
+    }
+  };
@@ -0,0 +1,16 @@
+/**
+ * Schema definition for forecast data filters
+ */
+export default {
+    city: { 
+      type: 'string', 
+      required: false,
+      description: 'Filter by city name'
+    },
+    provider: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['openweathermap', 'accuweather'],
+      description: 'Filter by weather data provider'
+    }
+  };
@@ -1,10 +1,23 @@
 import weatherFilters from './weatherFilters.js';
 import newsFilters from './newsFilters.js';
-import { Op } from 'sequelize';
+import forecastFilters from './forecastFilters.js';
+import jobRunFilters from './jobRunFilters.js';
+import targetFilters from './targetFilters.js';
+import { alertRuleFilters, alertEventFilters } from './alertFilters.js';
+import { webhookSubscriptionFilters, webhookDeliveryFilters } from './webhookFilters.js';
+import { Op, fn } from 'sequelize';
+import { SEARCH_CONFIG } from '../../repositories/news/utils.js';
 
 export {
   weatherFilters,
-  newsFilters
+  newsFilters,
+  forecastFilters,
+  jobRunFilters,
+  targetFilters,
+  alertRuleFilters,
+  alertEventFilters,
+  webhookSubscriptionFilters,
+  webhookDeliveryFilters
 };
 
 /**
@@ -119,15 +132,11 @@ export function processNewsFilters(filters) {
     delete processedFilters.toDate;
   }
   
-  // Handle text search
+  // Handle text search against the full-text index (db/migrations/012_add_news_search_vector.js)
   if (filters.query) {
-    // For PostgreSQL, use ILIKE for case-insensitive search
-    const searchPattern = `%${filters.query}%`;
-    processedFilters[Op.or] = [
-      { title: { [Op.iLike]: searchPattern } },
-      { description: { [Op.iLike]: searchPattern } },
-      { content: { [Op.iLike]: searchPattern } }
-    ];
+    processedFilters.searchVector = {
+      [Op.match]: fn('websearch_to_tsquery', SEARCH_CONFIG, filters.query)
+    };
     delete processedFilters.query;
   }
   
@@ -0,0 +1,32 @@
+/**
+ * Schema definition for job run history filters
+ */
+export default {
+    jobName: { 
+      type: 'string', 
+      required: false,
+      description: 'Filter by job name'
+    },
+    triggerType: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['scheduled', 'manual'],
+      description: 'Filter by what started the run'
+    },
+    status: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['running', 'succeeded', 'partial', 'failed'],
+      description: 'Filter by run outcome'
+    },
+    fromDate: { 
+      type: 'date', 
+      required: false,
+      description: 'Filter runs started after this date'
+    },
+    toDate: { 
+      type: 'date', 
+      required: false,
+      description: 'Filter runs started before this date'
+    }
+  };
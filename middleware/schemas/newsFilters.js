@@ -5,7 +5,7 @@ export default {
     provider: { 
       type: 'string', 
       required: false, 
-      default: 'newsapi',
+      allowed: ['newsapi', 'rss'],
       description: 'Filter by news provider'
     },
     sourceName: { 
@@ -31,7 +31,7 @@ export default {
     query: { 
       type: 'string', 
       required: false,
-      description: 'Search query for article content'
+      description: 'Full-text search across title, description and content (web search syntax)'
     }
   };
   
\ No newline at end of file
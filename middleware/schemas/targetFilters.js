@@ -0,0 +1,16 @@
+/**
+ * Schema definition for collection target filters
+ */
+export default {
+    type: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['city', 'topic', 'category'],
+      description: 'Filter by target type'
+    },
+    enabled: { 
+      type: 'boolean', 
+      required: false,
+      description: 'Filter by enabled flag'
+    }
+  };
@@ -0,0 +1,46 @@
+/**
+ * Schema definitions for webhook subscription and delivery filters
+ */
+export const webhookSubscriptionFilters = {
+    event: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['weather.saved', 'news.saved', 'job.failed'],
+      description: 'Filter by subscribed event type'
+    },
+    enabled: { 
+      type: 'boolean', 
+      required: false,
+      description: 'Filter by enabled flag'
+    }
+  };
+
+export const webhookDeliveryFilters = {
+    subscriptionId: { 
+      type: 'string', 
+      required: false,
+      description: 'Filter by subscription ID'
+    },
+    eventType: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['weather.saved', 'news.saved', 'job.failed'],
+      description: 'Filter by event type'
+    },
+    status: { 
+      type: 'string', 
+      required: false, 
+      allowed: ['pending', 'delivered', 'failed'],
+      description: 'Filter by delivery outcome'
+    },
+    fromDate: { 
+      type: 'date', 
+      required: false,
+      description: 'Filter deliveries created after this date'
+    },
+    toDate: { 
+      type: 'date', 
+      required: false,
+      description: 'Filter deliveries created before this date'
+    }
+  };
@@ -0,0 +1,69 @@
+// models/alertEvent.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+// One row per alert the collector worker fired, whether or not it was delivered
+const AlertEvent = sequelize.define('AlertEvent', {
+  ruleId: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  city: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Weather record that crossed the rule
+  weatherId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  metric: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['sent', 'failed']],
+        msg: 'Invalid alert event status specified'
+      }
+    }
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  triggeredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'alert_events',
+  timestamps: false,
+  indexes: [
+    { fields: ['ruleId', 'triggeredAt'] },
+    { fields: ['triggeredAt'] }
+  ]
+});
+
+export default AlertEvent;
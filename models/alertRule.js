@@ -0,0 +1,72 @@
+// models/alertRule.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+// Validated in repositories/alert/utils.js; the model only mirrors the table
+const AlertRule = sequelize.define('AlertRule', {
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // City as named in collection_targets; null applies the rule to every city
+  city: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  metric: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  // gt, gte, lt, lte for numeric metrics; eq, neq for conditionMain
+  operator: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  threshold: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  condition: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['webhook', 'email']],
+        msg: 'Invalid alert channel specified'
+      }
+    }
+  },
+  // Webhook URL or email address
+  destination: {
+    type: DataTypes.STRING(2048),
+    allowNull: false
+  },
+  // Minimum minutes between two alerts of the rule
+  cooldownMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60,
+    validate: {
+      min: 0
+    }
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  lastTriggeredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'alert_rules',
+  timestamps: true
+});
+
+export default AlertRule;
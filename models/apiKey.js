@@ -0,0 +1,57 @@
+// models/apiKey.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+const ApiKey = sequelize.define('ApiKey', {
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: { msg: 'Key name cannot be empty' }
+    }
+  },
+  // First characters of the key, shown in listings to tell keys apart
+  keyPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  // SHA-256 of the key; the key itself is never stored
+  keyHash: {
+    type: DataTypes.CHAR(64),
+    allowNull: false,
+    unique: true
+  },
+  role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['reader', 'operator', 'admin']],
+        msg: 'Invalid role specified'
+      }
+    }
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: false
+});
+
+export default ApiKey;
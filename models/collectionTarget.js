@@ -0,0 +1,55 @@
+// models/collectionTarget.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+const CollectionTarget = sequelize.define('CollectionTarget', {
+  // city (weather), topic (news keyword search) or category (news top headlines)
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: 'collection_targets_type_value_key',
+    validate: {
+      isIn: {
+        args: [['city', 'topic', 'category']],
+        msg: 'Invalid target type specified'
+      }
+    }
+  },
+  value: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: 'collection_targets_type_value_key',
+    validate: {
+      notEmpty: { msg: 'Target value cannot be empty' }
+    }
+  },
+  // Providers to collect from; empty means every configured provider
+  providers: {
+    type: DataTypes.ARRAY(DataTypes.STRING(50)),
+    allowNull: false,
+    defaultValue: []
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  // Minimum minutes between collections; null collects on every run
+  intervalMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  lastCollectedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'collection_targets',
+  timestamps: true
+});
+
+export default CollectionTarget;
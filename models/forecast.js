@@ -0,0 +1,120 @@
+// models/forecast.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+const Forecast = sequelize.define('Forecast', {
+  // Provider information
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notNull: { msg: 'Provider is required' },
+      notEmpty: { msg: 'Provider cannot be empty' },
+      isIn: {
+        args: [['openweathermap', 'accuweather']],
+        msg: 'Invalid provider specified'
+      }
+    }
+  },
+
+  // Location data
+  city: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  country: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  latitude: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+
+  // Temperature data (daily forecasts may only carry min/max)
+  temperature: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  feelsLike: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  tempMin: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  tempMax: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+
+  // Atmospheric conditions
+  humidity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  pressure: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Wind data
+  windSpeed: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  windDirection: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Weather conditions
+  conditionMain: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  conditionDescription: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  conditionIcon: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // Time the forecast point applies to
+  timestamp: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    validate: {
+      notNull: { msg: 'Timestamp is required' },
+      isDate: { msg: 'Invalid date format for timestamp' }
+    }
+  },
+
+  // Time the forecast was fetched; rows sharing it form one forecast horizon
+  fetchedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  // Table configuration options
+  tableName: 'forecast',
+  indexes: [
+    // Used to resolve the latest horizon per city and provider
+    {
+      fields: ['city', 'provider', 'fetchedAt']
+    },
+    {
+      fields: ['timestamp']
+    }
+  ]
+});
+
+export default Forecast;
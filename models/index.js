@@ -1,12 +1,32 @@
 // Import models
 import Weather from "./weather.js";
 import News from "./news.js";
+import Forecast from "./forecast.js";
+import WeatherConsensus from "./weatherConsensus.js";
+import ProviderQuotaUsage from "./providerQuotaUsage.js";
+import JobRun from "./jobRun.js";
+import CollectionTarget from "./collectionTarget.js";
+import ApiKey from "./apiKey.js";
+import AlertRule from "./alertRule.js";
+import AlertEvent from "./alertEvent.js";
+import WebhookSubscription from "./webhookSubscription.js";
+import WebhookDelivery from "./webhookDelivery.js";
 
 // Export models
-export { Weather, News };
+export { Weather, News, Forecast, WeatherConsensus, ProviderQuotaUsage, JobRun, CollectionTarget, ApiKey, AlertRule, AlertEvent, WebhookSubscription, WebhookDelivery };
 
 // Export default for convenience
 export default {
   Weather,
-  News 
+  News,
+  Forecast,
+  WeatherConsensus,
+  ProviderQuotaUsage,
+  JobRun,
+  CollectionTarget,
+  ApiKey,
+  AlertRule,
+  AlertEvent,
+  WebhookSubscription,
+  WebhookDelivery
 };
@@ -0,0 +1,90 @@
+// models/jobRun.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+const JobRun = sequelize.define('JobRun', {
+  jobName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'fetch-data'
+  },
+  // What started the run: the cron schedule or a manual /trigger-fetch
+  triggerType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['scheduled', 'manual']],
+        msg: 'Invalid trigger type specified'
+      }
+    }
+  },
+  cron: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'running',
+    validate: {
+      isIn: {
+        args: [['running', 'succeeded', 'partial', 'failed']],
+        msg: 'Invalid job status specified'
+      }
+    }
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  totalCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  successCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  skippedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failureCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Per-city and per-article outcomes
+  results: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'job_runs',
+  timestamps: false,
+  indexes: [
+    { fields: ['startedAt'] },
+    { fields: ['status', 'startedAt'] }
+  ]
+});
+
+export default JobRun;
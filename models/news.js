@@ -17,12 +17,17 @@ News.init({
     allowNull: false
   },
   url: {
-    type: DataTypes.STRING,
+    type: DataTypes.STRING(2048),
     allowNull: false,
     unique: true
   },
+  canonicalUrl: {
+    type: DataTypes.STRING(2048),
+    allowNull: true,
+    unique: true
+  },
   imageUrl: {
-    type: DataTypes.STRING,
+    type: DataTypes.STRING(2048),
     allowNull: true
   },
   publishedAt: {
@@ -38,9 +43,19 @@ News.init({
     allowNull: true
   },
   provider: {
-    type: DataTypes.STRING,
+    type: DataTypes.STRING(50),
     allowNull: false,
-    defaultValue: 'newsapi'
+    defaultValue: 'newsapi',
+    validate: {
+      isIn: {
+        args: [['newsapi', 'rss']],
+        msg: 'Invalid provider specified'
+      }
+    }
+  },
+  clusterId: {
+    type: DataTypes.BIGINT,
+    allowNull: true
   },
   createdAt: {
     type: DataTypes.DATE,
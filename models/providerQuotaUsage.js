@@ -0,0 +1,33 @@
+// models/providerQuotaUsage.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+const ProviderQuotaUsage = sequelize.define('ProviderQuotaUsage', {
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    primaryKey: true
+  },
+  // UTC day the requests were made on
+  day: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    primaryKey: true
+  },
+  requestCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'provider_quota_usage',
+  timestamps: false
+});
+
+export default ProviderQuotaUsage;
@@ -0,0 +1,96 @@
+// models/weatherConsensus.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+const WeatherConsensus = sequelize.define('WeatherConsensus', {
+  // Location data
+  city: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  country: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  latitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+
+  // Providers that contributed to the reading
+  providers: {
+    type: DataTypes.ARRAY(DataTypes.STRING(50)),
+    allowNull: false
+  },
+  providerCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Blended values
+  temperature: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  feelsLike: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  humidity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  pressure: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  windSpeed: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  conditionMain: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+
+  // Disagreement scores
+  temperatureDisagreement: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  humidityDisagreement: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  conditionDisagreement: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0
+  },
+  isDivergent: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+
+  // Timestamp of the most recent contributing reading
+  timestamp: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  // Table configuration options
+  tableName: 'weather_consensus',
+  indexes: [
+    {
+      fields: ['city', 'timestamp']
+    }
+  ]
+});
+
+export default WeatherConsensus;
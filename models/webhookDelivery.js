@@ -0,0 +1,67 @@
+// models/webhookDelivery.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+// One row per event per subscription, updated after every attempt
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  subscriptionId: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  eventType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Event envelope { id, type, createdAt, data }; retries resend the same event
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: {
+        args: [['pending', 'delivered', 'failed']],
+        msg: 'Invalid webhook delivery status specified'
+      }
+    }
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // When a pending delivery is next tried
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  indexes: [
+    { fields: ['nextAttemptAt'], where: { status: 'pending' } },
+    { fields: ['subscriptionId', 'createdAt'] }
+  ]
+});
+
+export default WebhookDelivery;
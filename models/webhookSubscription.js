@@ -0,0 +1,36 @@
+// models/webhookSubscription.js
+import { DataTypes } from 'sequelize';
+import db from '../config/database.js';
+const { sequelize } = db;
+
+// Validated in repositories/webhook/utils.js; the model only mirrors the table
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false
+  },
+  // Event types to deliver, e.g. weather.saved, news.saved, job.failed
+  events: {
+    type: DataTypes.ARRAY(DataTypes.STRING(50)),
+    allowNull: false
+  },
+  // HMAC-SHA256 key for the X-Webhook-Signature header
+  secret: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'webhook_subscriptions',
+  timestamps: true
+});
+
+export default WebhookSubscription;
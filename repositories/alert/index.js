@@ -0,0 +1,74 @@
+import AlertRepositoryInterface from './interface.js';
+import { RepositoryType } from '../weather/index.js';
+
+/**
+ * Create an alert repository instance
+ * 
+ * @param {Object} options - Configuration options
+ * @param {string} options.type - Repository type ('sequelize' or 'neon')
+ * @param {Object} options.config - Implementation-specific configuration
+ * 
+ * For Sequelize:
+ * @param {Object} options.config.model - Sequelize AlertRule model
+ * @param {Object} options.config.eventModel - Sequelize AlertEvent model
+ * 
+ * For Neon:
+ * @param {string} options.config.connectionString - Database connection string
+ * 
+ * @returns {AlertRepositoryInterface} Repository implementation
+ * @throws {Error} If invalid repository type or missing configuration
+ */
+export async function createAlertRepository(options) {
+  const { type, config = {} } = options;
+  
+  if (!type) {
+    throw new Error('Repository type is required');
+  }
+  
+  try {
+    let RepositoryImplementation;
+    
+    switch (type.toLowerCase()) {
+      case RepositoryType.SEQUELIZE: {
+        const { default: SequelizeAlertRepository } = await import('./sequelize.js');
+        RepositoryImplementation = SequelizeAlertRepository;
+        break;
+      }
+        
+      case RepositoryType.NEON: {
+        const { default: NeonAlertRepository } = await import('./neon.js');
+        RepositoryImplementation = NeonAlertRepository;
+        break;
+      }
+        
+      default:
+        throw new Error(`Unsupported repository type: ${type}`);
+    }
+    
+    const repository = new RepositoryImplementation(config);
+    validateRepositoryImplementation(repository);
+    
+    return repository;
+  } catch (error) {
+    throw new Error(`Failed to create repository: ${error.message}`);
+  }
+}
+
+/**
+ * Validate that repository implements all required methods
+ * @param {Object} repository - Repository instance to validate
+ * @throws {Error} If implementation is missing required methods
+ */
+function validateRepositoryImplementation(repository) {
+  const requiredMethods = Object.getOwnPropertyNames(AlertRepositoryInterface.prototype)
+    .filter(name => name !== 'constructor');
+  
+  for (const method of requiredMethods) {
+    if (typeof repository[method] !== 'function') {
+      throw new Error(`Repository implementation missing required method: ${method}`);
+    }
+  }
+}
+
+export { RepositoryType };
+export { ALERT_METRICS, ALERT_OPERATORS, ALERT_CHANNELS, ALERT_EVENT_STATUSES } from './utils.js';
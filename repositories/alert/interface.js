@@ -0,0 +1,141 @@
+/**
+ * AlertRepositoryInterface
+ *
+ * Contract for weather alert rules and the log of alerts they fired.
+ * Implemented as a class with non-implemented methods that throw errors.
+ */
+class AlertRepositoryInterface {
+    /**
+     * Initialize the repository
+     * @param {Object} config - Configuration options specific to the implementation
+     */
+    constructor(config) {
+      if (this.constructor === AlertRepositoryInterface) {
+        throw new Error('AlertRepositoryInterface cannot be instantiated directly');
+      }
+    }
+
+    /**
+     * Check if the database and required tables are accessible
+     * @returns {Promise<boolean>} True if database is accessible and tables exist
+     * @throws {Error} If database connection fails or tables don't exist
+     */
+    async checkConnection() {
+      throw new Error('Method checkConnection() must be implemented');
+    }
+
+    /**
+     * Create a rule
+     * @param {Object} data - { name, city, metric, operator, threshold, condition, channel, destination, cooldownMinutes, enabled }
+     * @returns {Promise<Object>} Created rule
+     * @throws {Error} If validation or database operation errors
+     */
+    async create(data) {
+      throw new Error('Method create() must be implemented');
+    }
+
+    /**
+     * Find a rule by ID
+     * @param {number} id - Rule ID
+     * @returns {Promise<Object|null>} Rule or null
+     * @throws {Error} If database operation errors
+     */
+    async findById(id) {
+      throw new Error('Method findById() must be implemented');
+    }
+
+    /**
+     * Find rules matching criteria, ordered by name
+     * @param {Object} criteria - { city, metric, channel, enabled }
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array>} Rules
+     * @throws {Error} If database operation errors
+     */
+    async findAll(criteria = {}, options = {}) {
+      throw new Error('Method findAll() must be implemented');
+    }
+
+    /**
+     * Count rules matching criteria
+     * @param {Object} criteria - { city, metric, channel, enabled }
+     * @returns {Promise<number>} Number of rules
+     * @throws {Error} If database operation errors
+     */
+    async count(criteria = {}) {
+      throw new Error('Method count() must be implemented');
+    }
+
+    /**
+     * Update some fields of a rule
+     * @param {number} id - Rule ID
+     * @param {Object} data - Fields to change
+     * @returns {Promise<Object|null>} Updated rule, or null if not found
+     * @throws {Error} If validation or database operation errors
+     */
+    async update(id, data) {
+      throw new Error('Method update() must be implemented');
+    }
+
+    /**
+     * Delete a rule and its events
+     * @param {number} id - Rule ID
+     * @returns {Promise<boolean>} True if a rule was deleted
+     * @throws {Error} If database operation errors
+     */
+    async delete(id) {
+      throw new Error('Method delete() must be implemented');
+    }
+
+    /**
+     * Find every enabled rule
+     * @returns {Promise<Array>} Rules to evaluate in this run
+     * @throws {Error} If database operation errors
+     */
+    async findEnabled() {
+      throw new Error('Method findEnabled() must be implemented');
+    }
+
+    /**
+     * Record that a rule fired, starting its cooldown
+     * @param {number} id - Rule ID
+     * @param {Date} [triggeredAt] - Time the alert was sent
+     * @returns {Promise<boolean>} True if the rule was updated
+     * @throws {Error} If database operation errors
+     */
+    async markTriggered(id, triggeredAt = new Date()) {
+      throw new Error('Method markTriggered() must be implemented');
+    }
+
+    /**
+     * Log an alert delivery attempt
+     * @param {Object} data - { ruleId, city, provider, weatherId, metric, value, message, channel, status, error, triggeredAt }
+     * @returns {Promise<Object>} Created event
+     * @throws {Error} If validation or database operation errors
+     */
+    async recordEvent(data) {
+      throw new Error('Method recordEvent() must be implemented');
+    }
+
+    /**
+     * Find logged alerts matching criteria, newest first
+     * @param {Object} criteria - { ruleId, city, status, from, to }
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array>} Events
+     * @throws {Error} If database operation errors
+     */
+    async findEvents(criteria = {}, options = {}) {
+      throw new Error('Method findEvents() must be implemented');
+    }
+
+    /**
+     * Count logged alerts matching criteria
+     * @param {Object} criteria - { ruleId, city, status, from, to }
+     * @returns {Promise<number>} Number of events
+     * @throws {Error} If database operation errors
+     */
+    async countEvents(criteria = {}) {
+      throw new Error('Method countEvents() must be implemented');
+    }
+}
+
+export default AlertRepositoryInterface;
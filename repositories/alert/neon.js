@@ -0,0 +1,258 @@
+/**
+ * Neon Serverless implementation of AlertRepositoryInterface
+ * For use with Cloudflare Workers and other serverless environments
+ */
+import { neon } from '@neondatabase/serverless';
+import AlertRepositoryInterface from './interface.js';
+import {
+  createRepositoryError,
+  validateRuleData,
+  validateEventData,
+  pickWritableFields
+} from './utils.js';
+
+class NeonAlertRepository extends AlertRepositoryInterface {
+  /**
+   * Create a new Neon-backed alert repository
+   * @param {Object} config - Repository configuration
+   * @param {string} config.connectionString - Database connection string
+   */
+  constructor(config) {
+    super(config);
+
+    if (!config.connectionString) {
+      throw new Error('Neon alert repository requires a connectionString');
+    }
+
+    this.sql = neon(config.connectionString);
+  }
+
+  async checkConnection() {
+    try {
+      await this.sql`SELECT 1 FROM alert_rules LIMIT 1`;
+      await this.sql`SELECT 1 FROM alert_events LIMIT 1`;
+      return true;
+    } catch (error) {
+      throw createRepositoryError(
+        new Error('alert_rules or alert_events table not found or not accessible'),
+        'checkConnection'
+      );
+    }
+  }
+
+  async create(data) {
+    try {
+      const rule = validateRuleData(data);
+
+      const [row] = await this.sql`
+        INSERT INTO alert_rules (
+          "name", "city", "metric", "operator", "threshold", "condition",
+          "channel", "destination", "cooldownMinutes", "enabled"
+        )
+        VALUES (
+          ${rule.name}, ${rule.city}, ${rule.metric}, ${rule.operator}, ${rule.threshold}, ${rule.condition},
+          ${rule.channel}, ${rule.destination}, ${rule.cooldownMinutes}, ${rule.enabled}
+        )
+        RETURNING *
+      `;
+      return row;
+    } catch (error) {
+      throw createRepositoryError(error, 'create');
+    }
+  }
+
+  async findById(id) {
+    try {
+      const [row] = await this.sql`SELECT * FROM alert_rules WHERE id = ${id} LIMIT 1`;
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'findById');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      const { clause, values } = this._buildWhere(criteria);
+
+      return await this.sql.query(
+        `SELECT * FROM alert_rules ${clause}
+         ORDER BY "name" ASC, id ASC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        values
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      const { clause, values } = this._buildWhere(criteria);
+      const [row] = await this.sql.query(`SELECT COUNT(*) AS count FROM alert_rules ${clause}`, values);
+      return parseInt(row.count, 10);
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const existing = await this.findById(id);
+      if (!existing) return null;
+
+      const rule = validateRuleData({ ...pickWritableFields(existing), ...data });
+
+      const [row] = await this.sql`
+        UPDATE alert_rules
+        SET
+          "name" = ${rule.name},
+          "city" = ${rule.city},
+          "metric" = ${rule.metric},
+          "operator" = ${rule.operator},
+          "threshold" = ${rule.threshold},
+          "condition" = ${rule.condition},
+          "channel" = ${rule.channel},
+          "destination" = ${rule.destination},
+          "cooldownMinutes" = ${rule.cooldownMinutes},
+          "enabled" = ${rule.enabled},
+          "updatedAt" = NOW()
+        WHERE id = ${id}
+        RETURNING *
+      `;
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'update');
+    }
+  }
+
+  async delete(id) {
+    try {
+      // alert_events rows go with the rule (ON DELETE CASCADE)
+      const rows = await this.sql`DELETE FROM alert_rules WHERE id = ${id} RETURNING id`;
+      return rows.length > 0;
+    } catch (error) {
+      throw createRepositoryError(error, 'delete');
+    }
+  }
+
+  async findEnabled() {
+    try {
+      return await this.sql`SELECT * FROM alert_rules WHERE "enabled" = TRUE ORDER BY id ASC`;
+    } catch (error) {
+      throw createRepositoryError(error, 'findEnabled');
+    }
+  }
+
+  async markTriggered(id, triggeredAt = new Date()) {
+    try {
+      const rows = await this.sql`
+        UPDATE alert_rules
+        SET "lastTriggeredAt" = ${triggeredAt}
+        WHERE id = ${id}
+        RETURNING id
+      `;
+      return rows.length > 0;
+    } catch (error) {
+      throw createRepositoryError(error, 'markTriggered');
+    }
+  }
+
+  async recordEvent(data) {
+    try {
+      const event = validateEventData(data);
+
+      const [row] = await this.sql`
+        INSERT INTO alert_events (
+          "ruleId", "city", "provider", "weatherId", "metric", "value",
+          "message", "channel", "status", "error", "triggeredAt"
+        )
+        VALUES (
+          ${event.ruleId}, ${event.city}, ${event.provider}, ${event.weatherId}, ${event.metric}, ${event.value},
+          ${event.message}, ${event.channel}, ${event.status}, ${event.error}, ${event.triggeredAt}
+        )
+        RETURNING *
+      `;
+      return row;
+    } catch (error) {
+      throw createRepositoryError(error, 'recordEvent');
+    }
+  }
+
+  async findEvents(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      const { clause, values } = this._buildEventWhere(criteria);
+
+      return await this.sql.query(
+        `SELECT * FROM alert_events ${clause}
+         ORDER BY "triggeredAt" DESC, id DESC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        values
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'findEvents');
+    }
+  }
+
+  async countEvents(criteria = {}) {
+    try {
+      const { clause, values } = this._buildEventWhere(criteria);
+      const [row] = await this.sql.query(`SELECT COUNT(*) AS count FROM alert_events ${clause}`, values);
+      return parseInt(row.count, 10);
+    } catch (error) {
+      throw createRepositoryError(error, 'countEvents');
+    }
+  }
+
+  /**
+   * Translate rule criteria into a parameterized WHERE clause
+   * @private
+   */
+  _buildWhere({ city, metric, channel, enabled } = {}) {
+    const conditions = [];
+    const values = [];
+
+    const add = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (city) add('"city" = ?', city);
+    if (metric) add('"metric" = ?', metric);
+    if (channel) add('"channel" = ?', channel);
+    if (enabled !== undefined) add('"enabled" = ?', enabled);
+
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
+  /**
+   * Translate event criteria into a parameterized WHERE clause
+   * @private
+   */
+  _buildEventWhere({ ruleId, city, status, from, to } = {}) {
+    const conditions = [];
+    const values = [];
+
+    const add = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (ruleId) add('"ruleId" = ?', ruleId);
+    if (city) add('"city" = ?', city);
+    if (status) add('"status" = ?', status);
+    if (from) add('"triggeredAt" >= ?', from);
+    if (to) add('"triggeredAt" <= ?', to);
+
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+}
+
+export default NeonAlertRepository;
@@ -0,0 +1,199 @@
+/**
+ * Sequelize implementation of AlertRepositoryInterface
+ * For use with standard Node.js environments
+ */
+import AlertRepositoryInterface from './interface.js';
+import {
+  createRepositoryError,
+  validateRuleData,
+  validateEventData,
+  pickWritableFields
+} from './utils.js';
+
+class SequelizeAlertRepository extends AlertRepositoryInterface {
+  /**
+   * Create a new Sequelize-backed alert repository
+   * @param {Object} config - Repository configuration
+   * @param {Object} config.model - Sequelize AlertRule model
+   * @param {Object} config.eventModel - Sequelize AlertEvent model
+   */
+  constructor(config) {
+    super(config);
+
+    if (!config.model || !config.eventModel) {
+      throw new Error('Sequelize AlertRule and AlertEvent models are required');
+    }
+
+    this.AlertRule = config.model;
+    this.AlertEvent = config.eventModel;
+  }
+
+  async checkConnection() {
+    try {
+      await this.AlertRule.findOne({ attributes: ['id'], limit: 1 });
+      await this.AlertEvent.findOne({ attributes: ['id'], limit: 1 });
+      return true;
+    } catch (error) {
+      throw createRepositoryError(error, 'checkConnection');
+    }
+  }
+
+  async create(data) {
+    try {
+      const rule = await this.AlertRule.create(validateRuleData(data));
+      return rule.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'create');
+    }
+  }
+
+  async findById(id) {
+    try {
+      return await this.AlertRule.findByPk(id, { raw: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'findById');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+
+      return await this.AlertRule.findAll({
+        where: this._buildWhere(criteria),
+        order: [['name', 'ASC'], ['id', 'ASC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      return await this.AlertRule.count({ where: this._buildWhere(criteria) });
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const existing = await this.AlertRule.findByPk(id);
+      if (!existing) return null;
+
+      const rule = validateRuleData({ ...pickWritableFields(existing.get({ plain: true })), ...data });
+      await existing.update(rule);
+      return existing.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'update');
+    }
+  }
+
+  async delete(id) {
+    try {
+      // alert_events rows go with the rule (ON DELETE CASCADE)
+      const count = await this.AlertRule.destroy({ where: { id } });
+      return count > 0;
+    } catch (error) {
+      throw createRepositoryError(error, 'delete');
+    }
+  }
+
+  async findEnabled() {
+    try {
+      return await this.AlertRule.findAll({
+        where: { enabled: true },
+        order: [['id', 'ASC']],
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findEnabled');
+    }
+  }
+
+  async markTriggered(id, triggeredAt = new Date()) {
+    try {
+      const [count] = await this.AlertRule.update(
+        { lastTriggeredAt: triggeredAt },
+        { where: { id }, silent: true }
+      );
+      return count > 0;
+    } catch (error) {
+      throw createRepositoryError(error, 'markTriggered');
+    }
+  }
+
+  async recordEvent(data) {
+    try {
+      const event = await this.AlertEvent.create(validateEventData(data));
+      return event.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'recordEvent');
+    }
+  }
+
+  async findEvents(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+
+      return await this.AlertEvent.findAll({
+        where: this._buildEventWhere(criteria),
+        order: [['triggeredAt', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findEvents');
+    }
+  }
+
+  async countEvents(criteria = {}) {
+    try {
+      return await this.AlertEvent.count({ where: this._buildEventWhere(criteria) });
+    } catch (error) {
+      throw createRepositoryError(error, 'countEvents');
+    }
+  }
+
+  /**
+   * Translate rule criteria into a Sequelize where clause
+   * @private
+   */
+  _buildWhere({ city, metric, channel, enabled } = {}) {
+    const where = {};
+
+    if (city) where.city = city;
+    if (metric) where.metric = metric;
+    if (channel) where.channel = channel;
+    if (enabled !== undefined) where.enabled = enabled;
+
+    return where;
+  }
+
+  /**
+   * Translate event criteria into a Sequelize where clause
+   * @private
+   */
+  _buildEventWhere({ ruleId, city, status, from, to } = {}) {
+    const { Op } = this.AlertEvent.sequelize.Sequelize;
+    const where = {};
+
+    if (ruleId) where.ruleId = ruleId;
+    if (city) where.city = city;
+    if (status) where.status = status;
+    if (from || to) {
+      where.triggeredAt = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to })
+      };
+    }
+
+    return where;
+  }
+}
+
+export default SequelizeAlertRepository;
@@ -0,0 +1,200 @@
+/**
+ * Shared helpers for alert repository implementations
+ */
+
+/**
+ * Reading fields a rule can watch, and the kind of value each holds
+ */
+export const ALERT_METRICS = Object.freeze({
+  temperature: 'number',
+  feelsLike: 'number',
+  humidity: 'number',
+  pressure: 'number',
+  windSpeed: 'number',
+  conditionMain: 'condition'
+});
+
+/**
+ * Operators allowed for each kind of metric
+ */
+export const ALERT_OPERATORS = Object.freeze({
+  number: ['gt', 'gte', 'lt', 'lte'],
+  condition: ['eq', 'neq']
+});
+
+export const ALERT_CHANNELS = ['webhook', 'email'];
+
+export const ALERT_EVENT_STATUSES = ['sent', 'failed'];
+
+/**
+ * Fields that can be written through create/update
+ */
+export const WRITABLE_FIELDS = [
+  'name', 'city', 'metric', 'operator', 'threshold', 'condition',
+  'channel', 'destination', 'cooldownMinutes', 'enabled'
+];
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+/**
+ * Create a standardized error object for repository operations
+ * @param {Error} error - Original error
+ * @param {string} operation - Repository operation that failed
+ * @returns {Error} Standardized error object
+ */
+export function createRepositoryError(error, operation) {
+  const repositoryError = new Error(`Alert repository ${operation} operation failed: ${error.message}`);
+
+  repositoryError.originalError = error;
+  repositoryError.operation = operation;
+  repositoryError.isRepositoryError = true;
+  repositoryError.isValidationError = Boolean(error.isValidationError);
+
+  return repositoryError;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Check a rule's destination against its channel
+ * @private
+ */
+function validateDestination(channel, destination) {
+  if (typeof destination !== 'string' || !destination.trim() || destination.length > 2048) {
+    throw validationError('destination must be a non-empty string of at most 2048 characters');
+  }
+
+  if (channel === 'webhook') {
+    let url;
+    try {
+      url = new URL(destination);
+    } catch {
+      throw validationError('destination must be a valid URL for a webhook rule');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw validationError('destination must be an http(s) URL for a webhook rule');
+    }
+  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(destination.trim())) {
+    throw validationError('destination must be an email address for an email rule');
+  }
+}
+
+/**
+ * Validate and normalize a complete rule
+ * Updates validate the existing rule merged with the changes, so a metric change
+ * is checked against the operator and threshold already stored
+ * @param {Object} data - Rule fields
+ * @returns {Object} Normalized writable fields
+ * @throws {Error} If validation fails (error.isValidationError is set)
+ */
+export function validateRuleData(data) {
+  if (!data || typeof data !== 'object') {
+    throw validationError('Alert rule data must be an object');
+  }
+
+  const unknown = Object.keys(data).filter(key => !WRITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw validationError(`Unknown alert rule fields: ${unknown.join(', ')}`);
+  }
+
+  if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > 100) {
+    throw validationError('name must be a non-empty string of at most 100 characters');
+  }
+
+  const city = data.city ?? null;
+  if (city !== null && (typeof city !== 'string' || !city.trim() || city.length > 255)) {
+    throw validationError('city must be a non-empty string of at most 255 characters or null');
+  }
+
+  const kind = ALERT_METRICS[data.metric];
+  if (!kind) {
+    throw validationError(`metric must be one of: ${Object.keys(ALERT_METRICS).join(', ')}`);
+  }
+
+  const operators = ALERT_OPERATORS[kind];
+  if (!operators.includes(data.operator)) {
+    throw validationError(`operator for ${data.metric} must be one of: ${operators.join(', ')}`);
+  }
+
+  const threshold = kind === 'number' ? data.threshold : null;
+  if (kind === 'number' && (typeof threshold !== 'number' || !Number.isFinite(threshold))) {
+    throw validationError(`threshold must be a number for ${data.metric}`);
+  }
+
+  const condition = kind === 'condition' ? data.condition : null;
+  if (kind === 'condition' && (typeof condition !== 'string' || !condition.trim() || condition.length > 50)) {
+    throw validationError('condition must be a non-empty string of at most 50 characters for conditionMain');
+  }
+
+  if (!ALERT_CHANNELS.includes(data.channel)) {
+    throw validationError(`channel must be one of: ${ALERT_CHANNELS.join(', ')}`);
+  }
+  validateDestination(data.channel, data.destination);
+
+  const cooldown = data.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+  if (!Number.isInteger(cooldown) || cooldown < 0) {
+    throw validationError('cooldownMinutes must be a non-negative integer');
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    throw validationError('enabled must be a boolean');
+  }
+
+  return {
+    name: data.name.trim(),
+    city: city === null ? null : city.trim(),
+    metric: data.metric,
+    operator: data.operator,
+    threshold,
+    condition: condition === null ? null : condition.trim(),
+    channel: data.channel,
+    destination: data.destination.trim(),
+    cooldownMinutes: cooldown,
+    enabled: data.enabled ?? true
+  };
+}
+
+/**
+ * Writable fields of a stored rule, to merge an update onto
+ * @param {Object} rule - Stored rule
+ * @returns {Object}
+ */
+export function pickWritableFields(rule) {
+  return Object.fromEntries(WRITABLE_FIELDS.map(field => [field, rule[field]]));
+}
+
+/**
+ * Validate an alert event before it is logged
+ * @param {Object} data - Event fields
+ * @returns {Object} Normalized event
+ * @throws {Error} If validation fails (error.isValidationError is set)
+ */
+export function validateEventData(data) {
+  const required = ['ruleId', 'city', 'metric', 'message', 'channel', 'status'];
+  const missing = required.filter(field => data?.[field] === undefined || data[field] === null);
+  if (missing.length > 0) {
+    throw validationError(`Missing required alert event fields: ${missing.join(', ')}`);
+  }
+
+  if (!ALERT_EVENT_STATUSES.includes(data.status)) {
+    throw validationError(`status must be one of: ${ALERT_EVENT_STATUSES.join(', ')}`);
+  }
+
+  return {
+    ruleId: data.ruleId,
+    city: data.city,
+    provider: data.provider ?? null,
+    weatherId: data.weatherId ?? null,
+    metric: data.metric,
+    value: data.value === undefined || data.value === null ? null : String(data.value),
+    message: data.message,
+    channel: data.channel,
+    status: data.status,
+    error: data.error ?? null,
+    triggeredAt: data.triggeredAt ?? new Date()
+  };
+}
@@ -0,0 +1,73 @@
+import ApiKeyRepositoryInterface from './interface.js';
+import { RepositoryType } from '../weather/index.js';
+
+/**
+ * Create an API key repository instance
+ * 
+ * @param {Object} options - Configuration options
+ * @param {string} options.type - Repository type ('sequelize' or 'neon')
+ * @param {Object} options.config - Implementation-specific configuration
+ * 
+ * For Sequelize:
+ * @param {Object} options.config.model - Sequelize ApiKey model
+ * 
+ * For Neon:
+ * @param {string} options.config.connectionString - Database connection string
+ * 
+ * @returns {ApiKeyRepositoryInterface} Repository implementation
+ * @throws {Error} If invalid repository type or missing configuration
+ */
+export async function createApiKeyRepository(options) {
+  const { type, config = {} } = options;
+  
+  if (!type) {
+    throw new Error('Repository type is required');
+  }
+  
+  try {
+    let RepositoryImplementation;
+    
+    switch (type.toLowerCase()) {
+      case RepositoryType.SEQUELIZE: {
+        const { default: SequelizeApiKeyRepository } = await import('./sequelize.js');
+        RepositoryImplementation = SequelizeApiKeyRepository;
+        break;
+      }
+        
+      case RepositoryType.NEON: {
+        const { default: NeonApiKeyRepository } = await import('./neon.js');
+        RepositoryImplementation = NeonApiKeyRepository;
+        break;
+      }
+        
+      default:
+        throw new Error(`Unsupported repository type: ${type}`);
+    }
+    
+    const repository = new RepositoryImplementation(config);
+    validateRepositoryImplementation(repository);
+    
+    return repository;
+  } catch (error) {
+    throw new Error(`Failed to create repository: ${error.message}`);
+  }
+}
+
+/**
+ * Validate that repository implements all required methods
+ * @param {Object} repository - Repository instance to validate
+ * @throws {Error} If implementation is missing required methods
+ */
+function validateRepositoryImplementation(repository) {
+  const requiredMethods = Object.getOwnPropertyNames(ApiKeyRepositoryInterface.prototype)
+    .filter(name => name !== 'constructor');
+  
+  for (const method of requiredMethods) {
+    if (typeof repository[method] !== 'function') {
+      throw new Error(`Repository implementation missing required method: ${method}`);
+    }
+  }
+}
+
+export { RepositoryType };
+export { API_KEY_ROLES } from './utils.js';
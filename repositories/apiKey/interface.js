@@ -0,0 +1,90 @@
+/**
+ * ApiKeyRepositoryInterface
+ * 
+ * Contract for storing hashed API keys and their roles.
+ * Implemented as a class with non-implemented methods that throw errors.
+ */
+class ApiKeyRepositoryInterface {
+    /**
+     * Initialize the repository
+     * @param {Object} config - Configuration options specific to the implementation
+     */
+    constructor(config) {
+      if (this.constructor === ApiKeyRepositoryInterface) {
+        throw new Error('ApiKeyRepositoryInterface cannot be instantiated directly');
+      }
+    }
+  
+    /**
+     * Check if the database and required tables are accessible
+     * @returns {Promise<boolean>} True if database is accessible and tables exist
+     * @throws {Error} If database connection fails or tables don't exist
+     */
+    async checkConnection() {
+      throw new Error('Method checkConnection() must be implemented');
+    }
+  
+    /**
+     * Store a new key
+     * @param {Object} data - { name, role, keyPrefix, keyHash, expiresAt }
+     * @returns {Promise<Object>} Created key (without keyHash)
+     * @throws {Error} If validation or database operation errors
+     */
+    async create(data) {
+      throw new Error('Method create() must be implemented');
+    }
+  
+    /**
+     * Find a key by the hash of its secret
+     * @param {string} keyHash - SHA-256 hex digest
+     * @returns {Promise<Object|null>} Key or null
+     * @throws {Error} If database operation errors
+     */
+    async findByHash(keyHash) {
+      throw new Error('Method findByHash() must be implemented');
+    }
+  
+    /**
+     * Find keys, newest first (without keyHash)
+     * @param {Object} criteria - { role, revoked }
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array>} Keys
+     * @throws {Error} If database operation errors
+     */
+    async findAll(criteria = {}, options = {}) {
+      throw new Error('Method findAll() must be implemented');
+    }
+  
+    /**
+     * Count keys matching criteria
+     * @param {Object} criteria - { role, revoked }
+     * @returns {Promise<number>} Number of keys
+     * @throws {Error} If database operation errors
+     */
+    async count(criteria = {}) {
+      throw new Error('Method count() must be implemented');
+    }
+  
+    /**
+     * Revoke a key
+     * @param {number} id - Key ID
+     * @returns {Promise<Object|null>} Revoked key, or null if not found
+     * @throws {Error} If database operation errors
+     */
+    async revoke(id) {
+      throw new Error('Method revoke() must be implemented');
+    }
+  
+    /**
+     * Record when a key was last used
+     * @param {number} id - Key ID
+     * @param {Date} [usedAt] - Time of use
+     * @returns {Promise<void>}
+     * @throws {Error} If database operation errors
+     */
+    async touch(id, usedAt = new Date()) {
+      throw new Error('Method touch() must be implemented');
+    }
+}
+
+export default ApiKeyRepositoryInterface;
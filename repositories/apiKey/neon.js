@@ -0,0 +1,134 @@
+/**
+ * Neon Serverless implementation of ApiKeyRepositoryInterface
+ * For use with Cloudflare Workers and other serverless environments
+ */
+import { neon } from '@neondatabase/serverless';
+import ApiKeyRepositoryInterface from './interface.js';
+import { createRepositoryError, validateApiKeyData, toPublicKey, PUBLIC_COLUMNS } from './utils.js';
+
+const PUBLIC_SELECT = PUBLIC_COLUMNS.map(column => `"${column}"`).join(', ');
+
+class NeonApiKeyRepository extends ApiKeyRepositoryInterface {
+  /**
+   * Create a new Neon-backed API key repository
+   * @param {Object} config - Repository configuration
+   * @param {string} config.connectionString - Database connection string
+   */
+  constructor(config) {
+    super(config);
+    
+    if (!config.connectionString) {
+      throw new Error('Neon API key repository requires a connectionString');
+    }
+    
+    this.sql = neon(config.connectionString);
+  }
+
+  async checkConnection() {
+    try {
+      await this.sql`SELECT 1 FROM api_keys LIMIT 1`;
+      return true;
+    } catch (error) {
+      throw createRepositoryError(
+        new Error('api_keys table not found or not accessible'),
+        'checkConnection'
+      );
+    }
+  }
+
+  async create(data) {
+    try {
+      const key = validateApiKeyData(data);
+      
+      const [row] = await this.sql`
+        INSERT INTO api_keys ("name", "keyPrefix", "keyHash", "role", "expiresAt")
+        VALUES (${key.name}, ${key.keyPrefix}, ${key.keyHash}, ${key.role}, ${key.expiresAt})
+        RETURNING *
+      `;
+      return toPublicKey(row);
+    } catch (error) {
+      throw createRepositoryError(error, 'create');
+    }
+  }
+
+  async findByHash(keyHash) {
+    try {
+      const [row] = await this.sql`SELECT * FROM api_keys WHERE "keyHash" = ${keyHash} LIMIT 1`;
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'findByHash');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      const { clause, values } = this._buildWhere(criteria);
+      
+      return await this.sql.query(
+        `SELECT ${PUBLIC_SELECT} FROM api_keys ${clause}
+         ORDER BY "createdAt" DESC, id DESC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        values
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      const { clause, values } = this._buildWhere(criteria);
+      const [row] = await this.sql.query(`SELECT COUNT(*) AS count FROM api_keys ${clause}`, values);
+      return parseInt(row.count, 10);
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  async revoke(id) {
+    try {
+      const [row] = await this.sql`
+        UPDATE api_keys
+        SET "revokedAt" = COALESCE("revokedAt", NOW())
+        WHERE id = ${id}
+        RETURNING *
+      `;
+      return toPublicKey(row || null);
+    } catch (error) {
+      throw createRepositoryError(error, 'revoke');
+    }
+  }
+
+  async touch(id, usedAt = new Date()) {
+    try {
+      await this.sql`UPDATE api_keys SET "lastUsedAt" = ${usedAt} WHERE id = ${id}`;
+    } catch (error) {
+      throw createRepositoryError(error, 'touch');
+    }
+  }
+
+  /**
+   * Translate repository criteria into a parameterized WHERE clause
+   * @private
+   */
+  _buildWhere({ role, revoked } = {}) {
+    const conditions = [];
+    const values = [];
+    
+    if (role) {
+      values.push(role);
+      conditions.push(`"role" = $${values.length}`);
+    }
+    if (revoked !== undefined) {
+      conditions.push(revoked ? '"revokedAt" IS NOT NULL' : '"revokedAt" IS NULL');
+    }
+    
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+}
+
+export default NeonApiKeyRepository;
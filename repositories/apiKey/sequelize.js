@@ -0,0 +1,114 @@
+/**
+ * Sequelize implementation of ApiKeyRepositoryInterface
+ * For use with standard Node.js environments
+ */
+import ApiKeyRepositoryInterface from './interface.js';
+import { createRepositoryError, validateApiKeyData, toPublicKey, PUBLIC_COLUMNS } from './utils.js';
+
+class SequelizeApiKeyRepository extends ApiKeyRepositoryInterface {
+  /**
+   * Create a new Sequelize-backed API key repository
+   * @param {Object} config - Repository configuration
+   * @param {Object} config.model - Sequelize ApiKey model
+   */
+  constructor(config) {
+    super(config);
+    
+    if (!config.model) {
+      throw new Error('Sequelize ApiKey model is required');
+    }
+    
+    this.ApiKey = config.model;
+  }
+
+  async checkConnection() {
+    try {
+      await this.ApiKey.findOne({ attributes: ['id'], limit: 1 });
+      return true;
+    } catch (error) {
+      throw createRepositoryError(error, 'checkConnection');
+    }
+  }
+
+  async create(data) {
+    try {
+      const key = await this.ApiKey.create(validateApiKeyData(data));
+      return toPublicKey(key.get({ plain: true }));
+    } catch (error) {
+      throw createRepositoryError(error, 'create');
+    }
+  }
+
+  async findByHash(keyHash) {
+    try {
+      return await this.ApiKey.findOne({ where: { keyHash }, raw: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'findByHash');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      
+      return await this.ApiKey.findAll({
+        where: this._buildWhere(criteria),
+        attributes: PUBLIC_COLUMNS,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      return await this.ApiKey.count({ where: this._buildWhere(criteria) });
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  async revoke(id) {
+    try {
+      const key = await this.ApiKey.findByPk(id);
+      if (!key) return null;
+      
+      if (!key.revokedAt) {
+        await key.update({ revokedAt: new Date() });
+      }
+      return toPublicKey(key.get({ plain: true }));
+    } catch (error) {
+      throw createRepositoryError(error, 'revoke');
+    }
+  }
+
+  async touch(id, usedAt = new Date()) {
+    try {
+      await this.ApiKey.update({ lastUsedAt: usedAt }, { where: { id } });
+    } catch (error) {
+      throw createRepositoryError(error, 'touch');
+    }
+  }
+
+  /**
+   * Translate repository criteria into a Sequelize where clause
+   * @private
+   */
+  _buildWhere({ role, revoked } = {}) {
+    const { Op } = this.ApiKey.sequelize.Sequelize;
+    const where = {};
+    
+    if (role) where.role = role;
+    if (revoked !== undefined) {
+      where.revokedAt = revoked ? { [Op.ne]: null } : null;
+    }
+    
+    return where;
+  }
+}
+
+export default SequelizeApiKeyRepository;
@@ -0,0 +1,80 @@
+/**
+ * Shared helpers for API key repository implementations
+ */
+
+export const API_KEY_ROLES = ['reader', 'operator', 'admin'];
+
+/**
+ * Columns safe to return from listings; keyHash never leaves the repository except via findByHash
+ */
+export const PUBLIC_COLUMNS = [
+  'id', 'name', 'keyPrefix', 'role', 'createdAt', 'expiresAt', 'lastUsedAt', 'revokedAt'
+];
+
+/**
+ * Create a standardized error object for repository operations
+ * @param {Error} error - Original error
+ * @param {string} operation - Repository operation that failed
+ * @returns {Error} Standardized error object
+ */
+export function createRepositoryError(error, operation) {
+  const repositoryError = new Error(`API key repository ${operation} operation failed: ${error.message}`);
+  
+  repositoryError.originalError = error;
+  repositoryError.operation = operation;
+  repositoryError.isRepositoryError = true;
+  repositoryError.isValidationError = Boolean(error.isValidationError);
+  
+  return repositoryError;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Validate a key before it is stored
+ * @param {Object} data - { name, role, keyPrefix, keyHash, expiresAt }
+ * @returns {Object} Normalized data
+ * @throws {Error} If validation fails (error.isValidationError is set)
+ */
+export function validateApiKeyData(data = {}) {
+  if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > 100) {
+    throw validationError('name must be a non-empty string of at most 100 characters');
+  }
+  if (!API_KEY_ROLES.includes(data.role)) {
+    throw validationError(`role must be one of: ${API_KEY_ROLES.join(', ')}`);
+  }
+  if (!/^[0-9a-f]{64}$/.test(data.keyHash || '')) {
+    throw validationError('keyHash must be a SHA-256 hex digest');
+  }
+
+  let expiresAt = null;
+  if (data.expiresAt) {
+    expiresAt = new Date(data.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      throw validationError('expiresAt must be a valid date');
+    }
+  }
+
+  return {
+    name: data.name.trim(),
+    role: data.role,
+    keyPrefix: data.keyPrefix,
+    keyHash: data.keyHash,
+    expiresAt
+  };
+}
+
+/**
+ * Drop the hash from a stored key
+ * @param {Object|null} row
+ * @returns {Object|null}
+ */
+export function toPublicKey(row) {
+  if (!row) return null;
+  const { keyHash, ...publicKey } = row;
+  return publicKey;
+}
@@ -0,0 +1,111 @@
+/**
+ * CollectionTargetRepositoryInterface
+ * 
+ * Contract for the cities and news topics the collector worker fetches.
+ * Implemented as a class with non-implemented methods that throw errors.
+ */
+class CollectionTargetRepositoryInterface {
+    /**
+     * Initialize the repository
+     * @param {Object} config - Configuration options specific to the implementation
+     */
+    constructor(config) {
+      if (this.constructor === CollectionTargetRepositoryInterface) {
+        throw new Error('CollectionTargetRepositoryInterface cannot be instantiated directly');
+      }
+    }
+  
+    /**
+     * Check if the database and required tables are accessible
+     * @returns {Promise<boolean>} True if database is accessible and tables exist
+     * @throws {Error} If database connection fails or tables don't exist
+     */
+    async checkConnection() {
+      throw new Error('Method checkConnection() must be implemented');
+    }
+  
+    /**
+     * Create a target
+     * @param {Object} data - { type, value, providers, enabled, intervalMinutes }
+     * @returns {Promise<Object>} Created target
+     * @throws {Error} If validation or database operation errors
+     */
+    async create(data) {
+      throw new Error('Method create() must be implemented');
+    }
+  
+    /**
+     * Find a target by ID
+     * @param {number} id - Target ID
+     * @returns {Promise<Object|null>} Target or null
+     * @throws {Error} If database operation errors
+     */
+    async findById(id) {
+      throw new Error('Method findById() must be implemented');
+    }
+  
+    /**
+     * Find targets matching criteria, ordered by type and value
+     * @param {Object} criteria - { type, enabled }
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array>} Targets
+     * @throws {Error} If database operation errors
+     */
+    async findAll(criteria = {}, options = {}) {
+      throw new Error('Method findAll() must be implemented');
+    }
+  
+    /**
+     * Count targets matching criteria
+     * @param {Object} criteria - { type, enabled }
+     * @returns {Promise<number>} Number of targets
+     * @throws {Error} If database operation errors
+     */
+    async count(criteria = {}) {
+      throw new Error('Method count() must be implemented');
+    }
+  
+    /**
+     * Update some fields of a target
+     * @param {number} id - Target ID
+     * @param {Object} data - Fields to change
+     * @returns {Promise<Object|null>} Updated target, or null if not found
+     * @throws {Error} If validation or database operation errors
+     */
+    async update(id, data) {
+      throw new Error('Method update() must be implemented');
+    }
+  
+    /**
+     * Delete a target
+     * @param {number} id - Target ID
+     * @returns {Promise<boolean>} True if a target was deleted
+     * @throws {Error} If database operation errors
+     */
+    async delete(id) {
+      throw new Error('Method delete() must be implemented');
+    }
+  
+    /**
+     * Find enabled targets whose interval has elapsed since they were last collected
+     * @param {Date} [now] - Time of the run
+     * @returns {Promise<Array>} Targets to collect in this run
+     * @throws {Error} If database operation errors
+     */
+    async findDue(now = new Date()) {
+      throw new Error('Method findDue() must be implemented');
+    }
+  
+    /**
+     * Record that targets were collected
+     * @param {number[]} ids - Target IDs
+     * @param {Date} [collectedAt] - Time of the run
+     * @returns {Promise<number>} Number of targets updated
+     * @throws {Error} If database operation errors
+     */
+    async markCollected(ids, collectedAt = new Date()) {
+      throw new Error('Method markCollected() must be implemented');
+    }
+}
+
+export default CollectionTargetRepositoryInterface;
@@ -0,0 +1,174 @@
+/**
+ * Neon Serverless implementation of CollectionTargetRepositoryInterface
+ * For use with Cloudflare Workers and other serverless environments
+ */
+import { neon } from '@neondatabase/serverless';
+import CollectionTargetRepositoryInterface from './interface.js';
+import {
+  createRepositoryError,
+  validateTargetData,
+  pickWritableFields,
+  FIND_DUE_SQL
+} from './utils.js';
+
+class NeonCollectionTargetRepository extends CollectionTargetRepositoryInterface {
+  /**
+   * Create a new Neon-backed collection target repository
+   * @param {Object} config - Repository configuration
+   * @param {string} config.connectionString - Database connection string
+   */
+  constructor(config) {
+    super(config);
+    
+    if (!config.connectionString) {
+      throw new Error('Neon collection target repository requires a connectionString');
+    }
+    
+    this.sql = neon(config.connectionString);
+  }
+
+  async checkConnection() {
+    try {
+      await this.sql`SELECT 1 FROM collection_targets LIMIT 1`;
+      return true;
+    } catch (error) {
+      throw createRepositoryError(
+        new Error('collection_targets table not found or not accessible'),
+        'checkConnection'
+      );
+    }
+  }
+
+  async create(data) {
+    try {
+      const target = validateTargetData(data);
+      
+      const [row] = await this.sql`
+        INSERT INTO collection_targets ("type", "value", "providers", "enabled", "intervalMinutes")
+        VALUES (${target.type}, ${target.value}, ${target.providers}, ${target.enabled}, ${target.intervalMinutes})
+        RETURNING *
+      `;
+      return row;
+    } catch (error) {
+      throw createRepositoryError(error, 'create');
+    }
+  }
+
+  async findById(id) {
+    try {
+      const [row] = await this.sql`SELECT * FROM collection_targets WHERE id = ${id} LIMIT 1`;
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'findById');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      const { clause, values } = this._buildWhere(criteria);
+      
+      return await this.sql.query(
+        `SELECT * FROM collection_targets ${clause}
+         ORDER BY "type" ASC, "value" ASC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        values
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      const { clause, values } = this._buildWhere(criteria);
+      const [row] = await this.sql.query(`SELECT COUNT(*) AS count FROM collection_targets ${clause}`, values);
+      return parseInt(row.count, 10);
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const existing = await this.findById(id);
+      if (!existing) return null;
+      
+      const target = validateTargetData({ ...pickWritableFields(existing), ...data });
+      
+      const [row] = await this.sql`
+        UPDATE collection_targets
+        SET
+          "type" = ${target.type},
+          "value" = ${target.value},
+          "providers" = ${target.providers},
+          "enabled" = ${target.enabled},
+          "intervalMinutes" = ${target.intervalMinutes},
+          "updatedAt" = NOW()
+        WHERE id = ${id}
+        RETURNING *
+      `;
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'update');
+    }
+  }
+
+  async delete(id) {
+    try {
+      const rows = await this.sql`DELETE FROM collection_targets WHERE id = ${id} RETURNING id`;
+      return rows.length > 0;
+    } catch (error) {
+      throw createRepositoryError(error, 'delete');
+    }
+  }
+
+  async findDue(now = new Date()) {
+    try {
+      return await this.sql.query(FIND_DUE_SQL, [now]);
+    } catch (error) {
+      throw createRepositoryError(error, 'findDue');
+    }
+  }
+
+  async markCollected(ids, collectedAt = new Date()) {
+    try {
+      if (ids.length === 0) return 0;
+      
+      const rows = await this.sql`
+        UPDATE collection_targets
+        SET "lastCollectedAt" = ${collectedAt}
+        WHERE id = ANY(${ids})
+        RETURNING id
+      `;
+      return rows.length;
+    } catch (error) {
+      throw createRepositoryError(error, 'markCollected');
+    }
+  }
+
+  /**
+   * Translate repository criteria into a parameterized WHERE clause
+   * @private
+   */
+  _buildWhere({ type, enabled } = {}) {
+    const conditions = [];
+    const values = [];
+    
+    if (type) {
+      values.push(type);
+      conditions.push(`"type" = $${values.length}`);
+    }
+    if (enabled !== undefined) {
+      values.push(enabled);
+      conditions.push(`"enabled" = $${values.length}`);
+    }
+    
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+}
+
+export default NeonCollectionTargetRepository;
@@ -0,0 +1,143 @@
+/**
+ * Sequelize implementation of CollectionTargetRepositoryInterface
+ * For use with standard Node.js environments
+ */
+import CollectionTargetRepositoryInterface from './interface.js';
+import {
+  createRepositoryError,
+  validateTargetData,
+  pickWritableFields,
+  FIND_DUE_SQL
+} from './utils.js';
+
+class SequelizeCollectionTargetRepository extends CollectionTargetRepositoryInterface {
+  /**
+   * Create a new Sequelize-backed collection target repository
+   * @param {Object} config - Repository configuration
+   * @param {Object} config.model - Sequelize CollectionTarget model
+   */
+  constructor(config) {
+    super(config);
+    
+    if (!config.model) {
+      throw new Error('Sequelize CollectionTarget model is required');
+    }
+    
+    this.CollectionTarget = config.model;
+  }
+
+  async checkConnection() {
+    try {
+      await this.CollectionTarget.findOne({ attributes: ['id'], limit: 1 });
+      return true;
+    } catch (error) {
+      throw createRepositoryError(error, 'checkConnection');
+    }
+  }
+
+  async create(data) {
+    try {
+      const target = await this.CollectionTarget.create(validateTargetData(data));
+      return target.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'create');
+    }
+  }
+
+  async findById(id) {
+    try {
+      return await this.CollectionTarget.findByPk(id, { raw: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'findById');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      
+      return await this.CollectionTarget.findAll({
+        where: this._buildWhere(criteria),
+        order: [['type', 'ASC'], ['value', 'ASC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      return await this.CollectionTarget.count({ where: this._buildWhere(criteria) });
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const existing = await this.CollectionTarget.findByPk(id);
+      if (!existing) return null;
+      
+      const target = validateTargetData({ ...pickWritableFields(existing.get({ plain: true })), ...data });
+      await existing.update(target);
+      return existing.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'update');
+    }
+  }
+
+  async delete(id) {
+    try {
+      const count = await this.CollectionTarget.destroy({ where: { id } });
+      return count > 0;
+    } catch (error) {
+      throw createRepositoryError(error, 'delete');
+    }
+  }
+
+  async findDue(now = new Date()) {
+    try {
+      const { QueryTypes } = this.CollectionTarget.sequelize.Sequelize;
+      
+      return await this.CollectionTarget.sequelize.query(FIND_DUE_SQL, {
+        bind: [now],
+        type: QueryTypes.SELECT
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findDue');
+    }
+  }
+
+  async markCollected(ids, collectedAt = new Date()) {
+    try {
+      if (ids.length === 0) return 0;
+      
+      const { Op } = this.CollectionTarget.sequelize.Sequelize;
+      const [count] = await this.CollectionTarget.update(
+        { lastCollectedAt: collectedAt },
+        { where: { id: { [Op.in]: ids } }, silent: true }
+      );
+      return count;
+    } catch (error) {
+      throw createRepositoryError(error, 'markCollected');
+    }
+  }
+
+  /**
+   * Translate repository criteria into a Sequelize where clause
+   * @private
+   */
+  _buildWhere({ type, enabled } = {}) {
+    const where = {};
+    
+    if (type) where.type = type;
+    if (enabled !== undefined) where.enabled = enabled;
+    
+    return where;
+  }
+}
+
+export default SequelizeCollectionTargetRepository;
@@ -0,0 +1,122 @@
+/**
+ * Shared helpers for collection target repository implementations
+ */
+
+/**
+ * Target types and the providers each one can be collected from
+ */
+export const TARGET_PROVIDERS = Object.freeze({
+  city: ['openweathermap', 'accuweather'],
+  topic: ['newsapi', 'rss'],
+  category: ['newsapi', 'rss']
+});
+
+export const TARGET_TYPES = Object.keys(TARGET_PROVIDERS);
+
+/**
+ * Fields that can be written through create/update
+ */
+export const WRITABLE_FIELDS = ['type', 'value', 'providers', 'enabled', 'intervalMinutes'];
+
+/**
+ * Cron runs are not to-the-second; a target this close to due is collected now
+ * rather than waiting for the next run
+ */
+const DUE_GRACE_MINUTES = 5;
+
+/**
+ * Enabled targets that have never been collected, have no interval, or whose interval has elapsed.
+ * Placeholders: $1 time of the run
+ */
+export const FIND_DUE_SQL = `
+  SELECT * FROM collection_targets
+  WHERE "enabled" = TRUE
+    AND (
+      "lastCollectedAt" IS NULL
+      OR "intervalMinutes" IS NULL
+      OR "lastCollectedAt" + ("intervalMinutes" - ${DUE_GRACE_MINUTES}) * INTERVAL '1 minute' <= $1
+    )
+  ORDER BY "type" ASC, "value" ASC
+`;
+
+/**
+ * Create a standardized error object for repository operations
+ * @param {Error} error - Original error
+ * @param {string} operation - Repository operation that failed
+ * @returns {Error} Standardized error object
+ */
+export function createRepositoryError(error, operation) {
+  const repositoryError = new Error(`Collection target repository ${operation} operation failed: ${error.message}`);
+  
+  repositoryError.originalError = error;
+  repositoryError.operation = operation;
+  repositoryError.isRepositoryError = true;
+  repositoryError.isValidationError = Boolean(error.isValidationError);
+  
+  return repositoryError;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Validate and normalize a complete target
+ * Updates validate the existing target merged with the changes, so a type change
+ * is checked against the providers already stored
+ * @param {Object} data - Target fields
+ * @returns {Object} Normalized writable fields
+ * @throws {Error} If validation fails (error.isValidationError is set)
+ */
+export function validateTargetData(data) {
+  if (!data || typeof data !== 'object') {
+    throw validationError('Target data must be an object');
+  }
+
+  const unknown = Object.keys(data).filter(key => !WRITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw validationError(`Unknown target fields: ${unknown.join(', ')}`);
+  }
+
+  if (!TARGET_TYPES.includes(data.type)) {
+    throw validationError(`type must be one of: ${TARGET_TYPES.join(', ')}`);
+  }
+
+  if (typeof data.value !== 'string' || !data.value.trim() || data.value.length > 255) {
+    throw validationError('value must be a non-empty string of at most 255 characters');
+  }
+
+  const providers = data.providers ?? [];
+  const allowed = TARGET_PROVIDERS[data.type];
+  if (!Array.isArray(providers) || providers.some(provider => !allowed.includes(provider))) {
+    throw validationError(`providers for a ${data.type} target must be a list of: ${allowed.join(', ')}`);
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    throw validationError('enabled must be a boolean');
+  }
+
+  const interval = data.intervalMinutes ?? null;
+  if (interval !== null && (!Number.isInteger(interval) || interval < 1)) {
+    throw validationError('intervalMinutes must be a positive integer or null');
+  }
+
+  return {
+    type: data.type,
+    value: data.value.trim(),
+    providers: [...new Set(providers)],
+    enabled: data.enabled ?? true,
+    intervalMinutes: interval
+  };
+}
+
+/**
+ * Writable fields of a stored target, to merge an update onto
+ * @param {Object} target - Stored target
+ * @returns {Object}
+ */
+export function pickWritableFields(target) {
+  return Object.fromEntries(WRITABLE_FIELDS.map(field => [field, target[field]]));
+}
@@ -0,0 +1,81 @@
+/**
+ * JobRunRepositoryInterface
+ * 
+ * Contract for recording collector worker runs and reading their history.
+ * Implemented as a class with non-implemented methods that throw errors.
+ */
+class JobRunRepositoryInterface {
+    /**
+     * Initialize the repository
+     * @param {Object} config - Configuration options specific to the implementation
+     */
+    constructor(config) {
+      if (this.constructor === JobRunRepositoryInterface) {
+        throw new Error('JobRunRepositoryInterface cannot be instantiated directly');
+      }
+    }
+  
+    /**
+     * Check if the database and required tables are accessible
+     * @returns {Promise<boolean>} True if database is accessible and tables exist
+     * @throws {Error} If database connection fails or tables don't exist
+     */
+    async checkConnection() {
+      throw new Error('Method checkConnection() must be implemented');
+    }
+  
+    /**
+     * Record the start of a run
+     * @param {Object} data - { jobName, triggerType, cron, startedAt }
+     * @returns {Promise<Object>} Created run with status 'running'
+     * @throws {Error} If validation or database operation errors
+     */
+    async startRun(data) {
+      throw new Error('Method startRun() must be implemented');
+    }
+  
+    /**
+     * Record the outcome of a run
+     * @param {number} id - Run ID returned by startRun
+     * @param {Object} data - { status, finishedAt, durationMs, totalCount, successCount,
+     *   skippedCount, failureCount, results, error }
+     * @returns {Promise<Object>} Updated run
+     * @throws {Error} If validation or database operation errors
+     */
+    async finishRun(id, data) {
+      throw new Error('Method finishRun() must be implemented');
+    }
+  
+    /**
+     * Find a run by ID, including its per-item results
+     * @param {number} id - Run ID
+     * @returns {Promise<Object|null>} Run or null
+     * @throws {Error} If database operation errors
+     */
+    async findById(id) {
+      throw new Error('Method findById() must be implemented');
+    }
+  
+    /**
+     * Find runs matching criteria, newest first
+     * @param {Object} criteria - { jobName, triggerType, status, from, to }
+     * @param {Object} options - { limit, offset, includeResults }
+     * @returns {Promise<Array>} Runs (without results unless includeResults is set)
+     * @throws {Error} If database operation errors
+     */
+    async findAll(criteria = {}, options = {}) {
+      throw new Error('Method findAll() must be implemented');
+    }
+  
+    /**
+     * Count runs matching criteria
+     * @param {Object} criteria - { jobName, triggerType, status, from, to }
+     * @returns {Promise<number>} Number of runs
+     * @throws {Error} If database operation errors
+     */
+    async count(criteria = {}) {
+      throw new Error('Method count() must be implemented');
+    }
+}
+
+export default JobRunRepositoryInterface;
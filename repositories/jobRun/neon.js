@@ -0,0 +1,150 @@
+/**
+ * Neon Serverless implementation of JobRunRepositoryInterface
+ * For use with Cloudflare Workers and other serverless environments
+ */
+import { neon } from '@neondatabase/serverless';
+import JobRunRepositoryInterface from './interface.js';
+import {
+  createRepositoryError,
+  validateStartRunData,
+  validateFinishRunData,
+  SUMMARY_COLUMNS
+} from './utils.js';
+
+const SUMMARY_SELECT = SUMMARY_COLUMNS.map(column => `"${column}"`).join(', ');
+
+class NeonJobRunRepository extends JobRunRepositoryInterface {
+  /**
+   * Create a new Neon-backed job run repository
+   * @param {Object} config - Repository configuration
+   * @param {string} config.connectionString - Database connection string
+   */
+  constructor(config) {
+    super(config);
+    
+    if (!config.connectionString) {
+      throw new Error('Neon job run repository requires a connectionString');
+    }
+    
+    this.sql = neon(config.connectionString);
+  }
+
+  async checkConnection() {
+    try {
+      await this.sql`SELECT 1 FROM job_runs LIMIT 1`;
+      return true;
+    } catch (error) {
+      throw createRepositoryError(
+        new Error('job_runs table not found or not accessible'),
+        'checkConnection'
+      );
+    }
+  }
+
+  async startRun(data) {
+    try {
+      const run = validateStartRunData(data);
+      
+      const [row] = await this.sql`
+        INSERT INTO job_runs ("jobName", "triggerType", "cron", "status", "startedAt")
+        VALUES (${run.jobName}, ${run.triggerType}, ${run.cron}, 'running', ${run.startedAt})
+        RETURNING *
+      `;
+      return row;
+    } catch (error) {
+      throw createRepositoryError(error, 'startRun');
+    }
+  }
+
+  async finishRun(id, data) {
+    try {
+      const run = validateFinishRunData(data);
+      
+      const [row] = await this.sql`
+        UPDATE job_runs
+        SET
+          "status" = ${run.status},
+          "finishedAt" = ${run.finishedAt},
+          "durationMs" = ${run.durationMs},
+          "totalCount" = ${run.totalCount},
+          "successCount" = ${run.successCount},
+          "skippedCount" = ${run.skippedCount},
+          "failureCount" = ${run.failureCount},
+          "results" = ${JSON.stringify(run.results)}::jsonb,
+          "error" = ${run.error}
+        WHERE id = ${id}
+        RETURNING *
+      `;
+      
+      if (!row) {
+        throw new Error(`Job run with ID ${id} not found`);
+      }
+      
+      return row;
+    } catch (error) {
+      throw createRepositoryError(error, 'finishRun');
+    }
+  }
+
+  async findById(id) {
+    try {
+      const [row] = await this.sql`SELECT * FROM job_runs WHERE id = ${id} LIMIT 1`;
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'findById');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0, includeResults = false } = options;
+      const { clause, values } = this._buildWhere(criteria);
+      
+      return await this.sql.query(
+        `SELECT ${includeResults ? '*' : SUMMARY_SELECT} FROM job_runs ${clause}
+         ORDER BY "startedAt" DESC, id DESC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        values
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      const { clause, values } = this._buildWhere(criteria);
+      const [row] = await this.sql.query(`SELECT COUNT(*) AS count FROM job_runs ${clause}`, values);
+      return parseInt(row.count, 10);
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  /**
+   * Translate repository criteria into a parameterized WHERE clause
+   * @private
+   */
+  _buildWhere({ jobName, triggerType, status, from, to } = {}) {
+    const conditions = [];
+    const values = [];
+    
+    const add = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    
+    if (jobName) add('"jobName" = ?', jobName);
+    if (triggerType) add('"triggerType" = ?', triggerType);
+    if (status) add('"status" = ?', status);
+    if (from) add('"startedAt" >= ?', from);
+    if (to) add('"startedAt" <= ?', to);
+    
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+}
+
+export default NeonJobRunRepository;
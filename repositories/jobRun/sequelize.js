@@ -0,0 +1,122 @@
+/**
+ * Sequelize implementation of JobRunRepositoryInterface
+ * For use with standard Node.js environments
+ */
+import JobRunRepositoryInterface from './interface.js';
+import {
+  createRepositoryError,
+  validateStartRunData,
+  validateFinishRunData,
+  SUMMARY_COLUMNS
+} from './utils.js';
+
+class SequelizeJobRunRepository extends JobRunRepositoryInterface {
+  /**
+   * Create a new Sequelize-backed job run repository
+   * @param {Object} config - Repository configuration
+   * @param {Object} config.model - Sequelize JobRun model
+   */
+  constructor(config) {
+    super(config);
+    
+    if (!config.model) {
+      throw new Error('Sequelize JobRun model is required');
+    }
+    
+    this.JobRun = config.model;
+  }
+
+  async checkConnection() {
+    try {
+      await this.JobRun.findOne({ attributes: ['id'], limit: 1 });
+      return true;
+    } catch (error) {
+      throw createRepositoryError(error, 'checkConnection');
+    }
+  }
+
+  async startRun(data) {
+    try {
+      const run = await this.JobRun.create({
+        ...validateStartRunData(data),
+        status: 'running'
+      });
+      return run.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'startRun');
+    }
+  }
+
+  async finishRun(id, data) {
+    try {
+      const [count, rows] = await this.JobRun.update(validateFinishRunData(data), {
+        where: { id },
+        returning: true
+      });
+      
+      if (count === 0) {
+        throw new Error(`Job run with ID ${id} not found`);
+      }
+      
+      return rows[0].get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'finishRun');
+    }
+  }
+
+  async findById(id) {
+    try {
+      return await this.JobRun.findByPk(id, { raw: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'findById');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0, includeResults = false } = options;
+      
+      return await this.JobRun.findAll({
+        where: this._buildWhere(criteria),
+        attributes: includeResults ? undefined : SUMMARY_COLUMNS,
+        order: [['startedAt', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      return await this.JobRun.count({ where: this._buildWhere(criteria) });
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  /**
+   * Translate repository criteria into a Sequelize where clause
+   * @private
+   */
+  _buildWhere({ jobName, triggerType, status, from, to } = {}) {
+    const { Op } = this.JobRun.sequelize.Sequelize;
+    const where = {};
+    
+    if (jobName) where.jobName = jobName;
+    if (triggerType) where.triggerType = triggerType;
+    if (status) where.status = status;
+    if (from || to) {
+      where.startedAt = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to })
+      };
+    }
+    
+    return where;
+  }
+}
+
+export default SequelizeJobRunRepository;
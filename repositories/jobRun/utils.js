@@ -0,0 +1,74 @@
+/**
+ * Shared helpers for job run repository implementations
+ */
+
+export const TRIGGER_TYPES = ['scheduled', 'manual'];
+
+export const JOB_STATUSES = ['running', 'succeeded', 'partial', 'failed'];
+
+/**
+ * Columns returned by list queries; results can be large and are only loaded by findById
+ */
+export const SUMMARY_COLUMNS = [
+  'id', 'jobName', 'triggerType', 'cron', 'status', 'startedAt', 'finishedAt', 'durationMs',
+  'totalCount', 'successCount', 'skippedCount', 'failureCount', 'error'
+];
+
+/**
+ * Create a standardized error object for repository operations
+ * @param {Error} error - Original error
+ * @param {string} operation - Repository operation that failed
+ * @returns {Error} Standardized error object
+ */
+export function createRepositoryError(error, operation) {
+  const repositoryError = new Error(`Job run repository ${operation} operation failed: ${error.message}`);
+  
+  repositoryError.originalError = error;
+  repositoryError.operation = operation;
+  repositoryError.isRepositoryError = true;
+  
+  return repositoryError;
+}
+
+/**
+ * Validate the data recorded when a run starts
+ * @param {Object} data - { jobName, triggerType, cron, startedAt }
+ * @returns {Object} Data with defaults applied
+ * @throws {Error} If validation fails
+ */
+export function validateStartRunData(data = {}) {
+  if (!TRIGGER_TYPES.includes(data.triggerType)) {
+    throw new Error(`triggerType must be one of: ${TRIGGER_TYPES.join(', ')}`);
+  }
+
+  return {
+    jobName: data.jobName || 'fetch-data',
+    triggerType: data.triggerType,
+    cron: data.cron || null,
+    startedAt: data.startedAt ? new Date(data.startedAt) : new Date()
+  };
+}
+
+/**
+ * Validate the data recorded when a run finishes
+ * @param {Object} data - Run outcome
+ * @returns {Object} Data with defaults applied
+ * @throws {Error} If validation fails
+ */
+export function validateFinishRunData(data = {}) {
+  if (!JOB_STATUSES.includes(data.status) || data.status === 'running') {
+    throw new Error(`status must be one of: ${JOB_STATUSES.filter(status => status !== 'running').join(', ')}`);
+  }
+
+  return {
+    status: data.status,
+    finishedAt: data.finishedAt ? new Date(data.finishedAt) : new Date(),
+    durationMs: data.durationMs ?? null,
+    totalCount: data.totalCount || 0,
+    successCount: data.successCount || 0,
+    skippedCount: data.skippedCount || 0,
+    failureCount: data.failureCount || 0,
+    results: Array.isArray(data.results) ? data.results : [],
+    error: data.error || null
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * News deduplication helpers
+ * URL canonicalization and headline similarity shared by all news repository implementations
+ */
+
+// Query parameters that only track the click and never change the article
+const TRACKING_PARAMS = [
+  /^utm_/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^mc_(cid|eid)$/i, /^ref$/i, /^ref_src$/i,
+  /^cmpid$/i, /^ocid$/i, /^sr_share$/i, /^smid$/i, /^partner$/i, /^src$/i
+];
+
+// Query parameters that only select the AMP rendering of the article
+const AMP_PARAMS = [/^amp$/i, /^outputtype$/i, /^amp_js_v$/i, /^usqp$/i];
+
+// Words too common in headlines to say anything about the story
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by',
+  'from', 'as', 'is', 'are', 'was', 'were', 'be', 'it', 'its', 'this', 'that', 'after',
+  'over', 'into', 'new', 'says', 'say', 'how', 'why', 'what'
+]);
+
+/**
+ * Default similarity above which two headlines are treated as the same story
+ */
+export const TITLE_SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * Hours either side of publishedAt searched for an existing story
+ */
+export const CLUSTER_WINDOW_HOURS = 48;
+
+/**
+ * Canonicalize an article URL so syndicated and tracked variants compare equal
+ * Strips tracking params, AMP variants, fragments, "www." and trailing slashes
+ * @param {string} url - Article URL
+ * @returns {string|null} Canonical URL, or null if the URL cannot be parsed
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  parsed.hash = '';
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase()
+    .replace(/^www\./, '')
+    .replace(/^amp\./, '');
+
+  // AMP path variants: /amp, /amp/, /article.amp, /amp/article
+  let path = parsed.pathname
+    .replace(/\/amp\/?$/i, '')
+    .replace(/\.amp(\.html?)?$/i, (match, ext) => ext || '')
+    .replace(/^\/amp\//i, '/')
+    .replace(/\/+$/, '');
+  parsed.pathname = path || '/';
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .filter(([key]) => !AMP_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  return parsed.toString().replace(/\/$/, '');
+}
+
+/**
+ * Reduce a headline to its significant words
+ * Drops the " - Source Name" suffix NewsAPI appends, punctuation and stopwords
+ * @param {string} title - Article title
+ * @returns {Set<string>} Significant tokens
+ */
+export function titleTokens(title) {
+  const withoutSource = String(title || '').replace(/\s+[-|–—]\s+[^-|–—]+$/, '');
+
+  return new Set(
+    withoutSource
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token.length > 1 && !STOPWORDS.has(token))
+  );
+}
+
+/**
+ * Jaccard similarity of two headlines' significant words
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity between 0 and 1
+ */
+export function titleSimilarity(a, b) {
+  const tokensA = titleTokens(a);
+  const tokensB = titleTokens(b);
+
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared++;
+  });
+
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+/**
+ * Find the cluster an article belongs to among recently stored articles
+ * @param {string} title - Title of the new article
+ * @param {Array<Object>} candidates - Stored articles ({ id, title, clusterId })
+ * @param {number} [threshold] - Minimum similarity to join a cluster
+ * @returns {number|null} Id of the cluster representative, or null for a new story
+ */
+export function findMatchingCluster(title, candidates, threshold = TITLE_SIMILARITY_THRESHOLD) {
+  let best = null;
+  let bestScore = threshold;
+
+  for (const candidate of candidates) {
+    const score = titleSimilarity(title, candidate.title);
+    if (score >= bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  if (!best) return null;
+
+  // Representatives have no clusterId; members point at their representative
+  return best.clusterId || best.id;
+}
+
+/**
+ * Time window searched for existing articles of the same story
+ * @param {Date|string} publishedAt - Publication date of the new article
+ * @returns {{ from: Date, to: Date }}
+ */
+export function getClusterWindow(publishedAt) {
+  const center = publishedAt ? new Date(publishedAt) : new Date();
+  const windowMs = CLUSTER_WINDOW_HOURS * 60 * 60 * 1000;
+
+  return {
+    from: new Date(center.getTime() - windowMs),
+    to: new Date(center.getTime() + windowMs)
+  };
+}
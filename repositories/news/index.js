@@ -20,7 +20,8 @@ function validateRepositoryImplementation(implementation) {
   }
   
   const requiredMethods = [
-    'create', 'findById', 'findByProvider', 'search', 'update', 'delete', 'validate', 'findAll'
+    'create', 'findById', 'findByProvider', 'search', 'countSearch', 'update', 'delete', 'validate', 'findAll',
+    'findClusterCandidates', 'countClusterMembers'
   ];
   
   for (const method of requiredMethods) {
@@ -31,20 +31,31 @@ export class NewsRepository {
   }
 
   /**
-   * Find news articles by search query
+   * Full-text search ordered by relevance
+   * The query uses web search syntax ("quoted phrases", -excluded, OR)
    * @param {string} query - Search query
-   * @param {Object} options - Query options
-   * @returns {Promise<News[]>} List of articles
+   * @param {Object} options - Query options (limit, offset, order, criteria)
+   * @returns {Promise<News[]>} Articles with `rank` and a highlighted `headline` excerpt
    */
   search(query, options = {}) {
     throw new Error('Method must be implemented');
   }
 
   /**
-   * Update a news article
+   * Count full-text search matches
+   * @param {string} query - Search query
+   * @param {Object} criteria - Additional search criteria
+   * @returns {Promise<number>} Number of matching articles
+   */
+  countSearch(query, criteria = {}) {
+    throw new Error('Method must be implemented');
+  }
+
+  /**
+   * Update the editable fields of a news article
    * @param {number} id - Article ID
    * @param {Object} data - Data to update
-   * @returns {Promise<News>} Updated article
+   * @returns {Promise<News|null>} Updated article, or null if not found
    */
   update(id, data) {
     throw new Error('Method must be implemented');
@@ -53,7 +64,7 @@ export class NewsRepository {
   /**
    * Delete a news article
    * @param {number} id - Article ID
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<boolean>} True if deleted, false if not found
    */
   delete(id) {
     throw new Error('Method must be implemented');
@@ -72,6 +83,8 @@ export class NewsRepository {
    * Find all news articles matching criteria
    * @param {Object} criteria - Search criteria
    * @param {Object} options - Query options (limit, offset, order, etc.)
+   * @param {Array} [options.after] - Only articles strictly after the article with these values
+   *   of the order columns (order must end with id); see keysetClause in utils/pagination.js
    * @returns {Promise<Array>} List of articles
    */
   findAll(criteria = {}, options = {}) {
@@ -86,4 +99,23 @@ export class NewsRepository {
   count(criteria = {}) {
     throw new Error('Method must be implemented');
   }
+
+  /**
+   * Find articles published in a time window, for clustering a new article
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end
+   * @returns {Promise<Array>} Articles with id, title and clusterId
+   */
+  findClusterCandidates(from, to) {
+    throw new Error('Method must be implemented');
+  }
+
+  /**
+   * Count the duplicates attached to each cluster representative
+   * @param {number[]} ids - Representative article IDs
+   * @returns {Promise<Object>} Map of representative ID to duplicate count
+   */
+  countClusterMembers(ids) {
+    throw new Error('Method must be implemented');
+  }
 }
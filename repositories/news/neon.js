@@ -1,5 +1,8 @@
 import { neon } from '@neondatabase/serverless';
 import { NewsRepository } from './interface.js';
+import { canonicalizeUrl, findMatchingCluster, getClusterWindow } from './dedup.js';
+import { SEARCH_CONFIG, HEADLINE_OPTIONS } from './utils.js';
+import { keysetClause } from '../../utils/pagination.js';
 
 /**
  * Helper function to create consistent error objects
@@ -14,11 +17,35 @@ function createRepositoryError(error, method) {
   return newError;
 }
 
+/**
+ * Build a full-text WHERE clause plus equality criteria (null matches IS NULL)
+ * The search query is always $1 so the SELECT list can reuse it
+ * @param {string} query - Search query (web search syntax)
+ * @param {Object} criteria - Column-value pairs
+ * @returns {{clause: string, values: Array}}
+ */
+function buildSearchWhere(query, criteria = {}) {
+  const values = [String(query)];
+  const parts = [`"searchVector" @@ websearch_to_tsquery('${SEARCH_CONFIG}', $1)`];
+
+  for (const [key, value] of Object.entries(criteria)) {
+    if (value === null) {
+      parts.push(`"${key}" IS NULL`);
+    } else {
+      values.push(value);
+      parts.push(`"${key}" = $${values.length}`);
+    }
+  }
+
+  return { clause: `WHERE ${parts.join(' AND ')}`, values };
+}
+
 /**
  * Creates a new Neon-backed news repository
  * @param {Object} config - Configuration options
  * @param {string} [config.connectionString] - Database connection string
  * @param {Object} [config.connection] - Connection parameters (alternative to connectionString)
+ * @param {Object} [config.events] - Notified with emit('news.saved', article) after each create
  * @returns {NewsRepository} Configured news repository instance
  */
 export default function createNeonRepository(config = {}) {
@@ -26,6 +53,7 @@ export default function createNeonRepository(config = {}) {
     throw new Error('Neon repository requires either connectionString or connection parameters');
   }
 
+  const events = config.events || null;
   let sql;
   
   try {
@@ -103,44 +131,101 @@ export default function createNeonRepository(config = {}) {
         this.validate(data);
         
         const now = new Date();
+        const publishedAt = data.publishedAt || now;
+        const { from, to } = getClusterWindow(publishedAt);
+        const candidates = await this.findClusterCandidates(from, to);
+        const clusterId = findMatchingCluster(data.title, candidates);
 
         const result = await sql`
           INSERT INTO news (
-            title, description, content, url, "imageUrl", "publishedAt", "createdAt",
-            "sourceName", author, provider
+            title, description, content, url, "canonicalUrl", "imageUrl", "publishedAt", "createdAt",
+            "sourceName", author, provider, "clusterId"
           ) VALUES (
             ${data.title}, ${data.description || null}, ${data.content}, 
-            ${data.url || null}, ${data.imageUrl || null}, ${data.publishedAt || now}, ${now},
-            ${data.sourceName || null}, ${data.author || null}, ${data.provider || 'newsapi'}
+            ${data.url || null}, ${canonicalizeUrl(data.url)}, ${data.imageUrl || null}, ${publishedAt}, ${now},
+            ${data.sourceName || null}, ${data.author || null}, ${data.provider || 'newsapi'}, ${clusterId}
           )
           RETURNING *
         `;
         
-        // Handle different response formats from Neon
-        if (Array.isArray(result)) {
-          return result[0];
-        } else if (result && Array.isArray(result.rows)) {
-          return result.rows[0];
-        } else if (result && result.command === 'INSERT' && result.rowCount > 0) {
-          // If we have rowCount but no rows, try to fetch the inserted record
-          const inserted = await this.findByUrl(data.url || '');
-          if (inserted) return inserted;
-          
-          // If we can't find it, return a minimal response with the data we have
-          return {
-            ...data,
-            id: result.oid,
-            createdAt: now,
-            updatedAt: now
-          };
+        const article = await this.readInsertResult(result, data, now);
+        if (events) {
+          // The search index is an implementation detail, not part of the article
+          const { searchVector, ...payload } = article;
+          events.emit('news.saved', payload);
         }
-        
-        throw new Error('Failed to create article: No data returned from database');
+        return article;
       } catch (error) {
         throw createRepositoryError(error, 'create');
       }
     }
 
+    /**
+     * Extract the created article from an INSERT result
+     * Handles the different response formats from Neon
+     * @private
+     */
+    async readInsertResult(result, data, now) {
+      if (Array.isArray(result)) {
+        return result[0];
+      } else if (result && Array.isArray(result.rows)) {
+        return result.rows[0];
+      } else if (result && result.command === 'INSERT' && result.rowCount > 0) {
+        // If we have rowCount but no rows, try to fetch the inserted record
+        const inserted = await this.findByUrl(data.url || '');
+        if (inserted) return inserted;
+        
+        // If we can't find it, return a minimal response with the data we have
+        return {
+          ...data,
+          id: result.oid,
+          createdAt: now,
+          updatedAt: now
+        };
+      }
+      
+      throw new Error('Failed to create article: No data returned from database');
+    }
+
+    /**
+     * Find articles published in a time window, for clustering a new article
+     * @param {Date} from - Window start
+     * @param {Date} to - Window end
+     * @returns {Promise<Array>} Articles with id, title and clusterId
+     */
+    async findClusterCandidates(from, to) {
+      try {
+        return await sql`
+          SELECT id, title, "clusterId" FROM news
+          WHERE "publishedAt" BETWEEN ${from} AND ${to}
+          ORDER BY "publishedAt" ASC
+        `;
+      } catch (error) {
+        throw createRepositoryError(error, 'findClusterCandidates');
+      }
+    }
+
+    /**
+     * Count the duplicates attached to each cluster representative
+     * @param {number[]} ids - Representative article IDs
+     * @returns {Promise<Object>} Map of representative ID to duplicate count
+     */
+    async countClusterMembers(ids = []) {
+      try {
+        if (ids.length === 0) return {};
+
+        const rows = await sql`
+          SELECT "clusterId", COUNT(*) AS count FROM news
+          WHERE "clusterId" = ANY(${ids})
+          GROUP BY "clusterId"
+        `;
+
+        return Object.fromEntries(rows.map(row => [row.clusterId, parseInt(row.count, 10)]));
+      } catch (error) {
+        throw createRepositoryError(error, 'countClusterMembers');
+      }
+    }
+
     /**
      * Find a news article by ID
      * @param {number} id - Article ID
@@ -189,85 +274,92 @@ export default function createNeonRepository(config = {}) {
     /**
      * Find news articles by provider
      * @param {string} provider - Provider name
-     * @param {Object} [options] - Query options
+     * @param {Object} [options] - Query options (limit, offset, order)
      * @returns {Promise<Array>} List of articles
      */
     async findByProvider(provider, options = {}) {
+      return this.findAll({ provider }, options);
+    }
+
+    /**
+     * Full-text search ordered by relevance
+     * @param {string} query - Search query (web search syntax)
+     * @param {Object} [options] - Query options (limit, offset, order)
+     * @param {Object} [options.criteria] - Additional equality criteria
+     * @returns {Promise<Array>} Articles with `rank` and a highlighted `headline` excerpt
+     */
+    async search(query, options = {}) {
       try {
-        const { limit = 10, offset = 0 } = options;
-        
-        const result = await sql`
-          SELECT * FROM news 
-          WHERE provider = ${provider} 
-          ORDER BY published_at DESC
-          LIMIT ${limit} OFFSET ${offset}
-        `;
-        
-        return result.rows;
+        const { criteria = {}, limit = 10, offset = 0, order } = options;
+        const { clause, values } = buildSearchWhere(query, criteria);
+
+        const orderClause = order && order.length > 0
+          ? order.map(([column, direction]) => `"${column}" ${direction === 'ASC' ? 'ASC' : 'DESC'}`).join(', ')
+          : 'rank DESC, "publishedAt" DESC';
+        values.push(HEADLINE_OPTIONS);
+
+        return await sql.query(
+          `SELECT *,
+             ts_rank("searchVector", websearch_to_tsquery('${SEARCH_CONFIG}', $1)) AS rank,
+             ts_headline('${SEARCH_CONFIG}', concat_ws(' ', description, content),
+               websearch_to_tsquery('${SEARCH_CONFIG}', $1), $${values.length}) AS headline
+           FROM news ${clause}
+           ORDER BY ${orderClause}
+           LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+          values
+        );
       } catch (error) {
-        throw createRepositoryError(error, 'findByProvider');
+        throw createRepositoryError(error, 'search');
       }
     }
 
     /**
-     * Search news articles by query
-     * @param {string} query - Search query
-     * @param {Object} [options] - Query options
-     * @returns {Promise<Array>} List of matching articles
+     * Count full-text search matches
+     * @param {string} query - Search query (web search syntax)
+     * @param {Object} [criteria] - Additional equality criteria
+     * @returns {Promise<number>} Number of matching articles
      */
-    async search(query, options = {}) {
+    async countSearch(query, criteria = {}) {
       try {
-        const { limit = 10, offset = 0 } = options;
-        const searchTerm = `%${query}%`;
-        
-        const result = await sql`
-          SELECT * FROM news 
-          WHERE 
-            title ILIKE ${searchTerm} OR
-            description ILIKE ${searchTerm} OR
-            content ILIKE ${searchTerm}
-          ORDER BY published_at DESC
-          LIMIT ${limit} OFFSET ${offset}
-        `;
-        
-        return result.rows;
+        const { clause, values } = buildSearchWhere(query, criteria);
+        const [row] = await sql.query(`SELECT COUNT(*) AS count FROM news ${clause}`, values);
+        return parseInt(row.count, 10);
       } catch (error) {
-        throw createRepositoryError(error, 'search');
+        throw createRepositoryError(error, 'countSearch');
       }
     }
 
     /**
-     * Update a news article
+     * Update the editable fields of a news article
      * @param {number} id - Article ID
-     * @param {Object} data - Data to update
-     * @returns {Promise<Object>} Updated article
+     * @param {Object} data - Fields to change
+     * @returns {Promise<Object|null>} Updated article, or null if not found
      */
     async update(id, data) {
       try {
-        this.validate(data);
+        const existing = await this.findById(id);
+        if (!existing) return null;
+
+        this.validate({ ...existing, ...data });
+        const canonicalUrl = data.url ? canonicalizeUrl(data.url) : null;
         
         const result = await sql`
           UPDATE news
           SET 
-            title = COALESCE(${data.title}, title),
-            description = COALESCE(${data.description}, description),
-            content = COALESCE(${data.content}, content),
-            url = COALESCE(${data.url}, url),
-            image_url = COALESCE(${data.imageUrl}, image_url),
-            published_at = COALESCE(${data.publishedAt}, published_at),
-            source_name = COALESCE(${data.sourceName}, source_name),
-            author = COALESCE(${data.author}, author),
-            provider = COALESCE(${data.provider}, provider),
-            updated_at = NOW()
+            title = COALESCE(${data.title ?? null}, title),
+            description = COALESCE(${data.description ?? null}, description),
+            content = COALESCE(${data.content ?? null}, content),
+            url = COALESCE(${data.url ?? null}, url),
+            "canonicalUrl" = COALESCE(${canonicalUrl}, "canonicalUrl"),
+            "imageUrl" = COALESCE(${data.imageUrl ?? null}, "imageUrl"),
+            "publishedAt" = COALESCE(${data.publishedAt ?? null}, "publishedAt"),
+            "sourceName" = COALESCE(${data.sourceName ?? null}, "sourceName"),
+            author = COALESCE(${data.author ?? null}, author)
           WHERE id = ${id}
           RETURNING *
         `;
         
-        if (!result.rows.length) {
-          throw new Error(`Article with ID ${id} not found`);
-        }
-        
-        return result.rows[0];
+        return result[0] || null;
       } catch (error) {
         throw createRepositoryError(error, 'update');
       }
@@ -275,18 +367,28 @@ export default function createNeonRepository(config = {}) {
 
     /**
      * Delete a news article
+     * Duplicates clustered under it are promoted so the story stays listed
      * @param {number} id - Article ID
-     * @returns {Promise<boolean>} True if deleted, false otherwise
+     * @returns {Promise<boolean>} True if deleted, false if not found
      */
     async delete(id) {
       try {
-        const result = await sql`
-          DELETE FROM news 
-          WHERE id = ${id}
-          RETURNING id
-        `;
+        // The oldest duplicate becomes the representative before the clusterId
+        // foreign key would set every member back to NULL
+        const [, result] = await sql.transaction([
+          sql`
+            WITH next AS (
+              SELECT id FROM news WHERE "clusterId" = ${id}
+              ORDER BY "publishedAt" ASC, id ASC LIMIT 1
+            )
+            UPDATE news SET "clusterId" = CASE WHEN news.id = next.id THEN NULL ELSE next.id END
+            FROM next
+            WHERE news."clusterId" = ${id}
+          `,
+          sql`DELETE FROM news WHERE id = ${id} RETURNING id`
+        ]);
         
-        return result.rows.length > 0;
+        return result.length > 0;
       } catch (error) {
         throw createRepositoryError(error, 'delete');
       }
@@ -295,7 +397,7 @@ export default function createNeonRepository(config = {}) {
     /**
  * Find all news articles matching criteria
  * @param {Object} criteria - Search criteria
- * @param {Object} options - Query options (limit, offset, order, etc.)
+ * @param {Object} options - Query options (limit, offset, order, after, etc.)
  * @returns {Promise<Array>} List of articles
  */
 async findAll(criteria = {}, options = {}) {
@@ -308,7 +410,9 @@ async findAll(criteria = {}, options = {}) {
     // Process criteria
     Object.entries(criteria).forEach(([key, value]) => {
       // Handle special case for "provider" which we already have a dedicated method for
-      if (key === 'provider') {
+      if (value === null) {
+        whereParts.push(`"${key}" IS NULL`);
+      } else if (key === 'provider') {
         whereParts.push(`provider = $${index}`);
         values.push(value);
         index++;
@@ -318,6 +422,14 @@ async findAll(criteria = {}, options = {}) {
         index++;
       }
     });
+
+    // Keyset pagination: only articles past the cursor position
+    if (options.after) {
+      whereParts.push(keysetClause('"news"', options.order, options.after, value => {
+        values.push(value);
+        return `$${values.length}`;
+      }));
+    }
     
     // Construct WHERE clause
     const whereClause = whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : '';
@@ -344,8 +456,7 @@ async findAll(criteria = {}, options = {}) {
       ${offsetClause}
     `;
     
-    const result = await sql.unsafe(query, values);
-    return result;
+    return await sql.query(query, values);
   } catch (error) {
     throw createRepositoryError(error, 'findAll');
   }
@@ -363,6 +474,10 @@ async findAll(criteria = {}, options = {}) {
       let index = 1;
       
       Object.entries(criteria).forEach(([key, value]) => {
+        if (value === null) {
+          whereParts.push(`"${key}" IS NULL`);
+          return;
+        }
         whereParts.push(`"${key}" = $${index}`);
         values.push(value);
         index++;
@@ -371,7 +486,7 @@ async findAll(criteria = {}, options = {}) {
       const whereClause = whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : '';
       
       const query = `SELECT COUNT(*) as count FROM news ${whereClause}`;
-      const result = await sql.unsafe(query, values);
+      const result = await sql.query(query, values);
       
       return parseInt(result[0].count, 10);
     } catch (error) {
@@ -1,10 +1,19 @@
 import { NewsRepository } from './interface.js';
-import { validateNewsData, createRepositoryError } from './utils.js';
+import {
+  validateNewsData,
+  prepareNewsUpdate,
+  createRepositoryError,
+  SEARCH_CONFIG,
+  HEADLINE_OPTIONS
+} from './utils.js';
+import { keysetClause } from '../../utils/pagination.js';
+import { canonicalizeUrl, findMatchingCluster, getClusterWindow } from './dedup.js';
 
 /**
  * Creates a new Sequelize-backed news repository
  * @param {Object} config - Configuration options
  * @param {Object} config.model - Sequelize News model
+ * @param {Object} [config.events] - Notified with emit('news.saved', article) after each create
  * @returns {NewsRepository} Configured news repository instance
  */
 export default function createSequelizeRepository(config) {
@@ -13,6 +22,9 @@ export default function createSequelizeRepository(config) {
   }
 
   const model = config.model;
+  const events = config.events || null;
+  // Taken from the model so the worker, which bundles this file, does not pull in sequelize
+  const { Op, fn, col, literal } = model.sequelize.Sequelize;
 
   /**
    * Sequelize implementation of NewsRepository
@@ -59,17 +71,203 @@ export default function createSequelizeRepository(config) {
     async create(data) {
       try {
         const sanitizedData = this.validate(data);
-        return model.create({
+        const publishedAt = sanitizedData.publishedAt || new Date();
+        const { from, to } = getClusterWindow(publishedAt);
+        const candidates = await this.findClusterCandidates(from, to);
+
+        const article = await model.create({
           ...sanitizedData,
+          canonicalUrl: canonicalizeUrl(data.url),
+          clusterId: findMatchingCluster(data.title, candidates),
           imageUrl: sanitizedData.imageUrl || null,
-          publishedAt: sanitizedData.publishedAt || new Date()
+          publishedAt
         });
+        events?.emit('news.saved', article.get({ plain: true }));
+        return article;
       } catch (error) {
         throw createRepositoryError(error, 'create');
       }
     }
-    
-    // Other methods remain the same...
+
+    /**
+     * Find articles published in a time window, for clustering a new article
+     * @param {Date} from - Window start
+     * @param {Date} to - Window end
+     * @returns {Promise<Array>} Articles with id, title and clusterId
+     */
+    async findClusterCandidates(from, to) {
+      try {
+        return await model.findAll({
+          attributes: ['id', 'title', 'clusterId'],
+          where: { publishedAt: { [Op.between]: [from, to] } },
+          order: [['publishedAt', 'ASC']],
+          raw: true
+        });
+      } catch (error) {
+        throw createRepositoryError(error, 'findClusterCandidates');
+      }
+    }
+
+    /**
+     * Count the duplicates attached to each cluster representative
+     * @param {number[]} ids - Representative article IDs
+     * @returns {Promise<Object>} Map of representative ID to duplicate count
+     */
+    async countClusterMembers(ids = []) {
+      try {
+        if (ids.length === 0) return {};
+
+        const rows = await model.findAll({
+          attributes: ['clusterId', [fn('COUNT', col('id')), 'count']],
+          where: { clusterId: { [Op.in]: ids } },
+          group: ['clusterId'],
+          raw: true
+        });
+
+        return Object.fromEntries(rows.map(row => [row.clusterId, parseInt(row.count, 10)]));
+      } catch (error) {
+        throw createRepositoryError(error, 'countClusterMembers');
+      }
+    }
+
+    /**
+     * Find a news article by ID
+     * @param {number} id - Article ID
+     * @returns {Promise<Object|null>} Found article or null
+     */
+    async findById(id) {
+      try {
+        return await model.findByPk(id, { raw: true });
+      } catch (error) {
+        throw createRepositoryError(error, 'findById');
+      }
+    }
+
+    /**
+     * Find news articles by provider
+     * @param {string} provider - Provider name
+     * @param {Object} [options] - Query options (limit, offset, order)
+     * @returns {Promise<Array>} List of articles
+     */
+    async findByProvider(provider, options = {}) {
+      return this.findAll({ provider }, options);
+    }
+
+    /**
+     * Full-text search ordered by relevance
+     * @param {string} query - Search query (web search syntax)
+     * @param {Object} [options] - Query options (limit, offset, order)
+     * @param {Object} [options.criteria] - Additional search criteria
+     * @returns {Promise<Array>} Articles with `rank` and a highlighted `headline` excerpt
+     */
+    async search(query, options = {}) {
+      try {
+        const { criteria = {}, limit = 10, offset = 0, order } = options;
+        const tsQuery = this._tsQuery(query);
+
+        return await model.findAll({
+          attributes: {
+            include: [
+              [fn('ts_rank', col('searchVector'), tsQuery), 'rank'],
+              [
+                fn('ts_headline', SEARCH_CONFIG, fn('concat_ws', ' ', col('description'), col('content')), tsQuery, HEADLINE_OPTIONS),
+                'headline'
+              ]
+            ]
+          },
+          where: { ...criteria, searchVector: { [Op.match]: tsQuery } },
+          order: order || [[literal('rank'), 'DESC'], ['publishedAt', 'DESC']],
+          limit: parseInt(limit, 10),
+          offset: parseInt(offset, 10),
+          raw: true
+        });
+      } catch (error) {
+        throw createRepositoryError(error, 'search');
+      }
+    }
+
+    /**
+     * Count full-text search matches
+     * @param {string} query - Search query (web search syntax)
+     * @param {Object} [criteria] - Additional search criteria
+     * @returns {Promise<number>} Number of matching articles
+     */
+    async countSearch(query, criteria = {}) {
+      try {
+        return await model.count({
+          where: { ...criteria, searchVector: { [Op.match]: this._tsQuery(query) } }
+        });
+      } catch (error) {
+        throw createRepositoryError(error, 'countSearch');
+      }
+    }
+
+    /**
+     * Parse a web-search style query into a tsquery
+     * @private
+     */
+    _tsQuery(query) {
+      return fn('websearch_to_tsquery', SEARCH_CONFIG, String(query));
+    }
+
+    /**
+     * Update the editable fields of a news article
+     * @param {number} id - Article ID
+     * @param {Object} data - Fields to change
+     * @returns {Promise<Object|null>} Updated article, or null if not found
+     */
+    async update(id, data) {
+      try {
+        const existing = await model.findByPk(id, { raw: true });
+        if (!existing) return null;
+
+        const [, [updated]] = await model.update(prepareNewsUpdate(existing, data), {
+          where: { id },
+          returning: true
+        });
+        return updated.get({ plain: true });
+      } catch (error) {
+        throw createRepositoryError(error, 'update');
+      }
+    }
+
+    /**
+     * Delete a news article
+     * Duplicates clustered under it are promoted so the story stays listed
+     * @param {number} id - Article ID
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     */
+    async delete(id) {
+      try {
+        return await model.sequelize.transaction(async (transaction) => {
+          // Promote first: the clusterId foreign key would otherwise un-cluster the members
+          await this._promoteClusterMembers(id, transaction);
+
+          const count = await model.destroy({ where: { id }, transaction });
+          return count > 0;
+        });
+      } catch (error) {
+        throw createRepositoryError(error, 'delete');
+      }
+    }
+
+    /**
+     * Make the oldest duplicate of a deleted representative the new representative
+     * @private
+     */
+    async _promoteClusterMembers(clusterId, transaction) {
+      const next = await model.findOne({
+        attributes: ['id'],
+        where: { clusterId },
+        order: [['publishedAt', 'ASC'], ['id', 'ASC']],
+        raw: true,
+        transaction
+      });
+      if (!next) return;
+
+      await model.update({ clusterId: null }, { where: { id: next.id }, transaction });
+      await model.update({ clusterId: next.id }, { where: { clusterId }, transaction });
+    }
 
     /**
      * Validate news article data
@@ -93,11 +291,17 @@ export default function createSequelizeRepository(config) {
           limit = 10, 
           offset = 0, 
           order = [['publishedAt', 'DESC']],
-          attributes = undefined
+          attributes = undefined,
+          after = undefined
         } = options;
 
+        // Keyset pagination: only articles past the cursor position
+        const keyset = after
+          ? literal(keysetClause('"news"', order, after, value => model.sequelize.escape(value)))
+          : null;
+
         const queryOptions = {
-          where: { ...criteria },
+          where: keyset ? { [Op.and]: [{ ...criteria }, keyset] } : { ...criteria },
           limit: parseInt(limit, 10),
           offset: parseInt(offset, 10),
           order,
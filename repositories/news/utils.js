@@ -1,3 +1,5 @@
+import { canonicalizeUrl } from './dedup.js';
+
 /**
  * News data validation utilities
  * Contains validation logic shared by all news repository implementations
@@ -22,6 +24,23 @@ function sanitizeString(value) {
     return sanitized;
   }
   
+  function validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+  
+  // Text search configuration used by the searchVector trigger (db/migrations/012_add_news_search_vector.js)
+  export const SEARCH_CONFIG = 'english';
+  
+  // ts_headline options for search excerpts; matches are wrapped in <mark>
+  export const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+  
+  // Fields an article update may change; provider and clustering are set on ingest
+  export const UPDATABLE_FIELDS = [
+    'title', 'description', 'content', 'url', 'imageUrl', 'publishedAt', 'sourceName', 'author'
+  ];
+  
   /**
    * Sanitize and validate news article data
    * @param {Object} data - News article data to sanitize and validate
@@ -30,7 +49,7 @@ function sanitizeString(value) {
    */
   export function sanitizeNewsData(data) {
     if (!data || typeof data !== 'object') {
-      throw new Error('News data must be an object');
+      throw validationError('News data must be an object');
     }
     
     // Create a sanitized copy of data
@@ -52,7 +71,7 @@ function sanitizeString(value) {
   /**
    * Validate news article data
    * @param {Object} data - News article data to validate
-   * @throws {Error} If validation fails
+   * @throws {Error} If validation fails (error.isValidationError is set)
    */
   export function validateNewsData(data) {
     // First sanitize the data
@@ -62,22 +81,22 @@ function sanitizeString(value) {
     const requiredFields = ['title', 'content', 'provider'];
     for (const field of requiredFields) {
       if (!sanitized[field]) {
-        throw new Error(`Missing required field: ${field}`);
+        throw validationError(`Missing required field: ${field}`);
       }
     }
     
     // URL validation
     if (sanitized.url && !/^https?:\/\//i.test(sanitized.url)) {
-      throw new Error('URL must start with http:// or https://');
+      throw validationError('URL must start with http:// or https://');
     }
     
     if (sanitized.imageUrl && !/^https?:\/\//i.test(sanitized.imageUrl)) {
-      throw new Error('Image URL must start with http:// or https://');
+      throw validationError('Image URL must start with http:// or https://');
     }
     
     // Date validation
     if (sanitized.publishedAt && isNaN(new Date(sanitized.publishedAt).getTime())) {
-      throw new Error('Invalid publishedAt date');
+      throw validationError('Invalid publishedAt date');
     }
     
     return sanitized;
@@ -96,7 +115,36 @@ function sanitizeString(value) {
     repositoryError.originalError = error;
     repositoryError.operation = operation;
     repositoryError.isRepositoryError = true;
+    repositoryError.isValidationError = Boolean(error.isValidationError);
     
     return repositoryError;
   }
-  
\ No newline at end of file
+  
+  /**
+   * Build the column changes for an article update
+   * The existing article merged with the changes is validated, but only the changed
+   * fields are returned so stored values are not sanitized a second time.
+   * @param {Object} existing - Stored article
+   * @param {Object} data - Requested changes
+   * @returns {Object} Sanitized changes, with canonicalUrl when the URL changes
+   * @throws {Error} If validation fails (error.isValidationError is set)
+   */
+  export function prepareNewsUpdate(existing, data) {
+    const fields = UPDATABLE_FIELDS.filter(field => data?.[field] !== undefined);
+    if (fields.length === 0) {
+      throw validationError(`Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}`);
+    }
+    
+    const changes = Object.fromEntries(fields.map(field => [field, data[field]]));
+    const sanitized = validateNewsData({ ...existing, ...changes });
+    const update = Object.fromEntries(fields.map(field => [field, sanitized[field]]));
+    
+    if (update.url) {
+      update.canonicalUrl = canonicalizeUrl(update.url);
+    }
+    if (update.publishedAt) {
+      update.publishedAt = new Date(update.publishedAt);
+    }
+    
+    return update;
+  }
@@ -0,0 +1,50 @@
+/**
+ * QuotaRepositoryInterface
+ * 
+ * Contract for storing outbound request counts per provider per day.
+ * Implemented as a class with non-implemented methods that throw errors.
+ */
+class QuotaRepositoryInterface {
+    /**
+     * Initialize the repository
+     * @param {Object} config - Configuration options specific to the implementation
+     */
+    constructor(config) {
+      if (this.constructor === QuotaRepositoryInterface) {
+        throw new Error('QuotaRepositoryInterface cannot be instantiated directly');
+      }
+    }
+  
+    /**
+     * Check if the database and required tables are accessible
+     * @returns {Promise<boolean>} True if database is accessible and tables exist
+     * @throws {Error} If database connection fails or tables don't exist
+     */
+    async checkConnection() {
+      throw new Error('Method checkConnection() must be implemented');
+    }
+  
+    /**
+     * Atomically count one request for a provider, unless the limit is already reached
+     * @param {string} provider - Provider name
+     * @param {string} day - UTC day (YYYY-MM-DD)
+     * @param {number|null} limit - Daily budget, null for unlimited
+     * @returns {Promise<number|null>} New request count, or null if the budget is exhausted
+     * @throws {Error} If database operation errors
+     */
+    async incrementUsage(provider, day, limit = null) {
+      throw new Error('Method incrementUsage() must be implemented');
+    }
+  
+    /**
+     * Find usage rows for a day
+     * @param {string} day - UTC day (YYYY-MM-DD)
+     * @returns {Promise<Array>} Array of { provider, day, requestCount, updatedAt }
+     * @throws {Error} If database operation errors
+     */
+    async findUsageByDay(day) {
+      throw new Error('Method findUsageByDay() must be implemented');
+    }
+}
+
+export default QuotaRepositoryInterface;
@@ -0,0 +1,60 @@
+/**
+ * Neon Serverless implementation of QuotaRepositoryInterface
+ * For use with Cloudflare Workers and other serverless environments
+ */
+import { neon } from '@neondatabase/serverless';
+import QuotaRepositoryInterface from './interface.js';
+import { createRepositoryError, INCREMENT_USAGE_SQL } from './utils.js';
+
+class NeonQuotaRepository extends QuotaRepositoryInterface {
+  /**
+   * Create a new Neon-backed quota repository
+   * @param {Object} config - Repository configuration
+   * @param {string} config.connectionString - Database connection string
+   */
+  constructor(config) {
+    super(config);
+    
+    if (!config.connectionString) {
+      throw new Error('Neon quota repository requires a connectionString');
+    }
+    
+    this.sql = neon(config.connectionString);
+  }
+
+  async checkConnection() {
+    try {
+      await this.sql`SELECT 1 FROM provider_quota_usage LIMIT 1`;
+      return true;
+    } catch (error) {
+      throw createRepositoryError(
+        new Error('provider_quota_usage table not found or not accessible'),
+        'checkConnection'
+      );
+    }
+  }
+
+  async incrementUsage(provider, day, limit = null) {
+    try {
+      const rows = await this.sql.query(INCREMENT_USAGE_SQL, [provider, day, limit]);
+      return rows.length > 0 ? rows[0].requestCount : null;
+    } catch (error) {
+      throw createRepositoryError(error, 'incrementUsage');
+    }
+  }
+
+  async findUsageByDay(day) {
+    try {
+      return await this.sql`
+        SELECT provider, to_char(day, 'YYYY-MM-DD') AS day, "requestCount", "updatedAt"
+        FROM provider_quota_usage
+        WHERE day = ${day}
+        ORDER BY provider ASC
+      `;
+    } catch (error) {
+      throw createRepositoryError(error, 'findUsageByDay');
+    }
+  }
+}
+
+export default NeonQuotaRepository;
@@ -0,0 +1,61 @@
+/**
+ * Sequelize implementation of QuotaRepositoryInterface
+ * For use with standard Node.js environments
+ */
+import QuotaRepositoryInterface from './interface.js';
+import { createRepositoryError, INCREMENT_USAGE_SQL } from './utils.js';
+
+class SequelizeQuotaRepository extends QuotaRepositoryInterface {
+  /**
+   * Create a new Sequelize-backed quota repository
+   * @param {Object} config - Repository configuration
+   * @param {Object} config.model - Sequelize ProviderQuotaUsage model
+   */
+  constructor(config) {
+    super(config);
+    
+    if (!config.model) {
+      throw new Error('Sequelize ProviderQuotaUsage model is required');
+    }
+    
+    this.ProviderQuotaUsage = config.model;
+  }
+
+  async checkConnection() {
+    try {
+      await this.ProviderQuotaUsage.findOne({ limit: 1 });
+      return true;
+    } catch (error) {
+      throw createRepositoryError(error, 'checkConnection');
+    }
+  }
+
+  async incrementUsage(provider, day, limit = null) {
+    try {
+      const { QueryTypes } = this.ProviderQuotaUsage.sequelize.Sequelize;
+      
+      const rows = await this.ProviderQuotaUsage.sequelize.query(INCREMENT_USAGE_SQL, {
+        bind: [provider, day, limit],
+        type: QueryTypes.SELECT
+      });
+      
+      return rows.length > 0 ? rows[0].requestCount : null;
+    } catch (error) {
+      throw createRepositoryError(error, 'incrementUsage');
+    }
+  }
+
+  async findUsageByDay(day) {
+    try {
+      return await this.ProviderQuotaUsage.findAll({
+        where: { day },
+        order: [['provider', 'ASC']],
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findUsageByDay');
+    }
+  }
+}
+
+export default SequelizeQuotaRepository;
@@ -0,0 +1,33 @@
+/**
+ * Shared helpers for quota repository implementations
+ */
+
+/**
+ * Create a standardized error object for repository operations
+ * @param {Error} error - Original error
+ * @param {string} operation - Repository operation that failed
+ * @returns {Error} Standardized error object
+ */
+export function createRepositoryError(error, operation) {
+  const repositoryError = new Error(`Quota repository ${operation} operation failed: ${error.message}`);
+  
+  repositoryError.originalError = error;
+  repositoryError.operation = operation;
+  repositoryError.isRepositoryError = true;
+  
+  return repositoryError;
+}
+
+/**
+ * Upsert statement counting one request, guarded by the daily limit.
+ * When the row exists and the limit is reached the UPDATE matches nothing and no row is returned.
+ * Placeholders: $1 provider, $2 day, $3 limit (nullable)
+ */
+export const INCREMENT_USAGE_SQL = `
+  INSERT INTO provider_quota_usage (provider, day, "requestCount", "updatedAt")
+  VALUES ($1, $2, 1, NOW())
+  ON CONFLICT (provider, day) DO UPDATE
+  SET "requestCount" = provider_quota_usage."requestCount" + 1, "updatedAt" = NOW()
+  WHERE CAST($3 AS INTEGER) IS NULL OR provider_quota_usage."requestCount" < CAST($3 AS INTEGER)
+  RETURNING "requestCount"
+`;
@@ -13,11 +13,17 @@ import WeatherRepositoryInterface from './interface.js';
  * 
  * For Sequelize:
  * @param {Object} options.config.model - Sequelize Weather model
+ * @param {Object} [options.config.forecastModel] - Sequelize Forecast model
+ * @param {Object} [options.config.consensusModel] - Sequelize WeatherConsensus model
  * 
  * For Neon:
  * @param {string} options.config.connectionString - Database connection string
  * @param {Object} options.config.connection - Or individual connection parameters
  * 
+ * Either:
+ * @param {Object} [options.config.events] - Notified with emit('weather.saved', record) after each save,
+ *   e.g. a WebhookDispatcher
+ * 
  * @returns {WeatherRepositoryInterface} Repository implementation
  * @throws {Error} If invalid repository type or missing configuration
  */
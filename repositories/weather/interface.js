@@ -52,6 +52,8 @@ class WeatherRepositoryInterface {
      * Find all weather records matching the criteria
      * @param {Object} criteria - Search criteria (field-value pairs)
      * @param {Object} options - Additional options like limit, offset, order
+     * @param {Array} [options.after] - Only records strictly after the record with these values
+     *   of the order columns (order must end with id); see keysetClause in utils/pagination.js
      * @returns {Promise<Array>} Array of matching weather records
      * @throws {Error} If database operation errors
      */
@@ -121,9 +123,76 @@ class WeatherRepositoryInterface {
       throw new Error('Method getStatsByCity() must be implemented');
     }
 
+    /**
+     * Get a city's weather aggregated into time buckets
+     * @param {string} city - City name
+     * @param {Object} options - Bucketing options
+     * @param {Date} options.from - Range start (inclusive)
+     * @param {Date} options.to - Range end (exclusive)
+     * @param {string} options.interval - Bucket size: 'hour', 'day' or 'week'
+     * @param {string} [options.provider] - Only use readings from this provider
+     * @returns {Promise<Array>} Buckets in time order with averages, minimums, maximums and the dominant condition
+     * @throws {Error} If options are invalid or database operation errors
+     */
+    async getHistory(city, options = {}) {
+      throw new Error('Method getHistory() must be implemented');
+    }
+
     async count(criteria = {}) {
       throw new Error('Method count() must be implemented');
     }
+
+    /**
+     * Save a normalized forecast as one horizon (all points share the same fetchedAt)
+     * @param {Object} data - Forecast data with location fields and a forecast array
+     * @returns {Promise<Array>} Saved forecast rows
+     * @throws {Error} If validation fails or database operation errors
+     */
+    async saveForecast(data) {
+      throw new Error('Method saveForecast() must be implemented');
+    }
+
+    /**
+     * Find forecast points from the latest horizon of each city and provider
+     * @param {Object} criteria - Search criteria (e.g. city, provider)
+     * @param {Object} options - Additional options like limit, offset, order
+     * @returns {Promise<Array>} Array of forecast rows
+     * @throws {Error} If database operation errors
+     */
+    async findLatestForecasts(criteria = {}, options = {}) {
+      throw new Error('Method findLatestForecasts() must be implemented');
+    }
+
+    /**
+     * Count forecast points from the latest horizon of each city and provider
+     * @param {Object} criteria - Search criteria (e.g. city, provider)
+     * @returns {Promise<number>} Number of matching forecast rows
+     * @throws {Error} If database operation errors
+     */
+    async countLatestForecasts(criteria = {}) {
+      throw new Error('Method countLatestForecasts() must be implemented');
+    }
+
+    /**
+     * Save a consensus reading blended from several providers
+     * @param {Object} data - Consensus data from buildConsensusReading
+     * @returns {Promise<Object>} Saved consensus record
+     * @throws {Error} If validation fails or database operation errors
+     */
+    async saveConsensus(data) {
+      throw new Error('Method saveConsensus() must be implemented');
+    }
+
+    /**
+     * Find the latest consensus reading of each city
+     * @param {number} limit - Maximum number of cities to return
+     * @param {Object} [criteria] - Filters on the latest readings (e.g. city, isDivergent)
+     * @returns {Promise<Array>} Latest consensus reading per city, newest first
+     * @throws {Error} If database operation errors
+     */
+    async findLatestConsensusByCity(limit = 10, criteria = {}) {
+      throw new Error('Method findLatestConsensusByCity() must be implemented');
+    }
 }
 
 export default WeatherRepositoryInterface;
\ No newline at end of file
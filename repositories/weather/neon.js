@@ -5,7 +5,15 @@
 
 import { neon } from '@neondatabase/serverless';
 import WeatherRepositoryInterface from './interface.js';
-import { validateWeatherData, createRepositoryError } from './utils.js';
+import {
+  validateWeatherData,
+  validateForecastData,
+  validateConsensusData,
+  validateHistoryOptions,
+  buildHistoryQuery,
+  createRepositoryError
+} from './utils.js';
+import { keysetClause } from '../../utils/pagination.js';
 
 class NeonWeatherRepository extends WeatherRepositoryInterface {
   /**
@@ -13,6 +21,7 @@ class NeonWeatherRepository extends WeatherRepositoryInterface {
    * @param {Object} config - Repository configuration
    * @param {string} config.connectionString - Database connection string
    * @param {Object} config.connection - Or individual connection parameters
+   * @param {Object} [config.events] - Notified with emit('weather.saved', record) after each save
    */
   constructor(config) {
     super(config);
@@ -34,6 +43,7 @@ class NeonWeatherRepository extends WeatherRepositoryInterface {
     
     // Initialize the neon client
     this.sql = neon(this.connectionString);
+    this.events = config.events || null;
   }
 
   /**
@@ -83,6 +93,7 @@ class NeonWeatherRepository extends WeatherRepositoryInterface {
         RETURNING *
       `;
       
+      this.events?.emit('weather.saved', result[0]);
       return result[0];
     } catch (error) {
       throw createRepositoryError(error, 'save');
@@ -126,15 +137,26 @@ class NeonWeatherRepository extends WeatherRepositoryInterface {
         whereParts.push(`"${key}" = $${values.length + 1}`);
         values.push(value);
       });
+
+      // Keyset pagination: only records past the cursor position
+      if (options.after) {
+        whereParts.push(keysetClause('"weather"', options.order, options.after, value => {
+          values.push(value);
+          return `$${values.length}`;
+        }));
+      }
       
       if (whereParts.length > 0) {
         whereClause = `WHERE ${whereParts.join(' AND ')}`;
       }
       
-      // Add limit and ordering if provided
+      // Add limit, offset and ordering if provided
       let limitClause = '';
       if (options.limit) {
-        limitClause = `LIMIT ${options.limit}`;
+        limitClause = `LIMIT ${parseInt(options.limit, 10)}`;
+      }
+      if (options.offset) {
+        limitClause += ` OFFSET ${parseInt(options.offset, 10)}`;
       }
       
       let orderClause = '';
@@ -153,7 +175,7 @@ class NeonWeatherRepository extends WeatherRepositoryInterface {
         ${limitClause}
       `;
       
-      return await this.sql.raw(query, values);
+      return await this.sql.query(query, values);
     } catch (error) {
       throw createRepositoryError(error, 'findAll');
     }
@@ -364,6 +386,27 @@ class NeonWeatherRepository extends WeatherRepositoryInterface {
     }
   }
 
+  /**
+   * Get a city's weather aggregated into time buckets
+   * @param {string} city - City name
+   * @param {Object} options - { from, to, interval, provider }
+   * @returns {Promise<Array>} Buckets in time order
+   * @throws {Error} If options are invalid or database operation errors
+   */
+  async getHistory(city, options = {}) {
+    try {
+      validateHistoryOptions(city, options);
+      const { from, to, interval, provider } = options;
+      
+      return await this.sql.query(
+        buildHistoryQuery({ byProvider: Boolean(provider) }),
+        [interval, city, from, to, ...(provider ? [provider] : [])]
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'getHistory');
+    }
+  }
+
   async count(criteria = {}) {
     try {
       // Build where clause based on criteria
@@ -379,15 +422,201 @@ class NeonWeatherRepository extends WeatherRepositoryInterface {
         whereClause = `WHERE ${whereParts.join(' AND ')}`;
       }
       
-      const result = await this.sql`
-        SELECT COUNT(*) as count FROM weather ${this.sql.raw(whereClause)}
-      `;
+      const result = await this.sql.query(`SELECT COUNT(*) as count FROM weather ${whereClause}`, values);
       
       return parseInt(result[0].count, 10);
     } catch (error) {
       throw createRepositoryError(error, 'count');
     }
   }
+
+  /**
+   * Save a normalized forecast as one horizon (all points share the same fetchedAt)
+   * @param {Object} data - Forecast data with location fields and a forecast array
+   * @returns {Promise<Array>} Saved forecast rows
+   * @throws {Error} If validation fails or database operation errors
+   */
+  async saveForecast(data) {
+    try {
+      validateForecastData(data);
+      
+      const fetchedAt = new Date();
+      
+      // Insert every point of the horizon in a single transaction
+      const results = await this.sql.transaction(data.forecast.map(item => this.sql`
+        INSERT INTO forecast(
+          provider, city, country, latitude, longitude,
+          temperature, "feelsLike", "tempMin", "tempMax",
+          humidity, pressure, "windSpeed", "windDirection",
+          "conditionMain", "conditionDescription", "conditionIcon",
+          timestamp, "fetchedAt", "createdAt", "updatedAt"
+        )
+        VALUES(
+          ${data.provider}, ${data.city}, ${data.country}, ${data.latitude}, ${data.longitude},
+          ${item.temperature ?? null}, ${item.feelsLike ?? null}, ${item.tempMin ?? null}, ${item.tempMax ?? null},
+          ${item.humidity ?? null}, ${item.pressure ?? null}, ${item.windSpeed ?? null}, ${item.windDirection ?? null},
+          ${item.conditionMain}, ${item.conditionDescription || ''}, ${item.conditionIcon || ''},
+          ${item.timestamp}, ${fetchedAt}, NOW(), NOW()
+        )
+        RETURNING *
+      `));
+      
+      return results.map(rows => rows[0]);
+    } catch (error) {
+      throw createRepositoryError(error, 'saveForecast');
+    }
+  }
+
+  /**
+   * Find forecast points from the latest horizon of each city and provider
+   * @param {Object} criteria - Search criteria (e.g. city, provider)
+   * @param {Object} options - Additional options like limit, offset, order
+   * @returns {Promise<Array>} Array of forecast rows
+   * @throws {Error} If database operation errors
+   */
+  async findLatestForecasts(criteria = {}, options = {}) {
+    try {
+      const { whereClause, values } = this._buildLatestForecastWhere(criteria);
+      
+      let orderClause = 'ORDER BY f.city ASC, f.provider ASC, f.timestamp ASC';
+      if (options.order && options.order.length > 0) {
+        const orderParts = options.order.map(([column, direction]) => 
+          `f."${column}" ${direction}`
+        );
+        orderClause = `ORDER BY ${orderParts.join(', ')}`;
+      }
+      
+      const limitClause = options.limit ? `LIMIT ${parseInt(options.limit, 10)}` : '';
+      const offsetClause = options.offset ? `OFFSET ${parseInt(options.offset, 10)}` : '';
+      
+      const query = `
+        SELECT f.* FROM forecast f
+        ${whereClause}
+        ${orderClause}
+        ${limitClause}
+        ${offsetClause}
+      `;
+      
+      return await this.sql.query(query, values);
+    } catch (error) {
+      throw createRepositoryError(error, 'findLatestForecasts');
+    }
+  }
+
+  /**
+   * Count forecast points from the latest horizon of each city and provider
+   * @param {Object} criteria - Search criteria (e.g. city, provider)
+   * @returns {Promise<number>} Number of matching forecast rows
+   * @throws {Error} If database operation errors
+   */
+  async countLatestForecasts(criteria = {}) {
+    try {
+      const { whereClause, values } = this._buildLatestForecastWhere(criteria);
+      
+      const result = await this.sql.query(
+        `SELECT COUNT(*) as count FROM forecast f ${whereClause}`,
+        values
+      );
+      
+      return parseInt(result[0].count, 10);
+    } catch (error) {
+      throw createRepositoryError(error, 'countLatestForecasts');
+    }
+  }
+
+  /**
+   * Save a consensus reading blended from several providers
+   * @param {Object} data - Consensus data from buildConsensusReading
+   * @returns {Promise<Object>} Saved consensus record
+   * @throws {Error} If validation fails or database operation errors
+   */
+  async saveConsensus(data) {
+    try {
+      validateConsensusData(data);
+      
+      const result = await this.sql`
+        INSERT INTO weather_consensus(
+          city, country, latitude, longitude, providers, "providerCount",
+          temperature, "feelsLike", humidity, pressure, "windSpeed", "conditionMain",
+          "temperatureDisagreement", "humidityDisagreement", "conditionDisagreement", "isDivergent",
+          timestamp, "createdAt", "updatedAt"
+        )
+        VALUES(
+          ${data.city}, ${data.country}, ${data.latitude ?? null}, ${data.longitude ?? null},
+          ${data.providers}, ${data.providerCount},
+          ${data.temperature ?? null}, ${data.feelsLike ?? null}, ${data.humidity ?? null},
+          ${data.pressure ?? null}, ${data.windSpeed ?? null}, ${data.conditionMain},
+          ${data.temperatureDisagreement ?? null}, ${data.humidityDisagreement ?? null},
+          ${data.conditionDisagreement ?? 0}, ${Boolean(data.isDivergent)},
+          ${data.timestamp}, NOW(), NOW()
+        )
+        RETURNING *
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw createRepositoryError(error, 'saveConsensus');
+    }
+  }
+
+  /**
+   * Find the latest consensus reading of each city
+   * @param {number} limit - Maximum number of cities to return
+   * @param {Object} [criteria] - Filters on the latest readings (e.g. city, isDivergent)
+   * @returns {Promise<Array>} Latest consensus reading per city, newest first
+   * @throws {Error} If database operation errors
+   */
+  async findLatestConsensusByCity(limit = 10, criteria = {}) {
+    try {
+      const whereParts = [];
+      const values = [];
+      
+      Object.entries(criteria).forEach(([key, value]) => {
+        whereParts.push(`"${key}" = $${values.length + 1}`);
+        values.push(value);
+      });
+      
+      const query = `
+        WITH latest_by_city AS (
+          SELECT DISTINCT ON (city) *
+          FROM weather_consensus
+          ORDER BY city, timestamp DESC, id DESC
+        )
+        SELECT * FROM latest_by_city
+        ${whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : ''}
+        ORDER BY timestamp DESC
+        LIMIT ${parseInt(limit, 10)}
+      `;
+      
+      return await this.sql.query(query, values);
+    } catch (error) {
+      throw createRepositoryError(error, 'findLatestConsensusByCity');
+    }
+  }
+
+  /**
+   * Build a WHERE clause restricting rows to the latest fetch per city and provider
+   * @param {Object} criteria - Additional equality criteria
+   * @returns {{whereClause: string, values: Array}} Clause and bound values
+   * @private
+   */
+  _buildLatestForecastWhere(criteria = {}) {
+    const whereParts = [`f."fetchedAt" = (
+      SELECT MAX(latest."fetchedAt") FROM forecast latest
+      WHERE latest.city = f.city AND latest.provider = f.provider
+    )`];
+    const values = [];
+    
+    Object.entries(criteria).forEach(([key, value]) => {
+      whereParts.push(`f."${key}" = $${values.length + 1}`);
+      values.push(value);
+    });
+    
+    return {
+      whereClause: `WHERE ${whereParts.join(' AND ')}`,
+      values
+    };
+  }
 }
 
 export default NeonWeatherRepository;
\ No newline at end of file
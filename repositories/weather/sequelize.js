@@ -3,13 +3,24 @@
  * For use with standard Node.js environments
  */
 import WeatherRepositoryInterface from './interface.js';
-import { validateWeatherData, createRepositoryError } from './utils.js';
+import { keysetClause } from '../../utils/pagination.js';
+import {
+  validateWeatherData,
+  validateForecastData,
+  validateConsensusData,
+  validateHistoryOptions,
+  buildHistoryQuery,
+  createRepositoryError
+} from './utils.js';
 
 class SequelizeWeatherRepository extends WeatherRepositoryInterface {
   /**
    * Create a new Sequelize-backed weather repository
    * @param {Object} config - Repository configuration
    * @param {Object} config.model - Sequelize Weather model
+   * @param {Object} [config.forecastModel] - Sequelize Forecast model (required for forecast methods)
+   * @param {Object} [config.consensusModel] - Sequelize WeatherConsensus model (required for consensus methods)
+   * @param {Object} [config.events] - Notified with emit('weather.saved', record) after each save
    */
   constructor(config) {
     super(config);
@@ -19,6 +30,9 @@ class SequelizeWeatherRepository extends WeatherRepositoryInterface {
     }
     
     this.Weather = config.model;
+    this.Forecast = config.forecastModel || null;
+    this.WeatherConsensus = config.consensusModel || null;
+    this.events = config.events || null;
   }
 
   /**
@@ -48,7 +62,9 @@ class SequelizeWeatherRepository extends WeatherRepositoryInterface {
       this.validate(data);
       
       // Create record in database
-      return await this.Weather.create(data);
+      const record = await this.Weather.create(data);
+      this.events?.emit('weather.saved', record.get({ plain: true }));
+      return record;
     } catch (error) {
       throw createRepositoryError(error, 'save');
     }
@@ -78,14 +94,19 @@ class SequelizeWeatherRepository extends WeatherRepositoryInterface {
   async findAll(criteria = {}, options = {}) {
     try {
       // Create query options, merging criteria as where clause
-      const queryOptions = {
-        ...options,
-      };
+      const { after, ...queryOptions } = options;
       
       if (criteria) {
         queryOptions.where = criteria;
       }
 
+      // Keyset pagination: only records past the cursor position
+      if (after) {
+        const { Op, literal } = this.Weather.sequelize.Sequelize;
+        const condition = keysetClause('"weather"', options.order, after, value => this.Weather.sequelize.escape(value));
+        queryOptions.where = { [Op.and]: [criteria || {}, literal(condition)] };
+      }
+
       // Execute the query with the built options
       return await this.Weather.findAll(queryOptions);
     } catch (error) {
@@ -261,6 +282,28 @@ class SequelizeWeatherRepository extends WeatherRepositoryInterface {
     }
   }
 
+  /**
+   * Get a city's weather aggregated into time buckets
+   * @param {string} city - City name
+   * @param {Object} options - { from, to, interval, provider }
+   * @returns {Promise<Array>} Buckets in time order
+   * @throws {Error} If options are invalid or database operation errors
+   */
+  async getHistory(city, options = {}) {
+    try {
+      validateHistoryOptions(city, options);
+      const { from, to, interval, provider } = options;
+      const { QueryTypes } = this.Weather.sequelize.Sequelize;
+      
+      return await this.Weather.sequelize.query(buildHistoryQuery({ byProvider: Boolean(provider) }), {
+        bind: [interval, city, from, to, ...(provider ? [provider] : [])],
+        type: QueryTypes.SELECT
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'getHistory');
+    }
+  }
+
   async count(criteria = {}) {
     try {
       return await this.Weather.count({ where: criteria });
@@ -268,6 +311,160 @@ class SequelizeWeatherRepository extends WeatherRepositoryInterface {
       throw createRepositoryError(error, 'count');
     }
   }
+
+  /**
+   * Save a normalized forecast as one horizon (all points share the same fetchedAt)
+   * @param {Object} data - Forecast data with location fields and a forecast array
+   * @returns {Promise<Array>} Saved forecast rows
+   * @throws {Error} If validation fails or database operation errors
+   */
+  async saveForecast(data) {
+    try {
+      const Forecast = this._getForecastModel();
+      validateForecastData(data);
+      
+      // Drop the provider payload kept by the transformer; it is not persisted
+      const { forecast, raw, ...location } = data;
+      const fetchedAt = new Date();
+      
+      return await Forecast.bulkCreate(
+        forecast.map(item => ({ ...location, ...item, fetchedAt })),
+        { validate: true }
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'saveForecast');
+    }
+  }
+
+  /**
+   * Find forecast points from the latest horizon of each city and provider
+   * @param {Object} criteria - Search criteria (e.g. city, provider)
+   * @param {Object} options - Additional options like limit, offset, order
+   * @returns {Promise<Array>} Array of forecast rows
+   * @throws {Error} If database operation errors
+   */
+  async findLatestForecasts(criteria = {}, options = {}) {
+    try {
+      const Forecast = this._getForecastModel();
+      
+      return await Forecast.findAll({
+        order: [['city', 'ASC'], ['provider', 'ASC'], ['timestamp', 'ASC']],
+        ...options,
+        where: this._latestForecastWhere(criteria)
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findLatestForecasts');
+    }
+  }
+
+  /**
+   * Count forecast points from the latest horizon of each city and provider
+   * @param {Object} criteria - Search criteria (e.g. city, provider)
+   * @returns {Promise<number>} Number of matching forecast rows
+   * @throws {Error} If database operation errors
+   */
+  async countLatestForecasts(criteria = {}) {
+    try {
+      const Forecast = this._getForecastModel();
+      return await Forecast.count({ where: this._latestForecastWhere(criteria) });
+    } catch (error) {
+      throw createRepositoryError(error, 'countLatestForecasts');
+    }
+  }
+
+  /**
+   * Save a consensus reading blended from several providers
+   * @param {Object} data - Consensus data from buildConsensusReading
+   * @returns {Promise<Object>} Saved consensus record
+   * @throws {Error} If validation fails or database operation errors
+   */
+  async saveConsensus(data) {
+    try {
+      const WeatherConsensus = this._getConsensusModel();
+      validateConsensusData(data);
+      
+      return await WeatherConsensus.create(data);
+    } catch (error) {
+      throw createRepositoryError(error, 'saveConsensus');
+    }
+  }
+
+  /**
+   * Find the latest consensus reading of each city
+   * @param {number} limit - Maximum number of cities to return
+   * @param {Object} [criteria] - Filters on the latest readings (e.g. city, isDivergent)
+   * @returns {Promise<Array>} Latest consensus reading per city, newest first
+   * @throws {Error} If database operation errors
+   */
+  async findLatestConsensusByCity(limit = 10, criteria = {}) {
+    try {
+      const WeatherConsensus = this._getConsensusModel();
+      const { Sequelize } = WeatherConsensus.sequelize;
+      
+      return await WeatherConsensus.findAll({
+        where: {
+          ...criteria,
+          id: {
+            [Sequelize.Op.in]: Sequelize.literal(`(
+              SELECT DISTINCT ON (city) id FROM weather_consensus
+              ORDER BY city, timestamp DESC, id DESC
+            )`)
+          }
+        },
+        order: [['timestamp', 'DESC']],
+        limit
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findLatestConsensusByCity');
+    }
+  }
+
+  /**
+   * Build a where clause restricting rows to the latest fetch per city and provider
+   * @param {Object} criteria - Additional search criteria
+   * @returns {Object} Sequelize where clause
+   * @private
+   */
+  _latestForecastWhere(criteria = {}) {
+    const { Sequelize } = this.Forecast.sequelize;
+    const alias = this.Forecast.name;
+    const table = this.Forecast.getTableName();
+    
+    return {
+      [Sequelize.Op.and]: [
+        criteria,
+        Sequelize.literal(`"${alias}"."fetchedAt" = (
+          SELECT MAX(latest."fetchedAt") FROM "${table}" AS latest
+          WHERE latest.city = "${alias}".city
+            AND latest.provider = "${alias}".provider
+        )`)
+      ]
+    };
+  }
+
+  /**
+   * Get the Forecast model or fail if the repository was created without one
+   * @returns {Object} Sequelize Forecast model
+   * @private
+   */
+  _getForecastModel() {
+    if (!this.Forecast) {
+      throw new Error('Sequelize Forecast model is required for forecast operations');
+    }
+    return this.Forecast;
+  }
+
+  /**
+   * Get the WeatherConsensus model or fail if the repository was created without one
+   * @returns {Object} Sequelize WeatherConsensus model
+   * @private
+   */
+  _getConsensusModel() {
+    if (!this.WeatherConsensus) {
+      throw new Error('Sequelize WeatherConsensus model is required for consensus operations');
+    }
+    return this.WeatherConsensus;
+  }
 }
 
 export default SequelizeWeatherRepository;
\ No newline at end of file
@@ -2,6 +2,7 @@
  * Weather data validation utilities
  * Contains validation logic shared by all repository implementations
  */
+import { canonicalConditionSql } from '../../services/weather/consensus.js';
 
 /**
  * Sanitize string values to prevent XSS and SQL injection
@@ -98,6 +99,75 @@ export function validateWeatherData(data) {
   return sanitizedData;
 }
 
+/**
+ * Validate a normalized forecast before saving
+ * @param {Object} data - Forecast data ({ provider, city, country, latitude, longitude, forecast: [] })
+ * @throws {Error} If validation fails with specific error message
+ */
+export function validateForecastData(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid data: Expected an object');
+  }
+
+  const requiredFields = ['provider', 'city', 'country', 'latitude', 'longitude'];
+  const missingFields = requiredFields.filter(field =>
+    data[field] === undefined || data[field] === null || data[field] === ''
+  );
+
+  if (missingFields.length > 0) {
+    throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  if (!['openweathermap', 'accuweather'].includes(data.provider)) {
+    throw new Error('Invalid provider: must be one of openweathermap, accuweather');
+  }
+
+  if (!Array.isArray(data.forecast) || data.forecast.length === 0) {
+    throw new Error('Invalid forecast: must be a non-empty array');
+  }
+
+  validateCoordinates(data);
+
+  data.forecast.forEach((item, index) => {
+    if (!item.timestamp || isNaN(new Date(item.timestamp).getTime())) {
+      throw new Error(`Invalid forecast[${index}].timestamp: must be a valid date`);
+    }
+    if (!item.conditionMain) {
+      throw new Error(`Missing forecast[${index}].conditionMain`);
+    }
+  });
+}
+
+/**
+ * Validate a consensus reading before saving
+ * @param {Object} data - Consensus data from buildConsensusReading
+ * @throws {Error} If validation fails with specific error message
+ */
+export function validateConsensusData(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid data: Expected an object');
+  }
+
+  const requiredFields = ['city', 'country', 'providers', 'providerCount', 'conditionMain', 'timestamp'];
+  const missingFields = requiredFields.filter(field =>
+    data[field] === undefined || data[field] === null || data[field] === ''
+  );
+
+  if (missingFields.length > 0) {
+    throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  if (!Array.isArray(data.providers) || data.providers.length === 0) {
+    throw new Error('Invalid providers: must be a non-empty array');
+  }
+
+  if (isNaN(new Date(data.timestamp).getTime())) {
+    throw new Error('Invalid timestamp: must be a valid date');
+  }
+
+  validateCoordinates(data);
+}
+
 /**
  * Validate numeric fields are within acceptable ranges
  * @param {Object} data - Weather data to validate
@@ -170,3 +240,63 @@ export function createRepositoryError(error, operation) {
   
   return repositoryError;
 }
+
+/**
+ * Bucket sizes accepted by getHistory, as date_trunc field names
+ */
+export const HISTORY_INTERVALS = ['hour', 'day', 'week'];
+
+/**
+ * Validate getHistory arguments
+ * @param {string} city - City name
+ * @param {Object} options - { from, to, interval }
+ * @throws {Error} If an argument is invalid
+ */
+export function validateHistoryOptions(city, { from, to, interval } = {}) {
+  if (!city) {
+    throw new Error('City is required');
+  }
+  if (!HISTORY_INTERVALS.includes(interval)) {
+    throw new Error(`Interval must be one of: ${HISTORY_INTERVALS.join(', ')}`);
+  }
+  if (!(from instanceof Date) || isNaN(from) || !(to instanceof Date) || isNaN(to)) {
+    throw new Error('from and to must be valid dates');
+  }
+  if (from >= to) {
+    throw new Error('from must be before to');
+  }
+}
+
+/**
+ * Build the bucketed history query shared by the Sequelize and Neon repositories
+ * Parameters: $1 interval, $2 city, $3 from (inclusive), $4 to (exclusive), $5 provider (when filtered)
+ * The dominant condition is the most frequent condition group in the bucket (see canonicalCondition),
+ * so "Clouds" from one provider and "Mostly cloudy" from another count as the same condition.
+ * @param {Object} [options]
+ * @param {boolean} [options.byProvider=false] - Add the provider filter
+ * @returns {string} SQL text
+ */
+export function buildHistoryQuery({ byProvider = false } = {}) {
+  return `
+    SELECT
+      date_trunc($1, "timestamp") AS "bucket",
+      COUNT(*)::int AS "recordCount",
+      AVG("temperature") AS "avgTemperature",
+      MIN("temperature") AS "minTemperature",
+      MAX("temperature") AS "maxTemperature",
+      AVG("humidity") AS "avgHumidity",
+      MIN("humidity") AS "minHumidity",
+      MAX("humidity") AS "maxHumidity",
+      AVG("pressure") AS "avgPressure",
+      AVG("windSpeed") AS "avgWindSpeed",
+      MAX("windSpeed") AS "maxWindSpeed",
+      mode() WITHIN GROUP (ORDER BY ${canonicalConditionSql('"conditionMain"')}) AS "dominantCondition"
+    FROM weather
+    WHERE "city" = $2
+      AND "timestamp" >= $3
+      AND "timestamp" < $4
+      ${byProvider ? 'AND "provider" = $5' : ''}
+    GROUP BY 1
+    ORDER BY 1 ASC
+  `;
+}
@@ -0,0 +1,153 @@
+/**
+ * WebhookRepositoryInterface
+ *
+ * Contract for outbound webhook subscriptions and the log of deliveries made to them.
+ * Implemented as a class with non-implemented methods that throw errors.
+ */
+class WebhookRepositoryInterface {
+    /**
+     * Initialize the repository
+     * @param {Object} config - Configuration options specific to the implementation
+     */
+    constructor(config) {
+      if (this.constructor === WebhookRepositoryInterface) {
+        throw new Error('WebhookRepositoryInterface cannot be instantiated directly');
+      }
+    }
+
+    /**
+     * Check if the database and required tables are accessible
+     * @returns {Promise<boolean>} True if database is accessible and tables exist
+     * @throws {Error} If database connection fails or tables don't exist
+     */
+    async checkConnection() {
+      throw new Error('Method checkConnection() must be implemented');
+    }
+
+    /**
+     * Create a subscription
+     * @param {Object} data - { url, events, secret, description, enabled }
+     * @returns {Promise<Object>} Created subscription
+     * @throws {Error} If validation or database operation errors
+     */
+    async create(data) {
+      throw new Error('Method create() must be implemented');
+    }
+
+    /**
+     * Find a subscription by ID
+     * @param {number} id - Subscription ID
+     * @returns {Promise<Object|null>} Subscription or null
+     * @throws {Error} If database operation errors
+     */
+    async findById(id) {
+      throw new Error('Method findById() must be implemented');
+    }
+
+    /**
+     * Find subscriptions matching criteria, oldest first
+     * @param {Object} criteria - { event, enabled }
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array>} Subscriptions
+     * @throws {Error} If database operation errors
+     */
+    async findAll(criteria = {}, options = {}) {
+      throw new Error('Method findAll() must be implemented');
+    }
+
+    /**
+     * Count subscriptions matching criteria
+     * @param {Object} criteria - { event, enabled }
+     * @returns {Promise<number>} Number of subscriptions
+     * @throws {Error} If database operation errors
+     */
+    async count(criteria = {}) {
+      throw new Error('Method count() must be implemented');
+    }
+
+    /**
+     * Update some fields of a subscription
+     * @param {number} id - Subscription ID
+     * @param {Object} data - Fields to change
+     * @returns {Promise<Object|null>} Updated subscription, or null if not found
+     * @throws {Error} If validation or database operation errors
+     */
+    async update(id, data) {
+      throw new Error('Method update() must be implemented');
+    }
+
+    /**
+     * Delete a subscription and its deliveries
+     * @param {number} id - Subscription ID
+     * @returns {Promise<boolean>} True if a subscription was deleted
+     * @throws {Error} If database operation errors
+     */
+    async delete(id) {
+      throw new Error('Method delete() must be implemented');
+    }
+
+    /**
+     * Find the enabled subscriptions that want an event type
+     * @param {string} eventType - e.g. 'weather.saved'
+     * @returns {Promise<Array>} Subscriptions
+     * @throws {Error} If database operation errors
+     */
+    async findSubscribers(eventType) {
+      throw new Error('Method findSubscribers() must be implemented');
+    }
+
+    /**
+     * Log a new pending delivery of an event to a subscription
+     * @param {Object} data - { subscriptionId, eventId, eventType, payload, nextAttemptAt }
+     * @returns {Promise<Object>} Created delivery
+     * @throws {Error} If validation or database operation errors
+     */
+    async createDelivery(data) {
+      throw new Error('Method createDelivery() must be implemented');
+    }
+
+    /**
+     * Record the outcome of a delivery attempt
+     * @param {number} id - Delivery ID
+     * @param {Object} data - { status, attempts, responseStatus, error, nextAttemptAt, deliveredAt }
+     * @returns {Promise<Object|null>} Updated delivery, or null if not found
+     * @throws {Error} If validation or database operation errors
+     */
+    async updateDelivery(id, data) {
+      throw new Error('Method updateDelivery() must be implemented');
+    }
+
+    /**
+     * Find pending deliveries due for another attempt, with their subscription's url and secret
+     * @param {Date} [now] - Time of the run
+     * @param {number} [limit] - Maximum number of deliveries
+     * @returns {Promise<Array>} Deliveries, longest waiting first
+     * @throws {Error} If database operation errors
+     */
+    async findDueDeliveries(now = new Date(), limit = 100) {
+      throw new Error('Method findDueDeliveries() must be implemented');
+    }
+
+    /**
+     * Find logged deliveries matching criteria, newest first
+     * @param {Object} criteria - { subscriptionId, eventType, status, from, to }
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array>} Deliveries
+     * @throws {Error} If database operation errors
+     */
+    async findDeliveries(criteria = {}, options = {}) {
+      throw new Error('Method findDeliveries() must be implemented');
+    }
+
+    /**
+     * Count logged deliveries matching criteria
+     * @param {Object} criteria - { subscriptionId, eventType, status, from, to }
+     * @returns {Promise<number>} Number of deliveries
+     * @throws {Error} If database operation errors
+     */
+    async countDeliveries(criteria = {}) {
+      throw new Error('Method countDeliveries() must be implemented');
+    }
+}
+
+export default WebhookRepositoryInterface;
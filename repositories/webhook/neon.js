@@ -0,0 +1,266 @@
+/**
+ * Neon Serverless implementation of WebhookRepositoryInterface
+ * For use with Cloudflare Workers and other serverless environments
+ */
+import { neon } from '@neondatabase/serverless';
+import WebhookRepositoryInterface from './interface.js';
+import {
+  createRepositoryError,
+  validateSubscriptionData,
+  validateDeliveryData,
+  validateDeliveryUpdate,
+  pickWritableFields,
+  FIND_DUE_DELIVERIES_SQL
+} from './utils.js';
+
+class NeonWebhookRepository extends WebhookRepositoryInterface {
+  /**
+   * Create a new Neon-backed webhook repository
+   * @param {Object} config - Repository configuration
+   * @param {string} config.connectionString - Database connection string
+   */
+  constructor(config) {
+    super(config);
+
+    if (!config.connectionString) {
+      throw new Error('Neon webhook repository requires a connectionString');
+    }
+
+    this.sql = neon(config.connectionString);
+  }
+
+  async checkConnection() {
+    try {
+      await this.sql`SELECT 1 FROM webhook_subscriptions LIMIT 1`;
+      await this.sql`SELECT 1 FROM webhook_deliveries LIMIT 1`;
+      return true;
+    } catch (error) {
+      throw createRepositoryError(
+        new Error('webhook_subscriptions or webhook_deliveries table not found or not accessible'),
+        'checkConnection'
+      );
+    }
+  }
+
+  async create(data) {
+    try {
+      const subscription = validateSubscriptionData(data);
+
+      const [row] = await this.sql`
+        INSERT INTO webhook_subscriptions ("url", "events", "secret", "description", "enabled")
+        VALUES (
+          ${subscription.url}, ${subscription.events}, ${subscription.secret},
+          ${subscription.description}, ${subscription.enabled}
+        )
+        RETURNING *
+      `;
+      return row;
+    } catch (error) {
+      throw createRepositoryError(error, 'create');
+    }
+  }
+
+  async findById(id) {
+    try {
+      const [row] = await this.sql`SELECT * FROM webhook_subscriptions WHERE id = ${id} LIMIT 1`;
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'findById');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      const { clause, values } = this._buildWhere(criteria);
+
+      return await this.sql.query(
+        `SELECT * FROM webhook_subscriptions ${clause}
+         ORDER BY id ASC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        values
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      const { clause, values } = this._buildWhere(criteria);
+      const [row] = await this.sql.query(`SELECT COUNT(*) AS count FROM webhook_subscriptions ${clause}`, values);
+      return parseInt(row.count, 10);
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const existing = await this.findById(id);
+      if (!existing) return null;
+
+      const subscription = validateSubscriptionData({ ...pickWritableFields(existing), ...data });
+
+      const [row] = await this.sql`
+        UPDATE webhook_subscriptions
+        SET
+          "url" = ${subscription.url},
+          "events" = ${subscription.events},
+          "secret" = ${subscription.secret},
+          "description" = ${subscription.description},
+          "enabled" = ${subscription.enabled},
+          "updatedAt" = NOW()
+        WHERE id = ${id}
+        RETURNING *
+      `;
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'update');
+    }
+  }
+
+  async delete(id) {
+    try {
+      // webhook_deliveries rows go with the subscription (ON DELETE CASCADE)
+      const rows = await this.sql`DELETE FROM webhook_subscriptions WHERE id = ${id} RETURNING id`;
+      return rows.length > 0;
+    } catch (error) {
+      throw createRepositoryError(error, 'delete');
+    }
+  }
+
+  async findSubscribers(eventType) {
+    try {
+      return await this.sql`
+        SELECT * FROM webhook_subscriptions
+        WHERE "enabled" = TRUE AND ${eventType} = ANY("events")
+        ORDER BY id ASC
+      `;
+    } catch (error) {
+      throw createRepositoryError(error, 'findSubscribers');
+    }
+  }
+
+  async createDelivery(data) {
+    try {
+      const delivery = validateDeliveryData(data);
+
+      const [row] = await this.sql`
+        INSERT INTO webhook_deliveries (
+          "subscriptionId", "eventId", "eventType", "payload", "status", "attempts", "nextAttemptAt"
+        )
+        VALUES (
+          ${delivery.subscriptionId}, ${delivery.eventId}, ${delivery.eventType},
+          ${JSON.stringify(delivery.payload)}::jsonb, ${delivery.status}, ${delivery.attempts}, ${delivery.nextAttemptAt}
+        )
+        RETURNING *
+      `;
+      return row;
+    } catch (error) {
+      throw createRepositoryError(error, 'createDelivery');
+    }
+  }
+
+  async updateDelivery(id, data) {
+    try {
+      const changes = Object.entries(validateDeliveryUpdate(data));
+
+      // Column names come from DELIVERY_UPDATE_FIELDS, never from the caller
+      const assignments = changes.map(([field], index) => `"${field}" = $${index + 2}, `);
+      const [row] = await this.sql.query(
+        `UPDATE webhook_deliveries
+         SET ${assignments.join('')}"updatedAt" = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...changes.map(([, value]) => value)]
+      );
+      return row || null;
+    } catch (error) {
+      throw createRepositoryError(error, 'updateDelivery');
+    }
+  }
+
+  async findDueDeliveries(now = new Date(), limit = 100) {
+    try {
+      return await this.sql.query(FIND_DUE_DELIVERIES_SQL, [now, parseInt(limit, 10)]);
+    } catch (error) {
+      throw createRepositoryError(error, 'findDueDeliveries');
+    }
+  }
+
+  async findDeliveries(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      const { clause, values } = this._buildDeliveryWhere(criteria);
+
+      return await this.sql.query(
+        `SELECT * FROM webhook_deliveries ${clause}
+         ORDER BY "createdAt" DESC, id DESC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        values
+      );
+    } catch (error) {
+      throw createRepositoryError(error, 'findDeliveries');
+    }
+  }
+
+  async countDeliveries(criteria = {}) {
+    try {
+      const { clause, values } = this._buildDeliveryWhere(criteria);
+      const [row] = await this.sql.query(`SELECT COUNT(*) AS count FROM webhook_deliveries ${clause}`, values);
+      return parseInt(row.count, 10);
+    } catch (error) {
+      throw createRepositoryError(error, 'countDeliveries');
+    }
+  }
+
+  /**
+   * Translate subscription criteria into a parameterized WHERE clause
+   * @private
+   */
+  _buildWhere({ event, enabled } = {}) {
+    const conditions = [];
+    const values = [];
+
+    const add = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (event) add('? = ANY("events")', event);
+    if (enabled !== undefined) add('"enabled" = ?', enabled);
+
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
+  /**
+   * Translate delivery criteria into a parameterized WHERE clause
+   * @private
+   */
+  _buildDeliveryWhere({ subscriptionId, eventType, status, from, to } = {}) {
+    const conditions = [];
+    const values = [];
+
+    const add = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (subscriptionId) add('"subscriptionId" = ?', subscriptionId);
+    if (eventType) add('"eventType" = ?', eventType);
+    if (status) add('"status" = ?', status);
+    if (from) add('"createdAt" >= ?', from);
+    if (to) add('"createdAt" <= ?', to);
+
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+}
+
+export default NeonWebhookRepository;
@@ -0,0 +1,213 @@
+/**
+ * Sequelize implementation of WebhookRepositoryInterface
+ * For use with standard Node.js environments
+ */
+import WebhookRepositoryInterface from './interface.js';
+import {
+  createRepositoryError,
+  validateSubscriptionData,
+  validateDeliveryData,
+  validateDeliveryUpdate,
+  pickWritableFields,
+  FIND_DUE_DELIVERIES_SQL
+} from './utils.js';
+
+class SequelizeWebhookRepository extends WebhookRepositoryInterface {
+  /**
+   * Create a new Sequelize-backed webhook repository
+   * @param {Object} config - Repository configuration
+   * @param {Object} config.model - Sequelize WebhookSubscription model
+   * @param {Object} config.deliveryModel - Sequelize WebhookDelivery model
+   */
+  constructor(config) {
+    super(config);
+
+    if (!config.model || !config.deliveryModel) {
+      throw new Error('Sequelize WebhookSubscription and WebhookDelivery models are required');
+    }
+
+    this.WebhookSubscription = config.model;
+    this.WebhookDelivery = config.deliveryModel;
+  }
+
+  async checkConnection() {
+    try {
+      await this.WebhookSubscription.findOne({ attributes: ['id'], limit: 1 });
+      await this.WebhookDelivery.findOne({ attributes: ['id'], limit: 1 });
+      return true;
+    } catch (error) {
+      throw createRepositoryError(error, 'checkConnection');
+    }
+  }
+
+  async create(data) {
+    try {
+      const subscription = await this.WebhookSubscription.create(validateSubscriptionData(data));
+      return subscription.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'create');
+    }
+  }
+
+  async findById(id) {
+    try {
+      return await this.WebhookSubscription.findByPk(id, { raw: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'findById');
+    }
+  }
+
+  async findAll(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+
+      return await this.WebhookSubscription.findAll({
+        where: this._buildWhere(criteria),
+        order: [['id', 'ASC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findAll');
+    }
+  }
+
+  async count(criteria = {}) {
+    try {
+      return await this.WebhookSubscription.count({ where: this._buildWhere(criteria) });
+    } catch (error) {
+      throw createRepositoryError(error, 'count');
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const existing = await this.WebhookSubscription.findByPk(id);
+      if (!existing) return null;
+
+      const subscription = validateSubscriptionData({ ...pickWritableFields(existing.get({ plain: true })), ...data });
+      await existing.update(subscription);
+      return existing.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'update');
+    }
+  }
+
+  async delete(id) {
+    try {
+      // webhook_deliveries rows go with the subscription (ON DELETE CASCADE)
+      const count = await this.WebhookSubscription.destroy({ where: { id } });
+      return count > 0;
+    } catch (error) {
+      throw createRepositoryError(error, 'delete');
+    }
+  }
+
+  async findSubscribers(eventType) {
+    try {
+      return await this.WebhookSubscription.findAll({
+        where: this._buildWhere({ event: eventType, enabled: true }),
+        order: [['id', 'ASC']],
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findSubscribers');
+    }
+  }
+
+  async createDelivery(data) {
+    try {
+      const delivery = await this.WebhookDelivery.create(validateDeliveryData(data));
+      return delivery.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'createDelivery');
+    }
+  }
+
+  async updateDelivery(id, data) {
+    try {
+      const existing = await this.WebhookDelivery.findByPk(id);
+      if (!existing) return null;
+
+      await existing.update(validateDeliveryUpdate(data));
+      return existing.get({ plain: true });
+    } catch (error) {
+      throw createRepositoryError(error, 'updateDelivery');
+    }
+  }
+
+  async findDueDeliveries(now = new Date(), limit = 100) {
+    try {
+      const { QueryTypes } = this.WebhookDelivery.sequelize.Sequelize;
+
+      return await this.WebhookDelivery.sequelize.query(FIND_DUE_DELIVERIES_SQL, {
+        bind: [now, parseInt(limit, 10)],
+        type: QueryTypes.SELECT
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findDueDeliveries');
+    }
+  }
+
+  async findDeliveries(criteria = {}, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+
+      return await this.WebhookDelivery.findAll({
+        where: this._buildDeliveryWhere(criteria),
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        raw: true
+      });
+    } catch (error) {
+      throw createRepositoryError(error, 'findDeliveries');
+    }
+  }
+
+  async countDeliveries(criteria = {}) {
+    try {
+      return await this.WebhookDelivery.count({ where: this._buildDeliveryWhere(criteria) });
+    } catch (error) {
+      throw createRepositoryError(error, 'countDeliveries');
+    }
+  }
+
+  /**
+   * Translate subscription criteria into a Sequelize where clause
+   * @private
+   */
+  _buildWhere({ event, enabled } = {}) {
+    const { Op } = this.WebhookSubscription.sequelize.Sequelize;
+    const where = {};
+
+    if (event) where.events = { [Op.contains]: [event] };
+    if (enabled !== undefined) where.enabled = enabled;
+
+    return where;
+  }
+
+  /**
+   * Translate delivery criteria into a Sequelize where clause
+   * @private
+   */
+  _buildDeliveryWhere({ subscriptionId, eventType, status, from, to } = {}) {
+    const { Op } = this.WebhookDelivery.sequelize.Sequelize;
+    const where = {};
+
+    if (subscriptionId) where.subscriptionId = subscriptionId;
+    if (eventType) where.eventType = eventType;
+    if (status) where.status = status;
+    if (from || to) {
+      where.createdAt = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to })
+      };
+    }
+
+    return where;
+  }
+}
+
+export default SequelizeWebhookRepository;
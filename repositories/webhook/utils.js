@@ -0,0 +1,171 @@
+/**
+ * Shared helpers for webhook repository implementations
+ */
+
+/**
+ * Event types a subscription can ask for
+ */
+export const WEBHOOK_EVENTS = ['weather.saved', 'news.saved', 'job.failed'];
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Fields that can be written through create/update
+ */
+export const WRITABLE_FIELDS = ['url', 'events', 'secret', 'description', 'enabled'];
+
+/**
+ * Fields updateDelivery may change
+ */
+export const DELIVERY_UPDATE_FIELDS = ['status', 'attempts', 'responseStatus', 'error', 'nextAttemptAt', 'deliveredAt'];
+
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Pending deliveries that are due, with what is needed to send them.
+ * Deliveries of disabled subscriptions stay pending until the subscription is enabled again.
+ * Placeholders: $1 time of the run, $2 maximum rows
+ */
+export const FIND_DUE_DELIVERIES_SQL = `
+  SELECT d.*, s."url", s."secret"
+  FROM webhook_deliveries d
+  JOIN webhook_subscriptions s ON s.id = d."subscriptionId"
+  WHERE d."status" = 'pending'
+    AND d."nextAttemptAt" <= $1
+    AND s."enabled" = TRUE
+  ORDER BY d."nextAttemptAt" ASC
+  LIMIT $2
+`;
+
+/**
+ * Create a standardized error object for repository operations
+ * @param {Error} error - Original error
+ * @param {string} operation - Repository operation that failed
+ * @returns {Error} Standardized error object
+ */
+export function createRepositoryError(error, operation) {
+  const repositoryError = new Error(`Webhook repository ${operation} operation failed: ${error.message}`);
+
+  repositoryError.originalError = error;
+  repositoryError.operation = operation;
+  repositoryError.isRepositoryError = true;
+  repositoryError.isValidationError = Boolean(error.isValidationError);
+
+  return repositoryError;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Validate and normalize a complete subscription
+ * Updates validate the existing subscription merged with the changes
+ * @param {Object} data - Subscription fields
+ * @returns {Object} Normalized writable fields
+ * @throws {Error} If validation fails (error.isValidationError is set)
+ */
+export function validateSubscriptionData(data) {
+  if (!data || typeof data !== 'object') {
+    throw validationError('Webhook subscription data must be an object');
+  }
+
+  const unknown = Object.keys(data).filter(key => !WRITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw validationError(`Unknown webhook subscription fields: ${unknown.join(', ')}`);
+  }
+
+  let url;
+  try {
+    url = new URL(data.url);
+  } catch {
+    throw validationError('url must be a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || data.url.length > 2048) {
+    throw validationError('url must be an http(s) URL of at most 2048 characters');
+  }
+
+  if (!Array.isArray(data.events) || data.events.length === 0
+    || data.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw validationError(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  if (typeof data.secret !== 'string' || data.secret.length < MIN_SECRET_LENGTH || data.secret.length > 255) {
+    throw validationError(`secret must be a string of ${MIN_SECRET_LENGTH} to 255 characters`);
+  }
+
+  const description = data.description ?? null;
+  if (description !== null && (typeof description !== 'string' || description.length > 255)) {
+    throw validationError('description must be a string of at most 255 characters or null');
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    throw validationError('enabled must be a boolean');
+  }
+
+  return {
+    url: data.url,
+    events: [...new Set(data.events)],
+    secret: data.secret,
+    description,
+    enabled: data.enabled ?? true
+  };
+}
+
+/**
+ * Writable fields of a stored subscription, to merge an update onto
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object}
+ */
+export function pickWritableFields(subscription) {
+  return Object.fromEntries(WRITABLE_FIELDS.map(field => [field, subscription[field]]));
+}
+
+/**
+ * Validate a new delivery
+ * @param {Object} data - { subscriptionId, eventId, eventType, payload, nextAttemptAt }
+ * @returns {Object} Normalized delivery
+ * @throws {Error} If validation fails (error.isValidationError is set)
+ */
+export function validateDeliveryData(data) {
+  const required = ['subscriptionId', 'eventId', 'eventType', 'payload'];
+  const missing = required.filter(field => data?.[field] === undefined || data[field] === null);
+  if (missing.length > 0) {
+    throw validationError(`Missing required webhook delivery fields: ${missing.join(', ')}`);
+  }
+
+  if (!WEBHOOK_EVENTS.includes(data.eventType)) {
+    throw validationError(`eventType must be one of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  return {
+    subscriptionId: data.subscriptionId,
+    eventId: data.eventId,
+    eventType: data.eventType,
+    payload: data.payload,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: data.nextAttemptAt ?? new Date()
+  };
+}
+
+/**
+ * Validate the outcome of a delivery attempt
+ * @param {Object} data - Fields from DELIVERY_UPDATE_FIELDS
+ * @returns {Object} Fields to write
+ * @throws {Error} If validation fails (error.isValidationError is set)
+ */
+export function validateDeliveryUpdate(data) {
+  const unknown = Object.keys(data || {}).filter(key => !DELIVERY_UPDATE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw validationError(`Unknown webhook delivery fields: ${unknown.join(', ')}`);
+  }
+
+  if (data.status !== undefined && !DELIVERY_STATUSES.includes(data.status)) {
+    throw validationError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+
+  return { ...data };
+}
@@ -1,5 +1,17 @@
 import { Router } from 'express';
 import { AggregationController } from '../controllers/aggregation.controller.js';
+import { WeatherController } from '../controllers/weather.controller.js';
+import { NewsController } from '../controllers/news.controller.js';
+import { ForecastController } from '../controllers/forecast.controller.js';
+import { QuotaController } from '../controllers/quota.controller.js';
+import { JobController } from '../controllers/jobs.controller.js';
+import { TargetController } from '../controllers/targets.controller.js';
+import { ApiKeyController } from '../controllers/apiKeys.controller.js';
+import { AlertController } from '../controllers/alerts.controller.js';
+import { WebhookController } from '../controllers/webhooks.controller.js';
+import { StreamController } from '../controllers/stream.controller.js';
+import { requireRole, requireReadAccess, Role } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import { parseQuery } from '../middleware/queryParser.js';
 
 const router = Router();
@@ -22,6 +34,62 @@ router.get('/', (req, res) => {
 });
 
 // Aggregated data route
-router.get('/aggregated-data', AggregationController.getAggregatedData);
+router.get('/aggregated-data', requireReadAccess, rateLimit('aggregated-data'), AggregationController.getAggregatedData);
+
+// Stored weather records; the fixed paths come before /weather/:id
+router.get('/weather', requireReadAccess, WeatherController.getWeather);
+router.get('/weather/latest', requireReadAccess, WeatherController.getLatestWeather);
+router.get('/weather/consensus', requireReadAccess, WeatherController.getWeatherConsensus);
+router.get('/weather/stats/:city', requireReadAccess, WeatherController.getWeatherStats);
+router.get('/weather/history/:city', requireReadAccess, WeatherController.getWeatherHistory);
+router.get('/weather/:id', requireReadAccess, WeatherController.getWeatherRecord);
+
+// Stored news articles; editing is admin-only
+router.get('/news', requireReadAccess, NewsController.getNews);
+router.get('/news/search', requireReadAccess, NewsController.searchNews);
+router.get('/news/:id', requireReadAccess, NewsController.getArticle);
+router.put('/news/:id', requireRole(Role.ADMIN), NewsController.updateArticle);
+router.delete('/news/:id', requireRole(Role.ADMIN), NewsController.deleteArticle);
+
+// Server-sent events of newly saved weather readings and news articles
+router.get('/stream', requireReadAccess, StreamController.stream);
+
+// Latest forecast horizon per city
+router.get('/forecast', requireReadAccess, ForecastController.getForecast);
+
+// Outbound provider quota usage
+router.get('/admin/quotas', requireRole(Role.OPERATOR), QuotaController.getQuotas);
+
+// Collector worker run history
+router.get('/admin/jobs', requireRole(Role.OPERATOR), JobController.getJobs);
+router.get('/admin/jobs/:id', requireRole(Role.OPERATOR), JobController.getJob);
+
+// Cities and news topics the collector worker fetches
+router.get('/admin/targets', requireRole(Role.OPERATOR), TargetController.getTargets);
+router.post('/admin/targets', requireRole(Role.OPERATOR), TargetController.createTarget);
+router.get('/admin/targets/:id', requireRole(Role.OPERATOR), TargetController.getTarget);
+router.put('/admin/targets/:id', requireRole(Role.OPERATOR), TargetController.updateTarget);
+router.delete('/admin/targets/:id', requireRole(Role.OPERATOR), TargetController.deleteTarget);
+
+// Weather alert rules evaluated by the collector worker, and the alerts they fired
+router.get('/admin/alerts', requireRole(Role.OPERATOR), AlertController.getRules);
+router.post('/admin/alerts', requireRole(Role.OPERATOR), AlertController.createRule);
+router.get('/admin/alerts/events', requireRole(Role.OPERATOR), AlertController.getEvents);
+router.get('/admin/alerts/:id', requireRole(Role.OPERATOR), AlertController.getRule);
+router.put('/admin/alerts/:id', requireRole(Role.OPERATOR), AlertController.updateRule);
+router.delete('/admin/alerts/:id', requireRole(Role.OPERATOR), AlertController.deleteRule);
+
+// Outbound webhook subscriptions and their delivery log
+router.get('/admin/webhooks', requireRole(Role.OPERATOR), WebhookController.getSubscriptions);
+router.post('/admin/webhooks', requireRole(Role.OPERATOR), WebhookController.createSubscription);
+router.get('/admin/webhooks/deliveries', requireRole(Role.OPERATOR), WebhookController.getDeliveries);
+router.get('/admin/webhooks/:id', requireRole(Role.OPERATOR), WebhookController.getSubscription);
+router.put('/admin/webhooks/:id', requireRole(Role.OPERATOR), WebhookController.updateSubscription);
+router.delete('/admin/webhooks/:id', requireRole(Role.OPERATOR), WebhookController.deleteSubscription);
+
+// API key management
+router.get('/admin/keys', requireRole(Role.ADMIN), ApiKeyController.getKeys);
+router.post('/admin/keys', requireRole(Role.ADMIN), ApiKeyController.createKey);
+router.delete('/admin/keys/:id', requireRole(Role.ADMIN), ApiKeyController.revokeKey);
 
 export default router;
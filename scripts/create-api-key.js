@@ -0,0 +1,36 @@
+// scripts/create-api-key.js
+// Create an API key from the command line, e.g. the first admin key:
+//   npm run api-key:create -- --name "ops" --role admin [--expires 2027-01-01]
+import { parseArgs } from 'util';
+import database from '../config/database.js';
+import { ApiKeyService } from '../services/auth/apiKey.service.js';
+import { Migrator, createSequelizeExecutor } from '../db/migrator.js';
+
+const { values } = parseArgs({
+  options: {
+    name: { type: 'string' },
+    role: { type: 'string', default: 'reader' },
+    expires: { type: 'string' }
+  }
+});
+
+try {
+  await database.sequelize.authenticate();
+  await new Migrator({ executor: createSequelizeExecutor(database.sequelize) }).assertUpToDate();
+
+  const apiKeyService = new ApiKeyService();
+  const created = await apiKeyService.createKey({
+    name: values.name,
+    role: values.role,
+    expiresAt: values.expires
+  });
+
+  console.log(`Created ${created.role} key "${created.name}" (id ${created.id})`);
+  console.log('Store it now, it cannot be shown again:');
+  console.log(created.key);
+} catch (error) {
+  console.error(`Failed to create API key: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await database.sequelize.close();
+}
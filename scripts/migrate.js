@@ -0,0 +1,68 @@
+// scripts/migrate.js
+// Apply, roll back or list schema migrations (db/migrations):
+//   npm run migrate [-- --to 012_add_news_search_vector]
+//   npm run migrate:down [-- --steps 2]
+//   npm run migrate:status
+// Add --neon to go through the Neon serverless driver the Worker uses
+// (DATABASE_URL, or the Worker's DB_USER/DB_PASSWORD/DB_HOST/DB_NAME).
+import { parseArgs } from 'util';
+import database from '../config/database.js';
+import { Migrator, createSequelizeExecutor, createNeonExecutor } from '../db/migrator.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    to: { type: 'string' },
+    steps: { type: 'string', default: '1' },
+    neon: { type: 'boolean', default: false }
+  }
+});
+
+const command = positionals[0] || 'up';
+
+async function createExecutor() {
+  if (!values.neon) {
+    await database.sequelize.authenticate();
+    return createSequelizeExecutor(database.sequelize);
+  }
+
+  const { neon } = await import('@neondatabase/serverless');
+  const { DATABASE_URL, DB_USER, DB_PASSWORD, DB_HOST, DB_NAME } = process.env;
+  const connectionString = DATABASE_URL
+    || `postgres://${DB_USER}:${DB_PASSWORD}@${DB_HOST}/${DB_NAME}?sslmode=require`;
+  return createNeonExecutor(neon(connectionString));
+}
+
+try {
+  const migrator = new Migrator({ executor: await createExecutor() });
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.up({ to: values.to });
+      console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'No pending migrations');
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(values.steps, 10);
+      if (!(steps > 0)) {
+        throw new Error('--steps must be a positive number');
+      }
+      const reverted = await migrator.down({ steps });
+      console.log(reverted.length > 0 ? `Rolled back: ${reverted.join(', ')}` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      for (const { id, applied, unknown } of await migrator.status()) {
+        console.log(`${applied ? '[x]' : '[ ]'} ${id}${unknown ? ' (not in db/migrations)' : ''}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status`);
+  }
+} catch (error) {
+  console.error(`Migration ${command} failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await database.sequelize.close();
+}
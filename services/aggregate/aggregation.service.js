@@ -2,7 +2,7 @@ import { Op } from "sequelize";
 import { createNewsRepository } from '../../repositories/news/index.js';
 import { createWeatherRepository, RepositoryType } from '../../repositories/weather/index.js';
 import { Weather, News } from '../../models/index.js';
-import { buildQueryOptions } from "../../middleware/queryBuilder.js";
+import { buildWhereClause, isLookupParam, parseFieldLookup } from "../../middleware/queryBuilder.js";
 import { getPaginatedData } from "../../utils/pagination.js";
 import { 
   weatherFilters, 
@@ -12,6 +12,116 @@ import {
   processNewsFilters
 } from "../../middleware/schemas/index.js";
 
+// Sections of the aggregated response, selectable with `include=news,weather`
+const SECTIONS = ['news', 'weather'];
+
+// Pagination parameters a section can override with `news.limit=5` or `weather[sort]=-temperature`
+const SECTION_PARAMS = ['page', 'limit', 'offset', 'sort', 'pagination', 'cursor', 'count'];
+
+const DEFAULT_NEWS_ORDER = [['publishedAt', 'DESC']];
+const DEFAULT_WEATHER_ORDER = [['timestamp', 'DESC']];
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parse `include=news,weather` into the requested sections
+ * @private
+ */
+function parseInclude(include) {
+  if (include === undefined || include === '') return SECTIONS;
+
+  const sections = String(include).split(',').map(section => section.trim()).filter(Boolean);
+  const unknown = sections.filter(section => !SECTIONS.includes(section));
+  if (unknown.length > 0 || sections.length === 0) {
+    throw httpError(`Invalid include "${include}". Expected a comma-separated list of: ${SECTIONS.join(', ')}`, 400);
+  }
+  return SECTIONS.filter(section => sections.includes(section));
+}
+
+/**
+ * Pagination parameters of one section: its namespaced values, falling back to the shared ones
+ * Accepts both `news.page=2` and the bracket form `news[page]=2`
+ * @private
+ */
+function getSectionParams(query, section) {
+  const nested = query[section] !== null && typeof query[section] === 'object' ? query[section] : {};
+  const params = {};
+
+  for (const name of SECTION_PARAMS) {
+    const value = query[`${section}.${name}`] ?? nested[name] ?? query[name];
+    if (value !== undefined) params[name] = value;
+  }
+  return params;
+}
+
+/**
+ * Lookup parameters (`field__lookup`) that apply to one section: its own (`news.title__icontains`
+ * or `news[title__icontains]`) plus the shared ones on a column its model has
+ * @private
+ */
+function getSectionLookups(query, section, model) {
+  const columns = Object.keys(model.getAttributes());
+  const nested = query[section] !== null && typeof query[section] === 'object' ? query[section] : {};
+  const lookups = {};
+
+  for (const [param, value] of Object.entries(query)) {
+    if (isLookupParam(param) && !param.includes('.') && columns.includes(parseFieldLookup(param).field)) {
+      lookups[param] = value;
+    }
+  }
+  for (const [param, value] of Object.entries(nested)) {
+    if (isLookupParam(param)) lookups[param] = value;
+  }
+  for (const [param, value] of Object.entries(query)) {
+    if (param.startsWith(`${section}.`) && isLookupParam(param)) {
+      lookups[param.slice(section.length + 1)] = value;
+    }
+  }
+  return lookups;
+}
+
+/**
+ * Reject shared lookups on a field that none of the requested sections has
+ * @private
+ */
+function assertSharedLookupsApply(query, sections) {
+  const models = { news: News, weather: Weather };
+
+  for (const param of Object.keys(query)) {
+    if (!isLookupParam(param) || param.includes('.')) continue;
+
+    const { field } = parseFieldLookup(param);
+    if (!sections.some(section => Object.keys(models[section].getAttributes()).includes(field))) {
+      throw httpError(`Unknown field "${field}" in ${param}. Prefix it with a section (news.${param}) or use a column of: ${sections.join(', ')}`, 400);
+    }
+  }
+}
+
+/**
+ * Parse `sort=field,-field` into a Sequelize order array, allowing only the model's columns
+ * @private
+ */
+function parseSort(sort, model, section, defaultOrder) {
+  if (!sort) return defaultOrder;
+
+  const columns = Object.keys(model.getAttributes());
+  return String(sort).split(',').map(part => {
+    const field = part.trim().replace(/^-/, '');
+    if (!columns.includes(field)) {
+      throw httpError(`Cannot sort ${section} by "${field}". Sortable fields: ${columns.join(', ')}`, 400);
+    }
+    return [field, part.trim().startsWith('-') ? 'DESC' : 'ASC'];
+  });
+}
+
 /**
  * Service for aggregating data from different sources
  */
@@ -64,49 +174,77 @@ export class AggregationService {
 
   /**
    * Get aggregated data with pagination
-   * @param {Object} query - Query parameters including pagination and filters
-   * @returns {Promise<Object>} Aggregated data with pagination metadata
+   * Each section is paginated and sorted on its own: `news.page`, `weather.limit`, `news.sort`
+   * and so on override the shared `page`, `limit` and `sort` for that section only.
+   * @param {Object} query - Query parameters including include, pagination and filters
+   * @returns {Promise<Object>} The included sections with pagination metadata
    */
   async getAggregatedData(query = {}) {
+    // Invalid parameters are the caller's mistake, not a reason to return empty sections
+    const sections = parseInclude(query.include);
+    const sectionParams = {
+      news: getSectionParams(query, 'news'),
+      weather: getSectionParams(query, 'weather')
+    };
+    const order = {
+      news: parseSort(sectionParams.news.sort, News, 'news', DEFAULT_NEWS_ORDER),
+      weather: parseSort(sectionParams.weather.sort, Weather, 'weather', DEFAULT_WEATHER_ORDER)
+    };
+
+    // field__lookup filters (middleware/queryBuilder.js), validated against each section's model
+    assertSharedLookupsApply(query, sections);
+    const lookups = {
+      news: sections.includes('news') ? buildWhereClause(getSectionLookups(query, 'news', News), News) : {},
+      weather: sections.includes('weather') ? buildWhereClause(getSectionLookups(query, 'weather', Weather), Weather) : {}
+    };
+
     try {
       // Ensure repositories are initialized
       await this.ensureInitialized();
 
       // Extract filter parameters using schemas (exclude pagination params)
-      const { page, limit, offset, sort, ...filterParams } = query;
+      const { page, limit, offset, sort, include, includeDuplicates, ...filterParams } = query;
       
       // Process schema-based filters
       const weatherFilterParams = processFilters(filterParams, weatherFilters);
       const newsFilterParams = processFilters(filterParams, newsFilters);
       
       // Process special filter cases (like date ranges)
-      const processedWeatherFilters = processWeatherFilters(weatherFilterParams);
-      const processedNewsFilters = processNewsFilters(newsFilterParams);
+      const processedWeatherFilters = { ...processWeatherFilters(weatherFilterParams), ...lookups.weather };
+      const processedNewsFilters = { ...processNewsFilters(newsFilterParams), ...lookups.news };
       
       console.log('Processing request with filters:', {
         weather: processedWeatherFilters,
         news: processedNewsFilters,
-        pagination: { page, limit, offset, sort }
+        sections,
+        pagination: sectionParams
       });
 
-      // Fetch paginated weather and news data in parallel
-      // Using existing pagination utilities
-      const [weather, news] = await Promise.all([
-        this.getPaginatedWeather(processedWeatherFilters, query), // Pass original query for pagination
-        this.getPaginatedNews(processedNewsFilters, query) // Pass original query for pagination
+      // Fetch the included sections in parallel, each with its own pagination
+      const [news, weather] = await Promise.all([
+        sections.includes('news')
+          ? this.getPaginatedNews(processedNewsFilters, sectionParams.news, {
+            collapseDuplicates: includeDuplicates !== 'true',
+            order: order.news
+          })
+          : null,
+        sections.includes('weather')
+          ? this.getPaginatedWeather(processedWeatherFilters, sectionParams.weather, { order: order.weather })
+          : null
       ]);
 
       return {
-        news,
-        weather,
+        ...(news && { news }),
+        ...(weather && { weather }),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      if (error.statusCode) throw error;
+
       console.error('Error in AggregationService.getAggregatedData:', error);
       // Return empty data structure on error
       return {
-        news: { items: [], pagination: {} },
-        weather: { items: [], pagination: {} },
+        ...Object.fromEntries(sections.map(section => [section, { items: [], pagination: {} }])),
         timestamp: new Date().toISOString(),
         error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to fetch data'
       };
@@ -117,22 +255,34 @@ export class AggregationService {
    * Get paginated news data
    * @param {Object} filters - Filter criteria
    * @param {Object} paginationParams - Pagination parameters (page, limit)
+   * @param {Object} [options] - Listing options
+   * @param {boolean} [options.collapseDuplicates=true] - Return one representative per story cluster
+   * @param {Array} [options.order] - Sequelize order, newest first by default
    * @returns {Promise<Object>} News data with pagination metadata
    */
-  async getPaginatedNews(filters = {}, paginationParams = {}) {
+  async getPaginatedNews(filters = {}, paginationParams = {}, { collapseDuplicates = true, order = DEFAULT_NEWS_ORDER } = {}) {
     try {
       await this.ensureInitialized();
       
+      // Representatives are the articles without a clusterId
+      const criteria = collapseDuplicates ? { ...filters, clusterId: null } : filters;
+
       // Use the pagination utility to get paginated data
       const result = await getPaginatedData(
         this.newsRepository,
-        filters, // Filter criteria
-        { order: [['publishedAt', 'DESC']] }, // Options
+        criteria, // Filter criteria
+        { order, keyset: true }, // Options
         paginationParams // Pagination parameters
       );
+
+      const duplicateCounts = collapseDuplicates
+        ? await this.newsRepository.countClusterMembers(result.items.map(article => article.id))
+        : {};
       
       // Transform the data as needed
       const transformedItems = result.items.map(article => ({
+        clusterId: article.clusterId || article.id,
+        duplicateCount: duplicateCounts[article.id] || 0,
         title: article.title || '',
         description: article.description || '',
         url: article.url || '',
@@ -147,6 +297,7 @@ export class AggregationService {
         pagination: result.pagination
       };
     } catch (error) {
+      if (error.statusCode) throw error;
       console.error('Error fetching paginated news:', error);
       return { items: [], pagination: {} };
     }
@@ -156,21 +307,19 @@ export class AggregationService {
    * Get paginated weather data
    * @param {Object} filters - Filter criteria
    * @param {Object} paginationParams - Pagination parameters
+   * @param {Object} [options] - Listing options
+   * @param {Array} [options.order] - Sequelize order, newest first by default
    * @returns {Promise<Object>} Weather data with pagination metadata
    */
-  async getPaginatedWeather(filters = {}, paginationParams = {}) {
+  async getPaginatedWeather(filters = {}, paginationParams = {}, { order = DEFAULT_WEATHER_ORDER } = {}) {
     try {
       await this.ensureInitialized();
       
-      // Convert query parameters to Sequelize criteria using existing utility
-      const queryOptions = buildQueryOptions(filters, Weather);
-      const criteria = queryOptions.where || {};
-      
       // Use the pagination utility to get paginated data
       const result = await getPaginatedData(
         this.weatherRepository,
-        criteria,
-        { order: [['timestamp', 'DESC']] },
+        filters,
+        { order, keyset: true },
         paginationParams
       );
       
@@ -187,6 +336,7 @@ export class AggregationService {
         pagination: result.pagination
       };
     } catch (error) {
+      if (error.statusCode) throw error;
       console.error('Error fetching paginated weather:', error);
       return { items: [], pagination: {} };
     }
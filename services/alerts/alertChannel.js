@@ -0,0 +1,25 @@
+/**
+ * Interface for the ways AlertEngine delivers a fired alert
+ *
+ * A rule names its channel ('webhook' or 'email') and a destination in that channel's
+ * terms; the engine looks the channel up by name, so new ones plug in without engine changes.
+ */
+class AlertChannel {
+    constructor() {
+        if (this.constructor === AlertChannel) {
+            throw new Error('AlertChannel cannot be instantiated directly');
+        }
+    }
+
+    /**
+     * Deliver an alert
+     * @param {Object} alert - { rule, reading, value, message, triggeredAt }
+     * @returns {Promise<void>}
+     * @throws {Error} If delivery fails; the engine logs the event as failed
+     */
+    async send(alert) {
+        throw new Error('Method send() must be implemented');
+    }
+}
+
+export { AlertChannel };
@@ -0,0 +1,179 @@
+import { canonicalCondition } from '../weather/consensus.js';
+
+/**
+ * Whether two conditions are the same condition group, so a rule for "Thunderstorm"
+ * also matches AccuWeather's "Thunderstorms" or "T-Storms"
+ * @private
+ */
+function sameCondition(value, expected) {
+    return canonicalCondition(value).toLowerCase() === canonicalCondition(expected).toLowerCase();
+}
+
+/**
+ * Comparison behind each rule operator
+ */
+const OPERATORS = {
+    gt: (value, expected) => value > expected,
+    gte: (value, expected) => value >= expected,
+    lt: (value, expected) => value < expected,
+    lte: (value, expected) => value <= expected,
+    eq: (value, expected) => sameCondition(value, expected),
+    neq: (value, expected) => !sameCondition(value, expected)
+};
+
+const OPERATOR_LABELS = { gt: '>', gte: '>=', lt: '<', lte: '<=', eq: 'is', neq: 'is not' };
+
+/**
+ * The value a rule compares against: its condition for conditionMain, otherwise its threshold
+ * @param {Object} rule - Alert rule
+ * @returns {number|string}
+ */
+function expectedValue(rule) {
+    return rule.metric === 'conditionMain' ? rule.condition : Number(rule.threshold);
+}
+
+/**
+ * Whether a rule watches a reading's city; rules without a city watch every city
+ * @param {Object} rule - Alert rule
+ * @param {Object} reading - { city, ... }
+ * @returns {boolean}
+ */
+export function appliesToReading(rule, reading) {
+    return !rule.city || rule.city.toLowerCase() === String(reading.city).toLowerCase();
+}
+
+/**
+ * Whether a reading crosses a rule
+ * @param {Object} rule - Alert rule
+ * @param {Object} reading - Weather reading
+ * @returns {boolean}
+ */
+export function matchesRule(rule, reading) {
+    const value = reading[rule.metric];
+    const compare = OPERATORS[rule.operator];
+    if (value === undefined || value === null || !compare) return false;
+
+    return compare(value, expectedValue(rule));
+}
+
+/**
+ * Whether a rule fired too recently to fire again
+ * @param {Object} rule - Alert rule with lastTriggeredAt and cooldownMinutes
+ * @param {Date} now - Time of the run
+ * @returns {boolean}
+ */
+export function isCoolingDown(rule, now) {
+    if (!rule.lastTriggeredAt) return false;
+
+    const cooldownEnds = new Date(rule.lastTriggeredAt).getTime() + rule.cooldownMinutes * 60 * 1000;
+    return now.getTime() < cooldownEnds;
+}
+
+/**
+ * One-line description of a fired alert, e.g. "Hanoi temperature 36.2 > 35"
+ * @param {Object} rule - Alert rule
+ * @param {Object} reading - Weather reading that crossed it
+ * @returns {string}
+ */
+export function describeAlert(rule, reading) {
+    return `${reading.city} ${rule.metric} ${reading[rule.metric]} ${OPERATOR_LABELS[rule.operator]} ${expectedValue(rule)}`;
+}
+
+/**
+ * Evaluates alert rules against the readings saved by a collector run
+ *
+ * Each rule fires at most once per run, for the first reading that crosses it, and then
+ * not again until its cooldown has passed. Only delivered alerts start the cooldown, so
+ * a failed delivery is retried on the next run that still crosses the rule.
+ * Every attempt is logged in alert_events.
+ */
+export class AlertEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Alert repository
+     * @param {Object<string, AlertChannel>} options.channels - Channels by name ('webhook', 'email')
+     */
+    constructor({ repository, channels = {} }) {
+        if (!repository) {
+            throw new Error('AlertEngine requires an alert repository');
+        }
+
+        this.repository = repository;
+        this.channels = channels;
+    }
+
+    /**
+     * Evaluate every enabled rule against a run's readings and deliver the alerts that fire
+     * @param {Array<Object>} readings - Saved readings ({ city, provider, recordId, temperature, ... })
+     * @param {Date} [now] - Time of the run
+     * @returns {Promise<Array<Object>>} One result per fired rule ({ type: 'alert', success, ... })
+     */
+    async evaluate(readings, now = new Date()) {
+        if (readings.length === 0) return [];
+
+        const rules = await this.repository.findEnabled();
+
+        const fired = rules
+            .filter(rule => !isCoolingDown(rule, now))
+            .map(rule => ({
+                rule,
+                reading: readings.find(reading => appliesToReading(rule, reading) && matchesRule(rule, reading))
+            }))
+            .filter(({ reading }) => reading);
+
+        return Promise.all(fired.map(({ rule, reading }) => this.fire(rule, reading, now)));
+    }
+
+    /**
+     * Deliver one alert, log it and start the rule's cooldown
+     * @private
+     */
+    async fire(rule, reading, now) {
+        const value = reading[rule.metric];
+        const message = describeAlert(rule, reading);
+        const channel = this.channels[rule.channel];
+
+        let error = null;
+        try {
+            if (!channel) {
+                throw new Error(`Alert channel "${rule.channel}" is not configured`);
+            }
+            await channel.send({ rule, reading, value, message, triggeredAt: now });
+        } catch (deliveryError) {
+            console.error(`Failed to deliver alert "${rule.name}" via ${rule.channel}:`, deliveryError);
+            error = deliveryError.message;
+        }
+
+        // Logging and cooldown are best effort: the alert has already gone out
+        try {
+            await this.repository.recordEvent({
+                ruleId: rule.id,
+                city: reading.city,
+                provider: reading.provider,
+                weatherId: reading.recordId,
+                metric: rule.metric,
+                value,
+                message,
+                channel: rule.channel,
+                status: error ? 'failed' : 'sent',
+                error,
+                triggeredAt: now
+            });
+            if (!error) {
+                await this.repository.markTriggered(rule.id, now);
+            }
+        } catch (logError) {
+            console.error(`Failed to record alert "${rule.name}":`, logError);
+        }
+
+        return {
+            type: 'alert',
+            success: !error,
+            ruleId: rule.id,
+            rule: rule.name,
+            city: reading.city,
+            message,
+            ...(error && { error })
+        };
+    }
+}
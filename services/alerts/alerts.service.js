@@ -0,0 +1,187 @@
+import { createAlertRepository, RepositoryType } from '../../repositories/alert/index.js';
+import { AlertRule, AlertEvent } from '../../models/index.js';
+import { getPaginatedData } from "../../utils/pagination.js";
+import { alertRuleFilters, alertEventFilters, processFilters } from "../../middleware/schemas/index.js";
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Map repository validation failures to 400 errors
+ * @private
+ */
+function toHttpError(error) {
+  if (error.isValidationError) {
+    return httpError(error.originalError?.message || error.message, 400);
+  }
+  return error;
+}
+
+/**
+ * Service for managing weather alert rules and reading the alerts they fired
+ * Rules are evaluated by the collector worker (services/alerts/alertEngine.js)
+ */
+export class AlertService {
+  constructor() {
+    // Initialize repository asynchronously
+    this.initialized = this.initializeRepository();
+  }
+
+  /**
+   * Initialize repository instance
+   * @private
+   */
+  async initializeRepository() {
+    try {
+      this.alertRepository = await createAlertRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: AlertRule,
+          eventModel: AlertEvent
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize alert repository:', error);
+      throw new Error(`Failed to initialize alert repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure repository is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.alertRepository) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * Validate a rule ID route parameter
+   * @private
+   */
+  _parseId(id) {
+    if (!/^\d+$/.test(String(id))) {
+      throw httpError('Invalid alert rule ID', 400);
+    }
+    return id;
+  }
+
+  /**
+   * List rules with pagination
+   * @param {Object} query - Query parameters including pagination and filters
+   * @returns {Promise<Object>} Rules with pagination metadata
+   */
+  async listRules(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, ...filterParams } = query;
+    const filters = processFilters(filterParams, alertRuleFilters);
+
+    return getPaginatedData(this.alertRepository, filters, {}, query);
+  }
+
+  /**
+   * Get a rule by ID
+   * @param {string|number} id - Rule ID
+   * @returns {Promise<Object>} Rule
+   */
+  async getRule(id) {
+    await this.ensureInitialized();
+
+    const rule = await this.alertRepository.findById(this._parseId(id));
+    if (!rule) {
+      throw httpError(`Alert rule ${id} not found`, 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} data - { name, city, metric, operator, threshold, condition, channel, destination, cooldownMinutes, enabled }
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(data) {
+    await this.ensureInitialized();
+
+    try {
+      return await this.alertRepository.create(data);
+    } catch (error) {
+      throw toHttpError(error);
+    }
+  }
+
+  /**
+   * Change some fields of a rule
+   * @param {string|number} id - Rule ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(id, data) {
+    await this.ensureInitialized();
+
+    let rule;
+    try {
+      rule = await this.alertRepository.update(this._parseId(id), data);
+    } catch (error) {
+      throw toHttpError(error);
+    }
+
+    if (!rule) {
+      throw httpError(`Alert rule ${id} not found`, 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Delete a rule and its logged alerts
+   * @param {string|number} id - Rule ID
+   * @returns {Promise<void>}
+   */
+  async deleteRule(id) {
+    await this.ensureInitialized();
+
+    const deleted = await this.alertRepository.delete(this._parseId(id));
+    if (!deleted) {
+      throw httpError(`Alert rule ${id} not found`, 404);
+    }
+  }
+
+  /**
+   * List fired alerts, newest first, with pagination
+   * @param {Object} query - Query parameters including pagination and filters
+   * @returns {Promise<Object>} Alert events with pagination metadata
+   */
+  async listEvents(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, ...filterParams } = query;
+    const { fromDate, toDate, ruleId, ...filters } = processFilters(filterParams, alertEventFilters);
+
+    if (ruleId !== undefined) this._parseId(ruleId);
+    for (const [key, value] of Object.entries({ fromDate, toDate })) {
+      if (value && isNaN(value.getTime())) {
+        throw httpError(`Invalid ${key}: expected an ISO date`, 400);
+      }
+    }
+
+    const events = {
+      findAll: (criteria, options) => this.alertRepository.findEvents(criteria, options),
+      count: (criteria) => this.alertRepository.countEvents(criteria)
+    };
+
+    return getPaginatedData(
+      events,
+      { ...filters, ruleId, from: fromDate, to: toDate },
+      {},
+      query
+    );
+  }
+}
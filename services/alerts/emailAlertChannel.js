@@ -0,0 +1,39 @@
+import { AlertChannel } from './alertChannel.js';
+
+/**
+ * Stand-in for an SMTP transport: writes each message to the log instead of sending it
+ * Workers cannot open SMTP connections; any object with a nodemailer-style
+ * sendMail({ from, to, subject, text }) can replace it.
+ */
+class ConsoleMailTransport {
+    async sendMail({ from, to, subject, text }) {
+        console.log(`Alert email from ${from} to ${to}: ${subject}\n${text}`);
+    }
+}
+
+/**
+ * Delivers alerts as a plain-text email to the rule's destination address
+ */
+class EmailAlertChannel extends AlertChannel {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.transport] - Object with sendMail({ from, to, subject, text })
+     * @param {string} [options.from] - Sender address
+     */
+    constructor({ transport = new ConsoleMailTransport(), from = 'alerts@localhost' } = {}) {
+        super();
+        this.transport = transport;
+        this.from = from;
+    }
+
+    async send({ rule, reading, message, triggeredAt }) {
+        await this.transport.sendMail({
+            from: this.from,
+            to: rule.destination,
+            subject: `[Weather alert] ${rule.name}: ${reading.city}`,
+            text: `${message}\n\nProvider: ${reading.provider || 'unknown'}\nTriggered at: ${triggeredAt.toISOString()}`
+        });
+    }
+}
+
+export { EmailAlertChannel, ConsoleMailTransport };
@@ -0,0 +1,4 @@
+export { AlertChannel } from './alertChannel.js';
+export { WebhookAlertChannel } from './webhookAlertChannel.js';
+export { EmailAlertChannel, ConsoleMailTransport } from './emailAlertChannel.js';
+export { AlertEngine, matchesRule, appliesToReading, isCoolingDown, describeAlert } from './alertEngine.js';
@@ -0,0 +1,54 @@
+import { AlertChannel } from './alertChannel.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Delivers alerts as a JSON POST to the rule's destination URL
+ * Any non-2xx response counts as a failed delivery.
+ */
+class WebhookAlertChannel extends AlertChannel {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=10000] - Abort requests that take longer
+     * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+     */
+    constructor({ timeoutMs = DEFAULT_TIMEOUT_MS, fetch = globalThis.fetch } = {}) {
+        super();
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetch;
+    }
+
+    async send({ rule, reading, value, message, triggeredAt }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const response = await this.fetch(rule.destination, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    rule: { id: rule.id, name: rule.name, metric: rule.metric, operator: rule.operator },
+                    city: reading.city,
+                    provider: reading.provider,
+                    value,
+                    message,
+                    triggeredAt: triggeredAt.toISOString()
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Webhook responded with ${response.status}`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Webhook timed out after ${this.timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+export { WebhookAlertChannel };
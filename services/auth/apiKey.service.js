@@ -0,0 +1,175 @@
+import { createApiKeyRepository, RepositoryType } from '../../repositories/apiKey/index.js';
+import { ApiKey } from '../../models/index.js';
+import { getPaginatedData } from '../../utils/pagination.js';
+import { MemoryCacheStore } from '../base/cache/index.js';
+import { generateApiKey, hashApiKey, getKeyPrefix } from './apiKeys.js';
+
+// lastUsedAt is informational; write it at most once a minute per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Resolved identities (and unknown keys) are reused this long, so requests don't each
+// query api_keys; a key revoked on another instance keeps working for at most this long
+const IDENTITY_CACHE_TTL_MS = 30 * 1000;
+// Bounded so requests with random keys cannot grow the cache without limit
+const IDENTITY_CACHE_MAX_ENTRIES = 1000;
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Service for verifying and managing API keys
+ */
+export class ApiKeyService {
+  constructor() {
+    this.lastTouched = new Map();
+    // Keyed by key hash; null marks a key that is unknown, revoked or expired
+    this.identityCache = new MemoryCacheStore({ maxEntries: IDENTITY_CACHE_MAX_ENTRIES });
+    // Initialize repository asynchronously
+    this.initialized = this.initializeRepository();
+  }
+
+  /**
+   * Initialize repository instance
+   * @private
+   */
+  async initializeRepository() {
+    try {
+      this.apiKeyRepository = await createApiKeyRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: ApiKey
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize API key repository:', error);
+      throw new Error(`Failed to initialize API key repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure repository is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.apiKeyRepository) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * Resolve a presented key to its identity
+   * @param {string} key - API key from the request
+   * @returns {Promise<Object|null>} { id, name, role } or null if unknown, revoked or expired
+   */
+  async authenticate(key) {
+    await this.ensureInitialized();
+
+    if (!key) return null;
+
+    const keyHash = hashApiKey(key);
+    const cached = await this.identityCache.get(keyHash);
+    if (cached !== undefined) {
+      if (cached) this._touch(cached.id);
+      return cached;
+    }
+
+    const stored = await this.apiKeyRepository.findByHash(keyHash);
+    const now = Date.now();
+    const expiresAt = stored && stored.expiresAt ? new Date(stored.expiresAt).getTime() : Infinity;
+
+    if (!stored || stored.revokedAt || expiresAt <= now) {
+      await this.identityCache.set(keyHash, null, IDENTITY_CACHE_TTL_MS);
+      return null;
+    }
+
+    const identity = { id: stored.id, name: stored.name, role: stored.role };
+    // Never serve a key from the cache past its expiry
+    await this.identityCache.set(keyHash, identity, Math.min(IDENTITY_CACHE_TTL_MS, expiresAt - now));
+    this._touch(stored.id);
+
+    return identity;
+  }
+
+  /**
+   * List keys with pagination (hashes are never returned)
+   * @param {Object} query - Query parameters ({ role, revoked, page, limit })
+   * @returns {Promise<Object>} Keys with pagination metadata
+   */
+  async listKeys(query = {}) {
+    await this.ensureInitialized();
+
+    const criteria = {};
+    if (query.role) criteria.role = query.role;
+    if (query.revoked !== undefined) criteria.revoked = query.revoked === 'true';
+
+    return getPaginatedData(this.apiKeyRepository, criteria, {}, query);
+  }
+
+  /**
+   * Create a key; the plaintext key is only ever returned here
+   * @param {Object} data - { name, role, expiresAt }
+   * @returns {Promise<Object>} Stored key plus the plaintext `key`
+   */
+  async createKey(data = {}) {
+    await this.ensureInitialized();
+
+    const key = generateApiKey();
+    try {
+      const stored = await this.apiKeyRepository.create({
+        name: data.name,
+        role: data.role,
+        expiresAt: data.expiresAt,
+        keyPrefix: getKeyPrefix(key),
+        keyHash: hashApiKey(key)
+      });
+      return { ...stored, key };
+    } catch (error) {
+      if (error.isValidationError) {
+        throw httpError(error.originalError.message, 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key
+   * @param {string|number} id - Key ID
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeKey(id) {
+    await this.ensureInitialized();
+
+    if (!/^\d+$/.test(String(id))) {
+      throw httpError('Invalid API key ID', 400);
+    }
+
+    const revoked = await this.apiKeyRepository.revoke(id);
+    if (!revoked) {
+      throw httpError(`API key ${id} not found`, 404);
+    }
+    // Entries are keyed by hash, not id, so drop them all to stop serving the key here
+    await this.identityCache.clear();
+    return revoked;
+  }
+
+  /**
+   * Record key usage without delaying the request
+   * @private
+   */
+  _touch(id) {
+    const now = Date.now();
+    if (now - (this.lastTouched.get(id) || 0) < TOUCH_INTERVAL_MS) return;
+
+    this.lastTouched.set(id, now);
+    this.apiKeyRepository.touch(id, new Date(now)).catch(error => {
+      console.warn(`Failed to record use of API key ${id}: ${error.message}`);
+    });
+  }
+}
@@ -0,0 +1,52 @@
+import { createHash, randomBytes } from 'crypto';
+
+/**
+ * Roles from least to most privileged; each role can do everything the ones before it can
+ */
+export const Role = Object.freeze({
+  READER: 'reader',
+  OPERATOR: 'operator',
+  ADMIN: 'admin'
+});
+
+const ROLE_ORDER = [Role.READER, Role.OPERATOR, Role.ADMIN];
+
+const KEY_PREFIX = 'amk_';
+
+/**
+ * Whether a role grants at least the required role
+ * @param {string} role - Role of the caller
+ * @param {string} required - Role the route requires
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+  const index = ROLE_ORDER.indexOf(role);
+  return index !== -1 && index >= ROLE_ORDER.indexOf(required);
+}
+
+/**
+ * Generate a new random API key
+ * @returns {string} Key in the form amk_<43 base64url characters>
+ */
+export function generateApiKey() {
+  return `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are 256 bits of randomness, so a fast unsalted hash is enough; there is nothing to brute-force
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * The part of a key that is safe to display
+ * @param {string} key - API key
+ * @returns {string}
+ */
+export function getKeyPrefix(key) {
+  return key.slice(0, KEY_PREFIX.length + 8);
+}
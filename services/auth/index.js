@@ -0,0 +1 @@
+export { Role, hasRole, generateApiKey, hashApiKey, getKeyPrefix } from './apiKeys.js';
@@ -1,10 +1,65 @@
+import { ApiError } from './apiError.js';
+import { MemoryCacheStore } from './cache/index.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const DEFAULT_RETRY_OPTIONS = {
+    retries: 2,          // Retries after the first attempt
+    baseDelayMs: 500,    // Backoff base, doubled on every retry
+    maxDelayMs: 10000    // Upper bound for a single wait; longer Retry-After values are not waited out
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Shared by every client that is not given its own cache store
+const defaultCacheStore = new MemoryCacheStore();
+
 class BaseApiClient {
+    /**
+     * @param {string} baseURL - Base URL of the upstream API
+     * @param {Object} [defaultOptions]
+     * @param {Object} [defaultOptions.params] - Query params sent with every request
+     * @param {string} [defaultOptions.provider] - Provider name reported on ApiError
+     * @param {number} [defaultOptions.timeout] - Per-attempt timeout in milliseconds
+     * @param {Object} [defaultOptions.retry] - { retries, baseDelayMs, maxDelayMs }
+     * @param {Object} [defaultOptions.cache] - GET response caching
+     * @param {CacheStore|null} [defaultOptions.cache.store] - Store to use; null disables caching
+     * @param {Array<Object>} [defaultOptions.cache.ttls] - [{ match: string prefix or RegExp, ttlMs }],
+     *   first match wins; endpoints without a match are not cached
+     * @param {Object} [defaultOptions.quotaManager] - QuotaManager consulted before every attempt
+     */
     constructor(baseURL, defaultOptions = {}) {
         this.baseURL = baseURL;
         this.defaultOptions = defaultOptions;
         
         // Store any default params from options
         this.defaultParams = defaultOptions.params || {};
+
+        this.provider = defaultOptions.provider || new URL(baseURL).hostname;
+        this.timeout = defaultOptions.timeout ?? DEFAULT_TIMEOUT_MS;
+        this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...(defaultOptions.retry || {}) };
+
+        const cacheOptions = defaultOptions.cache || {};
+        this.cacheStore = cacheOptions.store === undefined ? defaultCacheStore : cacheOptions.store;
+        this.cacheTtls = cacheOptions.ttls || [];
+        this.cacheStats = { hits: 0, misses: 0 };
+
+        this.quotaManager = defaultOptions.quotaManager || null;
+    }
+
+    /**
+     * Cache hit/miss counters for this client
+     * @returns {Object} { provider, hits, misses, hitRate }
+     */
+    getCacheStats() {
+        const { hits, misses } = this.cacheStats;
+        const total = hits + misses;
+        return {
+            provider: this.provider,
+            hits,
+            misses,
+            hitRate: total > 0 ? hits / total : null
+        };
     }
 
     // Helper to build URL with query parameters
@@ -34,50 +89,219 @@ class BaseApiClient {
         return url.toString();
     }
 
-    // Helper for making requests
+    // Helper for making requests, served from cache when the endpoint has a TTL
     async _makeRequest(endpoint, options = {}) {
-        try {
-            // Ensure we have a headers object
-            const headers = options.headers || {};
-            
-            // Add User-Agent header if not already present
-            if (!headers['User-Agent']) {
-                headers['User-Agent'] = 'am-coding-test/1.0 (CloudflareWorker)';
+        // Ensure we have a headers object
+        const headers = options.headers || {};
+        
+        // Add User-Agent header if not already present
+        if (!headers['User-Agent']) {
+            headers['User-Agent'] = 'am-coding-test/1.0 (CloudflareWorker)';
+        }
+        
+        // Update options with our headers
+        const updatedOptions = {
+            ...options,
+            headers
+        };
+        delete updatedOptions.params;
+        
+        const url = this._buildUrl(endpoint, options.params);
+        
+        const cacheKey = this._getCacheKey(endpoint, options);
+        if (!cacheKey) {
+            return this._fetchWithRetry(url, endpoint, updatedOptions);
+        }
+        
+        const cached = await this._readCache(cacheKey);
+        if (cached !== undefined) {
+            this.cacheStats.hits++;
+            return cached;
+        }
+        
+        this.cacheStats.misses++;
+        const data = await this._fetchWithRetry(url, endpoint, updatedOptions);
+        await this._writeCache(cacheKey, data, this._getCacheTtl(endpoint));
+        return data;
+    }
+
+    // Retry transient failures up to retryOptions.retries times, within the quota
+    async _fetchWithRetry(url, endpoint, options) {
+        const { retries } = this.retryOptions;
+        
+        for (let attempt = 0; ; attempt++) {
+            // Every attempt spends budget; QuotaExceededError is not retried here
+            if (this.quotaManager) {
+                await this.quotaManager.consume(this.provider, endpoint);
             }
             
-            // Update options with our headers
-            const updatedOptions = {
-                ...options,
-                headers
-            };
-            
-            const response = await fetch(
-                this._buildUrl(endpoint, options.params), 
-                updatedOptions
-            );
+            try {
+                return await this._attemptRequest(url, endpoint, options);
+            } catch (error) {
+                error.attempts = attempt + 1;
+                
+                if (!(error instanceof ApiError) || !error.isTransient || attempt >= retries) {
+                    throw error;
+                }
+                
+                // Don't hold the caller longer than maxDelayMs; let it decide when to come back
+                if (error.retryAfterMs !== null && error.retryAfterMs > this.retryOptions.maxDelayMs) {
+                    throw error;
+                }
+                
+                const delay = this._getRetryDelay(attempt, error.retryAfterMs);
+                console.warn(`${this.provider} ${endpoint} failed (${error.message}), retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // TTL configured for an endpoint, 0 when it should not be cached
+    _getCacheTtl(endpoint) {
+        const rule = this.cacheTtls.find(({ match }) =>
+            match instanceof RegExp ? match.test(endpoint) : endpoint.startsWith(match)
+        );
+        return rule ? rule.ttlMs : 0;
+    }
+
+    // Only cacheable GETs get a key; default params (API keys) are left out of it
+    // and values are lowercased so "Singapore" and "singapore" share an entry
+    _getCacheKey(endpoint, options) {
+        if (!this.cacheStore || (options.method || 'GET') !== 'GET' || this._getCacheTtl(endpoint) <= 0) {
+            return null;
+        }
+        
+        const params = options.params && options.params.params ? options.params.params : (options.params || {});
+        const query = Object.keys(params)
+            .filter(key => params[key] !== undefined && params[key] !== null)
+            .sort()
+            .map(key => `${key}=${String(params[key]).toLowerCase()}`)
+            .join('&');
+        
+        return `${this.provider}:${endpoint}?${query}`;
+    }
+
+    // Cache failures must never fail the request itself
+    async _readCache(key) {
+        try {
+            return await this.cacheStore.get(key);
+        } catch (error) {
+            console.warn(`Cache read failed for ${key}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    async _writeCache(key, value, ttlMs) {
+        try {
+            await this.cacheStore.set(key, value, ttlMs);
+        } catch (error) {
+            console.warn(`Cache write failed for ${key}: ${error.message}`);
+        }
+    }
+
+    // Single fetch bounded by the client timeout, which also covers reading the body
+    async _attemptRequest(url, endpoint, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        
+        try {
+            let response;
+            let text;
+            try {
+                response = await fetch(url, { ...options, signal: controller.signal });
+                if (response.ok) {
+                    text = await response.text();
+                }
+            } catch (error) {
+                const timedOut = error.name === 'AbortError';
+                throw new ApiError(
+                    timedOut
+                        ? `API Error: request timed out after ${this.timeout}ms`
+                        : 'No response received from the server',
+                    {
+                        status: null,
+                        provider: this.provider,
+                        endpoint,
+                        code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR',
+                        cause: error
+                    }
+                );
+            }
             
             // Check if response is ok
             if (!response.ok) {
-                let errorMessage = `API Error: ${response.status}`;
-                try {
-                    // Try to get error message from response body
-                    const errorData = await response.json();
-                    errorMessage += ` - ${errorData.message || ''}`;
-                } catch (e) {
-                    // If parsing fails, use statusText
-                    errorMessage += ` - ${response.statusText}`;
-                }
-                throw new Error(errorMessage);
+                const body = await this._readBody(response);
+                const detail = (body && typeof body === 'object' && body.message) ||
+                    response.statusText ||
+                    (typeof body === 'string' ? body.slice(0, 200) : '');
+                
+                throw new ApiError(`API Error: ${response.status} - ${detail || ''}`, {
+                    status: response.status,
+                    provider: this.provider,
+                    endpoint,
+                    body,
+                    retryAfterMs: this._parseRetryAfter(response.headers.get('Retry-After'))
+                });
             }
             
-            // Parse JSON response
-            return await response.json();
-        } catch (error) {
-            if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('No response received from the server');
+            // Parse the response body (JSON unless the caller asked for text, e.g. XML feeds)
+            if (options.responseType === 'text') {
+                return text;
+            }
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new ApiError('API Error: response body is not valid JSON', {
+                    status: response.status,
+                    provider: this.provider,
+                    endpoint,
+                    body: text.slice(0, 200),
+                    code: 'INVALID_RESPONSE',
+                    cause: error
+                });
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Read an error body as JSON, falling back to text
+    async _readBody(response) {
+        try {
+            const text = await response.text();
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return text || null;
             }
-            throw error;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    _parseRetryAfter(value) {
+        if (!value) return null;
+        
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
         }
+        
+        const date = new Date(value).getTime();
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Exponential backoff with full jitter, unless the server told us how long to wait
+    _getRetryDelay(attempt, retryAfterMs) {
+        const { baseDelayMs, maxDelayMs } = this.retryOptions;
+        
+        if (retryAfterMs !== null && retryAfterMs !== undefined) {
+            return retryAfterMs;
+        }
+        
+        const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+        return Math.round(Math.random() * ceiling);
     }
 
     async get(endpoint, params = {}) {
@@ -87,6 +311,22 @@ class BaseApiClient {
         });
     }
 
+    /**
+     * GET a non-JSON resource (XML, HTML, plain text) as a string
+     * @param {string} endpoint - Endpoint path
+     * @param {Object} [params] - Query params
+     * @param {Object} [headers] - Extra request headers
+     * @returns {Promise<string>} Response body
+     */
+    async getText(endpoint, params = {}, headers = {}) {
+        return this._makeRequest(endpoint, {
+            method: 'GET',
+            params,
+            headers: { ...headers },
+            responseType: 'text'
+        });
+    }
+
     async post(endpoint, data = {}, config = {}) {
         return this._makeRequest(endpoint, {
             method: 'POST',
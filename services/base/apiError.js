@@ -0,0 +1,84 @@
+/**
+ * Error raised by BaseApiClient for failed upstream requests
+ * Carries enough context for callers to tell transient failures from permanent ones
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} [details]
+     * @param {number|null} [details.status] - HTTP status, null when no response was received
+     * @param {string} [details.provider] - Upstream provider name
+     * @param {string} [details.endpoint] - Endpoint that was called
+     * @param {*} [details.body] - Parsed response body, if any
+     * @param {string} [details.code] - 'HTTP_ERROR', 'TIMEOUT', 'NETWORK_ERROR' or 'INVALID_RESPONSE'
+     * @param {number|null} [details.retryAfterMs] - Delay requested by the Retry-After header
+     * @param {number} [details.attempts] - Number of attempts made before giving up
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = details.status ?? null;
+        this.provider = details.provider || null;
+        this.endpoint = details.endpoint || null;
+        this.body = details.body ?? null;
+        this.code = details.code || 'HTTP_ERROR';
+        this.retryAfterMs = details.retryAfterMs ?? null;
+        this.attempts = details.attempts ?? 1;
+        this.cause = details.cause;
+    }
+
+    /**
+     * Whether retrying the same request later may succeed
+     * (timeouts, network failures, 429 and 5xx responses, and success responses with a
+     * garbled body, usually a truncated response or an error page from a proxy)
+     * @returns {boolean}
+     */
+    get isTransient() {
+        if (this.status === null || this.code === 'INVALID_RESPONSE') {
+            return true;
+        }
+        return this.status === 429 || this.status >= 500;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            status: this.status,
+            provider: this.provider,
+            endpoint: this.endpoint,
+            code: this.code,
+            transient: this.isTransient,
+            attempts: this.attempts
+        };
+    }
+}
+
+
+/**
+ * Raised before a request is sent when the provider's daily budget is used up
+ * Transient: the call can be deferred until retryAfterMs (the next UTC day)
+ */
+class QuotaExceededError extends ApiError {
+    /**
+     * @param {string} provider - Provider name
+     * @param {Object} [details]
+     * @param {string} [details.endpoint] - Endpoint that was about to be called
+     * @param {number|null} [details.budget] - Daily budget
+     * @param {number} [details.retryAfterMs] - Time until the budget resets
+     */
+    constructor(provider, details = {}) {
+        super(`Daily request budget exhausted for ${provider} (${details.budget} requests)`, {
+            status: null,
+            provider,
+            endpoint: details.endpoint,
+            code: 'QUOTA_EXCEEDED',
+            retryAfterMs: details.retryAfterMs
+        });
+        this.name = 'QuotaExceededError';
+        this.budget = details.budget ?? null;
+    }
+}
+
+export { ApiError, QuotaExceededError };
@@ -0,0 +1,44 @@
+/**
+ * Interface for response cache backends used by BaseApiClient
+ *
+ * Implementations store JSON-serializable values and must treat expired entries
+ * as missing. All methods are async so remote stores (KV, Postgres) fit the same contract.
+ */
+class CacheStore {
+    constructor() {
+        if (this.constructor === CacheStore) {
+            throw new Error('CacheStore cannot be instantiated directly');
+        }
+    }
+
+    /**
+     * Read a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} Cached value, or undefined when missing or expired
+     */
+    async get(key) {
+        throw new Error('Method get() must be implemented');
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {number} ttlMs - Time to live in milliseconds
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttlMs) {
+        throw new Error('Method set() must be implemented');
+    }
+
+    /**
+     * Remove a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        throw new Error('Method delete() must be implemented');
+    }
+}
+
+export { CacheStore };
@@ -0,0 +1,4 @@
+export { CacheStore } from './cacheStore.js';
+export { MemoryCacheStore } from './memoryCacheStore.js';
+export { KvCacheStore } from './kvCacheStore.js';
+export { PostgresCacheStore } from './postgresCacheStore.js';
@@ -0,0 +1,41 @@
+import { CacheStore } from './cacheStore.js';
+
+// Cloudflare KV rejects expirationTtl values below 60 seconds
+const MIN_KV_TTL_SECONDS = 60;
+
+/**
+ * Cache store backed by a Cloudflare Workers KV namespace
+ * Survives across Worker invocations, which is what protects small provider quotas
+ */
+class KvCacheStore extends CacheStore {
+    /**
+     * @param {Object} namespace - KV namespace binding (e.g. env.API_CACHE)
+     * @param {Object} [options]
+     * @param {string} [options.prefix='api-cache:'] - Key prefix inside the namespace
+     */
+    constructor(namespace, options = {}) {
+        super();
+        if (!namespace || typeof namespace.get !== 'function') {
+            throw new Error('KvCacheStore requires a KV namespace binding');
+        }
+        this.namespace = namespace;
+        this.prefix = options.prefix ?? 'api-cache:';
+    }
+
+    async get(key) {
+        const value = await this.namespace.get(this.prefix + key, 'json');
+        return value === null ? undefined : value;
+    }
+
+    async set(key, value, ttlMs) {
+        await this.namespace.put(this.prefix + key, JSON.stringify(value), {
+            expirationTtl: Math.max(MIN_KV_TTL_SECONDS, Math.ceil(ttlMs / 1000))
+        });
+    }
+
+    async delete(key) {
+        await this.namespace.delete(this.prefix + key);
+    }
+}
+
+export { KvCacheStore };
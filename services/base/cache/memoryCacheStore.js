@@ -0,0 +1,60 @@
+import { CacheStore } from './cacheStore.js';
+
+/**
+ * In-memory LRU cache store
+ * Lives as long as the process or Worker isolate, so it is the default but not durable
+ */
+class MemoryCacheStore extends CacheStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=500] - Entries kept before the least recently used is evicted
+     * @param {Function} [options.now] - Clock function, mainly for testing
+     */
+    constructor(options = {}) {
+        super();
+        this.maxEntries = options.maxEntries ?? 500;
+        this.now = options.now || Date.now;
+
+        // Map preserves insertion order; re-inserting on read keeps recent keys at the end
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: this.now() + ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Drop every entry
+     */
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+export { MemoryCacheStore };
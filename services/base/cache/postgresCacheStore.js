@@ -0,0 +1,42 @@
+import { CacheStore } from './cacheStore.js';
+
+/**
+ * Cache store backed by the api_cache table (db/migrations/005_create_api_cache_table.js)
+ */
+class PostgresCacheStore extends CacheStore {
+    /**
+     * @param {Object} config
+     * @param {Function} config.sql - Neon query function (from neon(connectionString))
+     */
+    constructor(config = {}) {
+        super();
+        if (typeof config.sql !== 'function') {
+            throw new Error('PostgresCacheStore requires a Neon sql function');
+        }
+        this.sql = config.sql;
+    }
+
+    async get(key) {
+        const rows = await this.sql`
+            SELECT value FROM api_cache
+            WHERE key = ${key} AND "expiresAt" > NOW()
+        `;
+        return rows.length > 0 ? rows[0].value : undefined;
+    }
+
+    async set(key, value, ttlMs) {
+        const expiresAt = new Date(Date.now() + ttlMs);
+        await this.sql`
+            INSERT INTO api_cache (key, value, "expiresAt")
+            VALUES (${key}, ${JSON.stringify(value)}::jsonb, ${expiresAt})
+            ON CONFLICT (key) DO UPDATE
+            SET value = EXCLUDED.value, "expiresAt" = EXCLUDED."expiresAt"
+        `;
+    }
+
+    async delete(key) {
+        await this.sql`DELETE FROM api_cache WHERE key = ${key}`;
+    }
+}
+
+export { PostgresCacheStore };
@@ -0,0 +1,107 @@
+/**
+ * Circuit breaker states
+ */
+const CircuitState = Object.freeze({
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+});
+
+/**
+ * Tracks consecutive failures for a single upstream and short-circuits calls
+ * to it for a cooldown period once the failure threshold is reached
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold=3] - Consecutive failures before the circuit opens
+     * @param {number} [options.cooldownMs=300000] - Time the circuit stays open before a trial call
+     * @param {Function} [options.now] - Clock function, mainly for testing
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold ?? 3;
+        this.cooldownMs = options.cooldownMs ?? 5 * 60 * 1000;
+        this.now = options.now || Date.now;
+
+        this.state = CircuitState.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        // Set while the single trial call of a half-open circuit is in flight
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a call may be attempted right now
+     * Moves an open circuit to half-open once the cooldown has elapsed. A half-open circuit
+     * allows one trial call: the caller that gets true must record its outcome (or release the trial), and other
+     * callers are refused until it does.
+     * @returns {boolean}
+     */
+    canRequest() {
+        if (this.state === CircuitState.OPEN) {
+            if (this.now() - this.openedAt < this.cooldownMs) {
+                return false;
+            }
+            this.state = CircuitState.HALF_OPEN;
+            this.trialInFlight = false;
+        }
+        if (this.state === CircuitState.HALF_OPEN) {
+            if (this.trialInFlight) {
+                return false;
+            }
+            this.trialInFlight = true;
+        }
+        return true;
+    }
+
+    /**
+     * Record a successful call and close the circuit
+     */
+    recordSuccess() {
+        this.trialInFlight = false;
+        this.state = CircuitState.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Record a failed call; opens the circuit on threshold or on a failed trial call
+     * @param {Error} [error] - The failure
+     */
+    recordFailure(error) {
+        this.trialInFlight = false;
+        this.failures += 1;
+        this.lastError = error ? error.message : null;
+
+        if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.state = CircuitState.OPEN;
+            this.openedAt = this.now();
+        }
+    }
+
+    /**
+     * Record a call that failed for a reason that says nothing about the upstream's health
+     * (e.g. an unknown city or unusable data); the state is left alone, but a half-open
+     * circuit's trial slot is freed so the next call can be the trial
+     */
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Snapshot of the breaker for logging or monitoring
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+export { CircuitBreaker, CircuitState };
@@ -1,2 +1,5 @@
 export { BaseApiClient } from './apiClient.js';
+export { ApiError, QuotaExceededError } from './apiError.js';
 export { BaseTransformer } from './transformer.js';
+export { CacheStore, MemoryCacheStore, KvCacheStore, PostgresCacheStore } from './cache/index.js';
+export { CircuitBreaker, CircuitState } from './circuitBreaker.js';
@@ -0,0 +1,92 @@
+import { createWeatherRepository, RepositoryType } from '../../repositories/weather/index.js';
+import { Weather, Forecast } from '../../models/index.js';
+import { getPaginatedData } from "../../utils/pagination.js";
+import { forecastFilters, processFilters } from "../../middleware/schemas/index.js";
+
+/**
+ * Service for reading stored weather forecasts
+ */
+export class ForecastService {
+  constructor() {
+    // Initialize repository asynchronously
+    this.initialized = this.initializeRepository();
+  }
+
+  /**
+   * Initialize repository instance
+   * @private
+   */
+  async initializeRepository() {
+    try {
+      this.weatherRepository = await createWeatherRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: Weather,
+          forecastModel: Forecast
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize forecast repository:', error);
+      throw new Error(`Failed to initialize forecast repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure repository is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.weatherRepository) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * Get the latest forecast horizon per city with pagination
+   * @param {Object} query - Query parameters including pagination and filters
+   * @returns {Promise<Object>} Forecast points with pagination metadata
+   */
+  async getLatestForecasts(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, ...filterParams } = query;
+    const filters = processFilters(filterParams, forecastFilters);
+
+    // Adapt the forecast methods to the findAll/count contract of getPaginatedData
+    const repository = {
+      findAll: (criteria, options) => this.weatherRepository.findLatestForecasts(criteria, options),
+      count: (criteria) => this.weatherRepository.countLatestForecasts(criteria)
+    };
+
+    const result = await getPaginatedData(
+      repository,
+      filters,
+      { order: [['city', 'ASC'], ['provider', 'ASC'], ['timestamp', 'ASC']] },
+      query
+    );
+
+    const transformedItems = result.items.map(record => ({
+      provider: record.provider,
+      city: record.city,
+      country: record.country,
+      temperature: record.temperature,
+      feelsLike: record.feelsLike,
+      tempMin: record.tempMin,
+      tempMax: record.tempMax,
+      humidity: record.humidity,
+      pressure: record.pressure,
+      windSpeed: record.windSpeed,
+      windDirection: record.windDirection,
+      conditionMain: record.conditionMain,
+      conditionDescription: record.conditionDescription,
+      conditionIcon: record.conditionIcon,
+      timestamp: record.timestamp,
+      fetchedAt: record.fetchedAt
+    }));
+
+    return {
+      items: transformedItems,
+      pagination: result.pagination
+    };
+  }
+}
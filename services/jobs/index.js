@@ -0,0 +1 @@
+export { trackJobRun, summarizeJobResults, getJobStatus } from './jobRunTracker.js';
@@ -0,0 +1,107 @@
+/**
+ * Result objects that record an item that was deliberately not stored (already collected)
+ */
+const isSkipped = (result) => !result.success && result.error === 'Duplicate article';
+
+/**
+ * Compact form of a result for the job_runs history
+ * Results can carry whole provider payloads; the history keeps what identifies the item,
+ * the stored row and the outcome.
+ * @param {Object} result - Item of the unified results array
+ * @returns {Object} { type, success, city, category, topic, provider, id, title, error, transient } without unset fields
+ * @private
+ */
+function toResultSummary(result) {
+    const summary = {
+        type: result.type,
+        success: result.success,
+        city: result.city,
+        category: result.category,
+        topic: result.topic,
+        provider: result.provider ?? result.data?.provider,
+        id: result.recordId ?? result.data?.id,
+        title: result.title,
+        error: result.error,
+        transient: result.transient
+    };
+
+    return Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Count outcomes in the unified results array returned by a collector run
+ * @param {Array<Object>} results - [{ type, success, error, ... }]
+ * @returns {Object} { totalCount, successCount, skippedCount, failureCount }
+ */
+export function summarizeJobResults(results = []) {
+    const skippedCount = results.filter(isSkipped).length;
+    const successCount = results.filter(result => result.success).length;
+
+    return {
+        totalCount: results.length,
+        successCount,
+        skippedCount,
+        failureCount: results.length - successCount - skippedCount
+    };
+}
+
+/**
+ * Overall status of a run from its outcome counts
+ * @param {Object} summary - From summarizeJobResults
+ * @returns {string} 'succeeded', 'partial' or 'failed'
+ */
+export function getJobStatus(summary) {
+    if (summary.failureCount === 0) return 'succeeded';
+    return summary.successCount + summary.skippedCount > 0 ? 'partial' : 'failed';
+}
+
+/**
+ * Run a job and record it in the job_runs history.
+ * Recording is best effort: a history write that fails is logged and never fails the job itself.
+ * @param {Object|null} repository - Job run repository, or null to run without recording
+ * @param {Object} run - { jobName, triggerType, cron }
+ * @param {Function} job - Async function returning the unified results array
+ * @returns {Promise<Object>} { run, results } where run is the recorded row (or null)
+ * @throws {Error} Whatever the job throws, after the failure has been recorded
+ */
+export async function trackJobRun(repository, run, job) {
+    const startedAt = new Date();
+    let started = null;
+
+    if (repository) {
+        try {
+            started = await repository.startRun({ ...run, startedAt });
+        } catch (error) {
+            console.error(`Failed to record start of ${run.jobName || 'job'} run:`, error);
+        }
+    }
+
+    const finish = async (outcome) => {
+        if (!started) return null;
+        const finishedAt = new Date();
+        try {
+            return await repository.finishRun(started.id, {
+                ...outcome,
+                finishedAt,
+                durationMs: finishedAt.getTime() - startedAt.getTime()
+            });
+        } catch (error) {
+            console.error(`Failed to record outcome of job run ${started.id}:`, error);
+            return null;
+        }
+    };
+
+    try {
+        const results = await job();
+        const summary = summarizeJobResults(results);
+        const recorded = await finish({
+            ...summary,
+            status: getJobStatus(summary),
+            results: results.map(toResultSummary)
+        });
+        return { run: recorded, results };
+    } catch (error) {
+        await finish({ status: 'failed', error: error.message });
+        throw error;
+    }
+}
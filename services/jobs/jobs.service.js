@@ -0,0 +1,93 @@
+import { createJobRunRepository, RepositoryType } from '../../repositories/jobRun/index.js';
+import { JobRun } from '../../models/index.js';
+import { getPaginatedData } from "../../utils/pagination.js";
+import { jobRunFilters, processFilters } from "../../middleware/schemas/index.js";
+
+/**
+ * Service for reading the collector worker's run history
+ */
+export class JobService {
+  constructor() {
+    // Initialize repository asynchronously
+    this.initialized = this.initializeRepository();
+  }
+
+  /**
+   * Initialize repository instance
+   * @private
+   */
+  async initializeRepository() {
+    try {
+      this.jobRunRepository = await createJobRunRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: JobRun
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize job run repository:', error);
+      throw new Error(`Failed to initialize job run repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure repository is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.jobRunRepository) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * Get job runs, newest first, with pagination
+   * @param {Object} query - Query parameters including pagination and filters
+   * @returns {Promise<Object>} Run summaries with pagination metadata
+   */
+  async getJobRuns(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, ...filterParams } = query;
+    const { fromDate, toDate, ...filters } = processFilters(filterParams, jobRunFilters);
+
+    for (const [key, value] of Object.entries({ fromDate, toDate })) {
+      if (value && isNaN(value.getTime())) {
+        const error = new Error(`Invalid ${key}: expected an ISO date`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    return getPaginatedData(
+      this.jobRunRepository,
+      { ...filters, from: fromDate, to: toDate },
+      {},
+      query
+    );
+  }
+
+  /**
+   * Get a single run with its per-city and per-article results
+   * @param {string|number} id - Run ID
+   * @returns {Promise<Object>} Run
+   */
+  async getJobRun(id) {
+    await this.ensureInitialized();
+
+    if (!/^\d+$/.test(String(id))) {
+      const error = new Error('Invalid job run ID');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const run = await this.jobRunRepository.findById(id);
+    if (!run) {
+      const error = new Error(`Job run ${id} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return run;
+  }
+}
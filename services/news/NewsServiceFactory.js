@@ -1,29 +1,44 @@
 import { NewsService } from './base/index.js';
 import NewsApiService from './newsapi/index.js';
+import RssService from './rss/index.js';
 
 export const NewsProvider = {
-    NEWSAPI: 'newsapi'
+    NEWSAPI: 'newsapi',
+    RSS: 'rss'
 };
 
 class NewsServiceFactory {
     static createNewsService(provider, config) {
         switch (provider.toLowerCase()) {
             case NewsProvider.NEWSAPI:
-                return new NewsApiService(config.apiKey);
+                return new NewsApiService(config.apiKey, config.clientOptions);
+            case NewsProvider.RSS:
+                return new RssService(config.feeds, config.clientOptions);
             default:
-                return new NewsApiService(config.apiKey);
+                throw new Error(`Unsupported news provider: ${provider}`);
         }
     }
 }
 
 /**
- * Create a weather service instance for the specified provider
- * @param {string} apiKey - API key for the weather service
- * @param {string} provider - Weather service provider (default: 'openweathermap')
- * @returns {WeatherService} A weather service instance
+ * Create a news service instance for the specified provider
+ * @param {string} apiKey - API key for the news service
+ * @param {string} provider - News service provider (default: 'newsapi')
+ * @param {Object} [clientOptions] - BaseApiClient options (timeout, retry, cache)
+ * @returns {NewsService} A news service instance
  */
-function createNewsService(apiKey, provider = NewsProvider.NEWSAPI) {
-    return NewsServiceFactory.createNewsService(provider, { apiKey });
+function createNewsService(apiKey, provider = NewsProvider.NEWSAPI, clientOptions = {}) {
+    return NewsServiceFactory.createNewsService(provider, { apiKey, clientOptions });
 }
 
-export { createNewsService };
+/**
+ * Create a news service that reads a list of RSS/Atom feeds
+ * @param {Array<string|Object>} feeds - Feed URLs, or { url, name, category } objects
+ * @param {Object} [clientOptions] - BaseApiClient options (timeout, retry, cache)
+ * @returns {NewsService} A news service instance
+ */
+function createRssNewsService(feeds, clientOptions = {}) {
+    return NewsServiceFactory.createNewsService(NewsProvider.RSS, { feeds, clientOptions });
+}
+
+export { createNewsService, createRssNewsService };
@@ -21,6 +21,24 @@ class NewsService {
         throw new Error('getTopHeadlines() must be implemented');
     }
 
+    /**
+     * Search all articles by keyword, domain or source
+     * @param {Object} options - Search options (query, domains, from, to, language, sortBy, etc.)
+     * @returns {Promise<Object>} Articles data
+     */
+    async searchArticles(options = {}) {
+        throw new Error('searchArticles() must be implemented');
+    }
+
+    /**
+     * List the sources the provider publishes headlines from
+     * @param {Object} options - Filter options (category, language, country)
+     * @returns {Promise<Object>} Sources data
+     */
+    async getSources(options = {}) {
+        throw new Error('getSources() must be implemented');
+    }
+
     /**
      * Standardize news data format
      * @param {Object} data - Raw news data
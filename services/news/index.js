@@ -1,4 +1,4 @@
-import { createNewsService } from './NewsServiceFactory.js';
+import { createNewsService, createRssNewsService, NewsProvider } from './NewsServiceFactory.js';
 import { NewsService } from './base/index.js';
 
-export { createNewsService, NewsService };
+export { createNewsService, createRssNewsService, NewsProvider, NewsService };
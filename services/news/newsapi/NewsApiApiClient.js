@@ -1,10 +1,29 @@
 import { NewsApiClient } from '../base/index.js';
 
+const CACHE_TTLS = [
+    { match: '/top-headlines/sources', ttlMs: 24 * 60 * 60 * 1000 },
+    { match: '/top-headlines', ttlMs: 15 * 60 * 1000 },
+    { match: '/everything', ttlMs: 15 * 60 * 1000 }
+];
+
+const SEARCH_IN_FIELDS = ['title', 'description', 'content'];
+const SORT_BY_VALUES = ['relevancy', 'popularity', 'publishedAt'];
+
 class NewsApiApiClient extends NewsApiClient {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - NewsAPI key
+     * @param {Object} [options] - BaseApiClient options (timeout, retry, cache)
+     */
+    constructor(apiKey, options = {}) {
         super('https://newsapi.org/v2', {
+            ...options,
+            provider: 'newsapi',
             params: {
                 apiKey: apiKey
+            },
+            cache: {
+                ttls: CACHE_TTLS,
+                ...options.cache
             }
         });
     }
@@ -18,6 +37,86 @@ class NewsApiApiClient extends NewsApiClient {
             page: options.page || 1
         });
     }
+
+    /**
+     * Search every article NewsAPI has indexed
+     * @param {Object} options - Search options
+     * @param {string} [options.query] - Keywords or phrase (supports AND/OR/NOT and quotes)
+     * @param {string|string[]} [options.searchIn] - Fields to search: title, description, content
+     * @param {string|string[]} [options.domains] - Domains to restrict the search to
+     * @param {string|string[]} [options.excludeDomains] - Domains to remove from the results
+     * @param {string|string[]} [options.sources] - Source identifiers (see getSources)
+     * @param {Date|string} [options.from] - Oldest article date
+     * @param {Date|string} [options.to] - Newest article date
+     * @param {string} [options.language] - 2-letter ISO-639-1 language code
+     * @param {string} [options.sortBy] - relevancy, popularity or publishedAt
+     * @returns {Promise<Object>} Raw NewsAPI response
+     */
+    async getEverything(options = {}) {
+        const searchIn = this._toList(options.searchIn);
+        const domains = this._toList(options.domains);
+        const sources = this._toList(options.sources);
+
+        if (!options.query && !domains && !sources) {
+            throw new Error('NewsAPI /everything requires a query, domains or sources');
+        }
+        if (searchIn && searchIn.split(',').some(field => !SEARCH_IN_FIELDS.includes(field))) {
+            throw new Error(`searchIn must be one of: ${SEARCH_IN_FIELDS.join(', ')}`);
+        }
+        if (options.sortBy && !SORT_BY_VALUES.includes(options.sortBy)) {
+            throw new Error(`sortBy must be one of: ${SORT_BY_VALUES.join(', ')}`);
+        }
+
+        return this.get('/everything', {
+            q: options.query,
+            searchIn,
+            domains,
+            excludeDomains: this._toList(options.excludeDomains),
+            sources,
+            from: this._toIsoDate(options.from),
+            to: this._toIsoDate(options.to),
+            language: options.language,
+            sortBy: options.sortBy,
+            pageSize: options.pageSize || 20,
+            page: options.page || 1
+        });
+    }
+
+    /**
+     * List the sources available to /top-headlines
+     * @param {Object} [options] - Filter options (category, language, country)
+     * @returns {Promise<Object>} Raw NewsAPI response
+     */
+    async getSources(options = {}) {
+        return this.get('/top-headlines/sources', {
+            category: options.category,
+            language: options.language,
+            country: options.country
+        });
+    }
+
+    /**
+     * Join list params the way NewsAPI expects them (comma-separated)
+     * @private
+     */
+    _toList(value) {
+        if (!value) return undefined;
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        const joined = list.map(item => String(item).trim()).filter(Boolean).join(',');
+        return joined || undefined;
+    }
+
+    /**
+     * @private
+     */
+    _toIsoDate(value) {
+        if (!value) return undefined;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return date.toISOString();
+    }
 }
 
-export default NewsApiApiClient;
\ No newline at end of file
+export default NewsApiApiClient;
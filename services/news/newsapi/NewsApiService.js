@@ -3,8 +3,12 @@ import NewsApiTransformer from './NewsApiTransformer.js';
 import NewsApiApiClient from './NewsApiApiClient.js';
 
 class NewsApiService extends NewsService {
-    constructor(apiKey) {
-        const apiClient = new NewsApiApiClient(apiKey);
+    /**
+     * @param {string} apiKey - Provider API key
+     * @param {Object} [clientOptions] - BaseApiClient options (timeout, retry, cache)
+     */
+    constructor(apiKey, clientOptions = {}) {
+        const apiClient = new NewsApiApiClient(apiKey, clientOptions);
         const transformer = new NewsApiTransformer();
         super(apiClient, transformer);
     }
@@ -13,6 +17,16 @@ class NewsApiService extends NewsService {
         const data = await this.apiClient.getTopHeadlines(options);
         return this._standardizeNewsData(data);
     }
+
+    async searchArticles(options = {}) {
+        const data = await this.apiClient.getEverything(options);
+        return this._standardizeNewsData(data);
+    }
+
+    async getSources(options = {}) {
+        const data = await this.apiClient.getSources(options);
+        return this.transformer.normalizeSources(data);
+    }
 }
 
 export default NewsApiService;
\ No newline at end of file
@@ -20,6 +20,29 @@ class NewsApiTransformer extends BaseTransformer {
         };
     }
 
+    /**
+     * Normalize a /top-headlines/sources response
+     * @param {Object} data - Raw sources response
+     * @returns {Object} Normalized source list
+     */
+    normalizeSources(data) {
+        if (!data || data.status !== 'ok' || !Array.isArray(data.sources)) {
+            throw new Error('Invalid data structure received from external source');
+        }
+        return {
+            status: data.status,
+            sources: data.sources.map(source => ({
+                id: source.id,
+                name: source.name,
+                description: source.description || '',
+                url: source.url,
+                category: source.category,
+                language: source.language,
+                country: source.country
+            }))
+        };
+    }
+
     validate(data) {
         return data && 
             Array.isArray(data.articles) && 
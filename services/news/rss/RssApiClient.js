@@ -0,0 +1,49 @@
+import { NewsApiClient } from '../base/index.js';
+
+const CACHE_TTLS = [
+    { match: /^https?:\/\//i, ttlMs: 15 * 60 * 1000 }
+];
+
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8';
+
+/**
+ * Fetches RSS/Atom documents from any host
+ * Feeds live on different origins, so endpoints are absolute feed URLs rather than paths
+ */
+class RssApiClient extends NewsApiClient {
+    /**
+     * @param {Object} [options] - BaseApiClient options (timeout, retry, cache)
+     */
+    constructor(options = {}) {
+        super(null, {
+            ...options,
+            provider: 'rss',
+            cache: {
+                ttls: CACHE_TTLS,
+                ...options.cache
+            }
+        });
+    }
+
+    /**
+     * Fetch a feed document
+     * @param {string} feedUrl - Absolute feed URL
+     * @returns {Promise<string>} Raw XML
+     */
+    async getFeed(feedUrl) {
+        return this.getText(feedUrl, {}, { Accept: FEED_ACCEPT });
+    }
+
+    // Endpoints are absolute URLs
+    _buildUrl(endpoint, params = {}) {
+        const url = new URL(endpoint);
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(key, String(value));
+            }
+        });
+        return url.toString();
+    }
+}
+
+export default RssApiClient;
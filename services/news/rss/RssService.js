@@ -0,0 +1,121 @@
+import { NewsService } from '../base/index.js';
+import RssTransformer from './RssTransformer.js';
+import RssApiClient from './RssApiClient.js';
+
+/**
+ * News from a configured list of RSS/Atom feeds
+ * Feeds have no server-side filtering, so category/keyword options are applied locally
+ */
+class RssService extends NewsService {
+    /**
+     * @param {Array<string|Object>} feeds - Feed URLs, or { url, name, category } objects
+     * @param {Object} [clientOptions] - BaseApiClient options (timeout, retry, cache)
+     */
+    constructor(feeds = [], clientOptions = {}) {
+        const apiClient = new RssApiClient(clientOptions);
+        const transformer = new RssTransformer();
+        super(apiClient, transformer);
+
+        this.feeds = feeds.map(feed => (typeof feed === 'string' ? { url: feed } : feed));
+        if (this.feeds.length === 0) {
+            throw new Error('RSS news provider requires at least one feed URL');
+        }
+        this.feeds.forEach(feed => new URL(feed.url));
+    }
+
+    /**
+     * Latest articles across all feeds, newest first
+     * @param {Object} [options] - { category, pageSize }
+     * @returns {Promise<Object>} Headlines data
+     */
+    async getTopHeadlines(options = {}) {
+        const feeds = options.category
+            ? this.feeds.filter(feed => !feed.category || feed.category === options.category)
+            : this.feeds;
+
+        const articles = await this._fetchFeeds(feeds);
+        return this._page(articles, options);
+    }
+
+    /**
+     * Articles across all feeds matching a keyword query
+     * @param {Object} options - { query, domains, from, to, pageSize }
+     * @returns {Promise<Object>} Articles data
+     */
+    async searchArticles(options = {}) {
+        const terms = String(options.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const domains = options.domains ? String(options.domains).split(',').map(domain => domain.trim()) : null;
+        const from = options.from ? new Date(options.from) : null;
+        const to = options.to ? new Date(options.to) : null;
+
+        const articles = (await this._fetchFeeds(this.feeds)).filter(article => {
+            const text = `${article.title} ${article.description} ${article.content}`.toLowerCase();
+            const publishedAt = new Date(article.publishedAt);
+            const host = new URL(article.url).hostname.replace(/^www\./, '');
+
+            return terms.every(term => text.includes(term)) &&
+                (!domains || domains.some(domain => host === domain || host.endsWith(`.${domain}`))) &&
+                (!from || publishedAt >= from) &&
+                (!to || publishedAt <= to);
+        });
+
+        return this._page(articles, options);
+    }
+
+    /**
+     * The configured feeds
+     * @returns {Promise<Object>} Sources data
+     */
+    async getSources() {
+        return {
+            status: 'ok',
+            sources: this.feeds.map(feed => ({
+                id: feed.url,
+                name: feed.name || new URL(feed.url).hostname,
+                description: '',
+                url: feed.url,
+                category: feed.category || null,
+                language: feed.language || null,
+                country: null
+            }))
+        };
+    }
+
+    /**
+     * Fetch and normalize feeds; a failing feed is skipped unless every feed fails
+     * @private
+     */
+    async _fetchFeeds(feeds) {
+        const results = await Promise.allSettled(feeds.map(async (feed) => {
+            const xml = await this.apiClient.getFeed(feed.url);
+            return this._standardizeNewsData({ xml, feed });
+        }));
+
+        const failures = results.filter(result => result.status === 'rejected');
+        failures.forEach(({ reason }) => console.warn(`RSS feed failed: ${reason.message}`));
+        if (feeds.length > 0 && failures.length === feeds.length) {
+            throw failures[0].reason;
+        }
+
+        return results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value.articles)
+            .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    }
+
+    /**
+     * @private
+     */
+    _page(articles, options = {}) {
+        const pageSize = options.pageSize || 20;
+        const page = options.page || 1;
+
+        return {
+            status: 'ok',
+            total_results: articles.length,
+            articles: articles.slice((page - 1) * pageSize, page * pageSize)
+        };
+    }
+}
+
+export default RssService;
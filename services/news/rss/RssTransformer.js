@@ -0,0 +1,64 @@
+import { NewsTransformer } from '../base/index.js';
+import { parseFeed } from './feedParser.js';
+
+/**
+ * Resolve an item link against the feed URL, since feeds may use relative links
+ * @param {string} link - Item link as written in the feed
+ * @param {string} feedUrl - URL the feed was fetched from
+ * @returns {string|null} Absolute http(s) URL, or null if the link is missing or unusable
+ * @private
+ */
+function resolveLink(link, feedUrl) {
+    if (!link) return null;
+
+    try {
+        const url = new URL(link, feedUrl);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Turns a raw feed document into the NewsApiTransformer article shape
+ */
+class RssTransformer extends NewsTransformer {
+    /**
+     * @param {Object} data - { xml, feed: { url, name } }
+     */
+    transform(data) {
+        const parsed = parseFeed(data.xml);
+        const sourceName = data.feed.name || parsed.title || new URL(data.feed.url).hostname;
+
+        const articles = parsed.items
+            .map(item => ({ ...item, link: resolveLink(item.link, data.feed.url) }))
+            .filter(item => item.title && item.link)
+            .map(item => ({
+                title: item.title,
+                description: item.description || '',
+                // content is required downstream; feeds often only carry a summary
+                content: item.content || item.description || item.title,
+                url: item.link,
+                imageUrl: item.imageUrl,
+                publishedAt: item.publishedAt || new Date().toISOString(),
+                sourceName,
+                author: item.author || ''
+            }));
+
+        return {
+            status: 'ok',
+            total_results: articles.length,
+            source: { name: sourceName, url: data.feed.url, link: parsed.link, format: parsed.format },
+            articles
+        };
+    }
+
+    validate(data) {
+        return data &&
+            typeof data.xml === 'string' &&
+            data.feed &&
+            typeof data.feed.url === 'string';
+    }
+}
+
+export default RssTransformer;
@@ -0,0 +1,217 @@
+/**
+ * Minimal RSS 2.0 / RSS 1.0 (RDF) / Atom parser
+ * Workers have no DOMParser, so feeds are read with regular expressions;
+ * this covers the elements news feeds actually use, not the whole XML spec.
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+/**
+ * Decode XML/HTML entities
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Text content of an element body, unwrapping CDATA sections
+ * @param {string} raw
+ * @returns {string}
+ */
+function textContent(raw) {
+    const cdata = [];
+    const withoutCdata = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, content) => {
+        cdata.push(content);
+        return `\u0000${cdata.length - 1}\u0000`;
+    });
+
+    return decodeEntities(withoutCdata)
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => cdata[index])
+        .trim();
+}
+
+/**
+ * Strip markup from an HTML fragment
+ * @param {string} html
+ * @returns {string}
+ */
+export function stripHtml(html) {
+    return decodeEntities(String(html || '').replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function escapeTag(tag) {
+    return tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Bodies of every element with the given (possibly prefixed) tag name
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string[]}
+ */
+function findElements(xml, tag) {
+    const pattern = new RegExp(`<${escapeTag(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTag(tag)}>`, 'gi');
+    return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Text of the first matching element among the given tags
+ * @param {string} xml
+ * @param {string[]} tags - Candidate tag names, in order of preference
+ * @returns {string|null}
+ */
+function firstText(xml, tags) {
+    for (const tag of tags) {
+        const [body] = findElements(xml, tag);
+        if (body !== undefined) {
+            const text = textContent(body);
+            if (text) return text;
+        }
+    }
+    return null;
+}
+
+/**
+ * Attributes of every (self-closing or not) element with the given tag name
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {Object[]}
+ */
+function findAttributes(xml, tag) {
+    const pattern = new RegExp(`<${escapeTag(tag)}(\\s[^>]*?)?\\/?>`, 'gi');
+    return [...xml.matchAll(pattern)].map(match => {
+        const attributes = {};
+        for (const [, name, doubleQuoted, singleQuoted] of (match[1] || '').matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+            attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? '');
+        }
+        return attributes;
+    });
+}
+
+/**
+ * Parse a publication date, returning an ISO string or null
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * First image URL referenced by an item (media:content, media:thumbnail, enclosure, <img>)
+ * @param {string} xml - Item body
+ * @param {string|null} html - Item content/description HTML
+ * @returns {string|null}
+ */
+function findImage(xml, html) {
+    const media = [
+        ...findAttributes(xml, 'media:content'),
+        ...findAttributes(xml, 'media:thumbnail')
+    ].find(attributes => attributes.url && (!attributes.medium || attributes.medium === 'image'));
+    if (media) return media.url;
+
+    const enclosure = findAttributes(xml, 'enclosure')
+        .find(attributes => attributes.url && /^image\//i.test(attributes.type || ''));
+    if (enclosure) return enclosure.url;
+
+    const img = html && html.match(/<img[^>]+src\s*=\s*["']([^"']+)["']/i);
+    return img ? decodeEntities(img[1]) : null;
+}
+
+/**
+ * Link of an Atom entry: rel="alternate" (or no rel) wins over other relations
+ * @param {string} xml - Entry body
+ * @returns {string|null}
+ */
+function findAtomLink(xml) {
+    const links = findAttributes(xml, 'link').filter(attributes => attributes.href);
+    const alternate = links.find(attributes => !attributes.rel || attributes.rel === 'alternate');
+    return (alternate || links[0] || {}).href || null;
+}
+
+function parseRssItem(xml) {
+    const content = firstText(xml, ['content:encoded']);
+    const description = firstText(xml, ['description']);
+
+    return {
+        title: stripHtml(firstText(xml, ['title'])),
+        link: firstText(xml, ['link']) || firstText(xml, ['guid']),
+        description: description ? stripHtml(description) : null,
+        content: content ? stripHtml(content) : null,
+        author: firstText(xml, ['dc:creator', 'author']),
+        publishedAt: parseDate(firstText(xml, ['pubDate', 'dc:date'])),
+        imageUrl: findImage(xml, content || description)
+    };
+}
+
+function parseAtomEntry(xml) {
+    const content = firstText(xml, ['content']);
+    const summary = firstText(xml, ['summary']);
+    const [author] = findElements(xml, 'author');
+
+    return {
+        title: stripHtml(firstText(xml, ['title'])),
+        link: findAtomLink(xml),
+        description: summary ? stripHtml(summary) : null,
+        content: content ? stripHtml(content) : null,
+        author: author !== undefined ? firstText(author, ['name']) : null,
+        publishedAt: parseDate(firstText(xml, ['published', 'updated'])),
+        imageUrl: findImage(xml, content || summary)
+    };
+}
+
+/**
+ * Parse an RSS or Atom document
+ * @param {string} xml - Feed document
+ * @returns {{ format: string, title: string|null, link: string|null, items: Object[] }}
+ * @throws {Error} If the document is not a recognizable feed
+ */
+export function parseFeed(xml) {
+    if (typeof xml !== 'string' || !xml.trim()) {
+        throw new Error('Feed document is empty');
+    }
+
+    if (/<feed[\s>]/i.test(xml)) {
+        const header = xml.split(/<entry[\s>]/i)[0];
+        return {
+            format: 'atom',
+            title: firstText(header, ['title']),
+            link: findAtomLink(header),
+            items: findElements(xml, 'entry').map(parseAtomEntry)
+        };
+    }
+
+    if (/<(rss|rdf:RDF)[\s>]/i.test(xml)) {
+        const [channel = ''] = findElements(xml, 'channel');
+        const header = channel.split(/<item[\s>]/i)[0];
+        return {
+            format: 'rss',
+            title: firstText(header, ['title']),
+            link: firstText(header, ['link']),
+            items: findElements(xml, 'item').map(parseRssItem)
+        };
+    }
+
+    throw new Error('Document is not an RSS or Atom feed');
+}
@@ -0,0 +1,3 @@
+import RssService from './RssService.js';
+
+export default RssService;
@@ -0,0 +1,296 @@
+import { Op } from 'sequelize';
+import { createNewsRepository, RepositoryType } from '../../repositories/news/index.js';
+import { News } from '../../models/index.js';
+import { getPaginatedData } from "../../utils/pagination.js";
+import { buildWhereClause } from "../../middleware/queryBuilder.js";
+import {
+  newsFilters,
+  processFilters,
+  processNewsFilters
+} from "../../middleware/schemas/index.js";
+
+// Columns a listing may be sorted by (`sort=sourceName,-publishedAt`)
+const SORTABLE_FIELDS = ['id', 'title', 'publishedAt', 'sourceName', 'author', 'provider', 'createdAt'];
+
+const DEFAULT_SORT = [['publishedAt', 'DESC']];
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parse `sort=field,-field` into a Sequelize order array
+ * @private
+ */
+function parseSort(sort) {
+  if (!sort) return DEFAULT_SORT;
+
+  return String(sort).split(',').map(part => {
+    const field = part.trim().replace(/^-/, '');
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw httpError(`Cannot sort by "${field}". Sortable fields: ${SORTABLE_FIELDS.join(', ')}`, 400);
+    }
+    return [field, part.trim().startsWith('-') ? 'DESC' : 'ASC'];
+  });
+}
+
+/**
+ * Shape a stored article for API responses
+ * @private
+ */
+function toArticleResource(article) {
+  return {
+    id: article.id,
+    clusterId: article.clusterId || article.id,
+    title: article.title,
+    description: article.description,
+    content: article.content,
+    url: article.url,
+    imageUrl: article.imageUrl,
+    publishedAt: article.publishedAt,
+    sourceName: article.sourceName,
+    author: article.author,
+    provider: article.provider
+  };
+}
+
+/**
+ * Service for reading and editing stored news articles
+ */
+export class NewsArticleService {
+  constructor() {
+    // Initialize repository asynchronously
+    this.initialized = this.initializeRepository();
+  }
+
+  /**
+   * Initialize repository instance
+   * @private
+   */
+  async initializeRepository() {
+    try {
+      this.newsRepository = await createNewsRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: News
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize news repository:', error);
+      throw new Error(`Failed to initialize news repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure repository is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.newsRepository) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * Validate an article ID route parameter
+   * @private
+   */
+  _parseId(id) {
+    if (!/^\d+$/.test(String(id))) {
+      throw httpError('Invalid article ID', 400);
+    }
+    return id;
+  }
+
+  /**
+   * Turn newsFilters and field__lookup query parameters into repository criteria
+   * Duplicates are collapsed onto their cluster representative unless includeDuplicates=true
+   * @private
+   */
+  _buildCriteria(filterParams, includeDuplicates) {
+    const filters = processFilters(filterParams, newsFilters);
+
+    for (const key of ['fromDate', 'toDate']) {
+      if (filters[key] && Number.isNaN(filters[key].getTime())) {
+        throw httpError(`Invalid value for ${key}`, 400);
+      }
+    }
+
+    const criteria = { ...processNewsFilters(filters), ...buildWhereClause(filterParams, News) };
+    return includeDuplicates === 'true' ? criteria : { ...criteria, clusterId: null };
+  }
+
+  /**
+   * Add the number of collapsed duplicates to each representative
+   * @private
+   */
+  async _withDuplicateCounts(articles, includeDuplicates) {
+    const duplicateCounts = includeDuplicates === 'true'
+      ? {}
+      : await this.newsRepository.countClusterMembers(articles.map(article => article.id));
+
+    return articles.map(article => ({
+      ...toArticleResource(article),
+      duplicateCount: duplicateCounts[article.id] || 0
+    }));
+  }
+
+  /**
+   * List articles with filters, sorting and pagination
+   * @param {Object} query - Query parameters (newsFilters, field__lookup filters, includeDuplicates, sort, page, limit, or pagination=cursor and cursor)
+   * @returns {Promise<Object>} Articles with pagination metadata
+   */
+  async listArticles(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, includeDuplicates, ...filterParams } = query;
+
+    const result = await getPaginatedData(
+      this.newsRepository,
+      this._buildCriteria(filterParams, includeDuplicates),
+      { order: parseSort(sort), keyset: true },
+      query
+    );
+
+    return {
+      items: await this._withDuplicateCounts(result.items, includeDuplicates),
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * Full-text search ranked by relevance, with highlighted excerpts
+   * @param {Object} query - Query parameters (q plus the list parameters; sort overrides relevance order)
+   * @returns {Promise<Object>} Matching articles with pagination metadata
+   */
+  async searchArticles(query = {}) {
+    await this.ensureInitialized();
+
+    const { q, query: text, page, limit, offset, sort, includeDuplicates, ...filterParams } = query;
+    const phrase = String(q ?? text ?? '').trim();
+    if (!phrase) {
+      throw httpError('Query parameter q is required', 400);
+    }
+
+    // Adapt the search methods to the findAll/count contract of getPaginatedData
+    const repository = {
+      findAll: (criteria, options) => this.newsRepository.search(phrase, { ...options, criteria }),
+      count: (criteria) => this.newsRepository.countSearch(phrase, criteria)
+    };
+
+    const result = await getPaginatedData(
+      repository,
+      this._buildCriteria(filterParams, includeDuplicates),
+      sort ? { order: parseSort(sort) } : {},
+      query
+    );
+
+    const items = await this._withDuplicateCounts(result.items, includeDuplicates);
+
+    return {
+      items: items.map((item, index) => ({
+        ...item,
+        relevance: Number(result.items[index].rank),
+        highlight: result.items[index].headline
+      })),
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * Get an article by ID
+   * @param {string|number} id - Article ID
+   * @returns {Promise<Object>} Article
+   */
+  async getArticle(id) {
+    await this.ensureInitialized();
+
+    const article = await this.newsRepository.findById(this._parseId(id));
+    if (!article) {
+      throw httpError(`Article ${id} not found`, 404);
+    }
+    return toArticleResource(article);
+  }
+
+  /**
+   * List articles saved after a given ID, oldest first (used to resume /api/stream)
+   * Duplicates are included, with the clusterId of their representative
+   * @param {number} afterId - Last article ID already seen
+   * @param {Object} filters - { provider }
+   * @param {number} limit - Maximum number of articles
+   * @returns {Promise<Array>} Articles
+   */
+  async listArticlesAfter(afterId, { provider } = {}, limit) {
+    await this.ensureInitialized();
+
+    const articles = await this.newsRepository.findAll(
+      { id: { [Op.gt]: afterId }, ...(provider && { provider }) },
+      { order: [['id', 'ASC']], limit }
+    );
+    return articles.map(toArticleResource);
+  }
+
+  /**
+   * Get the ID of the newest article
+   * @returns {Promise<number>} Article ID, or 0 when there are none
+   */
+  async getLatestArticleId() {
+    await this.ensureInitialized();
+
+    const [article] = await this.newsRepository.findAll({}, {
+      attributes: ['id'],
+      order: [['id', 'DESC']],
+      limit: 1
+    });
+    return article ? Number(article.id) : 0;
+  }
+
+  /**
+   * Update the editable fields of an article
+   * @param {string|number} id - Article ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated article
+   */
+  async updateArticle(id, data = {}) {
+    await this.ensureInitialized();
+
+    let article;
+    try {
+      article = await this.newsRepository.update(this._parseId(id), data);
+    } catch (error) {
+      if (error.isValidationError) {
+        throw httpError(error.originalError.message, 400);
+      }
+      const original = error.originalError;
+      if (original?.name === 'SequelizeUniqueConstraintError' || original?.original?.code === '23505') {
+        throw httpError('Another article already has this URL', 409);
+      }
+      throw error;
+    }
+
+    if (!article) {
+      throw httpError(`Article ${id} not found`, 404);
+    }
+    return toArticleResource(article);
+  }
+
+  /**
+   * Delete an article
+   * @param {string|number} id - Article ID
+   * @returns {Promise<void>}
+   */
+  async deleteArticle(id) {
+    await this.ensureInitialized();
+
+    const deleted = await this.newsRepository.delete(this._parseId(id));
+    if (!deleted) {
+      throw httpError(`Article ${id} not found`, 404);
+    }
+  }
+}
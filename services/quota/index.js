@@ -0,0 +1 @@
+export { QuotaManager, getQuotaDay } from './quotaManager.js';
@@ -0,0 +1,71 @@
+import { createQuotaRepository, RepositoryType } from '../../repositories/quota/index.js';
+import { ProviderQuotaUsage } from '../../models/index.js';
+import { getQuotaBudgets } from '../../config/quotas.js';
+import { QuotaManager } from './quotaManager.js';
+
+/**
+ * Service for reporting outbound provider quota usage
+ */
+export class QuotaService {
+  constructor() {
+    // Initialize quota manager asynchronously
+    this.initialized = this.initializeQuotaManager();
+  }
+
+  /**
+   * Initialize repository and quota manager
+   * @private
+   */
+  async initializeQuotaManager() {
+    try {
+      const repository = await createQuotaRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: ProviderQuotaUsage
+        }
+      });
+
+      this.quotaManager = new QuotaManager({
+        repository,
+        budgets: getQuotaBudgets(process.env)
+      });
+    } catch (error) {
+      console.error('Failed to initialize quota manager:', error);
+      throw new Error(`Failed to initialize quota manager: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure quota manager is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.quotaManager) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * Get usage against budget for every provider on a day
+   * @param {Object} query - Query parameters ({ day: 'YYYY-MM-DD' })
+   * @returns {Promise<Object>} { day, providers }
+   */
+  async getUsage(query = {}) {
+    await this.ensureInitialized();
+
+    if (query.day && !/^\d{4}-\d{2}-\d{2}$/.test(query.day)) {
+      const error = new Error('Invalid day: expected YYYY-MM-DD');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const providers = query.day
+      ? await this.quotaManager.getUsage(query.day)
+      : await this.quotaManager.getUsage();
+
+    return {
+      day: providers[0]?.day || query.day || new Date().toISOString().slice(0, 10),
+      providers
+    };
+  }
+}
@@ -0,0 +1,101 @@
+import { QuotaExceededError } from '../base/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current UTC day as YYYY-MM-DD
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getQuotaDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Milliseconds until the next UTC day, when daily budgets reset
+ * @param {Date} [date]
+ * @returns {number}
+ */
+function msUntilReset(date = new Date()) {
+    const nextDay = new Date(`${getQuotaDay(date)}T00:00:00.000Z`).getTime() + DAY_MS;
+    return nextDay - date.getTime();
+}
+
+/**
+ * Counts outbound requests per provider per day and refuses calls once a provider's
+ * daily budget is reached. BaseApiClient consults it before every attempt.
+ */
+class QuotaManager {
+    /**
+     * @param {Object} options
+     * @param {QuotaRepositoryInterface} options.repository - Where usage is counted
+     * @param {Object} [options.budgets] - Daily budgets keyed by provider (null or missing = unlimited)
+     * @param {boolean} [options.failOpen=true] - Allow calls when usage cannot be recorded
+     */
+    constructor({ repository, budgets = {}, failOpen = true } = {}) {
+        if (!repository) {
+            throw new Error('QuotaManager requires a quota repository');
+        }
+        this.repository = repository;
+        this.budgets = budgets;
+        this.failOpen = failOpen;
+    }
+
+    /**
+     * Record one request for a provider, or refuse it when the budget is exhausted
+     * @param {string} provider - Provider name
+     * @param {string} [endpoint] - Endpoint about to be called, for error reporting
+     * @returns {Promise<void>}
+     * @throws {QuotaExceededError} If the provider's daily budget is used up
+     */
+    async consume(provider, endpoint) {
+        const now = new Date();
+        const budget = this.budgets[provider] ?? null;
+
+        if (budget !== null && budget <= 0) {
+            throw new QuotaExceededError(provider, { endpoint, budget, retryAfterMs: msUntilReset(now) });
+        }
+
+        let count;
+        try {
+            count = await this.repository.incrementUsage(provider, getQuotaDay(now), budget);
+        } catch (error) {
+            if (!this.failOpen) {
+                throw error;
+            }
+            console.warn(`Could not record quota usage for ${provider}: ${error.message}`);
+            return;
+        }
+
+        if (count === null) {
+            throw new QuotaExceededError(provider, { endpoint, budget, retryAfterMs: msUntilReset(now) });
+        }
+    }
+
+    /**
+     * Usage for every provider with a budget or recorded requests on a day
+     * @param {string} [day] - UTC day (YYYY-MM-DD), defaults to today
+     * @returns {Promise<Array>} [{ provider, day, used, budget, remaining, exhausted }]
+     */
+    async getUsage(day = getQuotaDay()) {
+        const rows = await this.repository.findUsageByDay(day);
+        const usedByProvider = Object.fromEntries(rows.map(row => [row.provider, row.requestCount]));
+        const providers = [...new Set([...Object.keys(this.budgets), ...Object.keys(usedByProvider)])].sort();
+
+        return providers.map(provider => {
+            const used = usedByProvider[provider] || 0;
+            const budget = this.budgets[provider] ?? null;
+
+            return {
+                provider,
+                day,
+                used,
+                budget,
+                remaining: budget === null ? null : Math.max(0, budget - used),
+                exhausted: budget !== null && used >= budget
+            };
+        });
+    }
+}
+
+export { QuotaManager };
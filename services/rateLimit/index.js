@@ -0,0 +1,5 @@
+export { RateLimitStore } from './rateLimitStore.js';
+export { MemoryRateLimitStore } from './memoryRateLimitStore.js';
+export { PostgresRateLimitStore } from './postgresRateLimitStore.js';
+export { RedisRateLimitStore } from './redisRateLimitStore.js';
+export { RateLimiter, ANONYMOUS_TIER, GLOBAL_BUCKET } from './rateLimiter.js';
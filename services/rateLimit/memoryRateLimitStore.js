@@ -0,0 +1,59 @@
+import { RateLimitStore } from './rateLimitStore.js';
+
+/**
+ * In-process rate limit store
+ * Only correct for a single instance; used in development and as the fallback
+ * when the shared store is unavailable
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=10000] - Counters kept before expired ones are swept
+     * @param {Function} [options.now] - Clock function, mainly for testing
+     */
+    constructor(options = {}) {
+        super();
+        this.maxEntries = options.maxEntries ?? 10000;
+        this.now = options.now || Date.now;
+        this.counters = new Map();
+    }
+
+    async increment(key, windowMs) {
+        const now = this.now();
+        let counter = this.counters.get(key);
+
+        if (!counter || counter.resetAt <= now) {
+            if (this.counters.size >= this.maxEntries) {
+                this._sweep(now);
+            }
+            counter = { hits: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+
+        counter.hits += 1;
+        return { hits: counter.hits, resetAt: new Date(counter.resetAt) };
+    }
+
+    async reset(key) {
+        this.counters.delete(key);
+    }
+
+    /**
+     * Drop expired counters, then the oldest ones if still over capacity
+     * @private
+     */
+    _sweep(now) {
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+
+        while (this.counters.size >= this.maxEntries) {
+            const oldestKey = this.counters.keys().next().value;
+            this.counters.delete(oldestKey);
+        }
+    }
+}
+
+export { MemoryRateLimitStore };
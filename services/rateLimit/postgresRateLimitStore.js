@@ -0,0 +1,70 @@
+import { QueryTypes } from 'sequelize';
+import { RateLimitStore } from './rateLimitStore.js';
+
+// How often an instance deletes expired counters from the table
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// A single upsert so concurrent instances never lose hits
+const INCREMENT_SQL = `
+    INSERT INTO rate_limit_hits (key, hits, "resetAt")
+    VALUES ($1, 1, $2)
+    ON CONFLICT (key) DO UPDATE SET
+        hits = CASE WHEN rate_limit_hits."resetAt" <= $3 THEN 1 ELSE rate_limit_hits.hits + 1 END,
+        "resetAt" = CASE WHEN rate_limit_hits."resetAt" <= $3 THEN EXCLUDED."resetAt" ELSE rate_limit_hits."resetAt" END
+    RETURNING hits, "resetAt"
+`;
+
+/**
+ * Rate limit store backed by the rate_limit_hits table (db/migrations/011_create_rate_limit_hits_table.js)
+ */
+class PostgresRateLimitStore extends RateLimitStore {
+    /**
+     * @param {Object} config
+     * @param {Object} config.sequelize - Sequelize instance connected to the database
+     * @param {Function} [config.now] - Clock function, mainly for testing
+     */
+    constructor(config = {}) {
+        super();
+        if (!config.sequelize || typeof config.sequelize.query !== 'function') {
+            throw new Error('PostgresRateLimitStore requires a Sequelize instance');
+        }
+        this.sequelize = config.sequelize;
+        this.now = config.now || Date.now;
+        this.lastCleanup = 0;
+    }
+
+    async increment(key, windowMs) {
+        const now = this.now();
+        const [row] = await this.sequelize.query(INCREMENT_SQL, {
+            bind: [key, new Date(now + windowMs), new Date(now)],
+            type: QueryTypes.SELECT
+        });
+
+        this._cleanup(now);
+
+        return { hits: Number(row.hits), resetAt: new Date(row.resetAt) };
+    }
+
+    async reset(key) {
+        await this.sequelize.query('DELETE FROM rate_limit_hits WHERE key = $1', {
+            bind: [key]
+        });
+    }
+
+    /**
+     * Delete expired counters without delaying the request
+     * @private
+     */
+    _cleanup(now) {
+        if (now - this.lastCleanup < CLEANUP_INTERVAL_MS) return;
+
+        this.lastCleanup = now;
+        this.sequelize.query('DELETE FROM rate_limit_hits WHERE "resetAt" <= $1', {
+            bind: [new Date(now)]
+        }).catch(error => {
+            console.warn(`Failed to clean up rate limit counters: ${error.message}`);
+        });
+    }
+}
+
+export { PostgresRateLimitStore };
@@ -0,0 +1,35 @@
+/**
+ * Interface for rate limit counter backends used by RateLimiter
+ *
+ * Counters are fixed windows: the first hit on a key opens a window of windowMs,
+ * later hits increment it until it expires. Shared stores (Postgres, Redis) let
+ * several API instances enforce one limit.
+ */
+class RateLimitStore {
+    constructor() {
+        if (this.constructor === RateLimitStore) {
+            throw new Error('RateLimitStore cannot be instantiated directly');
+        }
+    }
+
+    /**
+     * Count a hit against a key
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length used when a new window is opened
+     * @returns {Promise<{hits: number, resetAt: Date}>} Hits in the current window and when it ends
+     */
+    async increment(key, windowMs) {
+        throw new Error('Method increment() must be implemented');
+    }
+
+    /**
+     * Clear a key's counter
+     * @param {string} key - Counter key
+     * @returns {Promise<void>}
+     */
+    async reset(key) {
+        throw new Error('Method reset() must be implemented');
+    }
+}
+
+export { RateLimitStore };
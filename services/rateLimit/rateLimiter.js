@@ -0,0 +1,92 @@
+import { MemoryRateLimitStore } from './memoryRateLimitStore.js';
+
+// Tier used for requests without a valid API key
+const ANONYMOUS_TIER = 'anonymous';
+
+// Bucket for limits that apply to every route
+const GLOBAL_BUCKET = 'global';
+
+// Store errors are logged at most this often so an outage does not flood the logs
+const STORE_WARNING_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Fixed-window rate limiter with limits per caller tier and per-route overrides
+ *
+ * Limits are requests per window; 0 or null means unlimited. When the shared store
+ * fails, counting continues in memory so an outage degrades to per-instance limits
+ * instead of rejecting or waving through all traffic.
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {RateLimitStore|Promise<RateLimitStore>} options.store - Shared counter store
+     * @param {RateLimitStore} [options.fallbackStore] - Store used while the shared one fails
+     * @param {number} [options.windowMs=60000] - Window length
+     * @param {Object} options.tiers - Limits by tier, e.g. { anonymous: 60, reader: 300 }
+     * @param {Object} [options.routes] - Per-route limits by tier, e.g. { 'aggregated-data': { anonymous: 10 } }
+     */
+    constructor(options = {}) {
+        this.store = options.store;
+        this.fallbackStore = options.fallbackStore || new MemoryRateLimitStore();
+        this.windowMs = options.windowMs ?? 60 * 1000;
+        this.tiers = options.tiers || {};
+        this.routes = options.routes || {};
+        this.lastStoreWarning = 0;
+    }
+
+    /**
+     * Limit that applies to a tier, globally or on one route
+     * Tiers missing from a route override inherit the global limit
+     * @param {string} tier - Caller tier
+     * @param {string} [route] - Route override name
+     * @returns {number|null} Requests per window, or null when unlimited
+     */
+    getLimit(tier, route = GLOBAL_BUCKET) {
+        const tiers = route === GLOBAL_BUCKET ? this.tiers : { ...this.tiers, ...this.routes[route] };
+        const limit = tier in tiers ? tiers[tier] : tiers[ANONYMOUS_TIER];
+        return limit ? limit : null;
+    }
+
+    /**
+     * Count a request and report whether it is within the limit
+     * @param {string} identity - Caller identity, e.g. "key:12" or "ip:203.0.113.5"
+     * @param {string} tier - Caller tier
+     * @param {string} [route] - Route override name
+     * @returns {Promise<Object|null>} { limit, remaining, resetAt, allowed }, or null when unlimited
+     */
+    async consume(identity, tier, route = GLOBAL_BUCKET) {
+        const limit = this.getLimit(tier, route);
+        if (limit === null) {
+            return null;
+        }
+
+        const { hits, resetAt } = await this._increment(`${route}:${identity}`);
+
+        return {
+            limit,
+            remaining: Math.max(0, limit - hits),
+            resetAt,
+            allowed: hits <= limit
+        };
+    }
+
+    /**
+     * Increment in the shared store, falling back to memory on failure
+     * @private
+     */
+    async _increment(key) {
+        try {
+            const store = await this.store;
+            return await store.increment(key, this.windowMs);
+        } catch (error) {
+            const now = Date.now();
+            if (now - this.lastStoreWarning >= STORE_WARNING_INTERVAL_MS) {
+                this.lastStoreWarning = now;
+                console.warn(`Rate limit store unavailable, counting in memory: ${error.message}`);
+            }
+            return this.fallbackStore.increment(key, this.windowMs);
+        }
+    }
+}
+
+export { RateLimiter, ANONYMOUS_TIER, GLOBAL_BUCKET };
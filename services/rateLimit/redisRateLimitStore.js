@@ -0,0 +1,44 @@
+import { RateLimitStore } from './rateLimitStore.js';
+
+/**
+ * Rate limit store for any Redis-compatible client
+ *
+ * The client only needs incr, pExpire, pTTL and del returning promises,
+ * which node-redis v4 provides; other clients can be adapted to that shape.
+ */
+class RedisRateLimitStore extends RateLimitStore {
+    /**
+     * @param {Object} config
+     * @param {Object} config.client - Connected Redis-compatible client
+     * @param {string} [config.prefix='rate-limit:'] - Key prefix
+     */
+    constructor(config = {}) {
+        super();
+        const { client } = config;
+        if (!client || ['incr', 'pExpire', 'pTTL', 'del'].some(method => typeof client[method] !== 'function')) {
+            throw new Error('RedisRateLimitStore requires a client with incr, pExpire, pTTL and del');
+        }
+        this.client = client;
+        this.prefix = config.prefix ?? 'rate-limit:';
+    }
+
+    async increment(key, windowMs) {
+        const redisKey = this.prefix + key;
+        const hits = Number(await this.client.incr(redisKey));
+
+        let ttl = hits === 1 ? -1 : Number(await this.client.pTTL(redisKey));
+        // A new key, or one whose expiry was lost (e.g. a crash between INCR and PEXPIRE)
+        if (ttl < 0) {
+            await this.client.pExpire(redisKey, windowMs);
+            ttl = windowMs;
+        }
+
+        return { hits, resetAt: new Date(Date.now() + ttl) };
+    }
+
+    async reset(key) {
+        await this.client.del(this.prefix + key);
+    }
+}
+
+export { RedisRateLimitStore };
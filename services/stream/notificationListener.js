@@ -0,0 +1,135 @@
+import { EventEmitter } from 'events';
+import pg from 'pg';
+
+/**
+ * Holds a dedicated connection LISTENing on a Postgres channel and re-emits each
+ * NOTIFY payload as a 'notification' event with the parsed JSON.
+ *
+ * LISTEN needs a session of its own, so this does not borrow from the Sequelize pool.
+ * When the connection drops it reconnects after `reconnectDelayMs` and emits 'reconnect';
+ * notifications sent while it was down are lost, so listeners should catch up from the table.
+ */
+export class NotificationListener extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.channel - Channel to LISTEN on
+     * @param {Object} options.connection - Database config (config.database)
+     * @param {number} [options.reconnectDelayMs=5000] - Wait before reconnecting after a drop
+     */
+    constructor({ channel, connection, reconnectDelayMs = 5000 }) {
+        super();
+        if (!/^[a-z_][a-z0-9_]*$/.test(channel || '')) {
+            throw new Error(`Invalid notification channel: ${channel}`);
+        }
+
+        this.channel = channel;
+        this.connection = connection;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.client = null;
+        this.started = null;
+        this.stopped = false;
+        this.reconnectTimer = null;
+    }
+
+    /**
+     * Connect and LISTEN; resolves once the first connection is listening
+     * Calling it again returns the same promise
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (!this.started) {
+            this.stopped = false;
+            this.started = this._connect().catch(error => {
+                this.started = null;
+                throw error;
+            });
+        }
+        return this.started;
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.stopped = true;
+        this.started = null;
+        clearTimeout(this.reconnectTimer);
+
+        const client = this.client;
+        this.client = null;
+        if (client) {
+            await client.end().catch(error => console.error('Failed to close notification listener:', error));
+        }
+    }
+
+    /**
+     * Open a connection and LISTEN on the channel
+     * @private
+     */
+    async _connect() {
+        const { host, port, database, username, password, dialectOptions } = this.connection;
+        const client = new pg.Client({
+            host,
+            port,
+            database,
+            user: username,
+            password,
+            ssl: dialectOptions?.ssl
+        });
+
+        client.on('notification', ({ channel, payload }) => {
+            if (channel !== this.channel) return;
+            try {
+                this.emit('notification', JSON.parse(payload));
+            } catch (error) {
+                console.error(`Ignoring malformed ${channel} notification:`, payload);
+            }
+        });
+        client.on('error', error => {
+            console.error(`Notification listener on ${this.channel} failed:`, error.message);
+            this._reconnect(client);
+        });
+        client.on('end', () => this._reconnect(client));
+
+        await client.connect();
+        try {
+            await client.query(`LISTEN ${this.channel}`);
+        } catch (error) {
+            client.removeAllListeners('end');
+            await client.end().catch(() => {});
+            throw error;
+        }
+
+        if (this.stopped) {
+            client.removeAllListeners('end');
+            await client.end().catch(() => {});
+            return;
+        }
+        this.client = client;
+    }
+
+    /**
+     * Replace a dropped connection, retrying until one succeeds or stop() is called
+     * @private
+     */
+    _reconnect(client) {
+        if (this.stopped || client !== this.client) return;
+
+        this.client = null;
+        client.removeAllListeners();
+        client.on('error', () => {});
+        client.end().catch(() => {});
+
+        const retry = () => {
+            if (this.stopped) return;
+            this._connect()
+                .then(() => this.emit('reconnect'))
+                .catch(error => {
+                    console.error(`Reconnecting notification listener on ${this.channel} failed:`, error.message);
+                    this.reconnectTimer = setTimeout(retry, this.reconnectDelayMs);
+                });
+        };
+        this.reconnectTimer = setTimeout(retry, this.reconnectDelayMs);
+    }
+}
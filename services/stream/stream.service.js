@@ -0,0 +1,288 @@
+import config from '../../config/index.js';
+import { WeatherRecordService } from '../weatherRecords/weatherRecords.service.js';
+import { NewsArticleService } from '../newsArticles/newsArticles.service.js';
+import { NotificationListener } from './notificationListener.js';
+
+// Channel and payload set up by db/migrations/016_add_data_saved_notifications.js
+const NOTIFY_CHANNEL = 'data_saved';
+
+// Stream event type of each table
+const EVENT_TYPES = { weather: 'weather', news: 'news' };
+
+const STREAM_TYPES = Object.values(EVENT_TYPES);
+
+// Event IDs carry the last weather and news IDs the client received: w<id>.n<id>
+const EVENT_ID_PATTERN = /^w(\d+)\.n(\d+)$/;
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Format a client cursor as an SSE event ID
+ * @private
+ */
+function formatEventId(cursor) {
+  return `w${cursor.weather}.n${cursor.news}`;
+}
+
+/**
+ * Whether an event passes a client's filters (city only narrows weather readings)
+ * @private
+ */
+function matchesFilters(event, { types, city, provider }) {
+  if (!types.includes(event.type)) return false;
+  if (provider && event.data.provider !== provider) return false;
+  if (city && event.type === EVENT_TYPES.weather && event.data.city !== city) return false;
+  return true;
+}
+
+/**
+ * Pushes newly saved weather readings and news articles to connected clients
+ *
+ * Inserts NOTIFY the data_saved channel; each notified row is loaded once and fanned out
+ * to the clients whose filters it matches. Every event ID records the last reading and
+ * article the client received, so a reconnecting client's Last-Event-ID is enough to replay
+ * what it missed.
+ */
+export class StreamService {
+  /**
+   * @param {Object} [options]
+   * @param {NotificationListener} [options.listener] - Source of data_saved notifications
+   * @param {number} [options.replayLimit] - Most readings and most articles replayed on resume
+   */
+  constructor({
+    listener = new NotificationListener({
+      channel: NOTIFY_CHANNEL,
+      connection: config.database,
+      reconnectDelayMs: config.stream.reconnectDelayMs
+    }),
+    replayLimit = config.stream.replayLimit
+  } = {}) {
+    this.weatherRecords = new WeatherRecordService();
+    this.newsArticles = new NewsArticleService();
+    this.listener = listener;
+    this.replayLimit = replayLimit;
+    this.clients = new Set();
+    // Last IDs broadcast, the starting point for catching up after the listener reconnects
+    this.lastSeen = null;
+    // Notifications are handled one at a time so each client gets rows in the order they were saved
+    this.queue = Promise.resolve();
+
+    this.listener.on('notification', notification => {
+      this._enqueue(() => this._handleNotification(notification), 'Failed to stream saved data:');
+    });
+    this.listener.on('reconnect', () => {
+      this._enqueue(() => this._catchUp(), 'Failed to catch up stream after reconnect:');
+    });
+  }
+
+  /**
+   * Validate stream query parameters and the Last-Event-ID a client resumes from
+   * @param {Object} query - { city, provider, types, lastEventId }
+   * @param {string} [lastEventId] - Last-Event-ID header, which wins over the query parameter
+   * @returns {Object} { filters: { city, provider, types }, cursor } with cursor null for a fresh stream
+   */
+  parseRequest(query = {}, lastEventId) {
+    const types = query.types
+      ? String(query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : STREAM_TYPES;
+
+    const unknown = types.filter(type => !STREAM_TYPES.includes(type));
+    if (unknown.length > 0 || types.length === 0) {
+      throw httpError(`Invalid types. Expected a comma-separated list of: ${STREAM_TYPES.join(', ')}`, 400);
+    }
+
+    const eventId = lastEventId || query.lastEventId;
+    let cursor = null;
+    if (eventId) {
+      const match = EVENT_ID_PATTERN.exec(String(eventId).trim());
+      if (!match) {
+        throw httpError('Invalid Last-Event-ID. Expected an ID sent by this stream', 400);
+      }
+      cursor = { weather: Number(match[1]), news: Number(match[2]) };
+    }
+
+    return {
+      filters: {
+        city: query.city ? String(query.city) : undefined,
+        provider: query.provider ? String(query.provider) : undefined,
+        types
+      },
+      cursor
+    };
+  }
+
+  /**
+   * Start streaming to a client
+   * Without a cursor only data saved from now on is sent; with one, what was saved after
+   * it is replayed first (up to replayLimit of each type), then the live stream follows.
+   * @param {Object} options
+   * @param {Object} options.filters - Filters from parseRequest
+   * @param {Object|null} options.cursor - Cursor from parseRequest
+   * @param {Function} options.send - Called with { id, event, data } for each event
+   * @returns {Promise<Function>} Call to stop streaming to the client
+   */
+  async subscribe({ filters, cursor, send }) {
+    await this.listener.start();
+
+    const client = {
+      filters,
+      send,
+      cursor: null,
+      // Live events that arrive while the cursor and replay are loading, sent after them
+      pending: []
+    };
+    this.clients.add(client);
+    const unsubscribe = () => this.clients.delete(client);
+
+    try {
+      const latest = await this._latestIds();
+      this.lastSeen ??= latest;
+      client.cursor = cursor ? { ...cursor } : { ...latest };
+
+      if (cursor) {
+        const missed = await this._loadAfter(client.cursor, filters);
+        missed.forEach(event => this._deliver(client, event));
+      }
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+
+    const pending = client.pending;
+    client.pending = null;
+    pending.forEach(event => this._deliver(client, event));
+
+    return unsubscribe;
+  }
+
+  /**
+   * Stop listening for notifications; connected clients receive nothing more
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.clients.clear();
+    await this.listener.stop();
+  }
+
+  /**
+   * Run a handler after the ones already queued, logging its failure
+   * @private
+   */
+  _enqueue(handler, failureMessage) {
+    this.queue = this.queue
+      .then(handler)
+      .catch(error => console.error(failureMessage, error));
+  }
+
+  /**
+   * Load a notified row and send it to every matching client
+   * @private
+   */
+  async _handleNotification({ table, id }) {
+    const type = EVENT_TYPES[table];
+    if (!type || !Number.isInteger(Number(id))) return;
+
+    this._advanceLastSeen(type, Number(id));
+    if (![...this.clients].some(client => client.filters.types.includes(type))) return;
+
+    const data = type === EVENT_TYPES.weather
+      ? await this.weatherRecords.getRecord(id)
+      : await this.newsArticles.getArticle(id);
+
+    this._broadcast({ type, id: Number(id), data });
+  }
+
+  /**
+   * Send whatever was saved while the listener was disconnected
+   * @private
+   */
+  async _catchUp() {
+    if (!this.lastSeen || this.clients.size === 0) return;
+
+    const events = await this._loadAfter(this.lastSeen, { types: STREAM_TYPES });
+    events.forEach(event => {
+      this._advanceLastSeen(event.type, event.id);
+      this._broadcast(event);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _broadcast(event) {
+    for (const client of this.clients) {
+      if (!matchesFilters(event, client.filters)) continue;
+
+      if (client.pending) {
+        client.pending.push(event);
+      } else {
+        this._deliver(client, event);
+      }
+    }
+  }
+
+  /**
+   * Send an event the client has not had yet and move its cursor past it
+   * @private
+   */
+  _deliver(client, event) {
+    if (event.id <= client.cursor[event.type]) return;
+
+    client.cursor[event.type] = event.id;
+    try {
+      client.send({ id: formatEventId(client.cursor), event: event.type, data: event.data });
+    } catch (error) {
+      console.error('Failed to write stream event:', error);
+      this.clients.delete(client);
+    }
+  }
+
+  /**
+   * Rows saved after a cursor that match the filters, in the order they were saved
+   * @private
+   */
+  async _loadAfter(cursor, { types, city, provider }) {
+    const [readings, articles] = await Promise.all([
+      types.includes(EVENT_TYPES.weather)
+        ? this.weatherRecords.listRecordsAfter(cursor.weather, { city, provider }, this.replayLimit)
+        : [],
+      types.includes(EVENT_TYPES.news)
+        ? this.newsArticles.listArticlesAfter(cursor.news, { provider }, this.replayLimit)
+        : []
+    ]);
+
+    return [
+      ...readings.map(data => ({ type: EVENT_TYPES.weather, id: Number(data.id), data })),
+      ...articles.map(data => ({ type: EVENT_TYPES.news, id: Number(data.id), data }))
+    ];
+  }
+
+  /**
+   * Newest IDs of both tables, the cursor of a client that starts without Last-Event-ID
+   * @private
+   */
+  async _latestIds() {
+    const [weather, news] = await Promise.all([
+      this.weatherRecords.getLatestRecordId(),
+      this.newsArticles.getLatestArticleId()
+    ]);
+    return { weather, news };
+  }
+
+  /**
+   * @private
+   */
+  _advanceLastSeen(type, id) {
+    if (this.lastSeen && id > this.lastSeen[type]) {
+      this.lastSeen[type] = id;
+    }
+  }
+}
@@ -0,0 +1,160 @@
+import { createCollectionTargetRepository, RepositoryType } from '../../repositories/collectionTarget/index.js';
+import { CollectionTarget } from '../../models/index.js';
+import { getPaginatedData } from "../../utils/pagination.js";
+import { targetFilters, processFilters } from "../../middleware/schemas/index.js";
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Map repository failures caused by the request to 4xx errors
+ * @private
+ */
+function toHttpError(error) {
+  if (error.isValidationError) {
+    return httpError(error.originalError?.message || error.message, 400);
+  }
+  
+  const original = error.originalError;
+  if (original?.name === 'SequelizeUniqueConstraintError' || original?.original?.code === '23505') {
+    return httpError('A target with this type and value already exists', 409);
+  }
+  
+  return error;
+}
+
+/**
+ * Service for managing what the collector worker fetches
+ */
+export class TargetService {
+  constructor() {
+    // Initialize repository asynchronously
+    this.initialized = this.initializeRepository();
+  }
+
+  /**
+   * Initialize repository instance
+   * @private
+   */
+  async initializeRepository() {
+    try {
+      this.targetRepository = await createCollectionTargetRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: CollectionTarget
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize collection target repository:', error);
+      throw new Error(`Failed to initialize collection target repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure repository is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.targetRepository) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * Validate a target ID route parameter
+   * @private
+   */
+  _parseId(id) {
+    if (!/^\d+$/.test(String(id))) {
+      throw httpError('Invalid target ID', 400);
+    }
+    return id;
+  }
+
+  /**
+   * List targets with pagination
+   * @param {Object} query - Query parameters including pagination and filters
+   * @returns {Promise<Object>} Targets with pagination metadata
+   */
+  async listTargets(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, ...filterParams } = query;
+    const filters = processFilters(filterParams, targetFilters);
+
+    return getPaginatedData(this.targetRepository, filters, {}, query);
+  }
+
+  /**
+   * Get a target by ID
+   * @param {string|number} id - Target ID
+   * @returns {Promise<Object>} Target
+   */
+  async getTarget(id) {
+    await this.ensureInitialized();
+
+    const target = await this.targetRepository.findById(this._parseId(id));
+    if (!target) {
+      throw httpError(`Target ${id} not found`, 404);
+    }
+    return target;
+  }
+
+  /**
+   * Create a target
+   * @param {Object} data - { type, value, providers, enabled, intervalMinutes }
+   * @returns {Promise<Object>} Created target
+   */
+  async createTarget(data) {
+    await this.ensureInitialized();
+
+    try {
+      return await this.targetRepository.create(data);
+    } catch (error) {
+      throw toHttpError(error);
+    }
+  }
+
+  /**
+   * Change some fields of a target
+   * @param {string|number} id - Target ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated target
+   */
+  async updateTarget(id, data) {
+    await this.ensureInitialized();
+
+    let target;
+    try {
+      target = await this.targetRepository.update(this._parseId(id), data);
+    } catch (error) {
+      throw toHttpError(error);
+    }
+
+    if (!target) {
+      throw httpError(`Target ${id} not found`, 404);
+    }
+    return target;
+  }
+
+  /**
+   * Delete a target
+   * @param {string|number} id - Target ID
+   * @returns {Promise<void>}
+   */
+  async deleteTarget(id) {
+    await this.ensureInitialized();
+
+    const deleted = await this.targetRepository.delete(this._parseId(id));
+    if (!deleted) {
+      throw httpError(`Target ${id} not found`, 404);
+    }
+  }
+}
@@ -1,20 +1,48 @@
 import OpenWeatherMapService from './openweathermap/index.js';
 import AccuWeatherService from './accuweather/index.js';
+import FailoverWeatherService from './failover/index.js';
 
 export const WeatherProvider = {
     OPENWEATHERMAP: 'openweathermap',
     ACCUWEATHER: 'accuweather'
 };
 
+// Composite service type, not a data provider
+export const FAILOVER = 'failover';
+
 export class WeatherServiceFactory {
     static createWeatherService(provider, config) {
         switch (provider.toLowerCase()) {
             case WeatherProvider.OPENWEATHERMAP:
-                return new OpenWeatherMapService(config.apiKey);
+                return new OpenWeatherMapService(config.apiKey, config.clientOptions);
             case WeatherProvider.ACCUWEATHER:
-                return new AccuWeatherService(config.apiKey);
+                return new AccuWeatherService(config.apiKey, config.clientOptions);
+            case FAILOVER:
+                return WeatherServiceFactory.createFailoverWeatherService(config.providers, config);
             default:
                 throw new Error(`Unsupported weather provider: ${provider}`);
         }
     }
+
+    /**
+     * Create a composite service that falls back through providers in order
+     * @param {Array<Object>} providers - Ordered list of { provider, apiKey }
+     * @param {Object} [options] - Circuit breaker options, see FailoverWeatherService
+     * @param {Object} [options.clientOptions] - BaseApiClient options passed to every provider
+     * @returns {FailoverWeatherService}
+     */
+    static createFailoverWeatherService(providers = [], options = {}) {
+        const services = providers.map(({ provider, apiKey }) => ({
+            provider,
+            service: WeatherServiceFactory.createWeatherService(provider, {
+                apiKey,
+                clientOptions: options.clientOptions
+            })
+        }));
+
+        return new FailoverWeatherService(services, {
+            circuitBreakers: options.circuitBreakers,
+            circuitBreaker: options.circuitBreaker
+        });
+    }
 }
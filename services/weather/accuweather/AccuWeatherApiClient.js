@@ -1,12 +1,30 @@
 import { WeatherApiClient } from '../base/index.js';
 
+const MINUTE = 60 * 1000;
+
+// Location keys practically never change; conditions and forecasts go stale quickly
+const CACHE_TTLS = [
+    { match: '/locations/', ttlMs: 7 * 24 * 60 * MINUTE },
+    { match: '/currentconditions/', ttlMs: 10 * MINUTE },
+    { match: '/forecasts/', ttlMs: 60 * MINUTE }
+];
 
 class AccuWeatherApiClient extends WeatherApiClient {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - AccuWeather API key
+     * @param {Object} [options] - BaseApiClient options (timeout, retry, cache)
+     */
+    constructor(apiKey, options = {}) {
         super('https://dataservice.accuweather.com', {
+            ...options,
+            provider: 'accuweather',
             params: {
                 apikey: apiKey,
                 details: true  // Get detailed weather information
+            },
+            cache: {
+                ttls: CACHE_TTLS,
+                ...options.cache
             }
         });
     }
@@ -41,6 +59,33 @@ class AccuWeatherApiClient extends WeatherApiClient {
             conditions
         };
     }
+
+    async getDailyForecast(locationKey) {
+        return this.get(`/forecasts/v1/daily/5day/${locationKey}`, {
+            metric: true
+        });
+    }
+
+    async getHourlyForecast(locationKey) {
+        return this.get(`/forecasts/v1/hourly/12hour/${locationKey}`, {
+            metric: true
+        });
+    }
+
+    async getForecast(city) {
+        // searchCity is served from the response cache after the first lookup
+        const location = await this.searchCity(city);
+        const [hourly, daily] = await Promise.all([
+            this.getHourlyForecast(location.Key),
+            this.getDailyForecast(location.Key)
+        ]);
+
+        return {
+            location,
+            hourly,
+            forecast: daily
+        };
+    }
 }
 
-export default AccuWeatherApiClient;
\ No newline at end of file
+export default AccuWeatherApiClient;
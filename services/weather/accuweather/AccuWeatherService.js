@@ -3,8 +3,12 @@ import AccuWeatherTransformer from './AccuWeatherTransformer.js';
 import AccuWeatherApiClient from './AccuWeatherApiClient.js';
 
 class AccuWeatherService extends WeatherService {
-    constructor(apiKey) {
-        const apiClient = new AccuWeatherApiClient(apiKey);
+    /**
+     * @param {string} apiKey - Provider API key
+     * @param {Object} [clientOptions] - BaseApiClient options (timeout, retry, cache)
+     */
+    constructor(apiKey, clientOptions = {}) {
+        const apiClient = new AccuWeatherApiClient(apiKey, clientOptions);
         const transformer = new AccuWeatherTransformer();
         super(apiClient, transformer);
     }
@@ -13,6 +17,11 @@ class AccuWeatherService extends WeatherService {
         const data = await this.apiClient.getCurrentWeather(city);
         return this._standardizeWeatherData(data);
     }
+
+    async getForecast(city) {
+        const data = await this.apiClient.getForecast(city);
+        return this._standardizeForecastData(data);
+    }
 }
 
-export default AccuWeatherService;
\ No newline at end of file
+export default AccuWeatherService;
@@ -61,7 +61,7 @@ class AccuWeatherTransformer extends BaseWeatherTransformer {
     }
 
     _transformForecast(data) {
-        const { location, forecast } = data;
+        const { location, forecast, hourly = [] } = data;
         const dailyForecasts = forecast.DailyForecasts || [];
         
         // Normalize location data using parent class method
@@ -69,6 +69,15 @@ class AccuWeatherTransformer extends BaseWeatherTransformer {
             ...location,
             Country: location.Country || { LocalizedName: '' }
         });
+
+        // Hourly points cover the next 12 hours; daily points extend the horizon past them
+        const hourlyPoints = hourly.map(hour => this._transformHourlyPoint(hour));
+        const lastHourly = hourlyPoints.length > 0
+            ? hourlyPoints[hourlyPoints.length - 1].timestamp
+            : null;
+        const dailyPoints = dailyForecasts
+            .map(day => this._transformDailyPoint(day))
+            .filter(point => !lastHourly || point.timestamp > lastHourly);
         
         return {
             // Provider information
@@ -81,30 +90,60 @@ class AccuWeatherTransformer extends BaseWeatherTransformer {
             latitude: location.GeoPosition?.Latitude || 0,
             longitude: location.GeoPosition?.Longitude || 0,
             
-            // Forecast data
-            forecast: dailyForecasts.map(day => ({
-                // Temperature data
-                temperature: null,
-                feelsLike: null,
-                tempMin: this._fahrenheitToCelsius(day.Temperature?.Minimum?.Value || 0),
-                tempMax: this._fahrenheitToCelsius(day.Temperature?.Maximum?.Value || 0),
-                
-                // Atmospheric conditions
-                humidity: null,
-                pressure: null,
-                
-                // Wind data
-                windSpeed: this._mphToMetersPerSecond(day.Day?.Wind?.Speed?.Value || 0),
-                windDirection: day.Day?.Wind?.Direction?.Degrees || 0,
-                
-                // Weather conditions
-                conditionMain: day.Day?.IconPhrase || '',
-                conditionDescription: day.Day?.LongPhrase || '',
-                conditionIcon: String(day.Day?.Icon || '01').padStart(2, '0'),
-                
-                // Timestamp
-                timestamp: new Date(day.EpochDate * 1000)
-            }))
+            // Forecast data, same item shape as OpenWeatherMapTransformer
+            forecast: [...hourlyPoints, ...dailyPoints]
+        };
+    }
+
+    _transformHourlyPoint(hour) {
+        return {
+            // Temperature data
+            temperature: this._toCelsius(hour.Temperature),
+            feelsLike: this._toCelsius(hour.RealFeelTemperature),
+            tempMin: this._toCelsius(hour.Temperature),
+            tempMax: this._toCelsius(hour.Temperature),
+            
+            // Atmospheric conditions (hourly forecasts do not report pressure)
+            humidity: hour.RelativeHumidity ?? null,
+            pressure: null,
+            
+            // Wind data
+            windSpeed: this._toMetersPerSecond(hour.Wind?.Speed),
+            windDirection: hour.Wind?.Direction?.Degrees ?? null,
+            
+            // Weather conditions
+            conditionMain: hour.IconPhrase || '',
+            conditionDescription: hour.IconPhrase || '',
+            conditionIcon: String(hour.WeatherIcon || '01').padStart(2, '0'),
+            
+            // Timestamp
+            timestamp: new Date(hour.EpochDateTime * 1000)
+        };
+    }
+
+    _transformDailyPoint(day) {
+        return {
+            // Temperature data (daily forecasts only carry a range)
+            temperature: null,
+            feelsLike: null,
+            tempMin: this._toCelsius(day.Temperature?.Minimum),
+            tempMax: this._toCelsius(day.Temperature?.Maximum),
+            
+            // Atmospheric conditions
+            humidity: day.Day?.RelativeHumidity?.Average ?? null,
+            pressure: null,
+            
+            // Wind data
+            windSpeed: this._toMetersPerSecond(day.Day?.Wind?.Speed),
+            windDirection: day.Day?.Wind?.Direction?.Degrees ?? null,
+            
+            // Weather conditions
+            conditionMain: day.Day?.IconPhrase || '',
+            conditionDescription: day.Day?.LongPhrase || day.Day?.IconPhrase || '',
+            conditionIcon: String(day.Day?.Icon || '01').padStart(2, '0'),
+            
+            // Timestamp
+            timestamp: new Date(day.EpochDate * 1000)
         };
     }
 
@@ -128,6 +167,25 @@ class AccuWeatherTransformer extends BaseWeatherTransformer {
         if (typeof mph !== 'number') return null;
         return mph * 0.44704;
     }
+
+    _kmhToMetersPerSecond(kmh) {
+        if (typeof kmh !== 'number') return null;
+        return kmh / 3.6;
+    }
+
+    // Convert an AccuWeather { Value, Unit } temperature to Celsius
+    _toCelsius(tempObj) {
+        if (!tempObj || typeof tempObj.Value !== 'number') return null;
+        return tempObj.Unit === 'F' ? this._fahrenheitToCelsius(tempObj.Value) : tempObj.Value;
+    }
+
+    // Convert an AccuWeather { Value, Unit } speed to meters per second
+    _toMetersPerSecond(speedObj) {
+        if (!speedObj || typeof speedObj.Value !== 'number') return null;
+        return speedObj.Unit === 'mi/h'
+            ? this._mphToMetersPerSecond(speedObj.Value)
+            : this._kmhToMetersPerSecond(speedObj.Value);
+    }
 }
 
 export default AccuWeatherTransformer;
@@ -0,0 +1,151 @@
+/**
+ * Blend readings from several weather providers into a single consensus reading
+ * and score how much the providers disagree on each field
+ */
+
+/**
+ * Default thresholds above which a field is considered divergent
+ */
+export const DEFAULT_DIVERGENCE_THRESHOLDS = {
+    temperature: 2,   // °C spread
+    humidity: 15,     // percentage points spread
+    condition: 0      // fraction of providers outside the majority condition
+};
+
+/**
+ * Keywords used to map free-text conditions (e.g. AccuWeather "Mostly cloudy")
+ * onto the OpenWeatherMap main groups so providers can be compared
+ */
+const CONDITION_KEYWORDS = [
+    ['Thunderstorm', ['thunder', 't-storm']],
+    ['Snow', ['snow', 'flurr', 'sleet', 'ice']],
+    ['Rain', ['rain', 'shower', 'drizzle']],
+    ['Fog', ['fog', 'mist', 'haze', 'smoke', 'dust']],
+    ['Clouds', ['cloud', 'overcast', 'dreary']],
+    ['Clear', ['clear', 'sun']]
+];
+
+/**
+ * Map a provider condition to a canonical condition group
+ * @param {string} condition - Provider condition text
+ * @returns {string} Canonical condition
+ */
+export function canonicalCondition(condition) {
+    const text = String(condition || '').toLowerCase();
+    const match = CONDITION_KEYWORDS.find(([, keywords]) =>
+        keywords.some(keyword => text.includes(keyword))
+    );
+    return match ? match[0] : (condition || '');
+}
+
+/**
+ * SQL expression grouping a condition column the way canonicalCondition does,
+ * so conditions stored by different providers can be counted together
+ * @param {string} column - Quoted column reference, e.g. '"conditionMain"'
+ * @returns {string} CASE expression
+ */
+export function canonicalConditionSql(column) {
+    const branches = CONDITION_KEYWORDS.map(([group, keywords]) => {
+        const matches = keywords.map(keyword => `lower(${column}) LIKE '%${keyword}%'`).join(' OR ');
+        return `WHEN ${matches} THEN '${group}'`;
+    });
+    return `CASE ${branches.join(' ')} ELSE ${column} END`;
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function spread(values) {
+    if (values.length === 0) return null;
+    return Math.max(...values) - Math.min(...values);
+}
+
+function numericValues(readings, field) {
+    return readings
+        .map(reading => reading[field])
+        .filter(value => typeof value === 'number' && !isNaN(value));
+}
+
+/**
+ * Pick the condition reported by most providers; ties go to the earliest provider
+ * @param {Array<Object>} readings - Normalized readings
+ * @returns {{ condition: string, disagreement: number }} Majority condition and disagreement
+ */
+function majorityCondition(readings) {
+    const counts = new Map();
+    readings.forEach(reading => {
+        const condition = canonicalCondition(reading.conditionMain);
+        counts.set(condition, (counts.get(condition) || 0) + 1);
+    });
+
+    let condition = '';
+    let best = 0;
+    counts.forEach((count, key) => {
+        if (count > best) {
+            condition = key;
+            best = count;
+        }
+    });
+
+    return {
+        condition,
+        disagreement: readings.length > 0 ? 1 - best / readings.length : 0
+    };
+}
+
+/**
+ * Build a consensus reading from normalized provider readings
+ * @param {string} city - City the readings were requested for
+ * @param {Array<Object>} readings - Normalized readings from WeatherService.getCurrentWeather
+ * @param {Object} [thresholds] - Divergence thresholds, see DEFAULT_DIVERGENCE_THRESHOLDS
+ * @returns {Object} Consensus record ready for WeatherRepository.saveConsensus
+ * @throws {Error} If no readings are provided
+ */
+export function buildConsensusReading(city, readings, thresholds = DEFAULT_DIVERGENCE_THRESHOLDS) {
+    if (!Array.isArray(readings) || readings.length === 0) {
+        throw new Error(`No provider readings available for ${city}`);
+    }
+
+    const temperatures = numericValues(readings, 'temperature');
+    const humidities = numericValues(readings, 'humidity');
+    const pressures = numericValues(readings, 'pressure');
+    const { condition, disagreement: conditionDisagreement } = majorityCondition(readings);
+
+    const temperatureDisagreement = spread(temperatures);
+    const humidityDisagreement = spread(humidities);
+    const limits = { ...DEFAULT_DIVERGENCE_THRESHOLDS, ...thresholds };
+
+    const [first] = readings;
+    const latestTimestamp = Math.max(...readings.map(reading => new Date(reading.timestamp).getTime()));
+    const avgHumidity = average(humidities);
+    const avgPressure = average(pressures);
+
+    return {
+        city,
+        country: first.country,
+        latitude: average(numericValues(readings, 'latitude')),
+        longitude: average(numericValues(readings, 'longitude')),
+        providers: readings.map(reading => reading.provider),
+        providerCount: readings.length,
+
+        // Blended values
+        temperature: average(temperatures),
+        feelsLike: average(numericValues(readings, 'feelsLike')),
+        humidity: avgHumidity === null ? null : Math.round(avgHumidity),
+        pressure: avgPressure === null ? null : Math.round(avgPressure),
+        windSpeed: average(numericValues(readings, 'windSpeed')),
+        conditionMain: condition,
+
+        // Disagreement scores: value spread for numbers, minority share for condition
+        temperatureDisagreement,
+        humidityDisagreement,
+        conditionDisagreement,
+        isDivergent: (temperatureDisagreement ?? 0) > limits.temperature ||
+            (humidityDisagreement ?? 0) > limits.humidity ||
+            conditionDisagreement > limits.condition,
+
+        timestamp: new Date(latestTimestamp)
+    };
+}
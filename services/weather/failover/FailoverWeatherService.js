@@ -0,0 +1,178 @@
+import { CircuitBreaker } from '../../base/index.js';
+import { validateWeatherData, validateForecastData } from '../../../repositories/weather/utils.js';
+
+/**
+ * Composite weather service that tries an ordered list of providers and falls
+ * back to the next one on error or invalid data.
+ *
+ * Exposes the same getCurrentWeather/getForecast interface as WeatherService, but
+ * does not extend it since it has no single apiClient or transformer of its own.
+ */
+class FailoverWeatherService {
+    /**
+     * @param {Array<Object>} providers - Ordered list of { provider, service }
+     * @param {Object} [options]
+     * @param {Map} [options.circuitBreakers] - Breaker registry keyed by provider, shared across instances
+     * @param {Object} [options.circuitBreaker] - Options for newly created CircuitBreakers
+     */
+    constructor(providers, options = {}) {
+        if (!Array.isArray(providers) || providers.length === 0) {
+            throw new Error('FailoverWeatherService requires at least one provider');
+        }
+
+        this.providers = providers;
+        this.circuitBreakers = options.circuitBreakers || new Map();
+        this.circuitBreakerOptions = options.circuitBreaker || {};
+    }
+
+    /**
+     * Get current weather from the first healthy provider
+     * @param {string} city - City name
+     * @returns {Promise<Object>} Weather data with servedBy and failoverAttempts
+     */
+    async getCurrentWeather(city) {
+        return this._execute('getCurrentWeather', city, validateWeatherData);
+    }
+
+    /**
+     * Get current weather from every provider whose circuit allows a call, to compare them
+     * Providers are called in parallel; the city still gets readings while any of them serves it.
+     * @param {string} city - City name
+     * @returns {Promise<Object>} { readings, attempts }: readings carry servedBy, attempts lists
+     *   the providers that failed or were skipped
+     * @throws {Error} If every provider failed or was skipped; carries attempts and isTransient
+     */
+    async getCurrentWeatherFromAll(city) {
+        const attempts = [];
+
+        const results = await Promise.all(this.providers.map(async (entry) => {
+            const data = await this._attempt(entry, 'getCurrentWeather', city, validateWeatherData, attempts);
+            return data && { ...data, servedBy: entry.provider };
+        }));
+
+        const readings = results.filter(Boolean);
+        if (readings.length === 0) {
+            throw this._allFailedError(city, attempts);
+        }
+        return { readings, attempts };
+    }
+
+    /**
+     * Get weather forecast from the first healthy provider
+     * @param {string} city - City name
+     * @returns {Promise<Object>} Forecast data with servedBy and failoverAttempts
+     */
+    async getForecast(city) {
+        return this._execute('getForecast', city, validateForecastData);
+    }
+
+    /**
+     * Current circuit breaker state of every provider in the chain
+     * @returns {Object} Breaker snapshots keyed by provider
+     */
+    getCircuitStates() {
+        return Object.fromEntries(
+            this.providers.map(({ provider }) => [provider, this._getBreaker(provider).getState()])
+        );
+    }
+
+    /**
+     * Call a service method on each provider in order until one succeeds
+     * @param {string} method - WeatherService method name
+     * @param {string} city - City name
+     * @param {Function} validate - Throws if the normalized data is unusable
+     * @returns {Promise<Object>} Normalized data from the serving provider
+     * @throws {Error} If every provider failed or was skipped; carries attempts and isTransient
+     * @private
+     */
+    async _execute(method, city, validate) {
+        const attempts = [];
+
+        for (const entry of this.providers) {
+            const data = await this._attempt(entry, method, city, validate, attempts);
+            if (data) {
+                return {
+                    ...data,
+                    servedBy: entry.provider,
+                    failoverAttempts: attempts
+                };
+            }
+        }
+
+        throw this._allFailedError(city, attempts);
+    }
+
+    /**
+     * Call one provider unless its circuit is open, recording the outcome on its breaker
+     * Only transient failures count towards opening the circuit.
+     * @param {Object} entry - { provider, service }
+     * @param {string} method - WeatherService method name
+     * @param {string} city - City name
+     * @param {Function} validate - Throws if the normalized data is unusable
+     * @param {Array<Object>} attempts - Receives the failed or skipped attempt
+     * @returns {Promise<Object|null>} Normalized data, or null if the provider did not serve it
+     * @private
+     */
+    async _attempt({ provider, service }, method, city, validate, attempts) {
+        const breaker = this._getBreaker(provider);
+
+        if (!breaker.canRequest()) {
+            attempts.push({ provider, skipped: true, transient: true, error: 'Circuit open' });
+            return null;
+        }
+
+        try {
+            const data = await service[method](city);
+            validate(data);
+            breaker.recordSuccess();
+            return data;
+        } catch (error) {
+            // Only outages count against the provider; a permanent error such as an unknown
+            // city, or data that fails validation, falls back without tripping the breaker
+            if (error.isTransient) {
+                breaker.recordFailure(error);
+            } else {
+                breaker.releaseTrial();
+            }
+            attempts.push({
+                provider,
+                skipped: false,
+                transient: Boolean(error.isTransient),
+                error: error.message
+            });
+            console.warn(`Weather provider ${provider} failed ${method} for ${city}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Error thrown when no provider served a request
+     * @param {string} city - City name
+     * @param {Array<Object>} attempts - Failed and skipped attempts
+     * @returns {Error} Error carrying attempts and isTransient
+     * @private
+     */
+    _allFailedError(city, attempts) {
+        const summary = attempts.map(({ provider, error }) => `${provider}: ${error}`).join('; ');
+        const error = new Error(`All weather providers failed for ${city} (${summary})`);
+        error.attempts = attempts;
+        // Worth retrying later only if no provider failed permanently
+        error.isTransient = attempts.every(attempt => attempt.transient);
+        return error;
+    }
+
+    /**
+     * Get or create the circuit breaker for a provider
+     * @param {string} provider - Provider name
+     * @returns {CircuitBreaker}
+     * @private
+     */
+    _getBreaker(provider) {
+        if (!this.circuitBreakers.has(provider)) {
+            this.circuitBreakers.set(provider, new CircuitBreaker(this.circuitBreakerOptions));
+        }
+        return this.circuitBreakers.get(provider);
+    }
+}
+
+export default FailoverWeatherService;
@@ -0,0 +1,3 @@
+import FailoverWeatherService from './FailoverWeatherService.js';
+
+export default FailoverWeatherService;
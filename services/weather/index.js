@@ -1,14 +1,37 @@
-import { WeatherProvider, WeatherServiceFactory } from './WeatherServiceFactory.js';
+import { WeatherProvider, WeatherServiceFactory, FAILOVER } from './WeatherServiceFactory.js';
 import { WeatherService } from './base/index.js';
+import { buildConsensusReading, canonicalCondition, DEFAULT_DIVERGENCE_THRESHOLDS } from './consensus.js';
 
 /**
  * Create a weather service instance for the specified provider
  * @param {string} apiKey - API key for the weather service
  * @param {string} provider - Weather service provider (default: 'openweathermap')
+ * @param {Object} [clientOptions] - BaseApiClient options (timeout, retry, cache)
  * @returns {WeatherService} A weather service instance
  */
-function createWeatherService(apiKey, provider = WeatherProvider.OPENWEATHERMAP) {
-    return WeatherServiceFactory.createWeatherService(provider, { apiKey });
+function createWeatherService(apiKey, provider = WeatherProvider.OPENWEATHERMAP, clientOptions = {}) {
+    return WeatherServiceFactory.createWeatherService(provider, { apiKey, clientOptions });
 }
 
-export { WeatherProvider, WeatherService, createWeatherService };
+/**
+ * Create a weather service that falls back through providers in order
+ * @param {Array<Object>} providers - Ordered list of { provider, apiKey }
+ * @param {Object} [options] - Circuit breaker options
+ * @param {Map} [options.circuitBreakers] - Breaker registry to share state across services
+ * @param {Object} [options.circuitBreaker] - { failureThreshold, cooldownMs }
+ * @param {Object} [options.clientOptions] - BaseApiClient options (timeout, retry, cache)
+ * @returns {FailoverWeatherService} A composite weather service
+ */
+function createFailoverWeatherService(providers, options = {}) {
+    return WeatherServiceFactory.createWeatherService(FAILOVER, { ...options, providers });
+}
+
+export {
+    WeatherProvider,
+    WeatherService,
+    createWeatherService,
+    createFailoverWeatherService,
+    buildConsensusReading,
+    canonicalCondition,
+    DEFAULT_DIVERGENCE_THRESHOLDS
+};
@@ -1,11 +1,28 @@
 import { WeatherApiClient } from '../base/index.js';
 
+const MINUTE = 60 * 1000;
+
+const CACHE_TTLS = [
+    { match: '/weather', ttlMs: 10 * MINUTE },
+    { match: '/forecast', ttlMs: 60 * MINUTE }
+];
+
 class OpenWeatherMapApiClient extends WeatherApiClient {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - OpenWeatherMap API key
+     * @param {Object} [options] - BaseApiClient options (timeout, retry, cache)
+     */
+    constructor(apiKey, options = {}) {
         super('https://api.openweathermap.org/data/2.5', {
+            ...options,
+            provider: 'openweathermap',
             params: {
                 appid: apiKey,
                 units: 'metric'
+            },
+            cache: {
+                ttls: CACHE_TTLS,
+                ...options.cache
             }
         });
         this.apiKey = apiKey;
@@ -30,4 +47,4 @@ class OpenWeatherMapApiClient extends WeatherApiClient {
     }
 }
 
-export default OpenWeatherMapApiClient;
\ No newline at end of file
+export default OpenWeatherMapApiClient;
@@ -3,8 +3,12 @@ import OpenWeatherMapTransformer from './OpenWeatherMapTransformer.js';
 import OpenWeatherMapApiClient from './OpenWeatherMapApiClient.js';
 
 class OpenWeatherMapService extends WeatherService {
-    constructor(apiKey) {
-        const apiClient = new OpenWeatherMapApiClient(apiKey);
+    /**
+     * @param {string} apiKey - Provider API key
+     * @param {Object} [clientOptions] - BaseApiClient options (timeout, retry, cache)
+     */
+    constructor(apiKey, clientOptions = {}) {
+        const apiClient = new OpenWeatherMapApiClient(apiKey, clientOptions);
         const transformer = new OpenWeatherMapTransformer();
         super(apiClient, transformer);
     }
@@ -0,0 +1,409 @@
+import { Op } from 'sequelize';
+import { createWeatherRepository, RepositoryType } from '../../repositories/weather/index.js';
+import { Weather, WeatherConsensus } from '../../models/index.js';
+import { HISTORY_INTERVALS } from '../../repositories/weather/utils.js';
+import { getPaginatedData } from "../../utils/pagination.js";
+import { buildWhereClause } from "../../middleware/queryBuilder.js";
+import paginationConfig from '../../config/pagination.js';
+import {
+  weatherFilters,
+  processFilters,
+  processWeatherFilters
+} from "../../middleware/schemas/index.js";
+
+// Columns a listing may be sorted by (`sort=city,-timestamp`)
+const SORTABLE_FIELDS = [
+  'id', 'provider', 'city', 'country', 'temperature', 'feelsLike', 'tempMin', 'tempMax',
+  'humidity', 'pressure', 'windSpeed', 'windDirection', 'timestamp', 'createdAt'
+];
+
+const DEFAULT_SORT = [['timestamp', 'DESC']];
+
+// Time ranges supported by getStatsByCity
+const STATS_RANGES = ['24h', '7d', '30d'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Default history window when `from` is omitted
+const DEFAULT_HISTORY_RANGE_MS = 7 * DAY_MS;
+
+// Largest series getHistory returns; wider requests must use a coarser interval
+const MAX_HISTORY_BUCKETS = 1000;
+
+// Bucket length of each history interval, used to size and downsample the series
+const INTERVAL_MS = { hour: HOUR_MS, day: DAY_MS, week: 7 * DAY_MS };
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parse `sort=field,-field` into a Sequelize order array
+ * @private
+ */
+function parseSort(sort) {
+  if (!sort) return DEFAULT_SORT;
+
+  return String(sort).split(',').map(part => {
+    const field = part.trim().replace(/^-/, '');
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw httpError(`Cannot sort by "${field}". Sortable fields: ${SORTABLE_FIELDS.join(', ')}`, 400);
+    }
+    return [field, part.trim().startsWith('-') ? 'DESC' : 'ASC'];
+  });
+}
+
+/**
+ * Reject numeric and date filters that did not parse
+ * @private
+ */
+function assertValidFilters(filters) {
+  for (const [key, value] of Object.entries(filters)) {
+    const type = weatherFilters[key]?.type;
+    if ((type === 'number' && Number.isNaN(value)) || (type === 'date' && Number.isNaN(value.getTime()))) {
+      throw httpError(`Invalid value for ${key}`, 400);
+    }
+  }
+}
+
+/**
+ * Shape a stored weather record for API responses
+ * @private
+ */
+function toWeatherResource(record) {
+  return {
+    id: record.id,
+    provider: record.provider,
+    city: record.city,
+    country: record.country,
+    latitude: record.latitude,
+    longitude: record.longitude,
+    temperature: record.temperature,
+    feelsLike: record.feelsLike,
+    tempMin: record.tempMin,
+    tempMax: record.tempMax,
+    humidity: record.humidity,
+    pressure: record.pressure,
+    windSpeed: record.windSpeed,
+    windDirection: record.windDirection,
+    conditionMain: record.conditionMain,
+    conditionDescription: record.conditionDescription,
+    conditionIcon: record.conditionIcon,
+    timestamp: record.timestamp
+  };
+}
+
+/**
+ * Shape a stored consensus reading for API responses
+ * @private
+ */
+function toConsensusResource(record) {
+  return {
+    id: record.id,
+    city: record.city,
+    country: record.country,
+    latitude: record.latitude,
+    longitude: record.longitude,
+    providers: record.providers,
+    providerCount: record.providerCount,
+    temperature: record.temperature,
+    feelsLike: record.feelsLike,
+    humidity: record.humidity,
+    pressure: record.pressure,
+    windSpeed: record.windSpeed,
+    conditionMain: record.conditionMain,
+    disagreement: {
+      temperature: record.temperatureDisagreement,
+      humidity: record.humidityDisagreement,
+      condition: record.conditionDisagreement
+    },
+    isDivergent: record.isDivergent,
+    timestamp: record.timestamp
+  };
+}
+
+/**
+ * Parse an optional date query parameter
+ * @private
+ */
+function parseDate(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(`Invalid ${name} date`, 400);
+  }
+  return date;
+}
+
+/**
+ * Pick the finest interval that keeps the series under MAX_HISTORY_BUCKETS
+ * @private
+ */
+function pickInterval(rangeMs) {
+  return HISTORY_INTERVALS.find(interval => rangeMs / INTERVAL_MS[interval] <= MAX_HISTORY_BUCKETS)
+    || HISTORY_INTERVALS[HISTORY_INTERVALS.length - 1];
+}
+
+/**
+ * Convert aggregate values (returned as strings by Postgres) to numbers
+ * @private
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Service for reading stored weather records
+ */
+export class WeatherRecordService {
+  constructor() {
+    // Initialize repository asynchronously
+    this.initialized = this.initializeRepository();
+  }
+
+  /**
+   * Initialize repository instance
+   * @private
+   */
+  async initializeRepository() {
+    try {
+      this.weatherRepository = await createWeatherRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: Weather,
+          consensusModel: WeatherConsensus
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize weather repository:', error);
+      throw new Error(`Failed to initialize weather repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure repository is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.weatherRepository) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * List weather records with filters, sorting and pagination
+   * @param {Object} query - Query parameters (weatherFilters, field__lookup filters, sort, page, limit, or pagination=cursor and cursor)
+   * @returns {Promise<Object>} Weather records with pagination metadata
+   */
+  async listRecords(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, ...filterParams } = query;
+    const filters = processFilters(filterParams, weatherFilters);
+    assertValidFilters(filters);
+
+    const result = await getPaginatedData(
+      this.weatherRepository,
+      { ...processWeatherFilters(filters), ...buildWhereClause(filterParams, Weather) },
+      { order: parseSort(sort), keyset: true },
+      query
+    );
+
+    return {
+      items: result.items.map(toWeatherResource),
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * Get a weather record by ID
+   * @param {string|number} id - Record ID
+   * @returns {Promise<Object>} Weather record
+   */
+  async getRecord(id) {
+    await this.ensureInitialized();
+
+    if (!/^\d+$/.test(String(id))) {
+      throw httpError('Invalid weather record ID', 400);
+    }
+
+    const record = await this.weatherRepository.findById(id);
+    if (!record) {
+      throw httpError(`Weather record ${id} not found`, 404);
+    }
+    return toWeatherResource(record);
+  }
+
+  /**
+   * List records saved after a given ID, oldest first (used to resume /api/stream)
+   * @param {number} afterId - Last record ID already seen
+   * @param {Object} filters - { city, provider }
+   * @param {number} limit - Maximum number of records
+   * @returns {Promise<Array>} Weather records
+   */
+  async listRecordsAfter(afterId, { city, provider } = {}, limit) {
+    await this.ensureInitialized();
+
+    const records = await this.weatherRepository.findAll(
+      { id: { [Op.gt]: afterId }, ...(city && { city }), ...(provider && { provider }) },
+      { order: [['id', 'ASC']], limit }
+    );
+    return records.map(toWeatherResource);
+  }
+
+  /**
+   * Get the ID of the newest record
+   * @returns {Promise<number>} Record ID, or 0 when there are none
+   */
+  async getLatestRecordId() {
+    await this.ensureInitialized();
+
+    const [record] = await this.weatherRepository.findAll({}, {
+      attributes: ['id'],
+      order: [['id', 'DESC']],
+      limit: 1
+    });
+    return record ? Number(record.id) : 0;
+  }
+
+  /**
+   * Get the most recent record of each city
+   * @param {Object} query - Query parameters ({ limit } number of cities)
+   * @returns {Promise<Array>} Latest weather record per city
+   */
+  async getLatestByCity(query = {}) {
+    await this.ensureInitialized();
+
+    const limit = Math.min(
+      parseInt(query.limit, 10) || paginationConfig.defaultLimit,
+      paginationConfig.maxLimit
+    );
+
+    const records = await this.weatherRepository.findLatestByCity(Math.max(1, limit));
+    return records.map(toWeatherResource);
+  }
+
+  /**
+   * Get the latest consensus reading of each city, with how far its providers disagree
+   * @param {Object} query - Query parameters ({ limit } number of cities, city, divergent=true|false)
+   * @returns {Promise<Array>} Latest consensus reading per city
+   */
+  async getLatestConsensus(query = {}) {
+    await this.ensureInitialized();
+
+    const limit = Math.min(
+      parseInt(query.limit, 10) || paginationConfig.defaultLimit,
+      paginationConfig.maxLimit
+    );
+
+    if (query.divergent !== undefined && !['true', 'false'].includes(query.divergent)) {
+      throw httpError('Invalid value for divergent: expected true or false', 400);
+    }
+
+    const records = await this.weatherRepository.findLatestConsensusByCity(Math.max(1, limit), {
+      ...(query.city && { city: String(query.city) }),
+      ...(query.divergent !== undefined && { isDivergent: query.divergent === 'true' })
+    });
+    return records.map(toConsensusResource);
+  }
+
+  /**
+   * Get temperature and humidity statistics for a city
+   * @param {string} city - City name
+   * @param {Object} query - Query parameters ({ range } 24h, 7d or 30d)
+   * @returns {Promise<Object>} Statistics over the range
+   */
+  async getStatsByCity(city, query = {}) {
+    await this.ensureInitialized();
+
+    const range = query.range || '24h';
+    if (!STATS_RANGES.includes(range)) {
+      throw httpError(`Invalid range "${range}". Use ${STATS_RANGES.join(', ')}`, 400);
+    }
+
+    const stats = await this.weatherRepository.getStatsByCity(city, range);
+
+    return {
+      city,
+      range,
+      minTemperature: toNumber(stats.minTemp),
+      maxTemperature: toNumber(stats.maxTemp),
+      avgTemperature: toNumber(stats.avgTemp),
+      minHumidity: toNumber(stats.minHumidity),
+      maxHumidity: toNumber(stats.maxHumidity),
+      avgHumidity: toNumber(stats.avgHumidity),
+      recordCount: toNumber(stats.recordCount) || 0
+    };
+  }
+
+  /**
+   * Get a city's weather as a time series of aggregated buckets
+   * Without an explicit interval the finest one that fits MAX_HISTORY_BUCKETS is used.
+   * @param {string} city - City name
+   * @param {Object} query - Query parameters ({ from, to, interval, provider })
+   * @returns {Promise<Object>} Range, interval and the bucket series
+   */
+  async getHistory(city, query = {}) {
+    await this.ensureInitialized();
+
+    const to = parseDate(query.to, 'to', new Date());
+    const from = parseDate(query.from, 'from', new Date(to.getTime() - DEFAULT_HISTORY_RANGE_MS));
+    if (from >= to) {
+      throw httpError('from must be before to', 400);
+    }
+
+    const rangeMs = to.getTime() - from.getTime();
+    const interval = query.interval || pickInterval(rangeMs);
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      throw httpError(`Invalid interval "${interval}". Use ${HISTORY_INTERVALS.join(', ')}`, 400);
+    }
+    if (rangeMs / INTERVAL_MS[interval] > MAX_HISTORY_BUCKETS) {
+      throw httpError(
+        `Range too wide for interval "${interval}" (max ${MAX_HISTORY_BUCKETS} buckets). Use a coarser interval or a shorter range`,
+        400
+      );
+    }
+
+    const buckets = await this.weatherRepository.getHistory(city, {
+      from,
+      to,
+      interval,
+      provider: query.provider || undefined
+    });
+
+    return {
+      city,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      interval,
+      buckets: buckets.map(bucket => ({
+        bucket: new Date(bucket.bucket).toISOString(),
+        recordCount: toNumber(bucket.recordCount) || 0,
+        temperature: {
+          avg: toNumber(bucket.avgTemperature),
+          min: toNumber(bucket.minTemperature),
+          max: toNumber(bucket.maxTemperature)
+        },
+        humidity: {
+          avg: toNumber(bucket.avgHumidity),
+          min: toNumber(bucket.minHumidity),
+          max: toNumber(bucket.maxHumidity)
+        },
+        pressure: { avg: toNumber(bucket.avgPressure) },
+        windSpeed: {
+          avg: toNumber(bucket.avgWindSpeed),
+          max: toNumber(bucket.maxWindSpeed)
+        },
+        dominantCondition: bucket.dominantCondition ?? null
+      }))
+    };
+  }
+}
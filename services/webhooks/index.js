@@ -0,0 +1,2 @@
+export { WebhookDispatcher } from './webhookDispatcher.js';
+export { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './signature.js';
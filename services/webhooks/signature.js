@@ -0,0 +1,32 @@
+/**
+ * Webhook request signing
+ *
+ * Receivers recompute HMAC-SHA256 over `${timestamp}.${body}` with the subscription secret and
+ * compare it with X-Webhook-Signature (`sha256=<hex>`); the signed timestamp lets them reject
+ * replays. Uses Web Crypto so the same code runs in the Worker and in Node.
+ */
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+/**
+ * Sign a request body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Exact request body
+ * @returns {Promise<string>} Header value in the form sha256=<hex>
+ */
+export async function signPayload(secret, timestamp, body) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+
+    const hex = Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `sha256=${hex}`;
+}
@@ -0,0 +1,209 @@
+import { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './signature.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Wait before each retry of a failed delivery; once these are used up the delivery is failed.
+ * Retries are picked up by the next flush after they fall due, so with a cron schedule the
+ * real wait rounds up to the next run.
+ */
+const DEFAULT_RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+
+/**
+ * Pending retries taken per flush
+ */
+const DEFAULT_RETRY_BATCH_SIZE = 100;
+
+/**
+ * Delivers events to webhook subscriptions
+ *
+ * Producers (repositories via their `events` option, the worker) call emit(), which only
+ * queues the event; flush() looks up the subscribers of each queued event, logs one
+ * webhook_deliveries row per subscriber and POSTs the signed envelope
+ * { id, type, createdAt, data }. Failed attempts are retried with backoff on later flushes.
+ */
+export class WebhookDispatcher {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Webhook repository
+     * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+     * @param {number} [options.timeoutMs=10000] - Abort requests that take longer
+     * @param {number[]} [options.retryDelaysMinutes] - Backoff before each retry
+     * @param {number} [options.retryBatchSize=100] - Pending retries taken per flush
+     */
+    constructor({
+        repository,
+        fetch = globalThis.fetch,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        retryDelaysMinutes = DEFAULT_RETRY_DELAYS_MINUTES,
+        retryBatchSize = DEFAULT_RETRY_BATCH_SIZE
+    }) {
+        if (!repository) {
+            throw new Error('WebhookDispatcher requires a webhook repository');
+        }
+
+        this.repository = repository;
+        this.fetch = fetch;
+        this.timeoutMs = timeoutMs;
+        this.retryDelaysMinutes = retryDelaysMinutes;
+        this.retryBatchSize = retryBatchSize;
+        this.queue = [];
+    }
+
+    /**
+     * Queue an event for the next flush
+     * Never throws, so producers can emit from inside their own error handling
+     * @param {string} type - Event type, e.g. 'weather.saved'
+     * @param {Object} data - Event data
+     */
+    emit(type, data) {
+        this.queue.push({
+            id: crypto.randomUUID(),
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        });
+    }
+
+    /**
+     * Retry due deliveries, then deliver every queued event
+     * Never throws; failures are logged and left in webhook_deliveries for the next flush
+     * @param {Date} [now] - Time of the flush
+     * @returns {Promise<Object>} { delivered, retrying, failed } counts of this flush's attempts
+     */
+    async flush(now = new Date()) {
+        const outcomes = [];
+
+        try {
+            const due = await this.repository.findDueDeliveries(now, this.retryBatchSize);
+            outcomes.push(...await Promise.all(
+                due.map(delivery => this.attempt(delivery, delivery, now))
+            ));
+        } catch (error) {
+            console.error('Failed to load webhook retries:', error);
+        }
+
+        const events = this.queue.splice(0);
+        const subscribersByType = new Map();
+
+        for (const event of events) {
+            if (!subscribersByType.has(event.type)) {
+                subscribersByType.set(event.type, this.repository.findSubscribers(event.type).catch(error => {
+                    console.error(`Failed to load subscribers of ${event.type}:`, error);
+                    return [];
+                }));
+            }
+        }
+
+        const deliveries = await Promise.all(events.map(async (event) => {
+            const subscribers = await subscribersByType.get(event.type);
+            return Promise.all(subscribers.map(subscription => this.deliver(event, subscription, now)));
+        }));
+        outcomes.push(...deliveries.flat());
+
+        const summary = {
+            delivered: outcomes.filter(status => status === 'delivered').length,
+            retrying: outcomes.filter(status => status === 'pending').length,
+            failed: outcomes.filter(status => status === 'failed').length
+        };
+        if (outcomes.length > 0) {
+            console.log('Webhook deliveries:', summary);
+        }
+        return summary;
+    }
+
+    /**
+     * Log a new delivery of an event and make the first attempt
+     * @private
+     */
+    async deliver(event, subscription, now) {
+        let delivery;
+        try {
+            delivery = await this.repository.createDelivery({
+                subscriptionId: subscription.id,
+                eventId: event.id,
+                eventType: event.type,
+                payload: event,
+                nextAttemptAt: now
+            });
+        } catch (error) {
+            console.error(`Failed to log ${event.type} delivery to subscription ${subscription.id}:`, error);
+            return 'failed';
+        }
+
+        return this.attempt(delivery, subscription, now);
+    }
+
+    /**
+     * POST a delivery's payload and record the outcome
+     * @private
+     * @returns {Promise<string>} Resulting delivery status
+     */
+    async attempt(delivery, { url, secret }, now) {
+        const attempts = delivery.attempts + 1;
+        let responseStatus = null;
+        let error = null;
+
+        try {
+            responseStatus = await this.post(url, secret, delivery);
+            if (responseStatus < 200 || responseStatus >= 300) {
+                error = `Subscriber responded with ${responseStatus}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        const delay = this.retryDelaysMinutes[attempts - 1];
+        const status = !error ? 'delivered' : delay === undefined ? 'failed' : 'pending';
+
+        try {
+            await this.repository.updateDelivery(delivery.id, {
+                status,
+                attempts,
+                responseStatus,
+                error,
+                nextAttemptAt: status === 'pending' ? new Date(now.getTime() + delay * 60 * 1000) : null,
+                deliveredAt: status === 'delivered' ? new Date() : null
+            });
+        } catch (updateError) {
+            console.error(`Failed to record webhook delivery ${delivery.id}:`, updateError);
+        }
+
+        return status;
+    }
+
+    /**
+     * Send one signed request
+     * @private
+     * @returns {Promise<number>} Response status
+     */
+    async post(url, secret, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const response = await this.fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Id': delivery.eventId,
+                    'X-Webhook-Event': delivery.eventType,
+                    [TIMESTAMP_HEADER]: String(timestamp),
+                    [SIGNATURE_HEADER]: await signPayload(secret, timestamp, body)
+                },
+                body,
+                signal: controller.signal
+            });
+            return response.status;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Request timed out after ${this.timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
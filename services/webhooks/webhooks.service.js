@@ -0,0 +1,211 @@
+import { randomBytes } from 'crypto';
+import { createWebhookRepository, RepositoryType } from '../../repositories/webhook/index.js';
+import { WebhookSubscription, WebhookDelivery } from '../../models/index.js';
+import { getPaginatedData } from "../../utils/pagination.js";
+import { webhookSubscriptionFilters, webhookDeliveryFilters, processFilters } from "../../middleware/schemas/index.js";
+
+const SECRET_PREFIX = 'whsec_';
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Map repository validation failures to 400 errors
+ * @private
+ */
+function toHttpError(error) {
+  if (error.isValidationError) {
+    return httpError(error.originalError?.message || error.message, 400);
+  }
+  return error;
+}
+
+/**
+ * A subscription without its signing secret, which is only returned when it is created
+ * @private
+ */
+function toSubscriptionResource({ secret, ...subscription }) {
+  return subscription;
+}
+
+/**
+ * Generate a signing secret for a subscription that did not supply one
+ * @private
+ */
+function generateSecret() {
+  return `${SECRET_PREFIX}${randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Service for managing outbound webhook subscriptions and reading their delivery log
+ * Events are delivered by the collector worker (services/webhooks/webhookDispatcher.js)
+ */
+export class WebhookService {
+  constructor() {
+    // Initialize repository asynchronously
+    this.initialized = this.initializeRepository();
+  }
+
+  /**
+   * Initialize repository instance
+   * @private
+   */
+  async initializeRepository() {
+    try {
+      this.webhookRepository = await createWebhookRepository({
+        type: RepositoryType.SEQUELIZE,
+        config: {
+          model: WebhookSubscription,
+          deliveryModel: WebhookDelivery
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize webhook repository:', error);
+      throw new Error(`Failed to initialize webhook repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure repository is initialized before use
+   * @private
+   */
+  async ensureInitialized() {
+    if (!this.webhookRepository) {
+      await this.initialized;
+    }
+  }
+
+  /**
+   * Validate a subscription ID route parameter
+   * @private
+   */
+  _parseId(id) {
+    if (!/^\d+$/.test(String(id))) {
+      throw httpError('Invalid webhook subscription ID', 400);
+    }
+    return id;
+  }
+
+  /**
+   * List subscriptions with pagination
+   * @param {Object} query - Query parameters including pagination and filters
+   * @returns {Promise<Object>} Subscriptions with pagination metadata
+   */
+  async listSubscriptions(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, ...filterParams } = query;
+    const filters = processFilters(filterParams, webhookSubscriptionFilters);
+
+    const result = await getPaginatedData(this.webhookRepository, filters, {}, query);
+    return {
+      items: result.items.map(toSubscriptionResource),
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * Get a subscription by ID
+   * @param {string|number} id - Subscription ID
+   * @returns {Promise<Object>} Subscription
+   */
+  async getSubscription(id) {
+    await this.ensureInitialized();
+
+    const subscription = await this.webhookRepository.findById(this._parseId(id));
+    if (!subscription) {
+      throw httpError(`Webhook subscription ${id} not found`, 404);
+    }
+    return toSubscriptionResource(subscription);
+  }
+
+  /**
+   * Create a subscription
+   * The secret is generated when not supplied and is only ever returned here
+   * @param {Object} data - { url, events, secret, description, enabled }
+   * @returns {Promise<Object>} Created subscription including its secret
+   */
+  async createSubscription(data = {}) {
+    await this.ensureInitialized();
+
+    try {
+      return await this.webhookRepository.create({ ...data, secret: data.secret ?? generateSecret() });
+    } catch (error) {
+      throw toHttpError(error);
+    }
+  }
+
+  /**
+   * Change some fields of a subscription
+   * @param {string|number} id - Subscription ID
+   * @param {Object} data - Fields to change; a new secret replaces the old one immediately
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async updateSubscription(id, data) {
+    await this.ensureInitialized();
+
+    let subscription;
+    try {
+      subscription = await this.webhookRepository.update(this._parseId(id), data);
+    } catch (error) {
+      throw toHttpError(error);
+    }
+
+    if (!subscription) {
+      throw httpError(`Webhook subscription ${id} not found`, 404);
+    }
+    return toSubscriptionResource(subscription);
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * @param {string|number} id - Subscription ID
+   * @returns {Promise<void>}
+   */
+  async deleteSubscription(id) {
+    await this.ensureInitialized();
+
+    const deleted = await this.webhookRepository.delete(this._parseId(id));
+    if (!deleted) {
+      throw httpError(`Webhook subscription ${id} not found`, 404);
+    }
+  }
+
+  /**
+   * List delivery attempts, newest first, with pagination
+   * @param {Object} query - Query parameters including pagination and filters
+   * @returns {Promise<Object>} Deliveries with pagination metadata
+   */
+  async listDeliveries(query = {}) {
+    await this.ensureInitialized();
+
+    const { page, limit, offset, sort, ...filterParams } = query;
+    const { fromDate, toDate, subscriptionId, ...filters } = processFilters(filterParams, webhookDeliveryFilters);
+
+    if (subscriptionId !== undefined) this._parseId(subscriptionId);
+    for (const [key, value] of Object.entries({ fromDate, toDate })) {
+      if (value && isNaN(value.getTime())) {
+        throw httpError(`Invalid ${key}: expected an ISO date`, 400);
+      }
+    }
+
+    const deliveries = {
+      findAll: (criteria, options) => this.webhookRepository.findDeliveries(criteria, options),
+      count: (criteria) => this.webhookRepository.countDeliveries(criteria)
+    };
+
+    return getPaginatedData(
+      deliveries,
+      { ...filters, subscriptionId, from: fromDate, to: toDate },
+      {},
+      query
+    );
+  }
+}
@@ -1,19 +1,38 @@
 // utils/pagination.js
 import paginationConfig from '../config/pagination.js';
 
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @private
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
 export function getPaginationParams(query = {}) {
   const page = parseInt(query.page, 10) || paginationConfig.defaultPage;
-  const limit = Math.min(parseInt(query.limit, 10) || paginationConfig.defaultLimit, 
+  const limit = Math.min(parseInt(query.limit, 10) || paginationConfig.defaultLimit,
                          paginationConfig.maxLimit);
   const offset = query.page ? (page - 1) * limit : parseInt(query.offset, 10) || 0;
-  
-  return { page, limit, offset };
+
+  return {
+    page,
+    limit,
+    offset,
+    // `pagination=cursor` starts cursor pagination; the cursors it returns keep it going
+    mode: query.cursor || query.pagination === 'cursor' ? 'cursor' : 'offset',
+    cursor: query.cursor || null,
+    // `count=false` skips the COUNT(*) query; totals are then null
+    withCount: query.count !== 'false'
+  };
 }
 
 export function getPaginationMetadata(paginationParams, totalItems) {
   const { page, limit } = paginationParams;
   const totalPages = Math.ceil(totalItems / limit);
-  
+
   return {
     totalItems,
     totalPages,
@@ -24,26 +43,231 @@ export function getPaginationMetadata(paginationParams, totalItems) {
   };
 }
 
+/**
+ * Make an order unambiguous by ending it with the primary key
+ * @param {Array} order - Sequelize-style [[column, direction], ...]
+ * @returns {Array} Order with upper-case directions, ending with id
+ */
+export function withIdTiebreaker(order = []) {
+  const normalized = order.map(([column, direction = 'ASC']) => [
+    column,
+    String(direction).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'
+  ]);
+  const idIndex = normalized.findIndex(([column]) => column === 'id');
+
+  if (idIndex !== -1) return normalized.slice(0, idIndex + 1);
+  return [...normalized, ['id', normalized.at(-1)?.[1] || 'ASC']];
+}
+
+/**
+ * Keyset predicate selecting the rows that come strictly after a row in an order
+ * Returned in disjunctive form: the row matches if every term of any one branch holds.
+ * NULLs sort as Postgres does by default: last when ascending, first when descending.
+ * @private
+ */
+function keysetConditions(order, values) {
+  const branches = [];
+  const equalPrefix = [];
+
+  order.forEach(([column, direction], index) => {
+    const value = values[index];
+    const descending = direction === 'DESC';
+
+    if (value === null || value === undefined) {
+      // Only non-null values follow a NULL when descending; nothing follows it when ascending
+      if (descending) branches.push([...equalPrefix, { column, operator: 'IS NOT NULL' }]);
+      equalPrefix.push({ column, operator: 'IS NULL' });
+      return;
+    }
+
+    branches.push([...equalPrefix, { column, operator: descending ? '<' : '>', value }]);
+    if (!descending && column !== 'id') branches.push([...equalPrefix, { column, operator: 'IS NULL' }]);
+    equalPrefix.push({ column, operator: '=', value });
+  });
+
+  return branches;
+}
+
+/**
+ * SQL condition for the findAll `after` option: rows strictly after a position in an order
+ *
+ * Sort values are compared with the boundary row's stored values, looked up by its id,
+ * because cursor values lose precision (timestamps are stored to the microsecond but
+ * encoded to the millisecond). The cursor values are the fallback when that row is gone.
+ * @param {string} table - Quoted table name, e.g. '"weather"'
+ * @param {Array} order - [[column, direction], ...] ending with id; columns must be trusted
+ * @param {Array} values - Values of the boundary row, one per order column
+ * @param {Function} placeholder - Turns a value into SQL: a bind parameter or an escaped literal
+ * @returns {string} Parenthesized condition
+ */
+export function keysetClause(table, order, values, placeholder) {
+  const boundaryId = values[values.length - 1];
+
+  const boundary = (column, value) => column === 'id'
+    ? placeholder(value)
+    : `COALESCE((SELECT "${column}" FROM ${table} WHERE id = ${placeholder(boundaryId)}), ${placeholder(value)})`;
+
+  const branches = keysetConditions(order, values).map(terms => terms
+    .map(({ column, operator, value }) => operator.startsWith('IS')
+      ? `"${column}" ${operator}`
+      : `"${column}" ${operator} ${boundary(column, value)}`)
+    .join(' AND '));
+
+  return branches.length > 0 ? `(${branches.map(branch => `(${branch})`).join(' OR ')})` : 'FALSE';
+}
+
+/**
+ * Order columns as they appear in a cursor, e.g. "-timestamp,-id"
+ * @private
+ */
+function describeOrder(order) {
+  return order.map(([column, direction]) => `${direction === 'DESC' ? '-' : ''}${column}`).join(',');
+}
+
+/**
+ * Encode the position of an item as an opaque cursor
+ * @private
+ */
+function encodeCursor(item, order, direction) {
+  const payload = {
+    s: describeOrder(order),
+    d: direction,
+    v: order.map(([column]) => item[column] ?? null)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued for the same order
+ * @private
+ * @returns {Object} { values, direction } with direction 'next' or 'prev'
+ */
+function decodeCursor(cursor, order) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw httpError('Invalid cursor', 400);
+  }
+
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== order.length || !['next', 'prev'].includes(payload.d)) {
+    throw httpError('Invalid cursor', 400);
+  }
+  if (payload.s !== describeOrder(order)) {
+    throw httpError('Cursor was issued for a different sort order', 400);
+  }
+
+  return { values: payload.v, direction: payload.d };
+}
+
+/**
+ * Keyset pagination: the page after (or before) the row a cursor points at
+ * @private
+ */
+async function getCursorPaginatedData(repository, criteria, options, paginationParams) {
+  const { limit, cursor, withCount } = paginationParams;
+  const order = withIdTiebreaker(options.order || [['id', 'DESC']]);
+  const boundary = cursor ? decodeCursor(cursor, order) : null;
+  const backwards = boundary?.direction === 'prev';
+
+  // A previous page is read in reverse order and flipped back
+  const queryOrder = backwards
+    ? order.map(([column, direction]) => [column, direction === 'DESC' ? 'ASC' : 'DESC'])
+    : order;
+
+  // One extra row tells whether there is more beyond this page
+  const [rows, count] = await Promise.all([
+    repository.findAll(criteria, {
+      ...options,
+      order: queryOrder,
+      limit: limit + 1,
+      offset: 0,
+      ...(boundary && { after: boundary.values })
+    }),
+    withCount ? repository.count(criteria) : null
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const hasNextPage = backwards ? items.length > 0 : hasMore;
+  const hasPreviousPage = backwards ? hasMore : Boolean(boundary) && items.length > 0;
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      totalItems: count,
+      itemsPerPage: limit,
+      hasNextPage,
+      hasPreviousPage,
+      nextCursor: hasNextPage ? encodeCursor(items.at(-1), order, 'next') : null,
+      prevCursor: hasPreviousPage ? encodeCursor(items[0], order, 'prev') : null
+    }
+  };
+}
+
+/**
+ * Fetch one page of a listing with its pagination metadata
+ *
+ * Offset pagination (`page`/`offset`) is the default. Listings whose repository accepts
+ * the `after` findAll option (rows strictly after a position in `order`) can pass
+ * `keyset: true` to also offer cursor pagination, which stays fast and stable on large
+ * tables. `count=false` skips the total count in either mode.
+ * @param {Object} repository - Anything with findAll(criteria, options) and count(criteria)
+ * @param {Object} criteria - Filters passed to findAll and count
+ * @param {Object} options - findAll options such as order, plus keyset
+ * @param {Object} queryParams - Request query (page, limit, offset, pagination, cursor, count)
+ * @returns {Promise<Object>} { items, pagination }
+ */
 export async function getPaginatedData(repository, criteria = {}, options = {}, queryParams = {}) {
-    // Get pagination parameters
-    const paginationParams = getPaginationParams(queryParams);
-    
-    // Execute both queries in parallel
-    const [items, count] = await Promise.all([
-      repository.findAll(criteria, {
-        ...options,
-        limit: paginationParams.limit,
-        offset: paginationParams.offset
-      }),
-      repository.count(criteria)
-    ]);
-    
-    // Get pagination metadata
-    const paginationMeta = getPaginationMetadata(paginationParams, count);
-    
-    // Return data and pagination info
+  const { keyset = false, ...findOptions } = options;
+  const paginationParams = getPaginationParams(queryParams);
+
+  if (paginationParams.mode === 'cursor') {
+    if (!keyset) {
+      throw httpError('Cursor pagination is not supported for this listing', 400);
+    }
+    return getCursorPaginatedData(repository, criteria, findOptions, paginationParams);
+  }
+
+  if (!paginationParams.withCount) {
+    const rows = await repository.findAll(criteria, {
+      ...findOptions,
+      limit: paginationParams.limit + 1,
+      offset: paginationParams.offset
+    });
+
     return {
-      items,
-      pagination: paginationMeta
+      items: rows.slice(0, paginationParams.limit),
+      pagination: {
+        totalItems: null,
+        totalPages: null,
+        currentPage: paginationParams.page,
+        itemsPerPage: paginationParams.limit,
+        hasNextPage: rows.length > paginationParams.limit,
+        hasPreviousPage: paginationParams.offset > 0
+      }
     };
-  }
\ No newline at end of file
+  }
+
+  // Execute both queries in parallel
+  const [items, count] = await Promise.all([
+    repository.findAll(criteria, {
+      ...findOptions,
+      limit: paginationParams.limit,
+      offset: paginationParams.offset
+    }),
+    repository.count(criteria)
+  ]);
+
+  // Get pagination metadata
+  const paginationMeta = getPaginationMetadata(paginationParams, count);
+
+  // Return data and pagination info
+  return {
+    items,
+    pagination: paginationMeta
+  };
+}
@@ -1,8 +1,25 @@
 // worker.js
-import { createWeatherService } from './services/weather/index.js';
+import { neon } from '@neondatabase/serverless';
+import {
+  createFailoverWeatherService,
+  buildConsensusReading,
+  WeatherProvider
+} from './services/weather/index.js';
 import { createWeatherRepository, RepositoryType } from './repositories/weather/index.js';
 import { createNewsRepository } from './repositories/news/index.js';
-import { createNewsService } from './services/news/index.js';
+import { createNewsService, createRssNewsService, NewsProvider } from './services/news/index.js';
+import { KvCacheStore } from './services/base/index.js';
+import { createQuotaRepository } from './repositories/quota/index.js';
+import { QuotaManager } from './services/quota/index.js';
+import { getQuotaBudgets } from './config/quotas.js';
+import { createJobRunRepository } from './repositories/jobRun/index.js';
+import { createCollectionTargetRepository } from './repositories/collectionTarget/index.js';
+import { createAlertRepository } from './repositories/alert/index.js';
+import { createWebhookRepository } from './repositories/webhook/index.js';
+import { trackJobRun, summarizeJobResults, getJobStatus } from './services/jobs/index.js';
+import { AlertEngine, WebhookAlertChannel, EmailAlertChannel } from './services/alerts/index.js';
+import { WebhookDispatcher } from './services/webhooks/index.js';
+import { Migrator, createNeonExecutor } from './db/migrator.js';
 
 
 /**
@@ -17,14 +34,16 @@ function getDatabaseUrl(env) {
 /**
  * Create repository instance
  * @param {Object} env - Environment variables
+ * @param {WebhookDispatcher|null} [webhooks] - Receives a weather.saved event per saved reading
  * @returns {Promise<Object>} Repository instance
  */
-async function initWeatherRepository(env) {
+async function initWeatherRepository(env, webhooks = null) {
   // Create the repository instance with Neon configuration
   const weatherRepository = await createWeatherRepository({
     type: RepositoryType.NEON,
     config: {
-      connectionString: getDatabaseUrl(env)
+      connectionString: getDatabaseUrl(env),
+      events: webhooks
     }
   });
   
@@ -35,12 +54,215 @@ async function initWeatherRepository(env) {
   return weatherRepository;
 }
 
-async function initNewsRepository(env) {
+// Circuit breaker state per provider, kept for the lifetime of the isolate
+const weatherCircuitBreakers = new Map();
+
+/**
+ * List weather providers that have an API key configured, in failover order
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} List of { provider, apiKey }
+ */
+function getWeatherProviderConfigs(env) {
+  const apiKeys = {
+    [WeatherProvider.OPENWEATHERMAP]: env.OPENWEATHERMAP_API_KEY,
+    [WeatherProvider.ACCUWEATHER]: env.ACCUWEATHER_API_KEY
+  };
+  
+  const providers = Object.entries(apiKeys)
+    .filter(([, apiKey]) => Boolean(apiKey))
+    .map(([provider, apiKey]) => ({ provider, apiKey }));
+  
+  if (providers.length === 0) {
+    throw new Error('No weather provider API key configured');
+  }
+  
+  return providers;
+}
+
+/**
+ * Build API client options shared by every provider service
+ * Uses the API_CACHE KV namespace when bound so cached responses survive between runs;
+ * otherwise clients fall back to the in-memory cache of the isolate.
+ * Every outbound call is counted against the daily budgets in provider_quota_usage.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} BaseApiClient options
+ */
+async function initApiClientOptions(env) {
+  const quotaRepository = await createQuotaRepository({
+    type: RepositoryType.NEON,
+    config: {
+      connectionString: getDatabaseUrl(env)
+    }
+  });
+  
+  const options = {
+    quotaManager: new QuotaManager({
+      repository: quotaRepository,
+      budgets: getQuotaBudgets(env)
+    })
+  };
+  
+  if (env.API_CACHE) {
+    options.cache = { store: new KvCacheStore(env.API_CACHE) };
+  }
+  
+  return options;
+}
+
+/**
+ * Result for a target restricted to providers that have no API key configured
+ * @param {string} type - Result type
+ * @param {Object} target - Collection target
+ * @returns {Object} Failed result
+ */
+function unconfiguredTargetResult(type, target) {
+  return {
+    type,
+    success: false,
+    [target.type]: target.value,
+    error: `None of the target's providers is configured: ${target.providers.join(', ')}`
+  };
+}
+
+/**
+ * Fetch and store the forecast horizon for a city, falling back through providers
+ * @param {string} city - City name
+ * @param {FailoverWeatherService} forecastService - Failover service for the city's providers
+ * @param {Object} weatherRepository - Weather repository
+ * @returns {Promise<Object>} Forecast result
+ */
+async function collectCityForecast(city, forecastService, weatherRepository) {
+  try {
+    const forecastData = await forecastService.getForecast(city);
+    const records = await weatherRepository.saveForecast(forecastData);
+    console.log(`Saved ${records.length} forecast points for ${city} from ${forecastData.servedBy}`);
+    
+    return {
+      type: 'forecast',
+      success: true,
+      city,
+      provider: forecastData.servedBy,
+      attempts: forecastData.failoverAttempts,
+      points: records.length
+    };
+  } catch (error) {
+    console.error(`Error processing forecast for ${city}:`, error);
+    return {
+      type: 'forecast',
+      success: false,
+      city,
+      error: error.message,
+      transient: Boolean(error.isTransient),
+      attempts: error.attempts || []
+    };
+  }
+}
+
+/**
+ * Collect current weather for a city from every provider and save a consensus reading
+ * Providers are called through the city's failover service, so one whose circuit is open
+ * is skipped and the city still gets readings while any provider serves it.
+ * @param {string} city - City name
+ * @param {FailoverWeatherService} weatherService - Failover service for the city's providers
+ * @param {Object} weatherRepository - Weather repository
+ * @returns {Promise<Array<Object>>} One result per provider plus the consensus result
+ */
+async function collectCityWeather(city, weatherService, weatherRepository) {
+  let served;
+  try {
+    served = await weatherService.getCurrentWeatherFromAll(city);
+  } catch (error) {
+    console.error(`Error processing weather for ${city}:`, error);
+    served = { readings: [], attempts: error.attempts || [] };
+  }
+  
+  // Providers that failed or whose circuit is open
+  const failedResults = served.attempts.map(attempt => ({
+    type: 'weather',
+    success: false,
+    city,
+    provider: attempt.provider,
+    error: attempt.error,
+    // ApiError marks timeouts, 429 and 5xx as transient; anything else needs attention
+    transient: attempt.transient
+  }));
+  
+  const savedResults = await Promise.all(
+    served.readings.map(async (weatherData) => {
+      const provider = weatherData.servedBy;
+      try {
+        const record = await weatherRepository.save(weatherData);
+        console.log(`Saved ${provider} weather data for ${city}`);
+        
+        return {
+          type: 'weather',
+          success: true,
+          city,
+          provider,
+          data: weatherData,
+          recordId: record.id
+        };
+      } catch (error) {
+        console.error(`Error saving ${provider} weather data for ${city}:`, error);
+        return {
+          type: 'weather',
+          success: false,
+          city,
+          provider,
+          error: error.message,
+          transient: false
+        };
+      }
+    })
+  );
+  
+  const providerResults = [...failedResults, ...savedResults];
+  const readings = savedResults
+    .filter(result => result.success)
+    .map(result => result.data);
+  
+  if (readings.length === 0) {
+    return providerResults;
+  }
+  
+  try {
+    const consensus = buildConsensusReading(city, readings);
+    const record = await weatherRepository.saveConsensus(consensus);
+    
+    if (consensus.isDivergent) {
+      console.warn(`Providers diverge for ${city}:`, {
+        temperature: consensus.temperatureDisagreement,
+        humidity: consensus.humidityDisagreement,
+        condition: consensus.conditionDisagreement
+      });
+    }
+    
+    return [
+      ...providerResults,
+      { type: 'consensus', success: true, city, data: consensus, recordId: record.id }
+    ];
+  } catch (error) {
+    console.error(`Error saving consensus for ${city}:`, error);
+    return [
+      ...providerResults,
+      { type: 'consensus', success: false, city, error: error.message }
+    ];
+  }
+}
+
+/**
+ * Create the news repository
+ * @param {Object} env - Environment variables
+ * @param {WebhookDispatcher|null} [webhooks] - Receives a news.saved event per stored article
+ * @returns {Promise<Object>} Repository instance
+ */
+async function initNewsRepository(env, webhooks = null) {
   // Create the repository instance with Neon configuration
   const newsRepository = await createNewsRepository({
     type: RepositoryType.NEON,
     config: {
-      connectionString: getDatabaseUrl(env)
+      connectionString: getDatabaseUrl(env),
+      events: webhooks
     }
   });
   
@@ -51,112 +273,517 @@ async function initNewsRepository(env) {
   return newsRepository;
 }
 
-async function fetchData(env) {
+/**
+ * Create a news service for each configured provider
+ * NewsAPI is always used; RSS_FEEDS adds a comma-separated list of RSS/Atom feed URLs
+ * @param {Object} env - Environment variables
+ * @param {Object} clientOptions - Shared BaseApiClient options
+ * @returns {Array<Object>} List of { provider, service }
+ */
+function initNewsServices(env, clientOptions) {
+  const newsServices = [{
+    provider: NewsProvider.NEWSAPI,
+    service: createNewsService(env.NEWSAPI_API_KEY, NewsProvider.NEWSAPI, clientOptions)
+  }];
+
+  const feeds = env.RSS_FEEDS
+    ? env.RSS_FEEDS.split(',').map(feed => feed.trim()).filter(Boolean)
+    : [];
+  if (feeds.length > 0) {
+    newsServices.push({
+      provider: NewsProvider.RSS,
+      service: createRssNewsService(feeds, clientOptions)
+    });
+  }
+
+  return newsServices;
+}
+
+/**
+ * Build the work list from environment variables
+ * Used when the collection_targets table is empty or unavailable.
+ * CITIES lists weather cities; NEWS_TOPICS is a comma-separated list of keyword queries
+ * searched via /everything; NEWS_CATEGORY fetches top headlines and remains the default
+ * when no topics are set
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Targets ({ type: 'city' | 'category' | 'topic', value, providers })
+ */
+function getEnvTargets(env) {
+  const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+  const cities = env.CITIES ? list(env.CITIES) : ['Ho Chi Minh'];
+  const topics = list(env.NEWS_TOPICS);
+  const category = env.NEWS_CATEGORY || (topics.length === 0 ? 'technology' : null);
+
+  return [
+    ...cities.map(city => ({ type: 'city', value: city, providers: [] })),
+    ...(category ? [{ type: 'category', value: category, providers: [] }] : []),
+    ...topics.map(topic => ({ type: 'topic', value: topic, providers: [] }))
+  ];
+}
+
+/**
+ * Create the collection target repository, or null if the table cannot be used
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Repository instance
+ */
+async function initTargetRepository(env) {
+  try {
+    const targetRepository = await createCollectionTargetRepository({
+      type: RepositoryType.NEON,
+      config: {
+        connectionString: getDatabaseUrl(env)
+      }
+    });
+    await targetRepository.checkConnection();
+    return targetRepository;
+  } catch (error) {
+    console.error('Collection targets unavailable, using environment variables:', error);
+    return null;
+  }
+}
+
+/**
+ * Load this run's work list
+ * Targets come from collection_targets (only those that are enabled and due);
+ * the environment variables are used only while the table has no targets at all.
+ * @param {Object} env - Environment variables
+ * @param {Object|null} targetRepository - From initTargetRepository
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object>} { source: 'database' | 'env', targets }
+ */
+async function loadCollectionTargets(env, targetRepository, now) {
+  if (targetRepository) {
+    try {
+      if (await targetRepository.count() > 0) {
+        return { source: 'database', targets: await targetRepository.findDue(now) };
+      }
+    } catch (error) {
+      console.error('Failed to load collection targets, using environment variables:', error);
+    }
+  }
+
+  return { source: 'env', targets: getEnvTargets(env) };
+}
+
+/**
+ * Keep the providers a target is restricted to; an empty list allows every provider
+ * @param {Array<Object>} providers - Items with a provider field
+ * @param {Object} target - Collection target
+ * @returns {Array<Object>} Allowed items
+ */
+function selectProviders(providers, target) {
+  const allowed = target.providers || [];
+  return allowed.length === 0 ? providers : providers.filter(({ provider }) => allowed.includes(provider));
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Oldest publish date searched for a topic: 24 hours back, rounded down to the hour
+ * so runs within the same hour reuse the cached /everything response
+ * @param {Date} now - Time of the run
+ * @returns {Date}
+ */
+function topicSearchStart(now) {
+  return new Date(Math.floor((now.getTime() - 24 * HOUR_MS) / HOUR_MS) * HOUR_MS);
+}
+
+/**
+ * Fetch the articles for one news query
+ * @param {Object} newsQuery - { type: 'category' | 'topic', value, language }
+ * @param {Object} newsSource - { provider, service } from initNewsServices
+ * @returns {Promise<Object>} { newsQuery, provider, articles }, or { failure } with the failed result
+ */
+async function fetchNews(newsQuery, { provider, service: newsService }) {
+  try {
+    const news = newsQuery.type === 'topic'
+      ? await newsService.searchArticles({
+          query: newsQuery.value,
+          language: newsQuery.language,
+          sortBy: 'publishedAt',
+          from: topicSearchStart(new Date())
+        })
+      : await newsService.getTopHeadlines({
+          country: 'us',
+          category: newsQuery.value
+        });
+    return { newsQuery, provider, articles: news.articles };
+  } catch (error) {
+    console.error(`Error fetching ${provider} news for ${newsQuery.type} "${newsQuery.value}":`, error);
+    return {
+      failure: {
+        type: 'news',
+        success: false,
+        provider,
+        [newsQuery.type]: newsQuery.value,
+        error: error.message,
+        transient: Boolean(error.isTransient)
+      }
+    };
+  }
+}
+
+/**
+ * Save fetched articles one at a time
+ * Each article is clustered against the ones saved before it, so saving in order lets
+ * near-duplicate headlines from different providers in the same run find each other.
+ * @param {Array<Object>} batches - Results of fetchNews
+ * @param {Object} newsRepository - News repository
+ * @returns {Promise<Array>} Per-article results
+ */
+async function saveNews(batches, newsRepository) {
+  const results = [];
+
+  for (const { newsQuery, provider, articles, failure } of batches) {
+    if (failure) {
+      results.push(failure);
+      continue;
+    }
+
+    for (const article of articles) {
+      results.push(await saveArticle(article, newsQuery, provider, newsRepository));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Save one fetched article
+ * @param {Object} article - Normalized article
+ * @param {Object} newsQuery - Query the article was fetched for
+ * @param {string} provider - News provider
+ * @param {Object} newsRepository - News repository
+ * @returns {Promise<Object>} Article result
+ */
+async function saveArticle(article, newsQuery, provider, newsRepository) {
   try {
+    const savedArticle = await newsRepository.create({
+      title: article.title,
+      description: article.description || '',
+      content: article.content || '',
+      url: article.url,
+      imageUrl: article.imageUrl || '', 
+      publishedAt: article.publishedAt,
+      sourceName: article.sourceName,
+      author: article.author || '',
+      provider
+    });
+    console.log(`Successfully saved article: ${savedArticle.title}`);
+    return {
+      type: 'news',
+      success: true,
+      [newsQuery.type]: newsQuery.value,
+      data: {
+        id: savedArticle.id,
+        title: savedArticle.title,
+        description: savedArticle.description,
+        source: savedArticle.sourceName,
+        url: savedArticle.url,
+        imageUrl: savedArticle.imageUrl,
+        publishedAt: savedArticle.publishedAt,
+        provider: savedArticle.provider
+      }
+    };
+  } catch (error) {
+    if (error.originalError && error.originalError.code === '23505') {
+      console.log(`Skipped duplicate article: ${article.title}`);
+      return {
+        type: 'news',
+        success: false,
+        error: 'Duplicate article',
+        title: article.title
+      };
+    }
+    console.error(`Error saving article: ${error.message}`);
+    return {
+      type: 'news',
+      success: false,
+      error: error.message,
+      title: article.title
+    };
+  }
+}
 
-    const CITIES = env.CITIES ? env.CITIES.split(',') : ['Ho Chi Minh'];
-    const NEWS_CATEGORY = env.NEWS_CATEGORY ? env.NEWS_CATEGORY : 'technology';
+/**
+ * Create the job run repository used to record every collector run
+ * Run history is best effort: when the table is unavailable the job still runs, unrecorded.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Repository instance, or null if it cannot be used
+ */
+async function initJobRunRepository(env) {
+  try {
+    const jobRunRepository = await createJobRunRepository({
+      type: RepositoryType.NEON,
+      config: {
+        connectionString: getDatabaseUrl(env)
+      }
+    });
+    await jobRunRepository.checkConnection();
+    return jobRunRepository;
+  } catch (error) {
+    console.error('Job run history unavailable, runs will not be recorded:', error);
+    return null;
+  }
+}
+
+/**
+ * Create the alert engine that checks this run's readings against alert_rules
+ * Alerts are best effort: when the tables are unavailable the run collects without them.
+ * ALERT_EMAIL_FROM sets the sender of email alerts.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<AlertEngine|null>} Engine, or null if alerts cannot be used
+ */
+async function initAlertEngine(env) {
+  try {
+    const alertRepository = await createAlertRepository({
+      type: RepositoryType.NEON,
+      config: {
+        connectionString: getDatabaseUrl(env)
+      }
+    });
+    await alertRepository.checkConnection();
+    
+    return new AlertEngine({
+      repository: alertRepository,
+      channels: {
+        webhook: new WebhookAlertChannel(),
+        email: new EmailAlertChannel({ from: env.ALERT_EMAIL_FROM })
+      }
+    });
+  } catch (error) {
+    console.error('Weather alerts unavailable, rules will not be evaluated:', error);
+    return null;
+  }
+}
 
-    // Create the weather service using the API key from environment
-    const weatherService = createWeatherService(env.OPENWEATHERMAP_API_KEY);
-    const newsService = new createNewsService(env.NEWSAPI_API_KEY);
+/**
+ * Evaluate alert rules against the weather readings saved in this run
+ * Readings carry the city as named in the collection target, which is what rules match on.
+ * @param {AlertEngine|null} alertEngine - From initAlertEngine
+ * @param {Array<Object>} weatherResults - Results from collectCityWeather
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Array<Object>>} One result per fired alert
+ */
+async function evaluateAlerts(alertEngine, weatherResults, now) {
+  if (!alertEngine) return [];
+  
+  const readings = weatherResults
+    .filter(result => result.type === 'weather' && result.success)
+    .map(result => ({ ...result.data, city: result.city, provider: result.provider, recordId: result.recordId }));
+  
+  try {
+    return await alertEngine.evaluate(readings, now);
+  } catch (error) {
+    console.error('Failed to evaluate weather alerts:', error);
+    return [{ type: 'alert', success: false, error: error.message }];
+  }
+}
+
+/**
+ * Create the dispatcher that delivers this run's events to webhook_subscriptions
+ * Webhooks are best effort: when the tables are unavailable the run collects without them.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<WebhookDispatcher|null>} Dispatcher, or null if webhooks cannot be used
+ */
+async function initWebhookDispatcher(env) {
+  try {
+    const webhookRepository = await createWebhookRepository({
+      type: RepositoryType.NEON,
+      config: {
+        connectionString: getDatabaseUrl(env)
+      }
+    });
+    await webhookRepository.checkConnection();
+    return new WebhookDispatcher({ repository: webhookRepository });
+  } catch (error) {
+    console.error('Webhooks unavailable, events will not be delivered:', error);
+    return null;
+  }
+}
+
+/**
+ * Run fetchData and record it in job_runs
+ * Events queued during the run (and due webhook retries) are delivered once it ends,
+ * including job.failed when the run failed outright.
+ * @param {Object} env - Environment variables
+ * @param {Object} trigger - { triggerType: 'scheduled' | 'manual', cron }
+ * @returns {Promise<Object>} { run, results }
+ * @throws {Error} If migrations are pending
+ */
+async function runFetchJob(env, trigger) {
+  await assertSchemaUpToDate(env);
+  const jobRunRepository = await initJobRunRepository(env);
+  const webhooks = await initWebhookDispatcher(env);
+  const job = { jobName: 'fetch-data', ...trigger };
+  
+  try {
+    const outcome = await trackJobRun(jobRunRepository, job, () => fetchData(env, webhooks));
+    const summary = summarizeJobResults(outcome.results);
+    if (getJobStatus(summary) === 'failed') {
+      webhooks?.emit('job.failed', { ...job, runId: outcome.run?.id ?? null, ...summary, error: null });
+    }
+    return outcome;
+  } catch (error) {
+    webhooks?.emit('job.failed', { ...job, runId: null, error: error.message });
+    throw error;
+  } finally {
+    await webhooks?.flush();
+  }
+}
+
+// Set once the schema has been checked, for the lifetime of the isolate
+let schemaVerified = false;
+
+/**
+ * Refuse to collect against a database with pending migrations
+ * Migrations are applied with `npm run migrate` (add `-- --neon` to use this driver)
+ * @param {Object} env - Environment variables
+ * @throws {Error} If migrations are pending
+ */
+async function assertSchemaUpToDate(env) {
+  if (schemaVerified) return;
+  
+  const migrator = new Migrator({ executor: createNeonExecutor(neon(getDatabaseUrl(env))) });
+  await migrator.assertUpToDate();
+  schemaVerified = true;
+}
+
+/**
+ * Compare two strings in time independent of where they differ
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < right.length; i++) {
+    diff |= (left[i % (left.length || 1)] ?? 0) ^ right[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Check the shared secret sent to /trigger-fetch
+ * Accepts `Authorization: Bearer <secret>` or `X-Trigger-Secret: <secret>`
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+function isAuthorizedTrigger(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+  const presented = /^Bearer\s+/i.test(authorization)
+    ? authorization.replace(/^Bearer\s+/i, '').trim()
+    : request.headers.get('X-Trigger-Secret') || '';
+  
+  return presented.length > 0 && timingSafeEqual(presented, env.TRIGGER_SECRET);
+}
+
+async function fetchData(env, webhooks = null) {
+  try {
+    const now = new Date();
+
+    // Load the cities and news topics to collect in this run
+    const targetRepository = await initTargetRepository(env);
+    const { source, targets } = await loadCollectionTargets(env, targetRepository, now);
+    const cityTargets = targets.filter(target => target.type === 'city');
+    const newsTargets = targets.filter(target => target.type !== 'city');
+    console.log(`Collecting ${cityTargets.length} cities and ${newsTargets.length} news queries (from ${source})`);
+
+    // Create the API clients' shared options and a news service for each configured provider
+    const clientOptions = await initApiClientOptions(env);
+    const weatherProviders = getWeatherProviderConfigs(env);
+    const newsServices = initNewsServices(env, clientOptions);
 
     // Initialize repositories
-    const weatherRepository = await initWeatherRepository(env);
-    const newsRepository = await initNewsRepository(env);
+    const weatherRepository = await initWeatherRepository(env, webhooks);
+    const newsRepository = await initNewsRepository(env, webhooks);
     
-    // Fetch weather for each city
-    const results = await Promise.all(
-      CITIES.map(async (city) => {
-        try {
-          // Fetch weather data
-          const weatherData = await weatherService.getCurrentWeather(city);
-          
-          // Save to database
-          const record = await weatherRepository.save(weatherData);
-          console.log(`Saved weather data for ${city}`)
-          
-          // Add database operation result to the response
-          return { 
-            city, 
-            success: true, 
-            data: weatherData,
-            recordId: record.id
-          };
-        } catch (error) {
-          console.error(`Error processing ${city}:`, error);
-          return { city, success: false, error: error.message };
+    // Each city's providers are called through a failover service; all of them share the
+    // isolate's circuit breakers, so a provider that keeps failing is skipped everywhere
+    const cityServices = cityTargets.map(target => {
+      const providers = selectProviders(weatherProviders, target);
+      return {
+        target,
+        weatherService: providers.length > 0
+          ? createFailoverWeatherService(providers, { circuitBreakers: weatherCircuitBreakers, clientOptions })
+          : null
+      };
+    });
+    
+    // Fetch weather for each city from every provider the target allows
+    const weatherResults = (await Promise.all(
+      cityServices.map(({ target, weatherService }) => weatherService
+        ? collectCityWeather(target.value, weatherService, weatherRepository)
+        : [unconfiguredTargetResult('weather', target)])
+    )).flat();
+
+    // Check the new readings against the alert rules
+    const alertResults = await evaluateAlerts(await initAlertEngine(env), weatherResults, now);
+
+    // Fetch and store the forecast horizon for each city, falling back through its providers
+    const forecastResults = await Promise.all(
+      cityServices.map(({ target, weatherService }) => weatherService
+        ? collectCityForecast(target.value, weatherService, weatherRepository)
+        : unconfiguredTargetResult('forecast', target))
+    );
+    const weatherServices = cityServices.map(({ weatherService }) => weatherService).filter(Boolean);
+    console.log('Weather provider circuit states:', Object.assign(
+      {},
+      ...weatherServices.map(weatherService => weatherService.getCircuitStates())
+    ));
+
+    // Fetch headlines for each category and articles for each keyword topic from every provider,
+    // then save them one at a time so each article is clustered against the whole run
+    const newsBatches = await Promise.all(
+      newsTargets.flatMap(target => {
+        const sources = selectProviders(newsServices, target);
+        if (sources.length === 0) {
+          return [{ failure: unconfiguredTargetResult('news', target) }];
         }
+        
+        return sources.map(newsSource => fetchNews(
+          {
+            type: target.type,
+            value: target.value,
+            language: target.type === 'topic' ? env.NEWS_LANGUAGE || 'en' : env.NEWS_LANGUAGE
+          },
+          newsSource
+        ));
       })
     );
+    const articleResults = await saveNews(newsBatches, newsRepository);
 
-    const topHeadlines = await newsService.getTopHeadlines({ 
-      country: 'us',
-      category: NEWS_CATEGORY
-    });
-  
-    // Save headlines to database in parallel
-    const articlePromises = topHeadlines.articles.map(async (article) => {
+    if (source === 'database') {
+      // A city counts as collected once a provider served it, a news query once a source did;
+      // targets that failed stay due and are retried on the next run
+      const collected = targets.filter(target => (target.type === 'city'
+        ? weatherResults.some(result => result.type === 'weather' && result.success && result.city === target.value)
+        : newsBatches.some(batch => !batch.failure && batch.newsQuery.type === target.type && batch.newsQuery.value === target.value)));
       try {
-        const savedArticle = await newsRepository.create({
-          title: article.title,
-          description: article.description || '',
-          content: article.content || '',
-          url: article.url,
-          imageUrl: article.imageUrl || '', 
-          publishedAt: article.publishedAt,
-          sourceName: article.sourceName,
-          author: article.author || '',
-          provider: 'newsapi'
-        });
-        console.log(`Successfully saved article: ${savedArticle.title}`);
-        return {
-          type: 'news',
-          success: true,
-          data: {
-            id: savedArticle.id,
-            title: savedArticle.title,
-            description: savedArticle.description,
-            source: savedArticle.sourceName,
-            url: savedArticle.url,
-            imageUrl: savedArticle.imageUrl,
-            publishedAt: savedArticle.publishedAt,
-            provider: savedArticle.provider
-          }
-        };
+        await targetRepository.markCollected(collected.map(target => target.id), now);
       } catch (error) {
-        if (error.originalError && error.originalError.code === '23505') {
-          console.log(`Skipped duplicate article: ${article.title}`);
-          return {
-            type: 'news',
-            success: false,
-            error: 'Duplicate article',
-            title: article.title
-          };
-        }
-        console.error(`Error saving article: ${error.message}`);
-        return {
-          type: 'news',
-          success: false,
-          error: error.message,
-          title: article.title
-        };
+        console.error('Failed to mark collection targets as collected:', error);
       }
-    });
+    }
 
-    // Wait for all article operations to complete
-    const articleResults = await Promise.all(articlePromises);
+    console.log('API cache stats:', [
+      ...weatherServices.flatMap(({ providers }) => providers.map(({ service }) => service.apiClient.getCacheStats())),
+      ...newsServices.map(({ service }) => service.apiClient.getCacheStats())
+    ]);
 
-    // Format weather results to match the unified structure
-    const formattedWeatherResults = results.map(weatherResult => ({
-      type: 'weather',
-      success: weatherResult.success,
-      ...weatherResult
-    }));
+    console.log('Provider quota usage:', await clientOptions.quotaManager.getUsage());
 
     // Combine all results
     const unifiedResults = [
-      ...formattedWeatherResults,
+      ...weatherResults,
+      ...alertResults,
+      ...forecastResults,
       ...articleResults
     ];
 
@@ -175,7 +802,18 @@ export default {
       
       // Add a simple endpoint to manually trigger the weather fetch
       if (url.pathname === "/trigger-fetch") {
-        const results = await fetchData(env);
+        // Every run spends provider quota, so the endpoint only works with the shared secret
+        if (!env.TRIGGER_SECRET) {
+          return new Response("Manual trigger disabled: TRIGGER_SECRET is not configured", { status: 503 });
+        }
+        if (!isAuthorizedTrigger(request, env)) {
+          return new Response("Unauthorized", {
+            status: 401,
+            headers: { "WWW-Authenticate": 'Bearer realm="trigger-fetch"' }
+          });
+        }
+        
+        const { results } = await runFetchJob(env, { triggerType: 'manual' });
         return new Response(JSON.stringify(results, null, 2), {
           headers: { "Content-Type": "application/json" }
         });
@@ -185,7 +823,7 @@ export default {
       return new Response(
         "Weather Fetcher Worker\n\n" +
         "Available endpoints:\n" +
-        "- /trigger-fetch: Manually trigger weather data update", 
+        "- /trigger-fetch: Manually trigger weather data update (requires Authorization: Bearer <TRIGGER_SECRET>)", 
         {
           headers: { "Content-Type": "text/plain" }
         }
@@ -199,7 +837,10 @@ export default {
   // Scheduled handler for cron jobs
   async scheduled(event, env, ctx) {
     try {
-      const results = await fetchData(env);
+      const { run } = await runFetchJob(env, { triggerType: 'scheduled', cron: event.cron });
+      if (run) {
+        console.log(`Job run ${run.id} ${run.status} in ${run.durationMs}ms`);
+      }
       return new Response("Weather data retrieved and saved successfully", { status: 200 });
     } catch (error) {
       console.error("Scheduled job error:", error);